@@ -51,6 +51,26 @@ const EXTENSION_CONFIG = {
     maxReconnectAttempts: 10,
     fallbackAfterWsFailures: 5
   },
+  // 分块传输配置
+  CHUNKED_TRANSFER: {
+    threshold: 100000,
+    chunkSize: 50000
+  },
+  // 协议版本与能力声明（随 init 发送，服务器据此协商版本并拒绝不支持的动作）
+  PROTOCOL: {
+    version: 2,
+    minVersion: 1,
+    actions: [
+      'open_url', 'close_tab', 'get_html', 'execute_script', 'inject_css',
+      'get_cookies', 'get_cookies_by_domain', 'upload_file_to_tab', 'batch',
+      'subscribe_events', 'unsubscribe_events'
+    ],
+    events: [
+      'tabCreated', 'tabUpdated', 'tabRemoved', 'tabActivated',
+      'navigationCommitted', 'navigationCompleted', 'downloadCreated', 'downloadChanged'
+    ],
+    maxPayload: 64 * 1024 * 1024
+  },
   // 安全配置
   SECURITY: {
     allowedActions: [
@@ -83,7 +103,7 @@ async function withTimeout(promise, ms, errorMessage = '操作超时') {
   let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
     timeoutId = setTimeout(() => {
-      reject(new Error(`${errorMessage} (${ms}ms)`));
+      reject(codedError('TIMEOUT', `${errorMessage} (${ms}ms)`));
     }, ms);
   });
   
@@ -97,6 +117,151 @@ async function withTimeout(promise, ms, errorMessage = '操作超时') {
   }
 }
 
+/**
+ * Promise 中止包装器
+ * signal 触发 abort 时立即以 code=CANCELLED 的错误 reject（底层操作无法撤回，只是不再等待）
+ */
+async function withAbort(promise, signal) {
+  if (!signal) return promise;
+  
+  const cancelled = () => {
+    const error = new Error('请求已取消');
+    error.code = 'CANCELLED';
+    return error;
+  };
+  if (signal.aborted) throw cancelled();
+  
+  let onAbort;
+  const abortPromise = new Promise((_, reject) => {
+    onAbort = () => reject(cancelled());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  
+  try {
+    return await Promise.race([promise, abortPromise]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * 计算字符串 UTF-8 字节的 SHA-256（十六进制）
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * 将序列化后的结果消息拆分为分块传输帧
+ * chunk { requestId, index, total, data } × total + chunk_end { requestId, total, length, checksum }
+ */
+async function buildChunkFrames(requestId, raw, chunkSize) {
+  const total = Math.ceil(raw.length / chunkSize);
+  const frames = [];
+  for (let index = 0; index < total; index++) {
+    frames.push({
+      type: 'chunk',
+      requestId,
+      index,
+      total,
+      data: raw.slice(index * chunkSize, (index + 1) * chunkSize)
+    });
+  }
+  frames.push({
+    type: 'chunk_end',
+    requestId,
+    total,
+    length: raw.length,
+    checksum: await sha256Hex(raw)
+  });
+  return frames;
+}
+
+/**
+ * 与服务端、Node.js 客户端共用的错误码（见 server/errors.js），错误响应的 code 取自其中
+ */
+const ERROR_CODES = [
+  'INVALID_PARAMS',
+  'TAB_NOT_FOUND',
+  'ELEMENT_NOT_FOUND',
+  'PERMISSION_DENIED',
+  'SCRIPT_ERROR',
+  'TIMEOUT',
+  'CANCELLED',
+  'RATE_LIMITED',
+  'QUEUE_FULL',
+  'EXTENSION_ERROR'
+];
+
+/**
+ * 带错误码的错误
+ */
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 错误对应的错误码：已带 code 的沿用，浏览器 API 的报错按内容识别，其余为 fallback
+ */
+function errorCode(error, fallback = 'EXTENSION_ERROR') {
+  if (error && ERROR_CODES.includes(error.code)) {
+    return error.code;
+  }
+  const message = String((error && error.message) || '');
+  if (message.includes('脚本执行错误')) {
+    return 'SCRIPT_ERROR';
+  }
+  if (/no tab with id|invalid tab id/i.test(message)) {
+    return 'TAB_NOT_FOUND';
+  }
+  if (/cannot access|missing host permission/i.test(message)) {
+    return 'PERMISSION_DENIED';
+  }
+  return fallback;
+}
+
+/**
+ * 解析批量步骤参数中的结果引用：{ $ref: '步骤id或序号.字段路径' } 替换为前面步骤结果中的值
+ */
+function resolveStepRefs(value, outputs) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveStepRefs(item, outputs));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.$ref === 'string' && Object.keys(value).length === 1) {
+    const [key, ...path] = value.$ref.split('.');
+    if (!Object.prototype.hasOwnProperty.call(outputs, key)) {
+      throw codedError('INVALID_PARAMS', `引用的步骤不存在或未成功: ${value.$ref}`);
+    }
+    return path.reduce((current, field) => (current == null ? undefined : current[field]), outputs[key]);
+  }
+  
+  const resolved = {};
+  for (const [field, item] of Object.entries(value)) {
+    resolved[field] = resolveStepRefs(item, outputs);
+  }
+  return resolved;
+}
+
+/**
+ * 为批量中的脚本步骤注入 $results（以步骤 id 和序号为键）和 $prev（上一步的结果）
+ * 代码没有引用它们时原样返回
+ */
+function buildStepScript(code, outputs, prev) {
+  if (typeof code !== 'string' || !/\$results|\$prev/.test(code)) {
+    return code;
+  }
+  return `(function ($results, $prev) { return eval(${JSON.stringify(code)}); })`
+    + `(${JSON.stringify(outputs)}, ${JSON.stringify(prev ?? null)})`;
+}
+
 /**
  * 滑动窗口速率限制器
  */
@@ -509,6 +674,8 @@ class HealthChecker {
 
 /**
  * SSE 客户端 - 作为 WebSocket 的降级方案
+ * 服务端 → 扩展走 SSE 流，扩展 → 服务端通过 send() 以 HTTP POST 发送；
+ * Service Worker 中没有 EventSource，改用 fetch 流读取
  */
 class SSEClient {
   constructor(config = {}) {
@@ -518,10 +685,13 @@ class SSEClient {
     this.maxReconnectAttempts = config.maxReconnectAttempts || 10;
     
     this.eventSource = null;
+    this.abortController = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
     this.currentRequestId = null;
+    // 服务端分配的通道 ID（由 sse_connected 消息下发），POST 回传时使用
+    this.channelId = null;
     
     this.onMessage = null;
     this.onCallbackResult = null;
@@ -532,7 +702,7 @@ class SSEClient {
   }
 
   connect(requestId = null) {
-    if (this.eventSource) {
+    if (this.eventSource || this.abortController) {
       this.disconnect();
     }
     
@@ -544,51 +714,28 @@ class SSEClient {
     
     console.log('[SSEClient] 连接到:', url);
     
+    if (typeof EventSource === 'undefined') {
+      this.connectWithFetch(url);
+      return;
+    }
+    
     try {
       this.eventSource = new EventSource(url);
       
-      this.eventSource.onopen = () => {
-        this.isConnected = true;
-        this.reconnectAttempts = 0;
-        console.log('[SSEClient] 连接已建立');
-        if (this.onConnect) this.onConnect();
-      };
+      this.eventSource.onopen = () => this.handleOpen();
       
-      this.eventSource.onerror = (error) => {
-        console.error('[SSEClient] 连接错误:', error);
-        this.isConnected = false;
-        if (this.onError) this.onError(error);
-        this.scheduleReconnect();
-      };
+      this.eventSource.onerror = (error) => this.handleError(error);
       
       this.eventSource.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log('[SSEClient] 收到消息:', data);
-          if (this.onMessage) this.onMessage(data);
-        } catch (e) {
-          console.error('[SSEClient] 解析消息失败:', e);
-        }
+        this.dispatchEvent('message', event.data);
       };
       
       this.eventSource.addEventListener('callback_result', (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log('[SSEClient] 收到回调结果:', data);
-          if (this.onCallbackResult) this.onCallbackResult(data);
-        } catch (e) {
-          console.error('[SSEClient] 解析回调结果失败:', e);
-        }
+        this.dispatchEvent('callback_result', event.data);
       });
       
       this.eventSource.addEventListener('request_timeout', (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log('[SSEClient] 收到超时通知:', data);
-          if (this.onRequestTimeout) this.onRequestTimeout(data);
-        } catch (e) {
-          console.error('[SSEClient] 解析超时通知失败:', e);
-        }
+        this.dispatchEvent('request_timeout', event.data);
       });
       
     } catch (error) {
@@ -597,6 +744,118 @@ class SSEClient {
     }
   }
 
+  connectWithFetch(url) {
+    const controller = new AbortController();
+    this.abortController = controller;
+    
+    fetch(url, { headers: { Accept: 'text/event-stream' }, signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok || !response.body) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        this.handleOpen();
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+          
+          let boundary;
+          while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            this.parseFrame(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+          }
+        }
+        throw new Error('SSE 流已结束');
+      })
+      .catch((error) => {
+        // 主动断开导致的中止不需要重连
+        if (controller.signal.aborted) return;
+        this.handleError(error);
+      });
+  }
+
+  parseFrame(frame) {
+    let eventName = 'message';
+    const dataLines = [];
+    
+    for (const line of frame.split('\n')) {
+      if (!line || line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') eventName = value;
+      else if (field === 'data') dataLines.push(value);
+    }
+    
+    if (dataLines.length > 0) {
+      this.dispatchEvent(eventName, dataLines.join('\n'));
+    }
+  }
+
+  dispatchEvent(eventName, rawData) {
+    let data;
+    try {
+      data = JSON.parse(rawData);
+    } catch (e) {
+      console.error(`[SSEClient] 解析 ${eventName} 失败:`, e);
+      return;
+    }
+    
+    if (eventName === 'callback_result') {
+      if (this.onCallbackResult) this.onCallbackResult(data);
+    } else if (eventName === 'request_timeout') {
+      if (this.onRequestTimeout) this.onRequestTimeout(data);
+    } else if (data.type === 'sse_connected') {
+      this.channelId = data.channelId || null;
+      console.log('[SSEClient] 通道已分配:', this.channelId);
+    } else if (this.onMessage) this.onMessage(data);
+  }
+
+  handleOpen() {
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+    console.log('[SSEClient] 连接已建立');
+    if (this.onConnect) this.onConnect();
+  }
+
+  handleError(error) {
+    console.error('[SSEClient] 连接错误:', error);
+    this.isConnected = false;
+    this.channelId = null;
+    
+    if (this.onError) this.onError(error);
+    
+    // 尝试重连
+    this.scheduleReconnect();
+  }
+
+  canSend() {
+    return this.isConnected && !!this.channelId;
+  }
+
+  async send(message) {
+    if (!this.canSend()) {
+      throw new Error('SSE 通道未就绪');
+    }
+    
+    const url = `${this.httpServerUrl}${this.endpoint}/${encodeURIComponent(this.channelId)}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`SSE 消息发送失败: HTTP ${response.status}`);
+    }
+    return true;
+  }
+
   disconnect() {
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
@@ -608,8 +867,14 @@ class SSEClient {
       this.eventSource = null;
     }
     
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    
     this.isConnected = false;
     this.currentRequestId = null;
+    this.channelId = null;
     
     console.log('[SSEClient] 已断开连接');
     if (this.onDisconnect) this.onDisconnect();
@@ -638,7 +903,8 @@ class SSEClient {
     return {
       isConnected: this.isConnected,
       reconnectAttempts: this.reconnectAttempts,
-      currentRequestId: this.currentRequestId
+      currentRequestId: this.currentRequestId,
+      channelId: this.channelId
     };
   }
 }
@@ -698,6 +964,13 @@ class BrowserControl {
     this.pendingChallenge = null;    // 等待响应的 challenge
     this.authSecretKey = null;       // 认证密钥（从 storage 加载）
     this.sessionExpiresAt = null;    // 会话过期时间
+    
+    // 实例标识（持久化，服务端以 instanceId 作为 clientId，重连后保持不变）
+    this.instanceId = null;          // 首次启动时生成
+    this.instanceLabel = null;       // 用户在 popup 中设置的名称，可用作 target
+    this.clientId = null;            // init_ack 返回的 clientId
+    this.protocolVersion = null;     // init_ack 返回的协商协议版本
+    this.protocolError = null;       // 协议版本不兼容时服务器给出的原因
     this.authTimeout = null;         // 认证超时定时器
     
     // 应用层心跳相关
@@ -723,6 +996,7 @@ class BrowserControl {
     this.healthChecker = null;
     this.sseClient = null;
     this.withTimeout = withTimeout;
+    this.withAbort = withAbort;
     
     // SSE 降级相关
     this.sseFallbackThreshold = 5;
@@ -733,6 +1007,9 @@ class BrowserControl {
     // 事件订阅
     this.subscribedEvents = new Set();
     
+    // 执行中的请求（requestId -> AbortController），服务端下发 cancel 时中止
+    this.activeRequests = new Map();
+    
     // 初始化
     this.init();
   }
@@ -755,6 +1032,10 @@ class BrowserControl {
     // 设置标签页事件监听
     this.setupTabListeners();
     
+    // 设置导航与下载事件监听（用于事件推送）
+    this.setupNavigationListeners();
+    this.setupDownloadListeners();
+    
     // 设置消息监听
     this.setupMessageListeners();
     
@@ -1010,8 +1291,18 @@ class BrowserControl {
       });
     };
     
+    // 降级模式下服务端消息经 SSE 下发，与 WebSocket 消息走同一处理流程
+    this.sseClient.onMessage = (data) => {
+      if (this.connectionMode !== 'sse') return;
+      this.handleMessage(JSON.stringify(data));
+    };
+    
     this.sseClient.onConnect = () => {
       console.log('[BrowserControl] SSE 连接成功（降级模式）');
+      // 新通道需要重新走认证流程，订阅由服务端在 init 后重新下发
+      this.authState = 'authenticating';
+      this.sessionId = null;
+      this.subscribedEvents.clear();
       this.broadcastStatusUpdate();
     };
     
@@ -1077,6 +1368,8 @@ class BrowserControl {
       serverUrl: this.serverUrl,
       httpBaseUrl: this.httpBaseUrl,
       authState: this.authState,
+      protocolVersion: this.protocolVersion,
+      protocolError: this.protocolError,
       
       serverCapabilities: this.serverCapabilities ? {
         serverName: this.serverCapabilities.serverName,
@@ -1120,7 +1413,7 @@ class BrowserControl {
   async loadSettings() {
     try {
       const authStorageKey = this.securityConfig.auth?.storageKey || 'auth_secret_key';
-      const result = await chrome.storage.local.get(['serverUrl', 'autoConnect', authStorageKey]);
+      const result = await chrome.storage.local.get(['serverUrl', 'autoConnect', authStorageKey, 'instanceId', 'instanceLabel']);
       
       if (result.serverUrl) {
         // 使用用户设置的服务器地址（可能是 http:// 或 ws:// 格式）
@@ -1150,6 +1443,16 @@ class BrowserControl {
         console.log('未配置认证密钥');
       }
       
+      // 加载实例标识（首次启动时生成并持久化）
+      if (result.instanceId) {
+        this.instanceId = result.instanceId;
+      } else {
+        this.instanceId = crypto.randomUUID();
+        await chrome.storage.local.set({ instanceId: this.instanceId });
+        console.log('已生成实例标识:', this.instanceId);
+      }
+      this.instanceLabel = result.instanceLabel || null;
+      
     } catch (error) {
       console.error('加载设置时出错:', error);
       // 使用默认设置
@@ -1159,6 +1462,21 @@ class BrowserControl {
     }
   }
 
+  /**
+   * 保存实例名称，已连接时重新发送 init 让服务端立即生效
+   * @param {string} label - 实例名称（空字符串表示清除）
+   */
+  async saveInstanceLabel(label) {
+    const trimmed = (label || '').trim().slice(0, 64);
+    this.instanceLabel = trimmed || null;
+    await chrome.storage.local.set({ instanceLabel: trimmed });
+    console.log('实例名称已保存:', this.instanceLabel);
+    
+    if (this.isTransportReady() && (this.authState === 'authenticated' || !this.authSecretKey)) {
+      this.sendInit();
+    }
+  }
+
   /**
    * 保存认证密钥
    * @param {string} authKey - 认证密钥
@@ -1298,6 +1616,9 @@ class BrowserControl {
       this.pendingChallenge = null;
       this.sessionExpiresAt = null;
       
+      // 订阅属于单次连接，服务器会在 init 后重新下发
+      this.subscribedEvents.clear();
+      
       this.ws = new WebSocket(this.serverUrl);
       
       this.ws.onopen = () => {
@@ -1509,6 +1830,52 @@ class BrowserControl {
     }
   }
 
+  /**
+   * 发送 init：携带 userAgent 与持久化的实例标识（instanceId / label）
+   * 轻量版服务器无 session，使用 sendRawMessage；完整版使用 sendNotification
+   */
+  sendInit() {
+    const payload = {
+      userAgent: navigator.userAgent,
+      instanceId: this.instanceId,
+      label: this.instanceLabel || '',
+      protocolVersion: EXTENSION_CONFIG.PROTOCOL.version,
+      minProtocolVersion: EXTENSION_CONFIG.PROTOCOL.minVersion,
+      capabilities: this.getCapabilities()
+    };
+    if (this.sessionId) {
+      this.sendNotification({
+        type: 'init',
+        payload,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      this.sendRawMessage({
+        type: 'init',
+        timestamp: new Date().toISOString(),
+        ...payload
+      });
+    }
+  }
+
+  /**
+   * 本扩展的能力声明：支持的动作与事件、单条消息上限（字节）、浏览器及扩展版本
+   */
+  getCapabilities() {
+    const protocol = EXTENSION_CONFIG.PROTOCOL;
+    const match = navigator.userAgent.match(/(Edg|Chrome)\/([\d.]+)/);
+    return {
+      actions: protocol.actions,
+      events: protocol.events,
+      maxPayload: protocol.maxPayload,
+      browser: {
+        name: match && match[1] === 'Edg' ? 'edge' : 'chrome',
+        version: match ? match[2] : null
+      },
+      extensionVersion: chrome.runtime.getManifest().version
+    };
+  }
+
   /**
    * 处理服务器认证结果
    * @param {Object} message - 认证结果消息
@@ -1542,22 +1909,7 @@ class BrowserControl {
       }
       
       // 发送初始化消息
-      // 轻量版服务器无 session，使用 sendRawMessage；完整版使用 sendNotification
-      if (this.sessionId) {
-        this.sendNotification({
-          type: 'init',
-          payload: {
-            userAgent: navigator.userAgent
-          },
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        this.sendRawMessage({
-          type: 'init',
-          timestamp: new Date().toISOString(),
-          userAgent: navigator.userAgent
-        });
-      }
+      this.sendInit();
       
       // 立即发送一次标签页数据
       this.sendTabsData();
@@ -1654,12 +2006,35 @@ class BrowserControl {
     }
   }
 
+  /**
+   * 当前是否有可用的发送通道（WebSocket，或 SSE 降级模式下的 HTTP POST）
+   */
+  isTransportReady() {
+    if (this.isConnected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      return true;
+    }
+    return this.connectionMode === 'sse' && !!this.sseClient && this.sseClient.canSend();
+  }
+
+  /**
+   * 通过当前通道发送消息对象
+   */
+  transportSend(message) {
+    if (this.isConnected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+      return;
+    }
+    this.sseClient.send(message).catch((error) => {
+      console.error('[SSE] 消息发送失败:', error.message);
+    });
+  }
+
   /**
    * 发送原始消息到服务器（不添加 sessionId，用于认证流程）
    */
   sendRawMessage(message) {
-    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+    if (this.isTransportReady()) {
+      this.transportSend(message);
       return true;
     } else {
       console.warn('WebSocket未连接，无法发送消息:', message);
@@ -1672,7 +2047,7 @@ class BrowserControl {
    * 用于 init、data 等信息性消息
    */
   sendNotification(message) {
-    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+    if (this.isTransportReady()) {
       if (this.authState === 'authenticated' && this.sessionId) {
         // 通知型协议格式：不带 requestId
         const wrappedMessage = {
@@ -1682,10 +2057,10 @@ class BrowserControl {
           payload: message.payload || {},
           timestamp: message.timestamp || new Date().toISOString()
         };
-        this.ws.send(JSON.stringify(wrappedMessage));
+        this.transportSend(wrappedMessage);
       } else {
         // 旧协议格式或未认证时直接发送
-        this.ws.send(JSON.stringify(message));
+        this.transportSend(message);
       }
       return true;
     } else {
@@ -1699,7 +2074,7 @@ class BrowserControl {
    * 如果已认证，自动添加 sessionId 和 requestId
    */
   sendMessage(message) {
-    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+    if (this.isTransportReady()) {
       // 如果已认证且有 sessionId，使用新协议格式
       if (this.authState === 'authenticated' && this.sessionId) {
         // 提取有效载荷：如果 message 有 payload 属性则直接使用，否则提取除元数据外的属性
@@ -1721,10 +2096,10 @@ class BrowserControl {
           timestamp: message.timestamp || new Date().toISOString()
         };
         
-        this.ws.send(JSON.stringify(wrappedMessage));
+        this.transportSend(wrappedMessage);
       } else {
         // 旧协议格式或未认证时直接发送
-        this.ws.send(JSON.stringify(message));
+        this.transportSend(message);
       }
       return true;
     } else {
@@ -1733,6 +2108,18 @@ class BrowserControl {
     }
   }
 
+  /**
+   * 发送错误响应，code 取自共用的错误码（ERROR_CODES）
+   */
+  sendError(requestId, error, fallbackCode = 'EXTENSION_ERROR') {
+    this.sendMessage({
+      type: 'error',
+      message: error.message,
+      requestId: requestId,
+      code: errorCode(error, fallbackCode)
+    });
+  }
+
   /**
    * 生成唯一请求ID
    */
@@ -1744,6 +2131,8 @@ class BrowserControl {
    * 处理来自服务器的消息
    */
   async handleMessage(data) {
+    // 登记在 activeRequests 中的请求，无论 handler 成功还是抛错都要移除
+    let activeRequestId = null;
     try {
       const message = JSON.parse(data);
       console.log('收到服务器消息:', message.type, message);
@@ -1763,9 +2152,24 @@ class BrowserControl {
           await this.handleServerResponse(message);
           return;
           
+        case 'cancel':
+          // 服务端转发的取消请求
+          this.handleCancel(message);
+          return;
+          
         case 'init_ack':
           // 服务端确认 init，可能包含服务端配置
-          console.log('收到 init_ack:', message.status);
+          console.log('收到 init_ack:', message.status, message.clientId);
+          if (message.status === 'error') {
+            // 协议版本不兼容：服务器随后以 4010 关闭连接，不再自动重连
+            console.error('[Protocol] 服务器拒绝连接:', message.code, message.message);
+            this.protocolError = message.message || message.code;
+            this.broadcastStatusUpdate();
+            return;
+          }
+          this.clientId = message.clientId || null;
+          this.protocolVersion = message.protocolVersion || 1;
+          this.protocolError = null;
           if (message.serverConfig) {
             this.applyServerConfig(message.serverConfig);
           }
@@ -1862,6 +2266,14 @@ class BrowserControl {
         }
       }
       
+      // 登记可取消的请求，handler 从 payload.signal 得知是否已被取消
+      const controller = requestId ? new AbortController() : null;
+      if (controller) {
+        this.activeRequests.set(requestId, controller);
+        activeRequestId = requestId;
+        payload.signal = controller.signal;
+      }
+      
       switch (actionType) {
         case 'open_url':
           await this.handleOpenUrl(payload);
@@ -1895,6 +2307,10 @@ class BrowserControl {
           await this.handleUploadFileToTab(payload);
           break;
           
+        case 'batch':
+          await this.handleBatch(payload);
+          break;
+          
         case 'subscribe_events':
           await this.handleSubscribeEvents(payload);
           break;
@@ -1915,7 +2331,24 @@ class BrowserControl {
       }
     } catch (error) {
       console.error('处理服务器消息时出错:', error);
+    } finally {
+      if (activeRequestId) {
+        this.activeRequests.delete(activeRequestId);
+      }
+    }
+  }
+
+  /**
+   * 处理取消请求：中止仍在执行的业务请求
+   * 服务端已向调用方返回 CANCELLED，这里只需停止本地工作
+   */
+  handleCancel(message) {
+    const controller = this.activeRequests.get(message.originalRequestId);
+    if (!controller) {
+      return;
     }
+    console.log(`[Cancel] 取消请求: ${message.originalRequestId}`);
+    controller.abort();
   }
 
   /**
@@ -2119,13 +2552,24 @@ class BrowserControl {
     this.broadcastStatusUpdate();
   }
 
+  /**
+   * 单个请求的超时时间（毫秒）
+   * 优先使用服务端随请求下发的 timeoutMs（调用方指定的截止时间），否则使用本地配置
+   */
+  getRequestTimeout(message) {
+    if (Number.isFinite(message.timeoutMs) && message.timeoutMs > 0) {
+      return message.timeoutMs;
+    }
+    return this.securityConfig.requestTimeout || 30000;
+  }
+
   /**
    * 处理打开URL请求
    * 带超时保护和标签页去重
    */
   async handleOpenUrl(message) {
-    const { url, tabId, windowId, requestId } = message;
-    const timeout = this.securityConfig.requestTimeout || 30000;
+    const { url, tabId, windowId, requestId, signal } = message;
+    const timeout = this.getRequestTimeout(message);
     
     try {
       let resultTabId;
@@ -2168,7 +2612,7 @@ class BrowserControl {
       
       if (!isExistingTab) {
         await this.withTimeout(
-          this.waitForTabLoad(resultTabId),
+          this.withAbort(this.waitForTabLoad(resultTabId, timeout, signal), signal),
           timeout,
           '页面加载超时'
         );
@@ -2195,12 +2639,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理打开URL请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: requestId,
-        code: error.message.includes('超时') ? 'TIMEOUT' : 'OPEN_URL_ERROR'
-      });
+      this.sendError(requestId, error);
     } finally {
       if (this.queueManager && requestId) {
         this.queueManager.remove(requestId);
@@ -2229,11 +2668,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理关闭标签页请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     }
   }
 
@@ -2242,42 +2677,33 @@ class BrowserControl {
    * 带超时保护
    */
   async handleGetHtml(message) {
-    const { tabId, requestId } = message;
-    const timeout = this.securityConfig.requestTimeout || 30000;
+    const { tabId, requestId, signal } = message;
+    const timeout = this.getRequestTimeout(message);
     
     try {
       const results = await this.withTimeout(
-        chrome.scripting.executeScript({
+        this.withAbort(chrome.scripting.executeScript({
           target: { tabId: parseInt(tabId) },
           func: () => document.documentElement.outerHTML
-        }),
+        }), signal),
         timeout,
         '获取HTML超时'
       );
       
       const html = results[0]?.result || '';
       
-      // 如果HTML太大，分块发送
-      if (html.length > 100000) { // 100KB
-        await this.sendHtmlInChunks(tabId, html, requestId);
-      } else {
-        this.sendMessage({
-          type: 'tab_html_complete',
-          tabId: tabId,
-          html: html,
-          requestId: requestId,
-          timestamp: new Date().toISOString()
-        });
-      }
+      // 大页面由 sendResult 分块发送
+      await this.sendResult({
+        type: 'tab_html_complete',
+        tabId: tabId,
+        html: html,
+        requestId: requestId,
+        timestamp: new Date().toISOString()
+      }, signal);
       
     } catch (error) {
       console.error('处理获取HTML请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: requestId,
-        code: error.message.includes('超时') ? 'TIMEOUT' : 'HTML_ERROR'
-      });
+      this.sendError(requestId, error);
     } finally {
       if (this.queueManager && requestId) {
         this.queueManager.remove(requestId);
@@ -2289,43 +2715,27 @@ class BrowserControl {
   }
 
   /**
-   * 分块发送HTML内容
+   * 发送操作结果（*_complete 消息）
+   * 序列化后超过阈值时走分块传输：chunk × total + chunk_end（长度与 SHA-256 校验），
+   * 服务端按 index 重组、校验后再按完整结果处理，结束帧不重复携带正文
+   * 传入 signal 时每帧之间让出事件循环，请求被取消后停止发送剩余分块
    */
-  async sendHtmlInChunks(tabId, html, requestId) {
-    const chunkSize = 50000; // 50KB per chunk
-    const totalChunks = Math.ceil(html.length / chunkSize);
-    
-    console.log(`HTML内容较大(${html.length}字符)，将分${totalChunks}块发送`);
-    
-    // 发送所有分块
-    for (let i = 0; i < totalChunks; i++) {
-      const start = i * chunkSize;
-      const end = Math.min(start + chunkSize, html.length);
-      const chunkData = html.substring(start, end);
-      
-      this.sendMessage({
-        type: 'tab_html_chunk',
-        tabId: tabId,
-        chunkIndex: i,
-        chunkData: chunkData,
-        totalChunks: totalChunks,
-        requestId: requestId,
-        timestamp: new Date().toISOString()
-      });
-      
-      // 小延迟避免消息过快
-      await new Promise(resolve => setTimeout(resolve, 10));
+  async sendResult(message, signal = null) {
+    const transfer = EXTENSION_CONFIG.CHUNKED_TRANSFER;
+    const raw = JSON.stringify(message);
+    if (raw.length <= transfer.threshold) {
+      this.sendMessage(message);
+      return;
     }
     
-    // 发送完成消息
-    this.sendMessage({
-      type: 'tab_html_complete',
-      tabId: tabId,
-      html: html,
-      totalChunks: totalChunks,
-      requestId: requestId,
-      timestamp: new Date().toISOString()
-    });
+    const frames = await buildChunkFrames(message.requestId, raw, transfer.chunkSize);
+    console.log(`结果较大(${raw.length}字符)，将分${frames.length - 1}块发送`);
+    for (const frame of frames) {
+      if (signal) {
+        await this.withAbort(new Promise(resolve => setTimeout(resolve, 0)), signal);
+      }
+      this.sendMessage(frame);
+    }
   }
 
   /**
@@ -2333,8 +2743,8 @@ class BrowserControl {
    * 带超时保护
    */
   async handleExecuteScript(message) {
-    const { tabId, code, requestId } = message;
-    const timeout = this.securityConfig.requestTimeout || 30000;
+    const { tabId, code, requestId, signal } = message;
+    const timeout = this.getRequestTimeout(message);
     
     try {
       const executeCode = async function(scriptCode) {
@@ -2350,31 +2760,26 @@ class BrowserControl {
       };
       
       const results = await this.withTimeout(
-        chrome.scripting.executeScript({
+        this.withAbort(chrome.scripting.executeScript({
           target: { tabId: parseInt(tabId) },
           func: executeCode,
           args: [code]
-        }),
+        }), signal),
         timeout,
         '脚本执行超时'
       );
       
-      this.sendMessage({
+      await this.sendResult({
         type: 'execute_script_complete',
         tabId: tabId,
         result: results[0]?.result,
         requestId: requestId,
         timestamp: new Date().toISOString()
-      });
+      }, signal);
       
     } catch (error) {
       console.error('处理执行脚本请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: requestId,
-        code: error.message.includes('超时') ? 'TIMEOUT' : 'SCRIPT_ERROR'
-      });
+      this.sendError(requestId, error, 'SCRIPT_ERROR');
     } finally {
       if (this.queueManager && requestId) {
         this.queueManager.remove(requestId);
@@ -2406,11 +2811,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理注入CSS请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     }
   }
 
@@ -2427,7 +2828,7 @@ class BrowserControl {
       
       // 只返回获取到的cookies，不触发保存
       // 服务器端会将这些cookies存储到独立的cookies表中
-      this.sendMessage({
+      await this.sendResult({
         type: 'get_cookies_complete',
         tabId: tabId,
         url: tab.url,
@@ -2438,11 +2839,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理获取Cookies请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     }
   }
 
@@ -2454,11 +2851,7 @@ class BrowserControl {
       const { domain, includeSubdomains = true, requestId } = message;
       
       if (!domain) {
-        this.sendMessage({
-          type: 'error',
-          message: '缺少域名参数',
-          requestId: requestId
-        });
+        this.sendError(requestId, codedError('INVALID_PARAMS', '缺少域名参数'));
         return;
       }
       
@@ -2466,7 +2859,7 @@ class BrowserControl {
       
       const cookies = await this.getCookiesByDomain(domain, includeSubdomains);
       
-      this.sendMessage({
+      await this.sendResult({
         type: 'get_cookies_by_domain_complete',
         domain: domain,
         includeSubdomains: includeSubdomains,
@@ -2478,11 +2871,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理按域名获取Cookies请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     }
   }
 
@@ -2843,7 +3232,7 @@ class BrowserControl {
       
       // 验证参数
       if (!tabId || !files || !Array.isArray(files) || files.length === 0) {
-        throw new Error('缺少必要参数: tabId, files');
+        throw codedError('INVALID_PARAMS', '缺少必要参数: tabId, files');
       }
       
       // 转换Base64数据为Blob
@@ -2875,7 +3264,7 @@ class BrowserControl {
           
         } catch (error) {
           console.error(`文件转换失败: ${fileData.name}`, error);
-          throw new Error(`文件转换失败: ${fileData.name} - ${error.message}`);
+          throw codedError('INVALID_PARAMS', `文件转换失败: ${fileData.name} - ${error.message}`);
         }
       }
       
@@ -2908,17 +3297,185 @@ class BrowserControl {
         });
         
       } else {
-        throw new Error(uploadResult?.error || '文件上传失败');
+        throw codedError(uploadResult?.code || 'EXTENSION_ERROR', uploadResult?.error || '文件上传失败');
       }
       
     } catch (error) {
       console.error('处理文件上传请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
+      this.sendError(message.requestId, error);
+    }
+  }
+
+  /**
+   * 处理批量请求：在一次往返中按顺序执行多个步骤，返回每一步的结果
+   * - 步骤复用单个动作的 handler，另支持 wait（{ ms } 或 { selector }）
+   * - 未指定 tabId 的标签页步骤作用于 message.tabId 或最近一次 open_url 打开的标签页
+   * - 参数中的 { $ref: '步骤id或序号.字段路径' } 引用前面步骤的结果，脚本中可用 $results / $prev
+   * - onError 为 'stop'（默认）时首个失败步骤之后的步骤标记为 skipped，'continue' 时继续执行
+   * 整个批量共用一个截止时间，每一步只能使用剩余的时间
+   */
+  async handleBatch(message) {
+    const { steps, onError = 'stop', requestId, signal } = message;
+    const deadline = Date.now() + this.getRequestTimeout(message);
+    let currentTabId = message.tabId ?? null;
+    const outputs = {};
+    const results = [];
+    let stoppedAt = null;
+    
+    try {
+      if (!Array.isArray(steps) || steps.length === 0) {
+        throw codedError('INVALID_PARAMS', 'steps 必须是非空数组');
+      }
+      
+      for (let index = 0; index < steps.length; index++) {
+        const step = steps[index] || {};
+        const entry = { index, id: step.id ?? null, action: step.action };
+        
+        if (stoppedAt !== null) {
+          results.push({ ...entry, status: 'skipped' });
+          continue;
+        }
+        
+        try {
+          const remaining = deadline - Date.now();
+          if (remaining <= 0) {
+            throw codedError('TIMEOUT', '批量请求已超时');
+          }
+          const params = resolveStepRefs(step, outputs);
+          const prev = index > 0 ? outputs[index - 1] : null;
+          const data = await this.runBatchStep(params, currentTabId, outputs, prev, remaining, signal);
+          
+          if (params.action === 'open_url') {
+            currentTabId = data.tabId;
+          } else if (params.action === 'close_tab' && String(data.tabId) === String(currentTabId)) {
+            currentTabId = null;
+          }
+          outputs[index] = data;
+          if (step.id !== undefined && step.id !== null) {
+            outputs[step.id] = data;
+          }
+          results.push({ ...entry, status: 'success', data });
+        } catch (error) {
+          if (error.code === 'CANCELLED') {
+            throw error;
+          }
+          results.push({ ...entry, status: 'error', code: errorCode(error), message: error.message });
+          if (onError !== 'continue') {
+            stoppedAt = index;
+          }
+        }
+      }
+      
+      await this.sendResult({
+        type: 'batch_complete',
+        tabId: currentTabId,
+        results: results,
+        stoppedAt: stoppedAt,
+        requestId: requestId,
+        timestamp: new Date().toISOString()
+      }, signal);
+      
+    } catch (error) {
+      console.error('处理批量请求时出错:', error);
+      this.sendError(requestId, error);
+    } finally {
+      if (this.queueManager && requestId) {
+        this.queueManager.remove(requestId);
+      }
+      if (this.deduplicator && requestId) {
+        this.deduplicator.markCompleted(requestId);
+      }
+    }
+  }
+
+  /**
+   * 执行批量中的一个步骤，返回去掉 type / requestId / timestamp 的结果消息
+   */
+  async runBatchStep(step, currentTabId, outputs, prev, remaining, signal) {
+    const handlers = {
+      open_url: 'handleOpenUrl',
+      close_tab: 'handleCloseTab',
+      get_html: 'handleGetHtml',
+      execute_script: 'handleExecuteScript',
+      inject_css: 'handleInjectCss',
+      get_cookies: 'handleGetCookies',
+      get_cookies_by_domain: 'handleGetCookiesByDomain',
+      upload_file_to_tab: 'handleUploadFileToTab'
+    };
+    const usesTab = !['open_url', 'get_cookies_by_domain'].includes(step.action)
+      && !(step.action === 'wait' && !step.selector);
+    const tabId = step.tabId ?? (usesTab ? currentTabId : undefined);
+    if (usesTab && (tabId === null || tabId === undefined)) {
+      throw codedError('INVALID_PARAMS', `步骤 ${step.action} 没有可用的标签页（先 open_url 或传 tabId）`);
+    }
+    const timeoutMs = Number.isFinite(step.timeoutMs) && step.timeoutMs > 0
+      ? Math.min(step.timeoutMs, remaining)
+      : remaining;
+    
+    if (step.action === 'wait') {
+      if (step.selector) {
+        return this.waitForSelector(tabId, step.selector, timeoutMs, signal);
+      }
+      const ms = Math.min(Math.max(Number(step.ms) || 0, 0), timeoutMs);
+      await this.withAbort(new Promise(resolve => setTimeout(resolve, ms)), signal);
+      return { waitedMs: ms };
+    }
+    
+    const handler = handlers[step.action];
+    if (!handler) {
+      throw codedError('INVALID_PARAMS', `不支持的步骤: ${step.action}`);
+    }
+    
+    const { action, id, ...payload } = step;
+    if (tabId !== undefined) {
+      payload.tabId = tabId;
+    }
+    if (action === 'execute_script') {
+      payload.code = buildStepScript(payload.code, outputs, prev);
+    }
+    
+    const reply = await this.captureHandlerReply(handler, { ...payload, timeoutMs, signal });
+    const { type, requestId, timestamp, ...data } = reply;
+    if (type === 'error') {
+      throw codedError(reply.code || 'EXTENSION_ERROR', reply.message);
+    }
+    return data;
+  }
+
+  /**
+   * 轮询直到页面中出现 selector 匹配的元素
+   */
+  async waitForSelector(tabId, selector, timeoutMs, signal) {
+    const deadline = Date.now() + timeoutMs;
+    const code = `!!document.querySelector(${JSON.stringify(selector)})`;
+    
+    while (Date.now() < deadline) {
+      const reply = await this.captureHandlerReply('handleExecuteScript', {
+        tabId, code, timeoutMs: Math.max(deadline - Date.now(), 1), signal
       });
+      if (reply.type === 'error') {
+        throw codedError(reply.code || 'EXTENSION_ERROR', reply.message);
+      }
+      if (reply.result === true) {
+        return { tabId, selector, found: true };
+      }
+      await this.withAbort(new Promise(resolve => setTimeout(resolve, 250)), signal);
     }
+    throw codedError('TIMEOUT', `等待元素超时: ${selector}`);
+  }
+
+  /**
+   * 调用单个动作的 handler 并截获它的回复，而不是发给服务端
+   * handler 通过 sendMessage / sendResult 回复，这里让它运行在一个继承自 this、
+   * 只替换了这两个方法的对象上
+   */
+  async captureHandlerReply(handler, payload) {
+    let reply = null;
+    const capture = Object.create(this);
+    capture.sendMessage = (msg) => { reply = msg; };
+    capture.sendResult = async (msg) => { reply = msg; };
+    await this[handler].call(capture, payload);
+    return reply || { type: 'error', code: 'EXTENSION_ERROR', message: '步骤没有返回结果' };
   }
 
   /**
@@ -2954,7 +3511,11 @@ class BrowserControl {
         }
         
         if (!found) {
-          throw new Error('未找到文件输入元素: ' + targetSelector);
+          return {
+            success: false,
+            code: 'ELEMENT_NOT_FOUND',
+            error: '未找到文件输入元素: ' + targetSelector
+          };
         }
       }
       
@@ -3002,14 +3563,19 @@ class BrowserControl {
 
   /**
    * 等待标签页加载完成
+   * signal 被中止后停止轮询
    */
-  async waitForTabLoad(tabId, timeout = 30000) {
+  async waitForTabLoad(tabId, timeout = 30000, signal = null) {
     return new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => {
-        reject(new Error('等待标签页加载超时'));
+        reject(codedError('TIMEOUT', '等待标签页加载超时'));
       }, timeout);
       
       const checkStatus = async () => {
+        if (signal && signal.aborted) {
+          clearTimeout(timeoutId);
+          return;
+        }
         try {
           const tab = await chrome.tabs.get(parseInt(tabId));
           if (tab.status === 'complete') {
@@ -3050,6 +3616,13 @@ class BrowserControl {
     chrome.tabs.onCreated.addListener((tab) => {
       console.log('标签页创建:', tab.id, tab.url);
       this.debouncedSendTabsData();
+      this.emitBrowserEvent('tabCreated', {
+        tabId: tab.id,
+        windowId: tab.windowId,
+        url: tab.url || '',
+        title: tab.title || '',
+        status: tab.status || null
+      });
     });
     
     // 标签页更新
@@ -3058,18 +3631,117 @@ class BrowserControl {
         console.log('标签页加载完成:', tabId, tab.url);
         this.debouncedSendTabsData();
       }
+      this.emitBrowserEvent('tabUpdated', {
+        tabId: tabId,
+        windowId: tab.windowId,
+        url: tab.url || '',
+        title: tab.title || '',
+        status: tab.status || null,
+        changeInfo: changeInfo
+      });
     });
     
     // 标签页移除
     chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
       console.log('标签页移除:', tabId);
       this.debouncedSendTabsData();
+      this.emitBrowserEvent('tabRemoved', {
+        tabId: tabId,
+        windowId: removeInfo.windowId,
+        isWindowClosing: removeInfo.isWindowClosing
+      });
     });
     
     // 标签页激活
     chrome.tabs.onActivated.addListener((activeInfo) => {
       console.log('标签页激活:', activeInfo.tabId);
       this.debouncedSendTabsData();
+      this.emitBrowserEvent('tabActivated', {
+        tabId: activeInfo.tabId,
+        windowId: activeInfo.windowId
+      });
+    });
+  }
+
+  /**
+   * 设置导航事件监听（仅主框架）
+   */
+  setupNavigationListeners() {
+    if (!chrome.webNavigation) {
+      console.warn('[Events] webNavigation API 不可用，跳过导航事件监听');
+      return;
+    }
+    
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId !== 0) return;
+      this.emitBrowserEvent('navigationCommitted', {
+        tabId: details.tabId,
+        url: details.url,
+        transitionType: details.transitionType || null,
+        transitionQualifiers: details.transitionQualifiers || []
+      });
+    });
+    
+    chrome.webNavigation.onCompleted.addListener((details) => {
+      if (details.frameId !== 0) return;
+      this.emitBrowserEvent('navigationCompleted', {
+        tabId: details.tabId,
+        url: details.url
+      });
+    });
+  }
+
+  /**
+   * 设置下载事件监听
+   */
+  setupDownloadListeners() {
+    if (!chrome.downloads) {
+      console.warn('[Events] downloads API 不可用，跳过下载事件监听');
+      return;
+    }
+    
+    chrome.downloads.onCreated.addListener((item) => {
+      this.emitBrowserEvent('downloadCreated', {
+        downloadId: item.id,
+        url: item.url,
+        filename: item.filename || '',
+        mime: item.mime || null,
+        state: item.state,
+        totalBytes: item.totalBytes
+      });
+    });
+    
+    chrome.downloads.onChanged.addListener((delta) => {
+      // delta 中每个字段形如 { previous, current }，只取当前值
+      const changes = {};
+      for (const [key, value] of Object.entries(delta)) {
+        if (key !== 'id' && value && typeof value === 'object' && 'current' in value) {
+          changes[key] = value.current;
+        }
+      }
+      this.emitBrowserEvent('downloadChanged', {
+        downloadId: delta.id,
+        ...changes
+      });
+    });
+  }
+
+  /**
+   * 向服务器推送浏览器事件（仅推送已订阅的事件）
+   * @param {string} eventName - 事件名，如 tabUpdated
+   * @param {Object} data - 事件数据
+   */
+  emitBrowserEvent(eventName, data) {
+    if (!this.isTransportReady() || this.authState !== 'authenticated') return;
+    if (!this.subscribedEvents.has(eventName) && !this.subscribedEvents.has('*')) return;
+    
+    this.sendNotification({
+      type: 'event',
+      payload: {
+        event: eventName,
+        data: data,
+        timestamp: new Date().toISOString()
+      }
     });
   }
 
@@ -3153,6 +3825,28 @@ class BrowserControl {
       }
       
       // 清除认证密钥
+      // 获取实例标识
+      if (message.type === 'get_instance_identity') {
+        sendResponse({
+          instanceId: this.instanceId,
+          label: this.instanceLabel,
+          clientId: this.clientId
+        });
+        return true;
+      }
+      
+      // 保存实例名称
+      if (message.type === 'set_instance_label') {
+        this.saveInstanceLabel(message.label)
+          .then(() => {
+            sendResponse({ success: true });
+          })
+          .catch(error => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+      }
+      
       if (message.type === 'clear_auth_key') {
         this.clearAuthKey()
           .then(() => {
@@ -3447,7 +4141,7 @@ class BrowserControl {
       return { 
         success: false, 
         error: error.message,
-        code: error.message.includes('超时') ? 'TIMEOUT' : 'SCRIPT_ERROR'
+        code: errorCode(error, 'SCRIPT_ERROR')
       };
     }
   }
@@ -3769,11 +4463,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理事件订阅请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     } finally {
       if (this.queueManager && message.requestId) {
         this.queueManager.remove(message.requestId);
@@ -3807,11 +4497,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理取消事件订阅请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     } finally {
       if (this.queueManager && message.requestId) {
         this.queueManager.remove(message.requestId);
@@ -3880,7 +4566,7 @@ class BrowserControl {
     
     // 每15秒发送一次标签页数据（降低轮询频率，标签页变化由事件驱动防抖发送）
     setInterval(() => {
-      if (this.isConnected) {
+      if (this.isTransportReady()) {
         this.sendTabsData();
       }
     }, 15000);
@@ -3891,7 +4577,7 @@ class BrowserControl {
    */
   async sendTabsData() {
     try {
-      if (!this.isConnected) return;
+      if (!this.isTransportReady()) return;
       
       const tabs = await chrome.tabs.query({});
       const activeTab = await chrome.tabs.query({ active: true, currentWindow: true });
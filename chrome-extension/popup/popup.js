@@ -56,6 +56,9 @@ class JSEyesPopup {
     // 检查认证密钥状态
     this.checkAuthKeyStatus();
     
+    // 加载实例标识
+    this.loadInstanceIdentity();
+    
     // 开始定期更新
     this.startPeriodicUpdate();
     
@@ -163,6 +166,16 @@ class JSEyesPopup {
       this.saveAuthKey();
     });
     
+    // 实例名称保存按钮 / 回车
+    document.getElementById('save-instance-label').addEventListener('click', () => {
+      this.saveInstanceLabel();
+    });
+    document.getElementById('instance-label-input').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.saveInstanceLabel();
+      }
+    });
+    
     // 认证密钥输入框回车
     document.getElementById('auth-key-input').addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
@@ -504,6 +517,49 @@ class JSEyesPopup {
     }
   }
 
+  /**
+   * 加载实例标识（instanceId 与名称）
+   */
+  async loadInstanceIdentity() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'get_instance_identity'
+      });
+      
+      if (response) {
+        document.getElementById('instance-label-input').value = response.label || '';
+        document.getElementById('instance-id-display').textContent = response.instanceId
+          ? `ID: ${response.instanceId}`
+          : '';
+      }
+    } catch (error) {
+      console.error('加载实例标识时出错:', error);
+    }
+  }
+
+  /**
+   * 保存实例名称
+   */
+  async saveInstanceLabel() {
+    const label = document.getElementById('instance-label-input').value.trim();
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'set_instance_label',
+        label: label
+      });
+      
+      if (response && response.success) {
+        this.addLog(chrome.i18n.getMessage('logInstanceLabelSaved') || 'Browser label saved');
+      } else {
+        this.addLog(chrome.i18n.getMessage('logInstanceLabelSaveFailed') || 'Failed to save browser label');
+      }
+    } catch (error) {
+      console.error('保存实例名称时出错:', error);
+      this.addLog(`Error: ${error.message}`);
+    }
+  }
+
   /**
    * 保存认证密钥
    */
@@ -0,0 +1,483 @@
+/**
+ * JS-Eyes AI 工具定义
+ *
+ * OpenClaw 插件（openclaw-plugin/index.mjs）与 MCP 服务器（server/mcp.js）共用的工具列表：
+ * 名称、说明、JSON Schema 参数和执行函数都只在这里维护，两种集成保持一致。
+ * execute(toolCallId, params) 返回 { content: [{ type: 'text', text }] }，
+ * 这同时是 OpenClaw 工具结果与 MCP tools/call 结果的格式。
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const DEFAULT_REGISTRY = 'https://js-eyes.com/skills.json';
+
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+};
+
+const TARGET_PARAM = { type: 'string', description: '目标浏览器 clientId 或名称' };
+
+function textResult(text) {
+  return { content: [{ type: 'text', text }] };
+}
+
+/**
+ * 创建浏览器工具列表
+ * @param {Object} options
+ * @param {Function} options.getBot 返回已配置的 BrowserAutomation 实例（按需创建）
+ * @param {string} options.skillsDir 扩展技能安装目录
+ * @param {string} [options.skillsRegistryUrl] 扩展技能注册表 URL
+ * @param {Object} [options.logger=console] 日志对象，需实现 info/warn/error
+ * @param {Function} [options.registerSkill] 技能安装后的集成注册（如写入 OpenClaw 配置），
+ *   参数为 (skill, targetDir)，返回追加到结果中的说明行
+ * @returns {Array<Object>} { name, label, description, parameters, execute } 列表
+ */
+function createBrowserTools({
+  getBot,
+  skillsDir,
+  skillsRegistryUrl = DEFAULT_REGISTRY,
+  logger = console,
+  registerSkill = null,
+}) {
+  return [
+    // ─── js_eyes_get_tabs ───────────────────────────────────────────────
+    {
+      name: 'js_eyes_get_tabs',
+      label: 'JS Eyes: Get Tabs',
+      description:
+        '获取浏览器中所有已打开的标签页列表，包含每个标签页的 ID、URL、标题等信息。',
+      parameters: {
+        type: 'object',
+        properties: {
+          target: {
+            type: 'string',
+            description:
+              "目标浏览器的 clientId 或名称（如 'firefox'、'chrome'）。省略则返回所有浏览器的标签页。",
+          },
+        },
+      },
+      async execute(_toolCallId, params) {
+        const result = await getBot().getTabs({ target: params.target });
+        const lines = [];
+        if (result.browsers && result.browsers.length > 0) {
+          for (const browser of result.browsers) {
+            const name = browser.label ? `${browser.label} — ${browser.browserName}` : browser.browserName;
+            lines.push(`## ${name} (${browser.clientId})`);
+            for (const tab of browser.tabs) {
+              const active = tab.id === result.activeTabId ? ' [ACTIVE]' : '';
+              lines.push(`  - [${tab.id}] ${tab.title || '(untitled)'}${active}`);
+              lines.push(`    ${tab.url}`);
+            }
+          }
+        } else {
+          lines.push('当前没有浏览器扩展连接。');
+        }
+        return textResult(lines.join('\n'));
+      },
+    },
+
+    // ─── js_eyes_list_clients ───────────────────────────────────────────
+    {
+      name: 'js_eyes_list_clients',
+      label: 'JS Eyes: List Clients',
+      description:
+        '获取当前已连接到 JS-Eyes 服务器的浏览器扩展客户端列表。clientId 与名称（label）在浏览器重启后保持不变，可直接用作 target。',
+      parameters: { type: 'object', properties: {} },
+      async execute() {
+        const clients = await getBot().listClients();
+        if (clients.length === 0) {
+          return textResult('当前没有浏览器扩展连接到服务器。');
+        }
+        const lines = clients.map(
+          (c) => `- ${c.label ? `${c.label} — ` : ''}${c.browserName} (clientId: ${c.clientId}, tabs: ${c.tabCount})`,
+        );
+        return textResult(lines.join('\n'));
+      },
+    },
+
+    // ─── js_eyes_open_url ───────────────────────────────────────────────
+    {
+      name: 'js_eyes_open_url',
+      label: 'JS Eyes: Open URL',
+      description:
+        '在浏览器中打开指定 URL。可以打开新标签页，也可以在已有标签页中导航。返回标签页 ID。',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: '要打开的 URL' },
+          tabId: {
+            type: ['number', 'string'],
+            description: '已有标签页 ID（传入则在该标签页导航，省略则新开标签页）',
+          },
+          windowId: {
+            type: 'number',
+            description: '窗口 ID（新开标签页时可指定窗口）',
+          },
+          target: TARGET_PARAM,
+        },
+        required: ['url'],
+      },
+      async execute(_toolCallId, params) {
+        const tabId = await getBot().openUrl(
+          params.url,
+          params.tabId ?? null,
+          params.windowId ?? null,
+          { target: params.target },
+        );
+        return textResult(`已打开 ${params.url}，标签页 ID: ${tabId}`);
+      },
+    },
+
+    // ─── js_eyes_close_tab ──────────────────────────────────────────────
+    {
+      name: 'js_eyes_close_tab',
+      label: 'JS Eyes: Close Tab',
+      description: '关闭浏览器中指定 ID 的标签页。',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: { type: ['number', 'string'], description: '要关闭的标签页 ID' },
+          target: TARGET_PARAM,
+        },
+        required: ['tabId'],
+      },
+      async execute(_toolCallId, params) {
+        await getBot().closeTab(params.tabId, { target: params.target });
+        return textResult(`已关闭标签页 ${params.tabId}`);
+      },
+    },
+
+    // ─── js_eyes_get_html ───────────────────────────────────────────────
+    {
+      name: 'js_eyes_get_html',
+      label: 'JS Eyes: Get HTML',
+      description: '获取指定标签页的完整 HTML 内容。',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: { type: ['number', 'string'], description: '标签页 ID' },
+          target: TARGET_PARAM,
+        },
+        required: ['tabId'],
+      },
+      async execute(_toolCallId, params) {
+        const html = await getBot().getTabHtml(params.tabId, { target: params.target });
+        return textResult(html);
+      },
+    },
+
+    // ─── js_eyes_execute_script ─────────────────────────────────────────
+    {
+      name: 'js_eyes_execute_script',
+      label: 'JS Eyes: Execute Script',
+      description:
+        '在指定标签页中执行 JavaScript 代码并返回执行结果。可用于提取页面数据、操作 DOM 等。',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: { type: ['number', 'string'], description: '标签页 ID' },
+          code: { type: 'string', description: '要执行的 JavaScript 代码' },
+          target: TARGET_PARAM,
+        },
+        required: ['tabId', 'code'],
+      },
+      async execute(_toolCallId, params) {
+        const result = await getBot().executeScript(params.tabId, params.code, {
+          target: params.target,
+        });
+        const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+        return textResult(text);
+      },
+    },
+
+    // ─── js_eyes_get_cookies ────────────────────────────────────────────
+    {
+      name: 'js_eyes_get_cookies',
+      label: 'JS Eyes: Get Cookies',
+      description: '获取指定标签页对应域名的所有 Cookie。',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: { type: ['number', 'string'], description: '标签页 ID' },
+          target: TARGET_PARAM,
+        },
+        required: ['tabId'],
+      },
+      async execute(_toolCallId, params) {
+        const cookies = await getBot().getCookies(params.tabId, { target: params.target });
+        if (cookies.length === 0) {
+          return textResult('该标签页没有 Cookie。');
+        }
+        return textResult(JSON.stringify(cookies, null, 2));
+      },
+    },
+
+    // ─── js_eyes_inject_css ─────────────────────────────────────────────
+    {
+      name: 'js_eyes_inject_css',
+      label: 'JS Eyes: Inject CSS',
+      description: '向指定标签页注入 CSS 样式。',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: { type: ['number', 'string'], description: '标签页 ID' },
+          css: { type: 'string', description: '要注入的 CSS 代码' },
+          target: TARGET_PARAM,
+        },
+        required: ['tabId', 'css'],
+      },
+      async execute(_toolCallId, params) {
+        await getBot().injectCss(params.tabId, params.css, { target: params.target });
+        return textResult(`已向标签页 ${params.tabId} 注入 CSS`);
+      },
+    },
+
+    // ─── js_eyes_get_cookies_by_domain ──────────────────────────────────
+    {
+      name: 'js_eyes_get_cookies_by_domain',
+      label: 'JS Eyes: Get Cookies By Domain',
+      description:
+        '按域名直接从浏览器获取 Cookie（无需打开标签页），可选择是否包含子域名。',
+      parameters: {
+        type: 'object',
+        properties: {
+          domain: { type: 'string', description: "域名，如 'example.com'" },
+          includeSubdomains: {
+            type: 'boolean',
+            description: '是否包含子域名的 Cookie（默认 true）',
+          },
+          target: TARGET_PARAM,
+        },
+        required: ['domain'],
+      },
+      async execute(_toolCallId, params) {
+        const cookies = await getBot().getCookiesByDomain(params.domain, {
+          includeSubdomains: params.includeSubdomains ?? true,
+          target: params.target,
+        });
+        if (cookies.length === 0) {
+          return textResult(`域名 ${params.domain} 没有 Cookie。`);
+        }
+        return textResult(JSON.stringify(cookies, null, 2));
+      },
+    },
+
+    // ─── js_eyes_upload_file ────────────────────────────────────────────
+    {
+      name: 'js_eyes_upload_file',
+      label: 'JS Eyes: Upload File',
+      description:
+        '将本地文件上传到指定标签页中的文件选择框（input[type=file]），可用于网页表单的附件上传。',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: { type: ['number', 'string'], description: '标签页 ID' },
+          filePaths: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '要上传的本地文件路径列表',
+          },
+          targetSelector: {
+            type: 'string',
+            description: '目标 file input 的 CSS 选择器（默认 input[type="file"]）',
+          },
+          target: TARGET_PARAM,
+        },
+        required: ['tabId', 'filePaths'],
+      },
+      async execute(_toolCallId, params) {
+        const files = params.filePaths.map((filePath) => {
+          const data = fs.readFileSync(filePath);
+          const ext = path.extname(filePath).toLowerCase();
+          return {
+            name: path.basename(filePath),
+            type: MIME_TYPES[ext] || 'application/octet-stream',
+            size: data.length,
+            base64: data.toString('base64'),
+          };
+        });
+        const uploaded = await getBot().uploadFileToTab(params.tabId, files, {
+          targetSelector: params.targetSelector,
+          target: params.target,
+        });
+        const names = uploaded.map((f) => f.name).join(', ');
+        return textResult(`已上传 ${uploaded.length} 个文件到标签页 ${params.tabId}: ${names}`);
+      },
+    },
+
+    // ─── js_eyes_discover_skills ────────────────────────────────────────
+    {
+      name: 'js_eyes_discover_skills',
+      label: 'JS Eyes: Discover Skills',
+      description:
+        '查询 JS Eyes 扩展技能注册表，列出可安装的扩展技能（如 X.com 搜索等）。返回每个技能的 ID、名称、描述、版本、提供的 AI 工具列表和安装命令。',
+      parameters: {
+        type: 'object',
+        properties: {
+          registryUrl: {
+            type: 'string',
+            description: '自定义注册表 URL（默认使用 js-eyes.com/skills.json）',
+          },
+        },
+      },
+      async execute(_toolCallId, params) {
+        const url = params.registryUrl || skillsRegistryUrl;
+        try {
+          const resp = await fetch(url);
+          if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+          const registry = await resp.json();
+
+          if (!registry.skills || registry.skills.length === 0) {
+            return textResult('当前没有可用的扩展技能。');
+          }
+
+          const lines = [
+            `## JS Eyes 扩展技能 (${registry.skills.length} 个)`,
+            `Parent: js-eyes v${registry.parentSkill?.version || '?'}`,
+            '',
+          ];
+
+          for (const s of registry.skills) {
+            const installed = fs.existsSync(path.join(skillsDir, s.id, 'openclaw-plugin'));
+            const status = installed ? '✓ 已安装' : '○ 未安装';
+            lines.push(`### ${s.emoji || ''} ${s.name} (${s.id}) — ${status}`);
+            lines.push(`  ${s.description}`);
+            lines.push(`  版本: ${s.version}`);
+            if (s.tools && s.tools.length > 0) {
+              lines.push(`  AI 工具: ${s.tools.join(', ')}`);
+            }
+            if (s.requires?.skills?.length > 0) {
+              lines.push(`  依赖: ${s.requires.skills.join(', ')}`);
+            }
+            if (!installed) {
+              lines.push(`  安装: 调用 js_eyes_install_skill 工具，参数 skillId="${s.id}"`);
+              lines.push(`  或命令行: curl -fsSL https://js-eyes.com/install.sh | bash -s -- ${s.id}`);
+            }
+            lines.push('');
+          }
+
+          return textResult(lines.join('\n'));
+        } catch (err) {
+          return textResult(`获取技能注册表失败 (${url}): ${err.message}`);
+        }
+      },
+    },
+
+    // ─── js_eyes_install_skill ──────────────────────────────────────────
+    {
+      name: 'js_eyes_install_skill',
+      label: 'JS Eyes: Install Skill',
+      description:
+        '下载并安装一个 JS Eyes 扩展技能。自动下载技能包、解压、安装依赖，并将插件路径注册到 OpenClaw 配置中。安装完成后需要重启 OpenClaw 才能使用新工具。',
+      parameters: {
+        type: 'object',
+        properties: {
+          skillId: {
+            type: 'string',
+            description: "要安装的技能 ID（如 'js-search-x'）",
+          },
+          force: {
+            type: 'boolean',
+            description: '强制覆盖已有安装（默认 false）',
+          },
+        },
+        required: ['skillId'],
+      },
+      async execute(_toolCallId, params) {
+        const { skillId, force } = params;
+        try {
+          const resp = await fetch(skillsRegistryUrl);
+          if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+          const registry = await resp.json();
+
+          const skill = registry.skills?.find((s) => s.id === skillId);
+          if (!skill) {
+            const ids = (registry.skills || []).map((s) => s.id).join(', ');
+            return textResult(`技能 "${skillId}" 未在注册表中找到。\n可用技能: ${ids || '无'}`);
+          }
+
+          const targetDir = path.join(skillsDir, skillId);
+          if (fs.existsSync(targetDir) && !force) {
+            return textResult(`技能 "${skillId}" 已安装在 ${targetDir}。\n如需重新安装，请设置 force=true。`);
+          }
+
+          logger.info(`[js-eyes] Downloading skill: ${skillId}`);
+          const urls = skill.downloadUrlFallback
+            ? [skill.downloadUrl, skill.downloadUrlFallback]
+            : [skill.downloadUrl];
+          let zipBuffer = null;
+          for (const url of urls) {
+            const zipResp = await fetch(url);
+            if (zipResp.ok) {
+              zipBuffer = Buffer.from(await zipResp.arrayBuffer());
+              break;
+            }
+            logger.warn(`[js-eyes] Download failed (${url}): HTTP ${zipResp.status}`);
+          }
+          if (!zipBuffer) throw new Error('Download failed for all URLs');
+
+          const tmpDir = path.join(os.tmpdir(), `js-eyes-skill-${Date.now()}`);
+          fs.mkdirSync(tmpDir, { recursive: true });
+          const zipPath = path.join(tmpDir, `${skillId}.zip`);
+          fs.writeFileSync(zipPath, zipBuffer);
+
+          if (fs.existsSync(targetDir)) {
+            fs.rmSync(targetDir, { recursive: true, force: true });
+          }
+          fs.mkdirSync(targetDir, { recursive: true });
+
+          logger.info(`[js-eyes] Extracting to ${targetDir}`);
+          if (process.platform === 'win32') {
+            execSync(
+              `powershell -NoProfile -Command "Expand-Archive -Path '${zipPath}' -DestinationPath '${targetDir}' -Force"`,
+              { windowsHide: true },
+            );
+          } else {
+            execSync(`unzip -qo "${zipPath}" -d "${targetDir}"`);
+          }
+
+          const pkgJson = path.join(targetDir, 'package.json');
+          if (fs.existsSync(pkgJson)) {
+            logger.info(`[js-eyes] Installing dependencies for ${skillId}`);
+            try {
+              execSync('npm install --production', { cwd: targetDir, stdio: 'pipe', windowsHide: true });
+            } catch {
+              execSync('npm install', { cwd: targetDir, stdio: 'pipe', windowsHide: true });
+            }
+          }
+
+          fs.rmSync(tmpDir, { recursive: true, force: true });
+
+          const lines = [
+            `✓ 技能 "${skill.name}" (${skillId}) 安装成功！`,
+            `  安装路径: ${targetDir}`,
+            `  提供工具: ${(skill.tools || []).join(', ')}`,
+            '',
+          ];
+          if (registerSkill) lines.push(...registerSkill(skill, targetDir));
+
+          return textResult(lines.join('\n'));
+        } catch (err) {
+          return textResult(`安装技能 "${skillId}" 失败: ${err.message}`);
+        }
+      },
+    },
+  ];
+}
+
+module.exports = { createBrowserTools, DEFAULT_REGISTRY, MIME_TYPES };
@@ -5,7 +5,7 @@
  * 单文件自包含，可直接复制到任意 Node.js 项目中使用。
  *
  * 外部依赖：ws (npm install ws)
- * 兼容服务端：js-eyes/server >= 1.0.0
+ * 兼容服务端：js-eyes/server >= 1.0.0（协议 v1–v2，连接时协商）
  *
  * 用法：
  *   const { BrowserAutomation } = require('./js-eyes-client');
@@ -13,26 +13,154 @@
  *   await bot.connect();
  *   const tabs = await bot.getTabs();
  *
+ *   // 浏览器事件（需先订阅）
+ *   bot.on('tabUpdated', (evt) => console.log(evt.browserName, evt.data));
+ *   await bot.subscribeEvents(['tabUpdated']);
+ *
  * 变更历史：
  * - v1.0.0：基于 agent-js/browserAutomation.js v3.1.1 改写，适配 JS-Eyes server 协议
  */
 
 'use strict';
 
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const WebSocket = require('ws');
 
-class BrowserAutomation {
+// 本地超时比服务端截止时间晚一点，让服务端带详情的 TIMEOUT 错误先到达
+const LOCAL_TIMEOUT_GRACE_MS = 1000;
+
+// 客户端支持的协议版本范围；未声明版本的旧服务端视为 v1
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// ─── errors ─────────────────────────────────────────────────────────
+
+/**
+ * 请求失败时抛出的错误基类
+ * code 为服务端、扩展共用的错误码（见 server/errors.js），按 code 或 instanceof 判断，不要匹配 message
+ * 连接本身失败时 code 为客户端本地的 CONNECTION_ERROR
+ */
+class JsEyesError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [fields] 随错误返回的字段：code、requestId、retryAfter、errors（INVALID_PARAMS 的字段错误列表）
+   */
+  constructor(message, fields = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = fields.code || 'EXTENSION_ERROR';
+    if (fields.requestId) this.requestId = fields.requestId;
+    if (fields.retryAfter) this.retryAfter = fields.retryAfter; // RATE_LIMITED 时建议的等待秒数
+    if (fields.errors) this.errors = fields.errors; // [{ path, message }]
+  }
+}
+
+/** 请求字段缺失或类型错误，以及无法确定目标浏览器 */
+class InvalidParamsError extends JsEyesError {}
+
+/** 认证失败或会话过期 */
+class AuthError extends JsEyesError {}
+
+/** API Key 权限不足，或浏览器不允许扩展访问该页面 */
+class PermissionDeniedError extends JsEyesError {}
+
+/** 服务端或扩展限流 */
+class RateLimitError extends JsEyesError {}
+
+/** 没有可用的浏览器：未连接、失活或请求途中断开 */
+class BrowserUnavailableError extends JsEyesError {}
+
+/** 请求、元素等不存在 */
+class NotFoundError extends JsEyesError {}
+
+/** 标签页不存在（已关闭或 id 错误） */
+class TabNotFoundError extends NotFoundError {}
+
+/** 超过截止时间 */
+class TimeoutError extends JsEyesError {}
+
+/** 请求被取消 */
+class CancelledError extends JsEyesError {}
+
+/** 注入页面的脚本抛出异常 */
+class ScriptError extends JsEyesError {}
+
+/** 协议不兼容、动作不受支持或响应损坏 */
+class ProtocolError extends JsEyesError {}
+
+/** 与服务端的连接失败或断开 */
+class ConnectionError extends JsEyesError {
+  constructor(message, fields = {}) {
+    super(message, { code: 'CONNECTION_ERROR', ...fields });
+  }
+}
+
+// 错误码 -> 错误类；未列出的错误码为 JsEyesError
+const ERROR_CLASSES = {
+  INVALID_JSON: InvalidParamsError,
+  INVALID_PARAMS: InvalidParamsError,
+  INVALID_TIMEOUT: InvalidParamsError,
+  INVALID_EVENT: InvalidParamsError,
+  INVALID_BROADCAST: InvalidParamsError,
+  AMBIGUOUS_TARGET: InvalidParamsError,
+  PAYLOAD_TOO_LARGE: InvalidParamsError,
+  AUTH_REQUIRED: AuthError,
+  AUTH_FAILED: AuthError,
+  SESSION_EXPIRED: AuthError,
+  FORBIDDEN: PermissionDeniedError,
+  PERMISSION_DENIED: PermissionDeniedError,
+  RATE_LIMITED: RateLimitError,
+  QUEUE_FULL: RateLimitError,
+  NO_EXTENSION: BrowserUnavailableError,
+  EXTENSION_STALE: BrowserUnavailableError,
+  EXTENSION_DISCONNECTED: BrowserUnavailableError,
+  NOT_FOUND: NotFoundError,
+  ELEMENT_NOT_FOUND: NotFoundError,
+  TAB_NOT_FOUND: TabNotFoundError,
+  TIMEOUT: TimeoutError,
+  CANCELLED: CancelledError,
+  SCRIPT_ERROR: ScriptError,
+  PROTOCOL_MISMATCH: ProtocolError,
+  UNKNOWN_ACTION: ProtocolError,
+  UNSUPPORTED_ACTION: ProtocolError,
+  CHUNK_INTEGRITY: ProtocolError,
+  INVALID_RESPONSE: ProtocolError,
+  CONNECTION_ERROR: ConnectionError,
+};
+
+/**
+ * 按错误码创建对应类型的错误
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} [fields] 同 JsEyesError
+ * @returns {JsEyesError}
+ */
+function createError(code, message, fields = {}) {
+  const ErrorClass = Object.prototype.hasOwnProperty.call(ERROR_CLASSES, code) ? ERROR_CLASSES[code] : JsEyesError;
+  return new ErrorClass(message, { ...fields, code: code || 'EXTENSION_ERROR' });
+}
+
+class BrowserAutomation extends EventEmitter {
   /**
    * @param {string} [serverUrl='ws://localhost:18080'] WebSocket 服务器地址
    * @param {Object} [options]
    * @param {number} [options.requestInterval=200] 请求最小间隔（ms）
-   * @param {number} [options.defaultTimeout=60] 默认请求超时（秒）
+   * @param {number} [options.defaultTimeout=60] 默认请求超时（秒），随请求发给服务端作为截止时间
    * @param {Object} [options.logger=console] 日志对象，需实现 info/warn/error
+   * @param {string} [options.token] 服务端启用认证时使用的访问令牌
+   * @param {string} [options.socketPath] 通过服务端的 Unix socket（--socket）连接，设置后忽略 serverUrl
+   * @param {Object} [options.tls] wss:// 连接的 TLS 选项，如自签名证书 `{ ca }` 或 `{ rejectUnauthorized: false }`
    */
   constructor(serverUrl, options = {}) {
-    this.serverUrl = this._normalizeWsUrl(serverUrl || 'ws://localhost:18080');
+    super();
+    this.serverUrl = options.socketPath
+      ? `ws+unix://${options.socketPath}:/`
+      : this._normalizeWsUrl(serverUrl || 'ws://localhost:18080');
+    this.tls = options.tls || null;
     this.logger = options.logger || console;
     this.defaultTimeout = options.defaultTimeout || 60;
+    this.token = options.token || null;
 
     this.requestInterval = options.requestInterval || 200;
     this._lastRequestTime = 0;
@@ -40,6 +168,8 @@ class BrowserAutomation {
     this.ws = null;
     this._wsState = 'disconnected'; // disconnected | connecting | connected
     this._clientId = null;
+    this.protocolVersion = null; // 连接后与服务端协商出的协议版本
+    this.serverCapabilities = null; // 服务端在 connection_established 中声明的能力（v1 服务端为 null）
     this._intentionalClose = false;
     this._reconnectAttempts = 0;
     this._reconnectTimer = null;
@@ -47,6 +177,8 @@ class BrowserAutomation {
     this._connectPromise = null;
 
     this.pendingRequests = new Map(); // requestId -> { resolve, reject, timeoutId }
+    this._chunkTransfers = new Map(); // requestId -> { chunks, received, end }
+    this._eventSubscriptions = new Map(); // target ('*' = 全部浏览器) -> Set<event>
 
     this._processCleanup = () => {
       try { this.disconnect(); } catch {}
@@ -57,11 +189,12 @@ class BrowserAutomation {
   }
 
   /**
-   * 将用户传入的 URL 统一为 ws:// 格式
+   * 将用户传入的 URL 统一为 ws:// 格式（ws+unix:// 原样保留）
    */
   _normalizeWsUrl(url) {
     if (url.startsWith('http://')) return url.replace('http://', 'ws://');
     if (url.startsWith('https://')) return url.replace('https://', 'wss://');
+    if (url.startsWith('ws+unix://')) return url;
     if (!url.startsWith('ws://') && !url.startsWith('wss://')) return `ws://${url}`;
     return url;
   }
@@ -83,16 +216,19 @@ class BrowserAutomation {
 
     this._connectPromise = new Promise((resolve, reject) => {
       this._wsState = 'connecting';
-      const wsUrl = `${this.serverUrl}?type=automation`;
+      const wsUrl = `${this.serverUrl}?type=automation&chunked=1&protocol=${PROTOCOL_VERSION}&minProtocol=${MIN_PROTOCOL_VERSION}`;
 
       this.logger.info(`[JS-Eyes] 正在连接: ${wsUrl}`);
 
+      const wsOptions = { ...this.tls };
+      if (this.token) wsOptions.headers = { Authorization: `Bearer ${this.token}` };
+
       try {
-        this.ws = new WebSocket(wsUrl);
+        this.ws = new WebSocket(wsUrl, wsOptions);
       } catch (err) {
         this._wsState = 'disconnected';
         this._connectPromise = null;
-        reject(new Error(`WebSocket 创建失败: ${err.message}`));
+        reject(new ConnectionError(`WebSocket 创建失败: ${err.message}`));
         return;
       }
 
@@ -101,7 +237,7 @@ class BrowserAutomation {
           this.ws.terminate();
           this._wsState = 'disconnected';
           this._connectPromise = null;
-          reject(new Error('WebSocket 连接超时 (10s)'));
+          reject(new ConnectionError('WebSocket 连接超时 (10s)'));
         }
       }, 10000);
 
@@ -109,13 +245,34 @@ class BrowserAutomation {
         this.logger.info('[JS-Eyes] TCP 连接已建立，等待服务端确认...');
       });
 
+      let authError = null;
+      let protocolError = null;
+
       this.ws.on('message', (raw) => {
         let msg;
         try { msg = JSON.parse(raw.toString()); } catch { return; }
 
+        if (msg.type === 'error' && msg.code === 'AUTH_FAILED') {
+          authError = msg.message || 'Unauthorized';
+          return;
+        }
+
+        if (msg.type === 'error' && msg.code === 'PROTOCOL_MISMATCH') {
+          protocolError = msg.message;
+          return;
+        }
+
         if (msg.type === 'connection_established') {
+          const serverVersion = msg.protocolVersion || 1;
+          if (serverVersion < MIN_PROTOCOL_VERSION) {
+            protocolError = `服务端协议 v${serverVersion} 过旧，客户端需要 v${MIN_PROTOCOL_VERSION} 及以上`;
+            this.ws.close(1000, 'Incompatible protocol version');
+            return;
+          }
           clearTimeout(connectTimeout);
           this._clientId = msg.clientId;
+          this.protocolVersion = Math.min(serverVersion, PROTOCOL_VERSION);
+          this.serverCapabilities = msg.capabilities || null;
           this._wsState = 'connected';
           this._reconnectAttempts = 0;
           this._connectPromise = null;
@@ -135,7 +292,15 @@ class BrowserAutomation {
           this._wsState = 'disconnected';
           this.ws = null;
           this._connectPromise = null;
-          reject(new Error(`WebSocket 连接关闭: code=${code}`));
+          if (authError || code === 4001) {
+            reject(createError('AUTH_FAILED', `认证失败: ${authError || 'Unauthorized'}`));
+            return;
+          }
+          if (protocolError || code === 4010) {
+            reject(createError('PROTOCOL_MISMATCH', `协议版本不兼容: ${protocolError || 'Incompatible protocol version'}`));
+            return;
+          }
+          reject(new ConnectionError(`WebSocket 连接关闭: code=${code}`));
         } else {
           this._handleWsClose(code, reason);
         }
@@ -157,11 +322,12 @@ class BrowserAutomation {
       this._reconnectTimer = null;
     }
 
-    for (const [, pending] of this.pendingRequests) {
+    for (const [requestId, pending] of this.pendingRequests) {
       clearTimeout(pending.timeoutId);
-      pending.reject(new Error('WebSocket 连接已主动关闭'));
+      pending.reject(new ConnectionError('WebSocket 连接已主动关闭', { requestId }));
     }
     this.pendingRequests.clear();
+    this._chunkTransfers.clear();
 
     if (this.ws) {
       try { this.ws.close(1000, 'Client disconnect'); } catch {}
@@ -171,6 +337,8 @@ class BrowserAutomation {
     this._wsState = 'disconnected';
     this._connectPromise = null;
     this._clientId = null;
+    this.protocolVersion = null;
+    this.serverCapabilities = null;
 
     process.removeListener('SIGINT', this._processCleanup);
     process.removeListener('SIGTERM', this._processCleanup);
@@ -203,15 +371,43 @@ class BrowserAutomation {
         await this.connect();
       } catch (err) {
         this.logger.error(`[JS-Eyes] 重连失败: ${err.message}`);
+        if (err.code === 'AUTH_FAILED' || err.code === 'PROTOCOL_MISMATCH') return;
         this._scheduleReconnect();
+        return;
       }
+      await this._restoreSubscriptions();
     }, delay);
   }
 
+  /**
+   * 重连后恢复事件订阅（服务端在断开时已清除旧订阅）
+   */
+  async _restoreSubscriptions() {
+    for (const [target, events] of this._eventSubscriptions) {
+      if (events.size === 0) continue;
+      try {
+        await this._sendRequest('subscribe_events', { events: [...events] }, target === '*' ? {} : { target });
+      } catch (err) {
+        this.logger.warn(`[JS-Eyes] 恢复事件订阅失败: ${err.message}`);
+      }
+    }
+  }
+
   _handleMessage(rawData) {
     let msg;
     try { msg = JSON.parse(rawData.toString()); } catch { return; }
 
+    if (msg.type === 'event') {
+      this.emit(msg.event, msg);
+      this.emit('event', msg);
+      return;
+    }
+
+    if (msg.type === 'chunk' || msg.type === 'chunk_end') {
+      this._handleChunkFrame(msg);
+      return;
+    }
+
     if (msg.type === 'error' && !msg.requestId) {
       this.logger.error(`[JS-Eyes] 服务端错误: ${msg.message || JSON.stringify(msg)}`);
       return;
@@ -224,7 +420,7 @@ class BrowserAutomation {
         this.pendingRequests.delete(msg.requestId);
 
         if (msg.status === 'error' || msg.type === 'error') {
-          pending.reject(new Error(msg.message || '未知错误'));
+          pending.reject(createError(msg.code, msg.message || '未知错误', msg));
         } else {
           pending.resolve(msg);
         }
@@ -232,6 +428,45 @@ class BrowserAutomation {
     }
   }
 
+  /**
+   * 大结果以分块帧下发（chunk × total + chunk_end）：
+   * 按 index 收齐后校验长度与 SHA-256，再当作完整响应处理
+   */
+  _handleChunkFrame(frame) {
+    const { requestId } = frame;
+    if (!requestId || !this.pendingRequests.has(requestId)) return;
+
+    let transfer = this._chunkTransfers.get(requestId);
+    if (!transfer) {
+      transfer = { chunks: [], received: 0, end: null };
+      this._chunkTransfers.set(requestId, transfer);
+    }
+
+    if (frame.type === 'chunk') {
+      if (transfer.chunks[frame.index] === undefined) {
+        transfer.chunks[frame.index] = frame.data;
+        transfer.received++;
+      }
+    } else {
+      transfer.end = frame;
+    }
+    if (!transfer.end || transfer.received < transfer.end.total) return;
+
+    this._chunkTransfers.delete(requestId);
+    const raw = transfer.chunks.join('');
+    const digest = crypto.createHash('sha256').update(raw, 'utf8').digest('hex');
+    if (raw.length !== transfer.end.length || digest !== transfer.end.checksum) {
+      this._handleMessage(JSON.stringify({
+        type: 'error',
+        requestId,
+        code: 'CHUNK_INTEGRITY',
+        message: '分块传输校验失败',
+      }));
+      return;
+    }
+    this._handleMessage(raw);
+  }
+
   _handleWsClose(code, reason) {
     this._wsState = 'disconnected';
     this.ws = null;
@@ -239,11 +474,12 @@ class BrowserAutomation {
 
     this.logger.info(`[JS-Eyes] 连接关闭: code=${code}, reason=${reason || 'N/A'}`);
 
-    for (const [, pending] of this.pendingRequests) {
+    for (const [requestId, pending] of this.pendingRequests) {
       clearTimeout(pending.timeoutId);
-      pending.reject(new Error('WebSocket 连接已断开'));
+      pending.reject(new ConnectionError('WebSocket 连接已断开', { requestId }));
     }
     this.pendingRequests.clear();
+    this._chunkTransfers.clear();
 
     if (!this._intentionalClose) {
       this._scheduleReconnect();
@@ -252,6 +488,14 @@ class BrowserAutomation {
 
   // ─── core request ───────────────────────────────────────────────────
 
+  /**
+   * 标签页引用：数字 tabId 或全局唯一的句柄 `clientId:tabId`（句柄原样传给服务端路由）
+   */
+  _tabRef(tabId) {
+    if (typeof tabId === 'string' && tabId.includes(':')) return tabId;
+    return parseInt(tabId);
+  }
+
   _generateRequestId() {
     return 'req_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
@@ -261,11 +505,15 @@ class BrowserAutomation {
    * @param {string} action 操作类型
    * @param {Object} payload 请求负载（不含 type/requestId）
    * @param {Object} [options]
-   * @param {number} [options.timeout] 超时秒数
+   * @param {number} [options.timeout] 超时秒数，服务端和扩展按此截止（受服务端 --max-request-timeout 限制）
    * @param {string} [options.target] 目标浏览器 clientId 或 browserName
+   * @param {AbortSignal} [options.signal] 中止信号：触发后通知服务端取消，并以 code=CANCELLED 拒绝
    * @returns {Promise<Object>} 完整响应消息
    */
   async _sendRequest(action, payload = {}, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) throw this._cancelledError(action, null);
+
     const now = Date.now();
     const wait = this.requestInterval - (now - this._lastRequestTime);
     if (wait > 0) {
@@ -278,36 +526,80 @@ class BrowserAutomation {
     const requestId = this._generateRequestId();
     const timeoutSec = options.timeout || this.defaultTimeout;
 
-    const message = { type: action, requestId, ...payload };
+    const message = { type: action, requestId, ...payload, timeoutMs: timeoutSec * 1000 };
     if (options.target) {
       message.target = options.target;
     }
 
+    if (signal && signal.aborted) throw this._cancelledError(action, null);
+
+    // 超过服务端 maxPayload 的消息会导致连接被关闭，提前拒绝
+    const raw = JSON.stringify(message);
+    const maxPayload = this.serverCapabilities?.maxPayload;
+    if (maxPayload && Buffer.byteLength(raw) > maxPayload) {
+      throw createError('PAYLOAD_TOO_LARGE', `请求过大: action=${action}, ${Buffer.byteLength(raw)} 字节，服务端上限 ${maxPayload} 字节`);
+    }
+
     return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (!this.pendingRequests.has(requestId)) return;
+        clearTimeout(this.pendingRequests.get(requestId).timeoutId);
+        this.pendingRequests.delete(requestId);
+        this._chunkTransfers.delete(requestId);
+        this._sendCancel(requestId);
+        reject(this._cancelledError(action, requestId));
+      };
+      const settle = (fn) => (value) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+
       const timeoutId = setTimeout(() => {
         this.pendingRequests.delete(requestId);
-        reject(new Error(`请求超时: action=${action}, requestId=${requestId}, timeout=${timeoutSec}s`));
-      }, timeoutSec * 1000);
+        this._chunkTransfers.delete(requestId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        // 本地已放弃等待，让服务端和扩展也停止执行
+        this._sendCancel(requestId);
+        reject(new TimeoutError(`请求超时: action=${action}, requestId=${requestId}, timeout=${timeoutSec}s`, { code: 'TIMEOUT', requestId }));
+      }, timeoutSec * 1000 + LOCAL_TIMEOUT_GRACE_MS);
 
-      this.pendingRequests.set(requestId, { resolve, reject, timeoutId });
+      this.pendingRequests.set(requestId, { resolve: settle(resolve), reject: settle(reject), timeoutId });
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
       try {
-        this.ws.send(JSON.stringify(message));
+        this.ws.send(raw);
       } catch (err) {
         clearTimeout(timeoutId);
         this.pendingRequests.delete(requestId);
-        reject(new Error(`WebSocket 发送失败: ${err.message}`));
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(new ConnectionError(`WebSocket 发送失败: ${err.message}`, { requestId }));
       }
     });
   }
 
+  _cancelledError(action, requestId) {
+    return new CancelledError(`请求已取消: action=${action}${requestId ? `, requestId=${requestId}` : ''}`, { code: 'CANCELLED', requestId });
+  }
+
+  /**
+   * 通知服务端取消请求（不等待确认，连接已断开时忽略）
+   */
+  _sendCancel(requestId) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    try {
+      this.ws.send(JSON.stringify({ type: 'cancel', requestId: this._generateRequestId(), originalRequestId: requestId }));
+    } catch {
+      // 取消只是尽力而为
+    }
+  }
+
   // ─── tab operations ─────────────────────────────────────────────────
 
   /**
    * 获取所有标签页
    * @param {Object} [options]
    * @param {string} [options.target] 目标浏览器
-   * @returns {Promise<Object>} { browsers, tabs, activeTabId }
+   * @returns {Promise<Object>} { browsers, tabs, activeTabId }，每个 tab 带有全局唯一句柄 `handle`（clientId:tabId）
    */
   async getTabs(options = {}) {
     const resp = await this._sendRequest('get_tabs', {}, options);
@@ -316,6 +608,8 @@ class BrowserAutomation {
 
   /**
    * 获取所有已连接的浏览器扩展客户端
+   * 每个客户端带 protocolVersion 和 capabilities（{ actions, events, maxPayload, browser, extensionVersion }，
+   * 未声明能力的 v1 扩展为 null），可用于按浏览器检测功能
    * @returns {Promise<Array>} 客户端列表
    */
   async listClients(options = {}) {
@@ -323,10 +617,43 @@ class BrowserAutomation {
     return resp.data?.clients || [];
   }
 
+  /**
+   * 检测服务端是否支持某个动作（依据连接时声明的能力）
+   * @param {string} action 动作名，如 'batch'
+   * @returns {boolean|null} 未连接或服务端为 v1（未声明能力）时返回 null
+   */
+  supports(action) {
+    const actions = this.serverCapabilities?.actions;
+    return actions ? actions.includes(action) : null;
+  }
+
+  /**
+   * 按 requestId 取回服务端暂存的结果（用于断线后找回长请求的结果）
+   * 连接断开导致失败的请求，其 Error 上带有 requestId
+   * @param {string} requestId 原请求的 requestId
+   * @returns {Promise<Object>} { state: 'completed'|'pending', response?, storedAt? }
+   */
+  async getResponse(requestId, options = {}) {
+    const resp = await this._sendRequest('get_response', { originalRequestId: requestId }, options);
+    return { state: resp.state, response: resp.response, storedAt: resp.storedAt };
+  }
+
+  /**
+   * 取消一个进行中的请求（可以是其他连接发起的，例如 REST `?async=1` 请求）
+   * 服务端会通知执行它的扩展中止，原请求以 code=CANCELLED 结束
+   * 更常用的方式是给各方法传 `options.signal`
+   * @param {string} requestId 原请求的 requestId
+   * @returns {Promise<Object>} { cancelled: true }；请求不存在或已结束时以 code=NOT_FOUND 拒绝
+   */
+  async cancel(requestId, options = {}) {
+    const resp = await this._sendRequest('cancel', { originalRequestId: requestId }, options);
+    return { cancelled: resp.cancelled === true };
+  }
+
   /**
    * 打开 URL（新标签页或导航已有标签页）
    * @param {string} url
-   * @param {number|null} [tabId] 已有标签页 ID（传入则导航，否则新开）
+   * @param {number|string|null} [tabId] 已有标签页 ID 或句柄（传入则导航，否则新开）
    * @param {number|null} [windowId] 窗口 ID（新开标签页时可指定窗口）
    * @param {Object} [options]
    * @param {string} [options.target] 目标浏览器
@@ -335,7 +662,7 @@ class BrowserAutomation {
    */
   async openUrl(url, tabId = null, windowId = null, options = {}) {
     const payload = { url };
-    if (tabId !== null) payload.tabId = parseInt(tabId);
+    if (tabId !== null) payload.tabId = this._tabRef(tabId);
     if (windowId !== null) payload.windowId = parseInt(windowId);
 
     const resp = await this._sendRequest('open_url', payload, options);
@@ -344,28 +671,28 @@ class BrowserAutomation {
 
   /**
    * 关闭标签页
-   * @param {number} tabId
+   * @param {number|string} tabId 标签页 ID 或句柄 `clientId:tabId`
    * @param {Object} [options]
    * @returns {Promise<void>}
    */
   async closeTab(tabId, options = {}) {
-    await this._sendRequest('close_tab', { tabId: parseInt(tabId) }, options);
+    await this._sendRequest('close_tab', { tabId: this._tabRef(tabId) }, options);
   }
 
   /**
-   * 获取标签页 HTML
-   * @param {number} tabId
+   * 获取标签页 HTML（大页面以分块传输下发，自动重组并校验）
+   * @param {number|string} tabId 标签页 ID 或句柄 `clientId:tabId`
    * @param {Object} [options]
    * @returns {Promise<string>} HTML 内容
    */
   async getTabHtml(tabId, options = {}) {
-    const resp = await this._sendRequest('get_html', { tabId: parseInt(tabId) }, options);
+    const resp = await this._sendRequest('get_html', { tabId: this._tabRef(tabId) }, options);
     return resp.html;
   }
 
   /**
    * 在标签页中执行 JavaScript
-   * @param {number} tabId
+   * @param {number|string} tabId 标签页 ID 或句柄 `clientId:tabId`
    * @param {string} code
    * @param {Object} [options]
    * @returns {Promise<any>} 执行结果
@@ -373,7 +700,7 @@ class BrowserAutomation {
   async executeScript(tabId, code, options = {}) {
     if (typeof options === 'number') options = { timeout: options };
     const resp = await this._sendRequest('execute_script', {
-      tabId: parseInt(tabId),
+      tabId: this._tabRef(tabId),
       code,
     }, options);
     return resp.result;
@@ -381,28 +708,164 @@ class BrowserAutomation {
 
   /**
    * 注入 CSS 到标签页
-   * @param {number} tabId
+   * @param {number|string} tabId 标签页 ID 或句柄 `clientId:tabId`
    * @param {string} css
    * @param {Object} [options]
    * @returns {Promise<void>}
    */
   async injectCss(tabId, css, options = {}) {
     await this._sendRequest('inject_css', {
-      tabId: parseInt(tabId),
+      tabId: this._tabRef(tabId),
       css,
     }, options);
   }
 
   /**
    * 获取标签页 cookies
-   * @param {number} tabId
+   * @param {number|string} tabId 标签页 ID 或句柄 `clientId:tabId`
    * @param {Object} [options]
    * @returns {Promise<Array>} cookies 数组
    */
   async getCookies(tabId, options = {}) {
-    const resp = await this._sendRequest('get_cookies', { tabId: parseInt(tabId) }, options);
+    const resp = await this._sendRequest('get_cookies', { tabId: this._tabRef(tabId) }, options);
+    return resp.cookies || [];
+  }
+
+  /**
+   * 按域名获取 cookies（无需 tabId）
+   * @param {string} domain 域名，如 "example.com"
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSubdomains=true] 是否包含子域名
+   * @returns {Promise<Array>} cookies 数组
+   */
+  async getCookiesByDomain(domain, options = {}) {
+    const { includeSubdomains = true, ...rest } = options;
+    const resp = await this._sendRequest('get_cookies_by_domain', {
+      domain,
+      includeSubdomains,
+    }, rest);
     return resp.cookies || [];
   }
+
+  /**
+   * 上传文件到标签页中的 file input
+   * @param {number|string} tabId 标签页 ID 或句柄 `clientId:tabId`
+   * @param {Array<{name: string, type: string, size: number, base64: string}>} files 文件列表（base64 编码）
+   * @param {Object} [options]
+   * @param {string} [options.targetSelector='input[type="file"]'] 目标 input 选择器
+   * @returns {Promise<Array>} 已上传文件信息
+   */
+  async uploadFileToTab(tabId, files, options = {}) {
+    const { targetSelector, ...rest } = options;
+    const payload = { tabId: this._tabRef(tabId), files };
+    if (targetSelector) payload.targetSelector = targetSelector;
+
+    const resp = await this._sendRequest('upload_file_to_tab', payload, rest);
+    return resp.uploadedFiles || [];
+  }
+
+  /**
+   * 在一个标签页上按顺序执行一组步骤，扩展一次性执行完并返回全部结果
+   * 步骤为 { action, id?, ...参数 }，action 可为 open_url、close_tab、get_html、execute_script、
+   * inject_css、get_cookies、get_cookies_by_domain、upload_file_to_tab 和 wait（{ ms } 或 { selector }）。
+   * 未指定 tabId 的步骤作用于当前标签页：初始为 options.tabId，open_url 之后为新打开的标签页。
+   * 参数中的 { $ref: '步骤id或序号.字段' } 会替换为前面步骤的结果；
+   * execute_script 的代码中可用 $results（全部结果）和 $prev（上一步结果）
+   * @param {Array<Object>} steps 步骤列表
+   * @param {Object} [options]
+   * @param {number|string} [options.tabId] 初始标签页 ID 或句柄 `clientId:tabId`
+   * @param {string} [options.onError='stop'] 'stop' 出错后跳过剩余步骤，'continue' 继续执行
+   * @param {number} [options.timeout] 整个批量的超时秒数
+   * @returns {Promise<Object>} { results, tabId, stoppedAt }，results 每项为
+   *   { index, id, action, status: 'success'|'error'|'skipped', data?, code?, message? }
+   */
+  async batch(steps, options = {}) {
+    const { tabId, onError, ...rest } = options;
+    const payload = { steps };
+    if (tabId !== undefined && tabId !== null) payload.tabId = this._tabRef(tabId);
+    if (onError) payload.onError = onError;
+
+    const resp = await this._sendRequest('batch', payload, rest);
+    return { results: resp.results || [], tabId: resp.tabId ?? null, stoppedAt: resp.stoppedAt ?? null };
+  }
+
+  // ─── broadcast ──────────────────────────────────────────────────────
+
+  /**
+   * 对多个浏览器同时执行同一操作，汇总各自的结果
+   * 作用于整个浏览器的操作（open_url、get_cookies_by_domain）每个浏览器执行一次；
+   * 其他操作需传 `options.tabUrl`，对 URL 匹配的每个标签页各执行一次
+   * 单个浏览器失败或超时不影响其他浏览器，结果中逐个标明
+   * @param {string} command 操作名，如 'inject_css'、'get_cookies_by_domain'、'close_tab'
+   * @param {Object} [params] 操作参数，如 { css } 或 { domain }
+   * @param {Object} [options]
+   * @param {string} [options.target] 只发给匹配的浏览器（clientId、标签或浏览器名），默认全部
+   * @param {string} [options.tabUrl] 标签页 URL 通配（'*' 为全部标签页），写法同 API Key 的 urls
+   * @param {number} [options.timeout] 每个浏览器各自的超时秒数
+   * @returns {Promise<Object>} { results, summary }，results 以 clientId（按标签页时为句柄）为键，
+   *   每项为 { status, clientId, requestId, ... }；summary 为 { total, succeeded, failed }
+   */
+  async broadcast(command, params = {}, options = {}) {
+    const { tabUrl, ...rest } = options;
+    const payload = { command, ...params };
+    if (tabUrl !== undefined) payload.tabUrl = tabUrl;
+
+    const resp = await this._sendRequest('broadcast', payload, rest);
+    return { results: resp.results || {}, summary: resp.summary };
+  }
+
+  /**
+   * 订阅浏览器事件，事件通过 EventEmitter 派发：
+   * `bot.on('tabUpdated', evt => ...)` 或 `bot.on('event', evt => ...)`，
+   * evt 为 { event, clientId, browserName, data, timestamp }。
+   * 断线重连后会自动重新订阅。
+   * @param {Array<string>} events 事件名列表（'*' 表示全部）
+   * @param {Object} [options]
+   * @param {string} [options.target] 只接收指定浏览器的事件
+   * @returns {Promise<Array>} 当前已订阅的事件列表
+   */
+  async subscribeEvents(events, options = {}) {
+    const resp = await this._sendRequest('subscribe_events', { events }, options);
+    const key = options.target || '*';
+    if (!this._eventSubscriptions.has(key)) this._eventSubscriptions.set(key, new Set());
+    for (const event of events) this._eventSubscriptions.get(key).add(event);
+    return resp.subscribedEvents || [];
+  }
+
+  /**
+   * 取消订阅浏览器事件
+   * @param {Array<string>} events 事件名列表
+   * @param {Object} [options]
+   * @param {string} [options.target] 只取消指定浏览器的订阅
+   * @returns {Promise<Array>} 剩余的订阅事件列表
+   */
+  async unsubscribeEvents(events, options = {}) {
+    const resp = await this._sendRequest('unsubscribe_events', { events }, options);
+    const keys = options.target ? [options.target] : [...this._eventSubscriptions.keys()];
+    for (const key of keys) {
+      const subscribed = this._eventSubscriptions.get(key);
+      if (!subscribed) continue;
+      for (const event of events) subscribed.delete(event);
+      if (subscribed.size === 0) this._eventSubscriptions.delete(key);
+    }
+    return resp.remainingSubscriptions || [];
+  }
 }
 
-module.exports = { BrowserAutomation };
+module.exports = {
+  BrowserAutomation,
+  JsEyesError,
+  InvalidParamsError,
+  AuthError,
+  PermissionDeniedError,
+  RateLimitError,
+  BrowserUnavailableError,
+  NotFoundError,
+  TabNotFoundError,
+  TimeoutError,
+  CancelledError,
+  ScriptError,
+  ProtocolError,
+  ConnectionError,
+  createError,
+};
@@ -69,6 +69,13 @@ class BrowserControl {
     this.pendingChallenge = null;    // 等待响应的 challenge
     this.authSecretKey = null;       // 认证密钥（从 storage 加载）
     this.sessionExpiresAt = null;    // 会话过期时间
+    
+    // 实例标识（持久化，服务端以 instanceId 作为 clientId，重连后保持不变）
+    this.instanceId = null;          // 首次启动时生成
+    this.instanceLabel = null;       // 用户在 popup 中设置的名称，可用作 target
+    this.clientId = null;            // init_ack 返回的 clientId
+    this.protocolVersion = null;     // init_ack 返回的协商协议版本
+    this.protocolError = null;       // 协议版本不兼容时服务器给出的原因
     this.authTimeout = null;         // 认证超时定时器
     
     // 应用层心跳相关
@@ -87,6 +94,12 @@ class BrowserControl {
     this.tabDataDebounceTimer = null;
     this.tabDataDebounceMs = 500;    // 防抖间隔 500ms
     
+    // 事件订阅（由服务器通过 subscribe_events 下发）
+    this.subscribedEvents = new Set();
+    
+    // 执行中的请求（requestId -> AbortController），服务端下发 cancel 时中止
+    this.activeRequests = new Map();
+    
     // 初始化（稳定性工具在 init() 中 discoverServer() 之后初始化）
     this.init();
   }
@@ -118,6 +131,20 @@ class BrowserControl {
       // 超时包装器函数
       this.withTimeout = Utils.withTimeout;
       
+      // 中止包装器函数（请求取消）
+      this.withAbort = Utils.withAbort;
+      
+      // 分块传输帧构造函数
+      this.buildChunkFrames = Utils.buildChunkFrames;
+      
+      // 错误码工具（与服务端、客户端共用的错误码）
+      this.codedError = Utils.codedError;
+      this.errorCode = Utils.errorCode;
+      
+      // 批量请求的步骤工具
+      this.resolveStepRefs = Utils.resolveStepRefs;
+      this.buildStepScript = Utils.buildStepScript;
+      
       // 健康检查器
       this.initHealthChecker(Utils);
       
@@ -134,11 +161,15 @@ class BrowserControl {
       this.queueManager = null;
       this.healthChecker = null;
       this.sseClient = null;
+      this.buildChunkFrames = null;
+      this.resolveStepRefs = null; // 批量请求不可用
+      this.codedError = (code, message) => Object.assign(new Error(message), { code });
+      this.errorCode = (error, fallback = 'EXTENSION_ERROR') => (error && error.code) || fallback;
       this.withTimeout = async (promise, ms, errorMessage) => {
         // 简单的超时实现
         let timeoutId;
         const timeoutPromise = new Promise((_, reject) => {
-          timeoutId = setTimeout(() => reject(new Error(errorMessage || '操作超时')), ms);
+          timeoutId = setTimeout(() => reject(this.codedError('TIMEOUT', errorMessage || '操作超时')), ms);
         });
         try {
           return await Promise.race([promise, timeoutPromise]);
@@ -146,6 +177,15 @@ class BrowserControl {
           clearTimeout(timeoutId);
         }
       };
+      this.withAbort = async (promise, signal) => {
+        // 降级模式只在开始前检查一次
+        if (signal && signal.aborted) {
+          const error = new Error('请求已取消');
+          error.code = 'CANCELLED';
+          throw error;
+        }
+        return promise;
+      };
     }
     
     // 启动定期清理任务
@@ -276,8 +316,18 @@ class BrowserControl {
       });
     };
     
+    // 降级模式下服务端消息经 SSE 下发，与 WebSocket 消息走同一处理流程
+    this.sseClient.onMessage = (data) => {
+      if (this.connectionMode !== 'sse') return;
+      this.handleMessage(JSON.stringify(data));
+    };
+    
     this.sseClient.onConnect = () => {
       console.log('[BrowserControl] SSE 连接成功（降级模式）');
+      // 新通道需要重新走认证流程，订阅由服务端在 init 后重新下发
+      this.authState = 'authenticating';
+      this.sessionId = null;
+      this.subscribedEvents.clear();
       this.broadcastStatusUpdate();
     };
     
@@ -316,6 +366,8 @@ class BrowserControl {
       serverUrl: this.serverUrl,
       httpBaseUrl: this.httpBaseUrl,
       authState: this.authState,
+      protocolVersion: this.protocolVersion,
+      protocolError: this.protocolError,
       
       // 服务器能力
       serverCapabilities: this.serverCapabilities ? {
@@ -410,6 +462,10 @@ class BrowserControl {
     // 设置标签页事件监听
     this.setupTabListeners();
     
+    // 设置导航与下载事件监听（用于事件推送）
+    this.setupNavigationListeners();
+    this.setupDownloadListeners();
+    
     // 设置消息监听
     this.setupMessageListeners();
     
@@ -547,7 +603,7 @@ class BrowserControl {
   async loadSettings() {
     try {
       const authStorageKey = this.securityConfig.auth?.storageKey || 'auth_secret_key';
-      const result = await browser.storage.local.get(['serverUrl', 'autoConnect', authStorageKey]);
+      const result = await browser.storage.local.get(['serverUrl', 'autoConnect', authStorageKey, 'instanceId', 'instanceLabel']);
       
       if (result.serverUrl) {
         // 使用用户设置的服务器地址（可能是 http:// 或 ws:// 格式）
@@ -577,6 +633,16 @@ class BrowserControl {
         console.log('未配置认证密钥');
       }
       
+      // 加载实例标识（首次启动时生成并持久化）
+      if (result.instanceId) {
+        this.instanceId = result.instanceId;
+      } else {
+        this.instanceId = crypto.randomUUID();
+        await browser.storage.local.set({ instanceId: this.instanceId });
+        console.log('已生成实例标识:', this.instanceId);
+      }
+      this.instanceLabel = result.instanceLabel || null;
+      
     } catch (error) {
       console.error('加载设置时出错:', error);
       // 使用默认设置
@@ -586,6 +652,21 @@ class BrowserControl {
     }
   }
 
+  /**
+   * 保存实例名称，已连接时重新发送 init 让服务端立即生效
+   * @param {string} label - 实例名称（空字符串表示清除）
+   */
+  async saveInstanceLabel(label) {
+    const trimmed = (label || '').trim().slice(0, 64);
+    this.instanceLabel = trimmed || null;
+    await browser.storage.local.set({ instanceLabel: trimmed });
+    console.log('实例名称已保存:', this.instanceLabel);
+    
+    if (this.isTransportReady() && (this.authState === 'authenticated' || !this.authSecretKey)) {
+      this.sendInit();
+    }
+  }
+
   /**
    * 保存认证密钥
    * @param {string} authKey - 认证密钥
@@ -729,6 +810,9 @@ class BrowserControl {
       this.pendingChallenge = null;
       this.sessionExpiresAt = null;
       
+      // 订阅属于单次连接，服务器会在 init 后重新下发
+      this.subscribedEvents.clear();
+      
       this.ws = new WebSocket(this.serverUrl);
       
       this.ws.onopen = () => {
@@ -949,6 +1033,56 @@ class BrowserControl {
     }
   }
 
+  /**
+   * 发送 init：携带 userAgent 与持久化的实例标识（instanceId / label）
+   * 轻量版服务器无 session，使用 sendRawMessage；完整版使用 sendNotification
+   */
+  sendInit() {
+    const payload = {
+      userAgent: navigator.userAgent,
+      instanceId: this.instanceId,
+      label: this.instanceLabel || ''
+    };
+    // 没有协议配置时按 v1 发送（不声明版本与能力）
+    const protocol = (typeof EXTENSION_CONFIG !== 'undefined' && EXTENSION_CONFIG.PROTOCOL) || null;
+    if (protocol) {
+      payload.protocolVersion = protocol.version;
+      payload.minProtocolVersion = protocol.minVersion;
+      payload.capabilities = this.getCapabilities(protocol);
+    }
+    if (this.sessionId) {
+      this.sendNotification({
+        type: 'init',
+        payload,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      this.sendRawMessage({
+        type: 'init',
+        timestamp: new Date().toISOString(),
+        ...payload
+      });
+    }
+  }
+
+  /**
+   * 本扩展的能力声明：支持的动作与事件、单条消息上限（字节）、浏览器及扩展版本
+   * 降级模式下（ExtensionUtils 未加载）批量请求不可用，不声明 batch
+   */
+  getCapabilities(protocol) {
+    const match = navigator.userAgent.match(/Firefox\/([\d.]+)/);
+    return {
+      actions: this.resolveStepRefs ? protocol.actions : protocol.actions.filter(action => action !== 'batch'),
+      events: protocol.events,
+      maxPayload: protocol.maxPayload,
+      browser: {
+        name: 'firefox',
+        version: match ? match[1] : null
+      },
+      extensionVersion: browser.runtime.getManifest().version
+    };
+  }
+
   /**
    * 处理服务器认证结果
    * @param {Object} message - 认证结果消息
@@ -982,22 +1116,7 @@ class BrowserControl {
       }
       
       // 发送初始化消息
-      // 轻量版服务器无 session，使用 sendRawMessage；完整版使用 sendNotification
-      if (this.sessionId) {
-        this.sendNotification({
-          type: 'init',
-          payload: {
-            userAgent: navigator.userAgent
-          },
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        this.sendRawMessage({
-          type: 'init',
-          timestamp: new Date().toISOString(),
-          userAgent: navigator.userAgent
-        });
-      }
+      this.sendInit();
       
       // 立即发送一次标签页数据
       this.sendTabsData();
@@ -1193,12 +1312,35 @@ class BrowserControl {
     }
   }
 
+  /**
+   * 当前是否有可用的发送通道（WebSocket，或 SSE 降级模式下的 HTTP POST）
+   */
+  isTransportReady() {
+    if (this.isConnected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      return true;
+    }
+    return this.connectionMode === 'sse' && !!this.sseClient && this.sseClient.canSend();
+  }
+
+  /**
+   * 通过当前通道发送消息对象
+   */
+  transportSend(message) {
+    if (this.isConnected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+      return;
+    }
+    this.sseClient.send(message).catch((error) => {
+      console.error('[SSE] 消息发送失败:', error.message);
+    });
+  }
+
   /**
    * 发送原始消息到服务器（不添加 sessionId，用于认证流程）
    */
   sendRawMessage(message) {
-    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+    if (this.isTransportReady()) {
+      this.transportSend(message);
       return true;
     } else {
       console.warn('WebSocket未连接，无法发送消息:', message);
@@ -1211,7 +1353,7 @@ class BrowserControl {
    * 用于 init、data 等信息性消息
    */
   sendNotification(message) {
-    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+    if (this.isTransportReady()) {
       if (this.authState === 'authenticated' && this.sessionId) {
         // 通知型协议格式：不带 requestId
         const wrappedMessage = {
@@ -1221,10 +1363,10 @@ class BrowserControl {
           payload: message.payload || {},
           timestamp: message.timestamp || new Date().toISOString()
         };
-        this.ws.send(JSON.stringify(wrappedMessage));
+        this.transportSend(wrappedMessage);
       } else {
         // 旧协议格式或未认证时直接发送
-        this.ws.send(JSON.stringify(message));
+        this.transportSend(message);
       }
       return true;
     } else {
@@ -1238,7 +1380,7 @@ class BrowserControl {
    * 如果已认证，自动添加 sessionId 和 requestId
    */
   sendMessage(message) {
-    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+    if (this.isTransportReady()) {
       // 如果已认证且有 sessionId，使用新协议格式
       if (this.authState === 'authenticated' && this.sessionId) {
         // 提取有效载荷：如果 message 有 payload 属性则直接使用，否则提取除元数据外的属性
@@ -1260,10 +1402,10 @@ class BrowserControl {
           timestamp: message.timestamp || new Date().toISOString()
         };
         
-        this.ws.send(JSON.stringify(wrappedMessage));
+        this.transportSend(wrappedMessage);
       } else {
         // 旧协议格式或未认证时直接发送
-        this.ws.send(JSON.stringify(message));
+        this.transportSend(message);
       }
       return true;
     } else {
@@ -1272,6 +1414,21 @@ class BrowserControl {
     }
   }
 
+  /**
+   * 生成唯一请求ID
+   */
+  /**
+   * 发送错误响应，code 取自共用的错误码（utils.js 中的 ERROR_CODES）
+   */
+  sendError(requestId, error, fallbackCode = 'EXTENSION_ERROR') {
+    this.sendMessage({
+      type: 'error',
+      message: error.message,
+      requestId: requestId,
+      code: this.errorCode(error, fallbackCode)
+    });
+  }
+
   /**
    * 生成唯一请求ID
    */
@@ -1284,6 +1441,8 @@ class BrowserControl {
    * 包含速率限制、请求去重、队列管理
    */
   async handleMessage(data) {
+    // 登记在 activeRequests 中的请求，无论 handler 成功还是抛错都要移除
+    let activeRequestId = null;
     try {
       const message = JSON.parse(data);
       console.log('收到服务器消息:', message.type, message);
@@ -1303,9 +1462,24 @@ class BrowserControl {
           await this.handleServerResponse(message);
           return;
           
+        case 'cancel':
+          // 服务端转发的取消请求
+          this.handleCancel(message);
+          return;
+          
         case 'init_ack':
           // 服务端确认 init，可能包含服务端配置
-          console.log('收到 init_ack:', message.status);
+          console.log('收到 init_ack:', message.status, message.clientId);
+          if (message.status === 'error') {
+            // 协议版本不兼容：服务器随后以 4010 关闭连接，不再自动重连
+            console.error('[Protocol] 服务器拒绝连接:', message.code, message.message);
+            this.protocolError = message.message || message.code;
+            this.broadcastStatusUpdate();
+            return;
+          }
+          this.clientId = message.clientId || null;
+          this.protocolVersion = message.protocolVersion || 1;
+          this.protocolError = null;
           if (message.serverConfig) {
             this.applyServerConfig(message.serverConfig);
           }
@@ -1413,6 +1587,14 @@ class BrowserControl {
         }
       }
       
+      // 登记可取消的请求，handler 从 payload.signal 得知是否已被取消
+      const controller = requestId ? new AbortController() : null;
+      if (controller) {
+        this.activeRequests.set(requestId, controller);
+        activeRequestId = requestId;
+        payload.signal = controller.signal;
+      }
+      
       // === 处理业务消息 ===
       switch (actionType) {
         case 'open_url':
@@ -1447,6 +1629,10 @@ class BrowserControl {
           await this.handleUploadFileToTab(payload);
           break;
           
+        case 'batch':
+          await this.handleBatch(payload);
+          break;
+          
         case 'subscribe_events':
           await this.handleSubscribeEvents(payload);
           break;
@@ -1468,9 +1654,26 @@ class BrowserControl {
       }
     } catch (error) {
       console.error('处理服务器消息时出错:', error);
+    } finally {
+      if (activeRequestId) {
+        this.activeRequests.delete(activeRequestId);
+      }
     }
   }
 
+  /**
+   * 处理取消请求：中止仍在执行的业务请求
+   * 服务端已向调用方返回 CANCELLED，这里只需停止本地工作
+   */
+  handleCancel(message) {
+    const controller = this.activeRequests.get(message.originalRequestId);
+    if (!controller) {
+      return;
+    }
+    console.log(`[Cancel] 取消请求: ${message.originalRequestId}`);
+    controller.abort();
+  }
+
   /**
    * 处理服务器响应消息（新协议）
    * 支持服务端 v2.0 新增的状态：
@@ -1601,13 +1804,24 @@ class BrowserControl {
     this.broadcastStatusUpdate();
   }
 
+  /**
+   * 单个请求的超时时间（毫秒）
+   * 优先使用服务端随请求下发的 timeoutMs（调用方指定的截止时间），否则使用本地配置
+   */
+  getRequestTimeout(message) {
+    if (Number.isFinite(message.timeoutMs) && message.timeoutMs > 0) {
+      return message.timeoutMs;
+    }
+    return this.securityConfig.requestTimeout || 30000;
+  }
+
   /**
    * 处理打开URL请求
    * 带超时保护和标签页去重
    */
   async handleOpenUrl(message) {
-    const { url, tabId, windowId, requestId } = message;
-    const timeout = this.securityConfig.requestTimeout || 30000;
+    const { url, tabId, windowId, requestId, signal } = message;
+    const timeout = this.getRequestTimeout(message);
     
     try {
       let resultTabId;
@@ -1656,7 +1870,7 @@ class BrowserControl {
       // 等待页面加载完成（带超时）
       if (!isExistingTab) {
         await this.withTimeout(
-          this.waitForTabLoad(resultTabId),
+          this.withAbort(this.waitForTabLoad(resultTabId, timeout, signal), signal),
           timeout,
           `页面加载超时`
         );
@@ -1685,12 +1899,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理打开URL请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: requestId,
-        code: error.message.includes('超时') ? 'TIMEOUT' : 'OPEN_URL_ERROR'
-      });
+      this.sendError(requestId, error);
     } finally {
       // 从队列中移除请求
       if (this.queueManager && requestId) {
@@ -1720,11 +1929,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理关闭标签页请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     }
   }
 
@@ -1733,42 +1938,33 @@ class BrowserControl {
    * 带超时保护
    */
   async handleGetHtml(message) {
-    const { tabId, requestId } = message;
-    const timeout = this.securityConfig.requestTimeout || 30000;
+    const { tabId, requestId, signal } = message;
+    const timeout = this.getRequestTimeout(message);
     
     try {
       // 使用超时包装器获取 HTML
       const results = await this.withTimeout(
-        browser.tabs.executeScript(parseInt(tabId), {
+        this.withAbort(browser.tabs.executeScript(parseInt(tabId), {
           code: 'document.documentElement.outerHTML'
-        }),
+        }), signal),
         timeout,
         `获取HTML超时`
       );
       
       const html = results[0] || '';
       
-      // 如果HTML太大，分块发送
-      if (html.length > 100000) { // 100KB
-        await this.sendHtmlInChunks(tabId, html, requestId);
-      } else {
-        this.sendMessage({
-          type: 'tab_html_complete',
-          tabId: tabId,
-          html: html,
-          requestId: requestId,
-          timestamp: new Date().toISOString()
-        });
-      }
+      // 大页面由 sendResult 分块发送
+      await this.sendResult({
+        type: 'tab_html_complete',
+        tabId: tabId,
+        html: html,
+        requestId: requestId,
+        timestamp: new Date().toISOString()
+      }, signal);
       
     } catch (error) {
       console.error('处理获取HTML请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: requestId,
-        code: error.message.includes('超时') ? 'TIMEOUT' : 'HTML_ERROR'
-      });
+      this.sendError(requestId, error);
     } finally {
       // 从队列中移除请求
       if (this.queueManager && requestId) {
@@ -1781,43 +1977,29 @@ class BrowserControl {
   }
 
   /**
-   * 分块发送HTML内容
+   * 发送操作结果（*_complete 消息）
+   * 序列化后超过阈值时走分块传输：chunk × total + chunk_end（长度与 SHA-256 校验），
+   * 服务端按 index 重组、校验后再按完整结果处理，结束帧不重复携带正文
+   * 传入 signal 时每帧之间让出事件循环，请求被取消后停止发送剩余分块
    */
-  async sendHtmlInChunks(tabId, html, requestId) {
-    const chunkSize = 50000; // 50KB per chunk
-    const totalChunks = Math.ceil(html.length / chunkSize);
-    
-    console.log(`HTML内容较大(${html.length}字符)，将分${totalChunks}块发送`);
-    
-    // 发送所有分块
-    for (let i = 0; i < totalChunks; i++) {
-      const start = i * chunkSize;
-      const end = Math.min(start + chunkSize, html.length);
-      const chunkData = html.substring(start, end);
-      
-      this.sendMessage({
-        type: 'tab_html_chunk',
-        tabId: tabId,
-        chunkIndex: i,
-        chunkData: chunkData,
-        totalChunks: totalChunks,
-        requestId: requestId,
-        timestamp: new Date().toISOString()
-      });
-      
-      // 小延迟避免消息过快
-      await new Promise(resolve => setTimeout(resolve, 10));
+  async sendResult(message, signal = null) {
+    const transfer = (typeof EXTENSION_CONFIG !== 'undefined' && EXTENSION_CONFIG.CHUNKED_TRANSFER)
+      ? EXTENSION_CONFIG.CHUNKED_TRANSFER
+      : { threshold: 100000, chunkSize: 50000 };
+    const raw = JSON.stringify(message);
+    if (raw.length <= transfer.threshold || !this.buildChunkFrames) {
+      this.sendMessage(message);
+      return;
     }
     
-    // 发送完成消息
-    this.sendMessage({
-      type: 'tab_html_complete',
-      tabId: tabId,
-      html: html,
-      totalChunks: totalChunks,
-      requestId: requestId,
-      timestamp: new Date().toISOString()
-    });
+    const frames = await this.buildChunkFrames(message.requestId, raw, transfer.chunkSize);
+    console.log(`结果较大(${raw.length}字符)，将分${frames.length - 1}块发送`);
+    for (const frame of frames) {
+      if (signal) {
+        await this.withAbort(new Promise(resolve => setTimeout(resolve, 0)), signal);
+      }
+      this.sendMessage(frame);
+    }
   }
 
   /**
@@ -1825,8 +2007,8 @@ class BrowserControl {
    * 带超时保护，确保在超时后返回错误响应
    */
   async handleExecuteScript(message) {
-    const { tabId, code, requestId } = message;
-    const timeout = this.securityConfig.requestTimeout || 30000;
+    const { tabId, code, requestId, signal } = message;
+    const timeout = this.getRequestTimeout(message);
     
     try {
       // 包装代码以支持 Promise 等待
@@ -1847,27 +2029,22 @@ class BrowserControl {
       
       // 使用超时包装器执行脚本
       const results = await this.withTimeout(
-        browser.tabs.executeScript(parseInt(tabId), { code: wrappedCode }),
+        this.withAbort(browser.tabs.executeScript(parseInt(tabId), { code: wrappedCode }), signal),
         timeout,
         `脚本执行超时`
       );
       
-      this.sendMessage({
+      await this.sendResult({
         type: 'execute_script_complete',
         tabId: tabId,
         result: results[0],
         requestId: requestId,
         timestamp: new Date().toISOString()
-      });
+      }, signal);
       
     } catch (error) {
       console.error('处理执行脚本请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: requestId,
-        code: error.message.includes('超时') ? 'TIMEOUT' : 'SCRIPT_ERROR'
-      });
+      this.sendError(requestId, error, 'SCRIPT_ERROR');
     } finally {
       // 从队列中移除请求
       if (this.queueManager && requestId) {
@@ -1899,11 +2076,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理注入CSS请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     }
   }
 
@@ -1920,7 +2093,7 @@ class BrowserControl {
       
       // 只返回获取到的cookies，不触发保存
       // 服务器端会将这些cookies存储到独立的cookies表中
-      this.sendMessage({
+      await this.sendResult({
         type: 'get_cookies_complete',
         tabId: tabId,
         url: tab.url,
@@ -1931,11 +2104,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理获取Cookies请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     }
   }
 
@@ -1947,11 +2116,7 @@ class BrowserControl {
       const { domain, includeSubdomains = true, requestId } = message;
       
       if (!domain) {
-        this.sendMessage({
-          type: 'error',
-          message: '缺少域名参数',
-          requestId: requestId
-        });
+        this.sendError(requestId, this.codedError('INVALID_PARAMS', '缺少域名参数'));
         return;
       }
       
@@ -1959,7 +2124,7 @@ class BrowserControl {
       
       const cookies = await this.getCookiesByDomain(domain, includeSubdomains);
       
-      this.sendMessage({
+      await this.sendResult({
         type: 'get_cookies_by_domain_complete',
         domain: domain,
         includeSubdomains: includeSubdomains,
@@ -1971,11 +2136,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理按域名获取Cookies请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     }
   }
 
@@ -2336,7 +2497,7 @@ class BrowserControl {
       
       // 验证参数
       if (!tabId || !files || !Array.isArray(files) || files.length === 0) {
-        throw new Error('缺少必要参数: tabId, files');
+        throw this.codedError('INVALID_PARAMS', '缺少必要参数: tabId, files');
       }
       
       // 转换Base64数据为File对象
@@ -2366,7 +2527,7 @@ class BrowserControl {
           
         } catch (error) {
           console.error(`文件转换失败: ${fileData.name}`, error);
-          throw new Error(`文件转换失败: ${fileData.name} - ${error.message}`);
+          throw this.codedError('INVALID_PARAMS', `文件转换失败: ${fileData.name} - ${error.message}`);
         }
       }
       
@@ -2399,17 +2560,188 @@ class BrowserControl {
         });
         
       } else {
-        throw new Error(uploadResult?.error || '文件上传失败');
+        throw this.codedError(uploadResult?.code || 'EXTENSION_ERROR', uploadResult?.error || '文件上传失败');
       }
       
     } catch (error) {
       console.error('处理文件上传请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
+      this.sendError(message.requestId, error);
+    }
+  }
+
+  /**
+   * 处理批量请求：在一次往返中按顺序执行多个步骤，返回每一步的结果
+   * - 步骤复用单个动作的 handler，另支持 wait（{ ms } 或 { selector }）
+   * - 未指定 tabId 的标签页步骤作用于 message.tabId 或最近一次 open_url 打开的标签页
+   * - 参数中的 { $ref: '步骤id或序号.字段路径' } 引用前面步骤的结果，脚本中可用 $results / $prev
+   * - onError 为 'stop'（默认）时首个失败步骤之后的步骤标记为 skipped，'continue' 时继续执行
+   * 整个批量共用一个截止时间，每一步只能使用剩余的时间
+   */
+  async handleBatch(message) {
+    const { steps, onError = 'stop', requestId, signal } = message;
+    const deadline = Date.now() + this.getRequestTimeout(message);
+    let currentTabId = message.tabId ?? null;
+    const outputs = {};
+    const results = [];
+    let stoppedAt = null;
+    
+    try {
+      if (!this.resolveStepRefs) {
+        throw new Error('批量请求需要 ExtensionUtils，降级模式下不可用');
+      }
+      if (!Array.isArray(steps) || steps.length === 0) {
+        throw this.codedError('INVALID_PARAMS', 'steps 必须是非空数组');
+      }
+      
+      for (let index = 0; index < steps.length; index++) {
+        const step = steps[index] || {};
+        const entry = { index, id: step.id ?? null, action: step.action };
+        
+        if (stoppedAt !== null) {
+          results.push({ ...entry, status: 'skipped' });
+          continue;
+        }
+        
+        try {
+          const remaining = deadline - Date.now();
+          if (remaining <= 0) {
+            throw this.codedError('TIMEOUT', '批量请求已超时');
+          }
+          const params = this.resolveStepRefs(step, outputs);
+          const prev = index > 0 ? outputs[index - 1] : null;
+          const data = await this.runBatchStep(params, currentTabId, outputs, prev, remaining, signal);
+          
+          if (params.action === 'open_url') {
+            currentTabId = data.tabId;
+          } else if (params.action === 'close_tab' && String(data.tabId) === String(currentTabId)) {
+            currentTabId = null;
+          }
+          outputs[index] = data;
+          if (step.id !== undefined && step.id !== null) {
+            outputs[step.id] = data;
+          }
+          results.push({ ...entry, status: 'success', data });
+        } catch (error) {
+          if (error.code === 'CANCELLED') {
+            throw error;
+          }
+          results.push({ ...entry, status: 'error', code: this.errorCode(error), message: error.message });
+          if (onError !== 'continue') {
+            stoppedAt = index;
+          }
+        }
+      }
+      
+      await this.sendResult({
+        type: 'batch_complete',
+        tabId: currentTabId,
+        results: results,
+        stoppedAt: stoppedAt,
+        requestId: requestId,
+        timestamp: new Date().toISOString()
+      }, signal);
+      
+    } catch (error) {
+      console.error('处理批量请求时出错:', error);
+      this.sendError(requestId, error);
+    } finally {
+      if (this.queueManager && requestId) {
+        this.queueManager.remove(requestId);
+      }
+      if (this.deduplicator && requestId) {
+        this.deduplicator.markCompleted(requestId);
+      }
+    }
+  }
+
+  /**
+   * 执行批量中的一个步骤，返回去掉 type / requestId / timestamp 的结果消息
+   */
+  async runBatchStep(step, currentTabId, outputs, prev, remaining, signal) {
+    const handlers = {
+      open_url: 'handleOpenUrl',
+      close_tab: 'handleCloseTab',
+      get_html: 'handleGetHtml',
+      execute_script: 'handleExecuteScript',
+      inject_css: 'handleInjectCss',
+      get_cookies: 'handleGetCookies',
+      get_cookies_by_domain: 'handleGetCookiesByDomain',
+      upload_file_to_tab: 'handleUploadFileToTab'
+    };
+    const usesTab = !['open_url', 'get_cookies_by_domain'].includes(step.action)
+      && !(step.action === 'wait' && !step.selector);
+    const tabId = step.tabId ?? (usesTab ? currentTabId : undefined);
+    if (usesTab && (tabId === null || tabId === undefined)) {
+      throw this.codedError('INVALID_PARAMS', `步骤 ${step.action} 没有可用的标签页（先 open_url 或传 tabId）`);
+    }
+    const timeoutMs = Number.isFinite(step.timeoutMs) && step.timeoutMs > 0
+      ? Math.min(step.timeoutMs, remaining)
+      : remaining;
+    
+    if (step.action === 'wait') {
+      if (step.selector) {
+        return this.waitForSelector(tabId, step.selector, timeoutMs, signal);
+      }
+      const ms = Math.min(Math.max(Number(step.ms) || 0, 0), timeoutMs);
+      await this.withAbort(new Promise(resolve => setTimeout(resolve, ms)), signal);
+      return { waitedMs: ms };
+    }
+    
+    const handler = handlers[step.action];
+    if (!handler) {
+      throw this.codedError('INVALID_PARAMS', `不支持的步骤: ${step.action}`);
+    }
+    
+    const { action, id, ...payload } = step;
+    if (tabId !== undefined) {
+      payload.tabId = tabId;
+    }
+    if (action === 'execute_script') {
+      payload.code = this.buildStepScript(payload.code, outputs, prev);
+    }
+    
+    const reply = await this.captureHandlerReply(handler, { ...payload, timeoutMs, signal });
+    const { type, requestId, timestamp, ...data } = reply;
+    if (type === 'error') {
+      throw this.codedError(reply.code || 'EXTENSION_ERROR', reply.message);
+    }
+    return data;
+  }
+
+  /**
+   * 轮询直到页面中出现 selector 匹配的元素
+   */
+  async waitForSelector(tabId, selector, timeoutMs, signal) {
+    const deadline = Date.now() + timeoutMs;
+    const code = `!!document.querySelector(${JSON.stringify(selector)})`;
+    
+    while (Date.now() < deadline) {
+      const reply = await this.captureHandlerReply('handleExecuteScript', {
+        tabId, code, timeoutMs: Math.max(deadline - Date.now(), 1), signal
       });
+      if (reply.type === 'error') {
+        throw this.codedError(reply.code || 'EXTENSION_ERROR', reply.message);
+      }
+      if (reply.result === true) {
+        return { tabId, selector, found: true };
+      }
+      await this.withAbort(new Promise(resolve => setTimeout(resolve, 250)), signal);
     }
+    throw this.codedError('TIMEOUT', `等待元素超时: ${selector}`);
+  }
+
+  /**
+   * 调用单个动作的 handler 并截获它的回复，而不是发给服务端
+   * handler 通过 sendMessage / sendResult 回复，这里让它运行在一个继承自 this、
+   * 只替换了这两个方法的对象上
+   */
+  async captureHandlerReply(handler, payload) {
+    let reply = null;
+    const capture = Object.create(this);
+    capture.sendMessage = (msg) => { reply = msg; };
+    capture.sendResult = async (msg) => { reply = msg; };
+    await this[handler].call(capture, payload);
+    return reply || { type: 'error', code: 'EXTENSION_ERROR', message: '步骤没有返回结果' };
   }
 
   /**
@@ -2447,7 +2779,7 @@ class BrowserControl {
       }
       
       if (!found) {
-        throw new Error('未找到文件输入元素: ${targetSelector}');
+        return { success: false, code: 'ELEMENT_NOT_FOUND', error: '未找到文件输入元素: ${targetSelector}' };
       }
     }
     
@@ -2586,11 +2918,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理事件订阅请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     } finally {
       // 从队列中移除请求
       if (this.queueManager && message.requestId) {
@@ -2632,11 +2960,7 @@ class BrowserControl {
       
     } catch (error) {
       console.error('处理取消事件订阅请求时出错:', error);
-      this.sendMessage({
-        type: 'error',
-        message: error.message,
-        requestId: message.requestId
-      });
+      this.sendError(message.requestId, error);
     } finally {
       // 从队列中移除请求
       if (this.queueManager && message.requestId) {
@@ -2650,14 +2974,19 @@ class BrowserControl {
 
   /**
    * 等待标签页加载完成
+   * signal 被中止后停止轮询
    */
-  async waitForTabLoad(tabId, timeout = 30000) {
+  async waitForTabLoad(tabId, timeout = 30000, signal = null) {
     return new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => {
-        reject(new Error('等待标签页加载超时'));
+        reject(this.codedError('TIMEOUT', '等待标签页加载超时'));
       }, timeout);
       
       const checkStatus = async () => {
+        if (signal && signal.aborted) {
+          clearTimeout(timeoutId);
+          return;
+        }
         try {
           const tab = await browser.tabs.get(parseInt(tabId));
           if (tab.status === 'complete') {
@@ -2698,6 +3027,13 @@ class BrowserControl {
     browser.tabs.onCreated.addListener((tab) => {
       console.log('标签页创建:', tab.id, tab.url);
       this.debouncedSendTabsData();
+      this.emitBrowserEvent('tabCreated', {
+        tabId: tab.id,
+        windowId: tab.windowId,
+        url: tab.url || '',
+        title: tab.title || '',
+        status: tab.status || null
+      });
     });
     
     // 标签页更新
@@ -2706,18 +3042,117 @@ class BrowserControl {
         console.log('标签页加载完成:', tabId, tab.url);
         this.debouncedSendTabsData();
       }
+      this.emitBrowserEvent('tabUpdated', {
+        tabId: tabId,
+        windowId: tab.windowId,
+        url: tab.url || '',
+        title: tab.title || '',
+        status: tab.status || null,
+        changeInfo: changeInfo
+      });
     });
     
     // 标签页移除
     browser.tabs.onRemoved.addListener((tabId, removeInfo) => {
       console.log('标签页移除:', tabId);
       this.debouncedSendTabsData();
+      this.emitBrowserEvent('tabRemoved', {
+        tabId: tabId,
+        windowId: removeInfo.windowId,
+        isWindowClosing: removeInfo.isWindowClosing
+      });
     });
     
     // 标签页激活
     browser.tabs.onActivated.addListener((activeInfo) => {
       console.log('标签页激活:', activeInfo.tabId);
       this.debouncedSendTabsData();
+      this.emitBrowserEvent('tabActivated', {
+        tabId: activeInfo.tabId,
+        windowId: activeInfo.windowId
+      });
+    });
+  }
+
+  /**
+   * 设置导航事件监听（仅主框架）
+   */
+  setupNavigationListeners() {
+    if (!browser.webNavigation) {
+      console.warn('[Events] webNavigation API 不可用，跳过导航事件监听');
+      return;
+    }
+    
+    browser.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId !== 0) return;
+      this.emitBrowserEvent('navigationCommitted', {
+        tabId: details.tabId,
+        url: details.url,
+        transitionType: details.transitionType || null,
+        transitionQualifiers: details.transitionQualifiers || []
+      });
+    });
+    
+    browser.webNavigation.onCompleted.addListener((details) => {
+      if (details.frameId !== 0) return;
+      this.emitBrowserEvent('navigationCompleted', {
+        tabId: details.tabId,
+        url: details.url
+      });
+    });
+  }
+
+  /**
+   * 设置下载事件监听
+   */
+  setupDownloadListeners() {
+    if (!browser.downloads) {
+      console.warn('[Events] downloads API 不可用，跳过下载事件监听');
+      return;
+    }
+    
+    browser.downloads.onCreated.addListener((item) => {
+      this.emitBrowserEvent('downloadCreated', {
+        downloadId: item.id,
+        url: item.url,
+        filename: item.filename || '',
+        mime: item.mime || null,
+        state: item.state,
+        totalBytes: item.totalBytes
+      });
+    });
+    
+    browser.downloads.onChanged.addListener((delta) => {
+      // delta 中每个字段形如 { previous, current }，只取当前值
+      const changes = {};
+      for (const [key, value] of Object.entries(delta)) {
+        if (key !== 'id' && value && typeof value === 'object' && 'current' in value) {
+          changes[key] = value.current;
+        }
+      }
+      this.emitBrowserEvent('downloadChanged', {
+        downloadId: delta.id,
+        ...changes
+      });
+    });
+  }
+
+  /**
+   * 向服务器推送浏览器事件（仅推送已订阅的事件）
+   * @param {string} eventName - 事件名，如 tabUpdated
+   * @param {Object} data - 事件数据
+   */
+  emitBrowserEvent(eventName, data) {
+    if (!this.isTransportReady() || this.authState !== 'authenticated') return;
+    if (!this.subscribedEvents.has(eventName) && !this.subscribedEvents.has('*')) return;
+    
+    this.sendNotification({
+      type: 'event',
+      payload: {
+        event: eventName,
+        data: data,
+        timestamp: new Date().toISOString()
+      }
     });
   }
 
@@ -2800,6 +3235,28 @@ class BrowserControl {
         return true;
       }
       
+      // 获取实例标识
+      if (message.type === 'get_instance_identity') {
+        sendResponse({
+          instanceId: this.instanceId,
+          label: this.instanceLabel,
+          clientId: this.clientId
+        });
+        return true;
+      }
+      
+      // 保存实例名称
+      if (message.type === 'set_instance_label') {
+        this.saveInstanceLabel(message.label)
+          .then(() => {
+            sendResponse({ success: true });
+          })
+          .catch(error => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+      }
+      
       // 清除认证密钥
       if (message.type === 'clear_auth_key') {
         this.clearAuthKey()
@@ -3096,7 +3553,7 @@ class BrowserControl {
       return { 
         success: false, 
         error: error.message,
-        code: error.message.includes('超时') ? 'TIMEOUT' : 'SCRIPT_ERROR'
+        code: this.errorCode(error, 'SCRIPT_ERROR')
       };
     }
   }
@@ -3234,7 +3691,8 @@ class BrowserControl {
       } else {
         return { 
           success: false, 
-          error: uploadResult?.error || '文件上传失败'
+          error: uploadResult?.error || '文件上传失败',
+          code: uploadResult?.code || 'EXTENSION_ERROR'
         };
       }
     } catch (error) {
@@ -3474,7 +3932,7 @@ class BrowserControl {
     
     // 每15秒发送一次标签页数据（降低轮询频率，标签页变化由事件驱动防抖发送）
     setInterval(() => {
-      if (this.isConnected) {
+      if (this.isTransportReady()) {
         this.sendTabsData();
       }
     }, 15000);
@@ -3485,7 +3943,7 @@ class BrowserControl {
    */
   async sendTabsData() {
     try {
-      if (!this.isConnected) return;
+      if (!this.isTransportReady()) return;
       
       const tabs = await browser.tabs.query({});
       const activeTab = await browser.tabs.query({ active: true, currentWindow: true });
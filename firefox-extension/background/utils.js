@@ -1,7 +1,7 @@
 /**
  * Firefox 扩展工具函数模块
  * 
- * 提供超时控制、速率限制、请求去重等功能
+ * 提供超时控制、请求中止、速率限制、请求去重等功能
  * 用于提高扩展的稳定性和健壮性
  */
 
@@ -18,7 +18,7 @@ async function withTimeout(promise, ms, errorMessage = '操作超时') {
   let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
     timeoutId = setTimeout(() => {
-      reject(new Error(`${errorMessage} (${ms}ms)`));
+      reject(codedError('TIMEOUT', `${errorMessage} (${ms}ms)`));
     }, ms);
   });
   
@@ -32,6 +32,188 @@ async function withTimeout(promise, ms, errorMessage = '操作超时') {
   }
 }
 
+/**
+ * Promise 中止包装器
+ * signal 触发 abort 时立即以 code=CANCELLED 的错误 reject
+ * （底层操作无法撤回，只是不再等待它的结果）
+ * 
+ * @param {Promise} promise - 要包装的 Promise
+ * @param {AbortSignal|null} signal - 中止信号，为空时原样返回
+ * @returns {Promise} - 可被中止的 Promise
+ */
+async function withAbort(promise, signal) {
+  if (!signal) return promise;
+  
+  const cancelled = () => {
+    const error = new Error('请求已取消');
+    error.code = 'CANCELLED';
+    return error;
+  };
+  if (signal.aborted) throw cancelled();
+  
+  let onAbort;
+  const abortPromise = new Promise((_, reject) => {
+    onAbort = () => reject(cancelled());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  
+  try {
+    return await Promise.race([promise, abortPromise]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * 计算字符串 UTF-8 字节的 SHA-256（十六进制）
+ * 与服务端 server/chunking.js 的 checksum 一致
+ *
+ * @param {string} text - 要计算摘要的文本
+ * @returns {Promise<string>} - 十六进制摘要
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * 将序列化后的结果消息拆分为分块传输帧
+ * - chunk { requestId, index, total, data } × total，data 为序列化文本的切片
+ * - chunk_end { requestId, total, length, checksum }，结束帧不再携带正文
+ *
+ * @param {string} requestId - 所属请求 ID
+ * @param {string} raw - 序列化后的完整结果消息
+ * @param {number} chunkSize - 每块字符数
+ * @returns {Promise<Array>} - 按发送顺序排列的帧
+ */
+async function buildChunkFrames(requestId, raw, chunkSize) {
+  const total = Math.ceil(raw.length / chunkSize);
+  const frames = [];
+  for (let index = 0; index < total; index++) {
+    frames.push({
+      type: 'chunk',
+      requestId,
+      index,
+      total,
+      data: raw.slice(index * chunkSize, (index + 1) * chunkSize)
+    });
+  }
+  frames.push({
+    type: 'chunk_end',
+    requestId,
+    total,
+    length: raw.length,
+    checksum: await sha256Hex(raw)
+  });
+  return frames;
+}
+
+/**
+ * 与服务端、Node.js 客户端共用的错误码（见 server/errors.js）
+ * 扩展发出的错误响应，code 都取自其中
+ */
+const ERROR_CODES = [
+  'INVALID_PARAMS',
+  'TAB_NOT_FOUND',
+  'ELEMENT_NOT_FOUND',
+  'PERMISSION_DENIED',
+  'SCRIPT_ERROR',
+  'TIMEOUT',
+  'CANCELLED',
+  'RATE_LIMITED',
+  'QUEUE_FULL',
+  'EXTENSION_ERROR'
+];
+
+/**
+ * 创建带错误码的错误
+ *
+ * @param {string} code - 错误码（ERROR_CODES 之一）
+ * @param {string} message - 错误信息
+ * @returns {Error} - 带 code 的错误
+ */
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 取错误对应的错误码
+ * 已带 code 的沿用；浏览器 API 的报错按内容识别标签页不存在、无权访问；其余为 fallback
+ *
+ * @param {Error} error - 捕获的错误
+ * @param {string} fallback - 无法识别时使用的错误码
+ * @returns {string} - ERROR_CODES 之一
+ */
+function errorCode(error, fallback = 'EXTENSION_ERROR') {
+  if (error && ERROR_CODES.includes(error.code)) {
+    return error.code;
+  }
+  const message = String((error && error.message) || '');
+  if (message.includes('脚本执行错误')) {
+    return 'SCRIPT_ERROR';
+  }
+  if (/no tab with id|invalid tab id/i.test(message)) {
+    return 'TAB_NOT_FOUND';
+  }
+  if (/cannot access|missing host permission/i.test(message)) {
+    return 'PERMISSION_DENIED';
+  }
+  return fallback;
+}
+
+/**
+ * 解析批量步骤参数中的结果引用
+ * 形如 { $ref: 'login.data.url' } 的值替换为前面步骤结果中对应的字段：
+ * 第一段为步骤 id 或序号，其余为字段路径
+ *
+ * @param {*} value - 步骤参数（可任意嵌套）
+ * @param {Object} outputs - 已成功步骤的结果，以步骤 id 和序号为键
+ * @returns {*} - 替换引用后的副本
+ */
+function resolveStepRefs(value, outputs) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveStepRefs(item, outputs));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.$ref === 'string' && Object.keys(value).length === 1) {
+    const [key, ...path] = value.$ref.split('.');
+    if (!Object.prototype.hasOwnProperty.call(outputs, key)) {
+      throw codedError('INVALID_PARAMS', `引用的步骤不存在或未成功: ${value.$ref}`);
+    }
+    return path.reduce((current, field) => (current == null ? undefined : current[field]), outputs[key]);
+  }
+  
+  const resolved = {};
+  for (const [field, item] of Object.entries(value)) {
+    resolved[field] = resolveStepRefs(item, outputs);
+  }
+  return resolved;
+}
+
+/**
+ * 为批量中的脚本步骤注入前面步骤的结果
+ * 脚本中可用 $results（以步骤 id 和序号为键）和 $prev（上一步的结果），
+ * 代码没有引用它们时原样返回
+ *
+ * @param {string} code - 步骤的脚本
+ * @param {Object} outputs - 已成功步骤的结果
+ * @param {Object|null} prev - 上一步的结果
+ * @returns {string} - 可直接执行的脚本
+ */
+function buildStepScript(code, outputs, prev) {
+  if (typeof code !== 'string' || !/\$results|\$prev/.test(code)) {
+    return code;
+  }
+  return `(function ($results, $prev) { return eval(${JSON.stringify(code)}); })`
+    + `(${JSON.stringify(outputs)}, ${JSON.stringify(prev ?? null)})`;
+}
+
 /**
  * 滑动窗口速率限制器
  * 限制单位时间内的请求数量
@@ -610,7 +792,8 @@ class HealthChecker {
 
 /**
  * SSE 客户端
- * 用于接收服务端推送事件，作为 WebSocket 的降级方案
+ * 用于接收服务端推送事件，作为 WebSocket 的降级方案。
+ * 服务端 → 扩展走 SSE 流，扩展 → 服务端通过 send() 以 HTTP POST 发送。
  */
 class SSEClient {
   /**
@@ -627,10 +810,13 @@ class SSEClient {
     this.maxReconnectAttempts = config.maxReconnectAttempts || 10;
     
     this.eventSource = null;
+    this.abortController = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
     this.currentRequestId = null;
+    // 服务端分配的通道 ID（由 sse_connected 消息下发），POST 回传时使用
+    this.channelId = null;
     
     // 事件回调
     this.onMessage = null;
@@ -643,10 +829,11 @@ class SSEClient {
 
   /**
    * 连接到 SSE 端点
+   * 环境中没有 EventSource 时（如 MV3 Service Worker）改用 fetch 流读取
    * @param {string} requestId - 可选，订阅特定请求的事件
    */
   connect(requestId = null) {
-    if (this.eventSource) {
+    if (this.eventSource || this.abortController) {
       this.disconnect();
     }
     
@@ -658,67 +845,31 @@ class SSEClient {
     
     console.log('[SSEClient] 连接到:', url);
     
+    if (typeof EventSource === 'undefined') {
+      this.connectWithFetch(url);
+      return;
+    }
+    
     try {
       this.eventSource = new EventSource(url);
       
-      this.eventSource.onopen = () => {
-        this.isConnected = true;
-        this.reconnectAttempts = 0;
-        console.log('[SSEClient] 连接已建立');
-        if (this.onConnect) {
-          this.onConnect();
-        }
-      };
+      this.eventSource.onopen = () => this.handleOpen();
       
-      this.eventSource.onerror = (error) => {
-        console.error('[SSEClient] 连接错误:', error);
-        this.isConnected = false;
-        
-        if (this.onError) {
-          this.onError(error);
-        }
-        
-        // 尝试重连
-        this.scheduleReconnect();
-      };
+      this.eventSource.onerror = (error) => this.handleError(error);
       
       // 监听通用消息
       this.eventSource.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log('[SSEClient] 收到消息:', data);
-          if (this.onMessage) {
-            this.onMessage(data);
-          }
-        } catch (e) {
-          console.error('[SSEClient] 解析消息失败:', e);
-        }
+        this.dispatchEvent('message', event.data);
       };
       
       // 监听回调结果事件
       this.eventSource.addEventListener('callback_result', (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log('[SSEClient] 收到回调结果:', data);
-          if (this.onCallbackResult) {
-            this.onCallbackResult(data);
-          }
-        } catch (e) {
-          console.error('[SSEClient] 解析回调结果失败:', e);
-        }
+        this.dispatchEvent('callback_result', event.data);
       });
       
       // 监听请求超时事件
       this.eventSource.addEventListener('request_timeout', (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log('[SSEClient] 收到超时通知:', data);
-          if (this.onRequestTimeout) {
-            this.onRequestTimeout(data);
-          }
-        } catch (e) {
-          console.error('[SSEClient] 解析超时通知失败:', e);
-        }
+        this.dispatchEvent('request_timeout', event.data);
       });
       
     } catch (error) {
@@ -727,6 +878,144 @@ class SSEClient {
     }
   }
 
+  /**
+   * 通过 fetch 读取 text/event-stream
+   * @param {string} url - SSE 地址
+   */
+  connectWithFetch(url) {
+    const controller = new AbortController();
+    this.abortController = controller;
+    
+    fetch(url, { headers: { Accept: 'text/event-stream' }, signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok || !response.body) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        this.handleOpen();
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+          
+          let boundary;
+          while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            this.parseFrame(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+          }
+        }
+        throw new Error('SSE 流已结束');
+      })
+      .catch((error) => {
+        // 主动断开导致的中止不需要重连
+        if (controller.signal.aborted) return;
+        this.handleError(error);
+      });
+  }
+
+  /**
+   * 解析单个 SSE 帧（event:/data: 行，忽略 : 开头的注释）
+   * @param {string} frame - 不含结尾空行的帧文本
+   */
+  parseFrame(frame) {
+    let eventName = 'message';
+    const dataLines = [];
+    
+    for (const line of frame.split('\n')) {
+      if (!line || line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') eventName = value;
+      else if (field === 'data') dataLines.push(value);
+    }
+    
+    if (dataLines.length > 0) {
+      this.dispatchEvent(eventName, dataLines.join('\n'));
+    }
+  }
+
+  /**
+   * 分发 SSE 事件到对应回调
+   * @param {string} eventName - 事件名
+   * @param {string} rawData - 事件数据（JSON 字符串）
+   */
+  dispatchEvent(eventName, rawData) {
+    let data;
+    try {
+      data = JSON.parse(rawData);
+    } catch (e) {
+      console.error(`[SSEClient] 解析 ${eventName} 失败:`, e);
+      return;
+    }
+    
+    if (eventName === 'callback_result') {
+      if (this.onCallbackResult) this.onCallbackResult(data);
+    } else if (eventName === 'request_timeout') {
+      if (this.onRequestTimeout) this.onRequestTimeout(data);
+    } else if (data.type === 'sse_connected') {
+      this.channelId = data.channelId || null;
+      console.log('[SSEClient] 通道已分配:', this.channelId);
+    } else if (this.onMessage) {
+      this.onMessage(data);
+    }
+  }
+
+  handleOpen() {
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+    console.log('[SSEClient] 连接已建立');
+    if (this.onConnect) {
+      this.onConnect();
+    }
+  }
+
+  handleError(error) {
+    console.error('[SSEClient] 连接错误:', error);
+    this.isConnected = false;
+    this.channelId = null;
+    
+    if (this.onError) {
+      this.onError(error);
+    }
+    
+    // 尝试重连
+    this.scheduleReconnect();
+  }
+
+  /**
+   * 是否可以通过 POST 回传消息
+   */
+  canSend() {
+    return this.isConnected && !!this.channelId;
+  }
+
+  /**
+   * 通过 HTTP POST 向服务端发送消息
+   * @param {Object} message - 消息对象
+   */
+  async send(message) {
+    if (!this.canSend()) {
+      throw new Error('SSE 通道未就绪');
+    }
+    
+    const url = `${this.httpServerUrl}${this.endpoint}/${encodeURIComponent(this.channelId)}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`SSE 消息发送失败: HTTP ${response.status}`);
+    }
+    return true;
+  }
+
   /**
    * 断开连接
    */
@@ -741,8 +1030,14 @@ class SSEClient {
       this.eventSource = null;
     }
     
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    
     this.isConnected = false;
     this.currentRequestId = null;
+    this.channelId = null;
     
     console.log('[SSEClient] 已断开连接');
     if (this.onDisconnect) {
@@ -781,7 +1076,8 @@ class SSEClient {
     return {
       isConnected: this.isConnected,
       reconnectAttempts: this.reconnectAttempts,
-      currentRequestId: this.currentRequestId
+      currentRequestId: this.currentRequestId,
+      channelId: this.channelId
     };
   }
 }
@@ -790,6 +1086,14 @@ class SSEClient {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     withTimeout,
+    withAbort,
+    sha256Hex,
+    buildChunkFrames,
+    ERROR_CODES,
+    codedError,
+    errorCode,
+    resolveStepRefs,
+    buildStepScript,
     RateLimiter,
     RequestDeduplicator,
     RequestQueueManager,
@@ -800,6 +1104,14 @@ if (typeof module !== 'undefined' && module.exports) {
   // 浏览器环境，挂载到 window
   window.ExtensionUtils = {
     withTimeout,
+    withAbort,
+    sha256Hex,
+    buildChunkFrames,
+    ERROR_CODES,
+    codedError,
+    errorCode,
+    resolveStepRefs,
+    buildStepScript,
     RateLimiter,
     RequestDeduplicator,
     RequestQueueManager,
@@ -60,6 +60,30 @@ const DEFAULT_CONFIG = {
     maxReconnectAttempts: 10,     // 最大重连次数
     fallbackAfterWsFailures: 5    // WebSocket 失败多少次后降级到 SSE
   },
+
+  // 分块传输配置（大结果拆分发送，与服务端保持一致）
+  CHUNKED_TRANSFER: {
+    threshold: 100000,            // 序列化结果超过该字符数时分块
+    chunkSize: 50000              // 每块字符数
+  },
+
+  // 协议版本与能力声明（随 init 发送，服务器据此协商版本并拒绝不支持的动作）
+  PROTOCOL: {
+    version: 2,                   // 支持的最新协议版本
+    minVersion: 1,                // 支持的最旧协议版本
+    // 本扩展能处理的服务器转发动作
+    actions: [
+      'open_url', 'close_tab', 'get_html', 'execute_script', 'inject_css',
+      'get_cookies', 'get_cookies_by_domain', 'upload_file_to_tab', 'batch',
+      'subscribe_events', 'unsubscribe_events'
+    ],
+    // 可推送的浏览器事件
+    events: [
+      'tabCreated', 'tabUpdated', 'tabRemoved', 'tabActivated',
+      'navigationCommitted', 'navigationCompleted', 'downloadCreated', 'downloadChanged'
+    ],
+    maxPayload: 64 * 1024 * 1024  // 单条消息上限（字节），服务器不会转发更大的请求
+  },
   
   // 安全配置（用于扩展中转通信模式）
   SECURITY: {
@@ -0,0 +1,196 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_REDACT = ['scripts', 'cookies'];
+const REDACT_OPTIONS = ['scripts', 'cookies'];
+const QUERY_LIMIT_MAX = 1000;
+
+// ── journal writer ──────────────────────────────────────────────────
+
+/**
+ * Append-only JSONL journal of browser commands. When the file would grow
+ * past `maxBytes` it is rotated to `<file>.1` (older files shift up, the
+ * oldest beyond `maxFiles` is deleted). Returns null when no path is given.
+ */
+function createAuditLog(options = {}) {
+  if (!options.auditLog) return null;
+
+  const file = path.resolve(options.auditLog);
+  const maxBytes = options.auditMaxSize ? options.auditMaxSize * 1024 * 1024 : DEFAULT_MAX_BYTES;
+  const maxFiles = options.auditMaxFiles || DEFAULT_MAX_FILES;
+  const redact = new Set(parseRedact(options.auditRedact));
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  function rotate() {
+    const oldest = `${file}.${maxFiles}`;
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    fs.renameSync(file, `${file}.1`);
+    size = 0;
+  }
+
+  function record(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+    try {
+      if (size > 0 && size + bytes > maxBytes) rotate();
+      fs.appendFileSync(file, line);
+      size += bytes;
+    } catch (err) {
+      // A broken journal must not take the command path down with it
+      console.error(`[Audit] Failed to write ${file}: ${err.message}`);
+    }
+  }
+
+  return { file, maxFiles, redact, record };
+}
+
+/**
+ * `auditRedact` accepts an array or a comma-separated string; 'none'
+ * disables redaction. Defaults to redacting scripts and cookies.
+ */
+function parseRedact(value) {
+  if (value === undefined || value === null) return DEFAULT_REDACT;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const names = list.map((v) => String(v).trim()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') return [];
+
+  const unknown = names.filter((n) => !REDACT_OPTIONS.includes(n));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown audit redaction "${unknown.join(', ')}"; use ${REDACT_OPTIONS.join(', ')} or none`);
+  }
+  return names;
+}
+
+// ── entry contents ──────────────────────────────────────────────────
+
+function redacted(text) {
+  const value = String(text);
+  return {
+    redacted: true,
+    length: value.length,
+    sha256: crypto.createHash('sha256').update(value, 'utf8').digest('hex'),
+  };
+}
+
+/**
+ * The command's parameters as they go into the journal. Script and CSS
+ * bodies are replaced by their length and hash when `scripts` is redacted;
+ * uploaded file contents are never written.
+ */
+function sanitizeParams(action, params, redact) {
+  const out = { ...params };
+  for (const field of ['code', 'css']) {
+    if (out[field] !== undefined && redact.has('scripts')) out[field] = redacted(out[field]);
+  }
+  if (Array.isArray(out.files)) {
+    out.files = out.files.map((f) => ({
+      redacted: true,
+      name: f && f.name,
+      type: f && f.type,
+      size: f && typeof f.base64 === 'string' ? f.base64.length : undefined,
+    }));
+  }
+  if (Array.isArray(out.steps)) {
+    out.steps = out.steps.map((step) => (step && typeof step === 'object'
+      ? sanitizeParams(step.action, step, redact)
+      : step));
+  }
+  return out;
+}
+
+/**
+ * Reduce a response to what the journal keeps: outcome, error code, the tab
+ * opened by open_url (needed for replay) and a cookie summary. Cookie values
+ * are never written; with `cookies` redacted only the count is.
+ */
+function summarizeOutcome(response, redact) {
+  const summary = { outcome: response.status === 'error' ? 'error' : 'success' };
+  if (response.code === 'TIMEOUT') summary.outcome = 'timeout';
+  if (response.code === 'FORBIDDEN') summary.outcome = 'forbidden';
+  if (response.code === 'CANCELLED') summary.outcome = 'cancelled';
+  if (response.code) summary.code = response.code;
+  if (response.status === 'error' && response.message) summary.message = response.message;
+
+  if ((response.type === 'open_url_complete' || response.type === 'batch_complete')
+    && response.tabId !== undefined && response.tabId !== null) {
+    summary.resultTabId = response.tabId;
+  }
+  if (Array.isArray(response.cookies)) {
+    summary.cookieCount = response.cookies.length;
+    if (!redact.has('cookies')) {
+      summary.cookies = response.cookies.map((c) => ({ name: c.name, domain: c.domain, path: c.path }));
+    }
+  }
+  return summary;
+}
+
+// ── reading / querying ──────────────────────────────────────────────
+
+function parseLines(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Torn last line after a crash
+    }
+  }
+  return entries;
+}
+
+/**
+ * Every entry of a journal, oldest first, including its rotated files.
+ */
+function readJournal(file, maxFiles = DEFAULT_MAX_FILES) {
+  const files = [];
+  for (let i = maxFiles; i >= 1; i--) files.push(`${file}.${i}`);
+  files.push(file);
+
+  return files
+    .filter((f) => fs.existsSync(f))
+    .flatMap((f) => parseLines(fs.readFileSync(f, 'utf8')));
+}
+
+/**
+ * Filter journal entries by `client`, `key`, `action`, `outcome`,
+ * `requestId`, `tabUrl` substring and `since` / `until` (ISO dates).
+ * Returns the newest `limit` matches, oldest first.
+ */
+function queryJournal(entries, filters = {}) {
+  const since = filters.since ? Date.parse(filters.since) : null;
+  const until = filters.until ? Date.parse(filters.until) : null;
+  const limit = Math.min(Number(filters.limit) || 100, QUERY_LIMIT_MAX);
+
+  const matches = entries.filter((e) => {
+    for (const field of ['client', 'key', 'action', 'outcome', 'requestId']) {
+      if (filters[field] && e[field] !== filters[field]) return false;
+    }
+    if (filters.tabUrl && !(e.tabUrl || '').includes(filters.tabUrl)) return false;
+    const ts = Date.parse(e.timestamp);
+    if (since !== null && ts < since) return false;
+    if (until !== null && ts > until) return false;
+    return true;
+  });
+  return matches.slice(-limit);
+}
+
+module.exports = {
+  DEFAULT_REDACT,
+  createAuditLog,
+  parseRedact,
+  sanitizeParams,
+  summarizeOutcome,
+  readJournal,
+  queryJournal,
+};
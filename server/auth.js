@@ -0,0 +1,77 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_SESSION_TTL_S = 3600;
+const SESSION_EXPIRING_NOTICE_S = 60;
+const AUTH_TIMEOUT_MS = 30000;
+
+// ── auth config ─────────────────────────────────────────────────────
+
+/**
+ * Build the auth config stored on server state.
+ * Returns null when no secret is configured (auth disabled).
+ */
+function createAuthConfig(options = {}) {
+  if (!options.authSecret) return null;
+  const ttl = options.sessionTtl || DEFAULT_SESSION_TTL_S;
+  return {
+    secret: String(options.authSecret),
+    sessionTtlMs: ttl * 1000,
+    expiringNoticeMs: Math.min(SESSION_EXPIRING_NOTICE_S * 1000, Math.floor((ttl * 1000) / 2)),
+    authTimeoutMs: options.authTimeout || AUTH_TIMEOUT_MS,
+  };
+}
+
+// ── HMAC challenge-response ─────────────────────────────────────────
+
+function createChallenge() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function computeHmac(secret, message) {
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function verifyChallengeResponse(secret, challenge, response) {
+  if (!challenge || typeof response !== 'string') return false;
+  return safeEqual(computeHmac(secret, challenge), response.toLowerCase());
+}
+
+// ── automation tokens ───────────────────────────────────────────────
+
+/**
+ * Read an automation token from `Authorization: Bearer <token>` or `?token=`.
+ */
+function extractToken(request, url) {
+  const header = request.headers && request.headers.authorization;
+  if (header && /^bearer\s+/i.test(header)) {
+    return header.replace(/^bearer\s+/i, '').trim();
+  }
+  return url.searchParams.get('token') || null;
+}
+
+function verifyToken(auth, token) {
+  return safeEqual(auth.secret, token);
+}
+
+module.exports = {
+  DEFAULT_SESSION_TTL_S,
+  SESSION_EXPIRING_NOTICE_S,
+  AUTH_TIMEOUT_MS,
+  createAuthConfig,
+  createChallenge,
+  computeHmac,
+  safeEqual,
+  verifyChallengeResponse,
+  extractToken,
+  verifyToken,
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Results whose serialized form exceeds CHUNK_THRESHOLD chars travel as
+// CHUNK_SIZE slices; the extension uses the same numbers.
+const CHUNK_SIZE = 50000;
+const CHUNK_THRESHOLD = 100000;
+const MAX_TRANSFER_CHARS = 64 * 1024 * 1024;
+
+/**
+ * SHA-256 (hex) over the UTF-8 bytes of a string — what the extension
+ * computes with crypto.subtle.
+ */
+function checksum(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+// ── sender side ─────────────────────────────────────────────────────
+
+/**
+ * Split a serialized message into the chunked-transfer frames:
+ *
+ *   { type: 'chunk', requestId, index, total, data }        × total
+ *   { type: 'chunk_end', requestId, total, length, checksum }
+ *
+ * `data` is a slice of the serialized message, so any result type can be
+ * chunked. The end frame carries no body — only what the receiver needs to
+ * verify the reassembled text.
+ */
+function splitIntoChunks(requestId, raw, chunkSize = CHUNK_SIZE) {
+  const total = Math.ceil(raw.length / chunkSize);
+  const frames = [];
+  for (let index = 0; index < total; index++) {
+    frames.push({
+      type: 'chunk',
+      requestId,
+      index,
+      total,
+      data: raw.slice(index * chunkSize, (index + 1) * chunkSize),
+    });
+  }
+  frames.push({ type: 'chunk_end', requestId, total, length: raw.length, checksum: checksum(raw) });
+  return frames;
+}
+
+// ── receiver side ───────────────────────────────────────────────────
+
+/**
+ * Feed one `chunk` / `chunk_end` frame into `transfers` (requestId -> buffer).
+ * Frames may arrive out of order (the SSE fallback POSTs them concurrently),
+ * so slices are stored by index and the transfer completes once the end
+ * frame and every slice are in.
+ *
+ * Returns null while incomplete, `{ raw }` with the reassembled text, or
+ * `{ error }` when the transfer is malformed or fails verification.
+ */
+function acceptChunkFrame(transfers, frame) {
+  const { requestId } = frame;
+  let transfer = transfers.get(requestId);
+  if (!transfer) {
+    transfer = { chunks: [], received: 0, size: 0, total: null, end: null, startedAt: Date.now() };
+    transfers.set(requestId, transfer);
+  }
+
+  const fail = (error) => {
+    transfers.delete(requestId);
+    return { error };
+  };
+
+  if (!Number.isInteger(frame.total) || frame.total < 1) return fail('Invalid chunk total');
+  if (transfer.total === null) transfer.total = frame.total;
+  if (frame.total !== transfer.total) return fail('Inconsistent chunk total');
+
+  if (frame.type === 'chunk') {
+    const { index, data } = frame;
+    if (!Number.isInteger(index) || index < 0 || index >= transfer.total || typeof data !== 'string') {
+      return fail('Malformed chunk');
+    }
+    if (transfer.chunks[index] === undefined) {
+      transfer.chunks[index] = data;
+      transfer.received++;
+      transfer.size += data.length;
+      if (transfer.size > MAX_TRANSFER_CHARS) return fail('Chunked transfer too large');
+    }
+  } else {
+    transfer.end = frame;
+  }
+
+  if (!transfer.end || transfer.received < transfer.total) return null;
+
+  transfers.delete(requestId);
+  const raw = transfer.chunks.join('');
+  if (raw.length !== transfer.end.length || checksum(raw) !== transfer.end.checksum) {
+    return { error: 'Chunked transfer failed integrity check' };
+  }
+  return { raw };
+}
+
+/**
+ * Drop transfers that never completed (sender died mid-stream).
+ */
+function expireTransfers(transfers, maxAgeMs) {
+  const cutoff = Date.now() - maxAgeMs;
+  for (const [requestId, transfer] of transfers) {
+    if (transfer.startedAt < cutoff) transfers.delete(requestId);
+  }
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  CHUNK_THRESHOLD,
+  MAX_TRANSFER_CHARS,
+  checksum,
+  splitIntoChunks,
+  acceptChunkFrame,
+  expireTransfers,
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_SIZE = 100;
+const ERROR_HISTORY_SIZE = 50;
+const PUSH_INTERVAL_MS = 500;
+const DASHBOARD_PATH = '/dashboard';
+const DASHBOARD_HTML = path.join(__dirname, 'dashboard.html');
+
+// Journal fields shown in the command history (parameters are left out)
+const HISTORY_FIELDS = [
+  'timestamp', 'requestId', 'client', 'key', 'transport', 'action', 'target', 'extension',
+  'tabId', 'tabUrl', 'durationMs', 'outcome', 'code', 'message',
+];
+
+let cachedHtml = null;
+
+function readDashboardHtml() {
+  if (!cachedHtml) cachedHtml = fs.readFileSync(DASHBOARD_HTML, 'utf8');
+  return cachedHtml;
+}
+
+// ── live state ──────────────────────────────────────────────────────
+
+/**
+ * Live view for the built-in dashboard page. Completed commands are fed in
+ * through `record()` (the same entries the audit journal gets); connected
+ * browsers and pending requests are read from `state` when a snapshot is
+ * built. Subscribed sockets get a `dashboard` message on subscribe and then
+ * whenever the snapshot changes — checked every `pushIntervalMs` while
+ * anyone is subscribed, like the relay's tab sync.
+ */
+function createDashboard(state, {
+  summarize,
+  historySize = HISTORY_SIZE,
+  pushIntervalMs = PUSH_INTERVAL_MS,
+} = {}) {
+  const startedAt = new Date().toISOString();
+  const history = []; // newest first
+  const errors = []; // newest first, kept longer than they stay in history
+  const subscribers = new Set();
+  let timer = null;
+  let lastRaw = null;
+
+  function record(entry) {
+    const item = {};
+    for (const field of HISTORY_FIELDS) {
+      if (entry[field] !== undefined) item[field] = entry[field];
+    }
+    history.unshift(item);
+    if (history.length > historySize) history.pop();
+    if (item.outcome && item.outcome !== 'success') {
+      errors.unshift(item);
+      if (errors.length > ERROR_HISTORY_SIZE) errors.pop();
+    }
+  }
+
+  function snapshot() {
+    const pending = [];
+    for (const [requestId, info] of state.pendingResponses) {
+      pending.push({
+        requestId,
+        action: info.operationType,
+        clientId: info.ext ? info.ext.clientId : null,
+        browser: info.browser,
+        tabId: info.message && info.message.tabId !== undefined ? info.message.tabId : null,
+        owner: info.owner,
+        startedAt: new Date(info.createdAt).toISOString(),
+        timeoutMs: info.timeoutMs,
+      });
+    }
+    return {
+      startedAt,
+      browsers: summarize(),
+      pending,
+      history: history.slice(),
+      errors: errors.slice(),
+      automationClients: state.automationClients.size,
+      bridges: [...state.bridges.keys()],
+    };
+  }
+
+  function push() {
+    if (subscribers.size === 0) return;
+    const raw = JSON.stringify({ type: 'dashboard', ...snapshot() });
+    if (raw === lastRaw) return;
+    lastRaw = raw;
+    for (const socket of subscribers) {
+      if (socket.readyState === 1) socket.send(raw);
+    }
+  }
+
+  function subscribe(socket) {
+    // Bring existing subscribers up to date so they share `lastRaw` with the newcomer
+    push();
+    subscribers.add(socket);
+    lastRaw = JSON.stringify({ type: 'dashboard', ...snapshot() });
+    if (socket.readyState === 1) socket.send(lastRaw);
+    if (!timer) {
+      timer = setInterval(push, pushIntervalMs);
+      timer.unref();
+    }
+  }
+
+  function unsubscribe(socket) {
+    subscribers.delete(socket);
+    if (subscribers.size === 0) stop();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    lastRaw = null;
+  }
+
+  return {
+    record,
+    snapshot,
+    subscribe,
+    unsubscribe,
+    push,
+    stop,
+    get subscribers() {
+      return subscribers.size;
+    },
+  };
+}
+
+module.exports = {
+  DASHBOARD_PATH,
+  HISTORY_SIZE,
+  PUSH_INTERVAL_MS,
+  createDashboard,
+  readDashboardHtml,
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Machine-readable error codes of the automation protocol. Every error a
+ * caller receives (`status: 'error'` responses, `type: 'error'` messages)
+ * carries one of these in `code`; the extensions and the Node.js client use
+ * the same set. Callers branch on the code; the message is for humans and
+ * may be in any language.
+ */
+const ERROR_CODES = Object.freeze({
+  // The request itself
+  INVALID_JSON: 'The message is not valid JSON',
+  INVALID_PARAMS: 'A field is missing or has the wrong type (see `errors`)',
+  INVALID_TIMEOUT: 'timeoutMs is not a positive number',
+  INVALID_EVENT: 'Unknown browser event name',
+  INVALID_BROADCAST: 'The broadcast command cannot be fanned out as asked',
+  UNKNOWN_ACTION: 'The server does not know the action',
+  UNSUPPORTED_ACTION: 'The browser extension does not support the action',
+  PAYLOAD_TOO_LARGE: 'The request is larger than the peer accepts',
+  UNSUPPORTED_MEDIA_TYPE: 'A REST command body is not sent as application/json',
+  PROTOCOL_MISMATCH: 'No protocol version in common',
+
+  // Access
+  AUTH_REQUIRED: 'The connection has not authenticated yet',
+  AUTH_FAILED: 'Invalid or missing token',
+  SESSION_EXPIRED: 'The extension session expired',
+  FORBIDDEN: 'The API key scope does not allow the request',
+  RATE_LIMITED: 'Too many requests; retry after `retryAfter` seconds',
+  QUEUE_FULL: 'The extension has too many requests in flight',
+
+  // Routing
+  NO_EXTENSION: 'No connected browser matches the request',
+  AMBIGUOUS_TARGET: 'Several browsers match; pass a tab handle or target',
+  EXTENSION_STALE: 'The browser stopped answering heartbeats',
+  EXTENSION_DISCONNECTED: 'The browser disconnected before answering',
+  NOT_FOUND: 'No such pending or stored request',
+
+  // In the browser
+  TAB_NOT_FOUND: 'The tab does not exist (any more)',
+  ELEMENT_NOT_FOUND: 'No element matches the selector',
+  PERMISSION_DENIED: 'The browser does not let the extension access the page',
+  SCRIPT_ERROR: 'The injected script threw',
+  TIMEOUT: 'The deadline passed before the browser answered',
+  CANCELLED: 'The request was cancelled',
+
+  // Transport and everything else
+  CHUNK_INTEGRITY: 'A chunked result failed its length or checksum check',
+  INVALID_RESPONSE: 'The extension answered with a malformed result',
+  INVALID_BRIDGE_NAME: 'The relay bridge name is not allowed',
+  AUDIT_DISABLED: 'The audit journal is off',
+  EXTENSION_ERROR: 'Any other failure inside the browser extension',
+});
+
+// Codes sent by extensions released before the shared set
+const LEGACY_CODES = {
+  OPEN_URL_ERROR: 'EXTENSION_ERROR',
+  HTML_ERROR: 'EXTENSION_ERROR',
+};
+
+function isErrorCode(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(ERROR_CODES, code);
+}
+
+/**
+ * Map the code of an extension error onto the shared set. Older extensions
+ * sent their own codes, or none, with Chinese messages; the browser's own
+ * wording (Chrome and Firefox) identifies missing tabs and denied access.
+ */
+function normalizeErrorCode(code, message) {
+  if (isErrorCode(code)) return code;
+  const text = typeof message === 'string' ? message : '';
+  // A page script's own message may say anything
+  if (text.includes('脚本执行错误')) return 'SCRIPT_ERROR';
+  if (text.includes('超时')) return 'TIMEOUT';
+  if (/no tab with id|invalid tab id/i.test(text)) return 'TAB_NOT_FOUND';
+  if (/cannot access|missing host permission|permission/i.test(text)) return 'PERMISSION_DENIED';
+  return LEGACY_CODES[code] || 'EXTENSION_ERROR';
+}
+
+module.exports = {
+  ERROR_CODES,
+  isErrorCode,
+  normalizeErrorCode,
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+const v8 = require('v8');
+
+// warning / critical levels for each signal
+const DEFAULT_THRESHOLDS = {
+  pendingRequests: { warning: 100, critical: 500 },
+  eventLoopLagMs: { warning: 200, critical: 1000 },
+  timeoutRatio: { warning: 0.2, critical: 0.5 },
+  heapUsedRatio: { warning: 0.8, critical: 0.9 },
+};
+
+// Seconds a client should wait before retrying, per status
+const RETRY_AFTER = { warning: 5, critical: 30 };
+
+const LAG_SAMPLE_MS = 500;
+const LAG_WINDOW = 20; // samples kept, i.e. the last 10s
+const OUTCOME_WINDOW_MS = 5 * 60 * 1000;
+const OUTCOME_MIN_SAMPLES = 20; // fewer completions say nothing about the ratio
+const EVALUATE_CACHE_MS = 1000;
+const PROBE_INTERVAL_MS = 5000; // while shedding on timeouts alone
+
+const SEVERITY = { healthy: 0, warning: 1, critical: 2 };
+
+function grade(value, { warning, critical }) {
+  if (value >= critical) return 'critical';
+  if (value >= warning) return 'warning';
+  return 'healthy';
+}
+
+/**
+ * Server health from real signals: pending request backlog, event-loop lag,
+ * the share of recent requests that timed out, and heap usage. `evaluate()`
+ * grades each against `thresholds` and reports the worst as the overall
+ * status — the `healthy` / `warning` / `critical` the extension's
+ * HealthChecker understands.
+ *
+ * The lag sampler runs between start() and stop(); without it lag reads 0.
+ */
+function createHealthMonitor(state, options = {}) {
+  const thresholds = {};
+  for (const [name, levels] of Object.entries(DEFAULT_THRESHOLDS)) {
+    thresholds[name] = { ...levels, ...(options.healthThresholds || {})[name] };
+  }
+
+  const lagSamples = [];
+  const outcomes = []; // { at, timedOut }
+  let lagTimer = null;
+  let cached = null;
+  let nextProbeAt = 0;
+
+  function start() {
+    if (lagTimer) return;
+    let expected = Date.now() + LAG_SAMPLE_MS;
+    lagTimer = setInterval(() => {
+      const now = Date.now();
+      lagSamples.push(Math.max(0, now - expected));
+      if (lagSamples.length > LAG_WINDOW) lagSamples.shift();
+      expected = now + LAG_SAMPLE_MS;
+    }, LAG_SAMPLE_MS);
+    lagTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(lagTimer);
+    lagTimer = null;
+  }
+
+  /**
+   * Note a finished request that reached an extension. An answer while the
+   * timeout ratio is critical means the browsers respond again: the
+   * timeouts before it no longer describe them, so the window starts over.
+   */
+  function recordOutcome(timedOut) {
+    if (!timedOut && grade(timeoutRatio(), thresholds.timeoutRatio) === 'critical') {
+      outcomes.length = 0;
+      cached = null;
+    }
+    outcomes.push({ at: Date.now(), timedOut });
+  }
+
+  /**
+   * Load shedding stops the requests whose outcomes would bring the timeout
+   * ratio down. When it is the only critical signal, let one request through
+   * every PROBE_INTERVAL_MS to find out whether the browsers recovered.
+   */
+  function takeProbe() {
+    const { status, checks } = evaluate();
+    if (status !== 'critical' || Date.now() < nextProbeAt) return false;
+    const critical = Object.keys(checks).filter((name) => checks[name].status === 'critical');
+    if (critical.length !== 1 || critical[0] !== 'timeoutRatio') return false;
+    nextProbeAt = Date.now() + PROBE_INTERVAL_MS;
+    return true;
+  }
+
+  function timeoutRatio() {
+    const cutoff = Date.now() - OUTCOME_WINDOW_MS;
+    while (outcomes.length > 0 && outcomes[0].at < cutoff) outcomes.shift();
+    if (outcomes.length < OUTCOME_MIN_SAMPLES) return 0;
+    return outcomes.filter((o) => o.timedOut).length / outcomes.length;
+  }
+
+  /**
+   * `{ status, retryAfter?, checks: { <signal>: { value, status } } }`,
+   * cached for a second so per-request checks stay cheap.
+   */
+  function evaluate() {
+    if (cached && Date.now() - cached.at < EVALUATE_CACHE_MS) return cached.result;
+
+    const values = {
+      pendingRequests: state.pendingResponses.size,
+      eventLoopLagMs: lagSamples.length > 0 ? Math.max(...lagSamples) : 0,
+      timeoutRatio: Math.round(timeoutRatio() * 1000) / 1000,
+      heapUsedRatio: Math.round((process.memoryUsage().heapUsed / v8.getHeapStatistics().heap_size_limit) * 1000) / 1000,
+    };
+
+    let status = 'healthy';
+    const checks = {};
+    for (const [name, value] of Object.entries(values)) {
+      const level = grade(value, thresholds[name]);
+      checks[name] = { value, status: level };
+      if (SEVERITY[level] > SEVERITY[status]) status = level;
+    }
+
+    const result = { status, checks };
+    if (status !== 'healthy') result.retryAfter = RETRY_AFTER[status];
+    cached = { at: Date.now(), result };
+    return result;
+  }
+
+  return { start, stop, recordOutcome, evaluate, takeProbe };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  RETRY_AFTER,
+  PROBE_INTERVAL_MS,
+  createHealthMonitor,
+};
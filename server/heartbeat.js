@@ -0,0 +1,100 @@
+'use strict';
+
+const EXTENSION_HEARTBEAT_MS = 15000;
+const CLIENT_HEARTBEAT_MS = 30000;
+
+// Unanswered pings before a peer counts as stale, and before it is dropped
+const STALE_AFTER_MISSED = 1;
+const TERMINATE_AFTER_MISSED = 3;
+
+/**
+ * Anything received from a peer (a pong or a message) proves it alive.
+ */
+function markAlive(peer) {
+  peer.lastActivity = Date.now();
+  peer.missedPings = 0;
+  peer.stale = false;
+}
+
+// A bridged browser is only as reachable as the bridge it comes through
+function isStale(conn) {
+  return Boolean(conn.stale || (conn.bridge && conn.bridge.stale));
+}
+
+function intervalMs(seconds, fallback) {
+  if (seconds === undefined || seconds === null) return fallback;
+  return seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * WebSocket-level heartbeat. Every interval each peer is pinged; a peer that
+ * answered nothing (no pong, no message) since the previous ping has missed
+ * it. One missed ping marks the peer stale, and routing skips stale
+ * browsers; three terminate the socket, which runs the normal disconnect
+ * path (pending requests fail, or wait out the reconnect grace).
+ *
+ * Extensions and automation clients (with bridges) have their own
+ * interval, in seconds; 0 turns that heartbeat off. Sockets without
+ * `ping()` — bridged browsers, SSE channels — are skipped.
+ */
+function createHeartbeat(state, { heartbeatInterval, clientHeartbeatInterval } = {}) {
+  const extensionMs = intervalMs(heartbeatInterval, EXTENSION_HEARTBEAT_MS);
+  const clientMs = intervalMs(clientHeartbeatInterval, CLIENT_HEARTBEAT_MS);
+  const timers = [];
+
+  function sweep(kind, peers) {
+    const now = Date.now();
+    for (const [id, peer] of peers) {
+      const { socket } = peer;
+      if (typeof socket.ping !== 'function' || socket.readyState !== 1) continue;
+
+      if (peer.pingSentAt && peer.lastActivity < peer.pingSentAt) {
+        peer.missedPings = (peer.missedPings || 0) + 1;
+        if (peer.missedPings >= TERMINATE_AFTER_MISSED) {
+          console.warn(`[Heartbeat] ${kind} ${id} missed ${peer.missedPings} pings, dropping the connection`);
+          socket.terminate();
+          continue;
+        }
+        if (peer.missedPings >= STALE_AFTER_MISSED && !peer.stale) {
+          console.warn(`[Heartbeat] ${kind} ${id} is not answering pings, marked stale`);
+          peer.stale = true;
+        }
+      }
+
+      peer.pingSentAt = now;
+      socket.ping();
+    }
+  }
+
+  function every(ms, fn) {
+    if (ms <= 0) return;
+    const timer = setInterval(fn, ms);
+    timer.unref();
+    timers.push(timer);
+  }
+
+  function start() {
+    if (timers.length > 0) return;
+    every(extensionMs, () => sweep('Extension', state.extensionClients));
+    every(clientMs, () => {
+      sweep('Automation', state.automationClients);
+      sweep('Bridge', state.bridges);
+    });
+  }
+
+  function stop() {
+    for (const timer of timers.splice(0)) clearInterval(timer);
+  }
+
+  return { start, stop, sweep, extensionMs, clientMs };
+}
+
+module.exports = {
+  EXTENSION_HEARTBEAT_MS,
+  CLIENT_HEARTBEAT_MS,
+  STALE_AFTER_MISSED,
+  TERMINATE_AFTER_MISSED,
+  createHeartbeat,
+  markAlive,
+  isStale,
+};
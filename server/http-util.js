@@ -0,0 +1,75 @@
+'use strict';
+
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Collect a request body as a UTF-8 string, rejecting with statusCode 413
+ * (code PAYLOAD_TOO_LARGE) once it grows past `limit` bytes.
+ */
+function readBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413, code: 'PAYLOAD_TOO_LARGE' }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read and parse a JSON object body; an empty body yields `{}`. Anything
+ * else fails with statusCode 400 and code INVALID_JSON.
+ */
+async function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  const raw = await readBody(req, limit);
+  if (!raw.trim()) return {};
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    throw Object.assign(new Error('Invalid JSON body'), { statusCode: 400, code: 'INVALID_JSON' });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw Object.assign(new Error('JSON body must be an object'), { statusCode: 400, code: 'INVALID_JSON' });
+  }
+  return data;
+}
+
+/**
+ * True when a browser sent the request from another site's page. Requests
+ * without an Origin (Node.js, curl) and from the server's own pages pass.
+ */
+function isForeignOrigin(req) {
+  const origin = req.headers.origin;
+  if (origin === undefined) return false;
+  try {
+    return new URL(origin).host !== req.headers.host;
+  } catch {
+    return true; // "null" (sandboxed frames, file://)
+  }
+}
+
+/**
+ * A page can only send `application/json` cross-origin after a CORS
+ * preflight, which the command endpoints never grant.
+ */
+function isJsonContentType(req) {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return type === 'application/json';
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  readBody,
+  readJsonBody,
+  isForeignOrigin,
+  isJsonContentType,
+};
@@ -1,138 +1,282 @@
 'use strict';
 
+const fs = require('fs');
 const http = require('http');
+const https = require('https');
+const net = require('net');
 const { WebSocketServer } = require('ws');
-const { handleConnection, createState, startCleanup, getExtensionSummaries } = require('./ws-handler');
+const { handleConnection, createState, startCleanup } = require('./ws-handler');
+const { createSseTransport, SSE_ENDPOINT } = require('./sse');
+const { createRestApi, REST_COMMANDS, REST_PREFIX, RESPONSES_PREFIX } = require('./rest-api');
+const { loadApiKeysFile } = require('./scopes');
+const { loadTlsFiles } = require('./tls');
+const { createRelay } = require('./relay');
+const { DASHBOARD_PATH, readDashboardHtml } = require('./dashboard');
+const { MAX_PAYLOAD_BYTES } = require('./protocol');
+
+// Served on TCP even when the control API is confined to the Unix socket:
+// what the extension needs to discover, authenticate and connect
+const EXTENSION_GET_PATHS = new Set(['/', '/api/browser/config', '/api/browser/health', '/metrics', SSE_ENDPOINT]);
+
+// Public, read-only endpoints any page may read. Everything else gets no
+// CORS headers, so other sites' pages cannot read its answers
+const CORS_PATHS = new Set(['/', '/api/browser/config', '/api/browser/health']);
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+function isExtensionRequest(method, path) {
+  if (method === 'GET') return EXTENSION_GET_PATHS.has(path);
+  return method === 'POST' && path.startsWith(`${SSE_ENDPOINT}/`);
+}
+
+/**
+ * A socket file left behind by a crashed server blocks listen(); remove it
+ * unless a live server still answers on it.
+ */
+function removeStaleSocket(socketPath) {
+  return new Promise((resolve, reject) => {
+    if (process.platform === 'win32' || !fs.existsSync(socketPath)) {
+      resolve();
+      return;
+    }
+    const probe = net.connect(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      reject(new Error(`${socketPath} 已被另一个服务占用`));
+    });
+    probe.once('error', () => {
+      fs.rmSync(socketPath, { force: true });
+      resolve();
+    });
+  });
+}
 
 // ── server factory ──────────────────────────────────────────────────
 
 function createServer(options = {}) {
-  const port = options.port || 18080;
+  const port = options.port ?? 18080;
   const host = options.host || 'localhost';
   const logger = options.logger || console;
-
-  const state = createState();
+  const tls = options.tls || null; // { cert, key } PEM → https / wss
+  const socketPath = options.socketPath || null; // control API only on this Unix socket
+  const relayOptions = options.relay || null; // { url, name, token, tls } of an upstream server
+  const scheme = tls ? 'https' : 'http';
+  const wsScheme = tls ? 'wss' : 'ws';
+
+  const state = createState({
+    authSecret: options.authSecret,
+    sessionTtl: options.sessionTtl,
+    responseTtl: options.responseTtl,
+    reconnectGrace: options.reconnectGrace,
+    requestTimeout: options.requestTimeout,
+    maxRequestTimeout: options.maxRequestTimeout,
+    apiKeys: options.apiKeys,
+    auditLog: options.auditLog,
+    auditMaxSize: options.auditMaxSize,
+    auditMaxFiles: options.auditMaxFiles,
+    auditRedact: options.auditRedact,
+    healthThresholds: options.healthThresholds,
+    heartbeatInterval: options.heartbeatInterval,
+    clientHeartbeatInterval: options.clientHeartbeatInterval,
+  });
+  const relay = relayOptions ? createRelay(state, { ...relayOptions, logger }) : null;
   let cleanupTimer = null;
 
   function jsonResponse(res, statusCode, data) {
     const body = JSON.stringify(data, null, 2);
-    res.writeHead(statusCode, {
-      'Content-Type': 'application/json; charset=utf-8',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-    });
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
     res.end(body);
   }
 
-  function handleHttpRequest(req, res) {
+  const sse = createSseTransport(state, { respond: jsonResponse, logger });
+  const rest = createRestApi(state, { respond: jsonResponse });
+
+  /**
+   * `control` is false on the TCP listener when a control socket is
+   * configured: only the extension's endpoints are served there.
+   */
+  function handleHttpRequest(req, res, control = true) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+
+    // Preflights only succeed for the public endpoints
     if (req.method === 'OPTIONS') {
-      res.writeHead(204, {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
-      });
+      res.writeHead(204, CORS_PATHS.has(path) ? CORS_HEADERS : {});
       res.end();
       return;
     }
+    if (req.method === 'GET' && CORS_PATHS.has(path)) {
+      for (const [name, value] of Object.entries(CORS_HEADERS)) res.setHeader(name, value);
+    }
+
+    if (!control && !isExtensionRequest(req.method, path)) {
+      req.resume();
+      jsonResponse(res, 403, {
+        status: 'error',
+        code: 'FORBIDDEN',
+        message: `The control API is only served on the Unix socket ${socketPath}`,
+      });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      if (path.startsWith(`${SSE_ENDPOINT}/`)) {
+        sse.handlePost(req, res, decodeURIComponent(path.slice(SSE_ENDPOINT.length + 1)));
+        return;
+      }
+      const command = rest.matchCommand(path);
+      if (command) {
+        rest.handleCommand(req, res, command, url);
+        return;
+      }
+    }
+
+    if (req.method === 'DELETE' && path.startsWith(RESPONSES_PREFIX)) {
+      rest.handleCancel(req, res, decodeURIComponent(path.slice(RESPONSES_PREFIX.length)), url);
+      return;
+    }
 
     if (req.method !== 'GET') {
       jsonResponse(res, 405, { status: 'error', message: 'Method not allowed' });
       return;
     }
 
-    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
-    const path = url.pathname.replace(/\/+$/, '') || '/';
+    if (path.startsWith(RESPONSES_PREFIX)) {
+      rest.handleResponseLookup(req, res, decodeURIComponent(path.slice(RESPONSES_PREFIX.length)), url);
+      return;
+    }
 
     switch (path) {
       case '/':
         jsonResponse(res, 200, {
           name: 'js-eyes-server',
           version: '1.0.0',
-          websocket: `ws://${host}:${port}`,
-          endpoints: ['/api/browser/status', '/api/browser/tabs', '/api/browser/clients', '/api/browser/health'],
+          websocket: `${wsScheme}://${host}:${port}`,
+          endpoints: ['/api/browser/status', '/api/browser/tabs', '/api/browser/clients', '/api/browser/health', '/api/browser/audit', '/metrics', DASHBOARD_PATH, SSE_ENDPOINT],
+          commands: Object.keys(REST_COMMANDS).map((c) => `POST /api/browser/${c}`),
         });
         break;
 
-      case '/api/browser/status': {
-        const browsers = getExtensionSummaries(state);
-        const totalTabs = browsers.reduce((sum, b) => sum + b.tabCount, 0);
-        jsonResponse(res, 200, {
-          status: 'success',
-          data: {
-            isRunning: true,
-            uptime: Math.floor(process.uptime()),
-            connections: {
-              extensions: browsers.map(({ clientId, browserName, connectedAt, tabCount }) =>
-                ({ clientId, browserName, connectedAt, tabCount })),
-              automationClients: state.automationClients.size,
-            },
-            tabs: totalTabs,
-            pendingRequests: state.pendingResponses.size,
-          },
-        });
+      case '/api/browser/status':
+      case '/api/browser/tabs':
+      case '/api/browser/clients':
+        rest.handleListing(req, res, path.slice(REST_PREFIX.length), url);
         break;
-      }
 
-      case '/api/browser/tabs': {
-        const browsers = getExtensionSummaries(state);
-        const allTabs = browsers.flatMap((b) => b.tabs);
-        const lastBrowser = browsers[browsers.length - 1];
-        jsonResponse(res, 200, {
-          status: 'success',
-          browsers,
-          tabs: allTabs,
-          activeTabId: lastBrowser ? lastBrowser.activeTabId : null,
-        });
+      case '/metrics':
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(state.metrics.render(state));
         break;
-      }
 
-      case '/api/browser/clients': {
-        const browsers = getExtensionSummaries(state);
-        jsonResponse(res, 200, {
-          status: 'success',
-          clients: browsers,
+      case '/api/browser/audit':
+        rest.handleAuditQuery(req, res, url);
+        break;
+
+      // Static page; its data comes over an automation WebSocket (subscribe_dashboard)
+      case DASHBOARD_PATH:
+        res.writeHead(200, {
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'no-cache',
+          'X-Frame-Options': 'DENY',
         });
+        res.end(readDashboardHtml());
         break;
-      }
 
-      case '/api/browser/health':
-        jsonResponse(res, 200, {
-          status: 'healthy',
+      case '/api/browser/health': {
+        // 503 when critical: the extension's HealthChecker opens its circuit breaker
+        const health = state.health.evaluate();
+        if (health.retryAfter) res.setHeader('Retry-After', String(health.retryAfter));
+        jsonResponse(res, health.status === 'critical' ? 503 : 200, {
+          status: health.status,
           timestamp: new Date().toISOString(),
           extensions: state.extensionClients.size,
+          ...(health.retryAfter ? { retryAfter: health.retryAfter } : {}),
+          checks: health.checks,
         });
         break;
+      }
 
       case '/api/browser/config':
         jsonResponse(res, 200, {
           status: 'success',
           config: {
-            websocketAddress: `ws://${host}:${port}`,
+            websocketAddress: `${wsScheme}://${host}:${port}`,
             host,
             extensionPort: port,
+            sse: { endpoint: SSE_ENDPOINT },
           },
         });
         break;
 
+      case SSE_ENDPOINT: {
+        // The stream runs the same connection setup as a WebSocket, so the
+        // TCP listener must refuse the types verifyClient refuses there
+        const type = url.searchParams.get('type');
+        if (!control && (type === 'automation' || type === 'bridge')) {
+          jsonResponse(res, 403, {
+            status: 'error',
+            code: 'FORBIDDEN',
+            message: `Only extensions may open an event stream here; use the Unix socket ${socketPath}`,
+          });
+          break;
+        }
+        sse.handleStream(req, res);
+        break;
+      }
+
       default:
         jsonResponse(res, 404, { status: 'error', message: 'Not found' });
         break;
     }
   }
 
-  const httpServer = http.createServer(handleHttpRequest);
-  const wss = new WebSocketServer({ server: httpServer });
-
-  wss.on('connection', (socket, request) => {
-    handleConnection(socket, request, state);
+  const handleTcpRequest = (req, res) => handleHttpRequest(req, res, !socketPath);
+  const httpServer = tls ? https.createServer(tls, handleTcpRequest) : http.createServer(handleTcpRequest);
+  const wss = new WebSocketServer({
+    server: httpServer,
+    maxPayload: MAX_PAYLOAD_BYTES,
+    // With a control socket, automation clients are refused on TCP before the upgrade
+    verifyClient: socketPath
+      ? (info, done) => {
+        const type = new URL(info.req.url, 'ws://localhost').searchParams.get('type');
+        if (type === 'automation') done(false, 403, 'Automation clients must connect through the control socket');
+        else done(true);
+      }
+      : undefined,
   });
 
-  wss.on('error', () => {});
+  // Local control plane: plain HTTP + WebSocket on a Unix socket
+  const controlServer = socketPath ? http.createServer((req, res) => handleHttpRequest(req, res)) : null;
+  const controlWss = controlServer ? new WebSocketServer({ server: controlServer, maxPayload: MAX_PAYLOAD_BYTES }) : null;
+
+  for (const server of [wss, controlWss].filter(Boolean)) {
+    server.on('connection', (socket, request) => {
+      handleConnection(socket, request, state);
+    });
+    server.on('error', () => {});
+  }
+
+  function listenControlSocket() {
+    if (!controlServer) return Promise.resolve();
+    return removeStaleSocket(socketPath).then(() => new Promise((resolve, reject) => {
+      controlServer.once('error', reject);
+      controlServer.listen(socketPath, () => {
+        // The socket is the control plane: owner only
+        if (process.platform !== 'win32') fs.chmodSync(socketPath, 0o600);
+        logger.info(`[js-eyes-server] Control:   ${socketPath}`);
+        resolve();
+      });
+    }));
+  }
 
   function start() {
     return new Promise((resolve, reject) => {
       cleanupTimer = startCleanup(state);
+      state.health.start();
+      state.heartbeat.start();
 
       httpServer.once('error', (err) => {
         if (err.code === 'EADDRINUSE') {
@@ -143,9 +287,12 @@ function createServer(options = {}) {
       });
 
       httpServer.listen(port, host, () => {
-        logger.info(`[js-eyes-server] WebSocket: ws://${host}:${port}`);
-        logger.info(`[js-eyes-server] HTTP API:  http://${host}:${port}`);
-        resolve();
+        logger.info(`[js-eyes-server] WebSocket: ${wsScheme}://${host}:${port}`);
+        logger.info(`[js-eyes-server] HTTP API:  ${scheme}://${host}:${port}`);
+        listenControlSocket().then(() => {
+          if (relay) relay.start();
+          resolve();
+        }, (err) => httpServer.close(() => reject(err)));
       });
     });
   }
@@ -158,8 +305,16 @@ function createServer(options = {}) {
         clearInterval(cleanupTimer);
         cleanupTimer = null;
       }
+      state.health.stop();
+      state.heartbeat.stop();
+      state.dashboard.stop();
+      if (relay) relay.stop();
 
+      for (const [, bridge] of state.bridges) {
+        try { bridge.socket.close(1000, 'Server shutting down'); } catch {}
+      }
       for (const [, conn] of state.extensionClients) {
+        for (const timer of conn.authTimers || []) clearTimeout(timer);
         try { conn.socket.close(1000, 'Server shutting down'); } catch {}
       }
       for (const [, conn] of state.automationClients) {
@@ -168,20 +323,29 @@ function createServer(options = {}) {
       for (const [, info] of state.pendingResponses) {
         clearTimeout(info.timeoutId);
       }
+      sse.closeAll();
 
       const forceTimer = setTimeout(resolve, 3000);
 
+      const closeControl = (done) => {
+        if (!controlServer || !controlServer.listening) return done();
+        for (const client of controlWss.clients) client.terminate();
+        controlWss.close(() => controlServer.close(done));
+      };
+
       wss.close(() => {
         httpServer.close(() => {
-          clearTimeout(forceTimer);
-          logger.info('[js-eyes-server] Server stopped.');
-          resolve();
+          closeControl(() => {
+            clearTimeout(forceTimer);
+            logger.info('[js-eyes-server] Server stopped.');
+            resolve();
+          });
         });
       });
     });
   }
 
-  return { start, stop, httpServer, wss, state };
+  return { start, stop, httpServer, wss, controlServer, relay, state };
 }
 
 module.exports = { createServer };
@@ -197,17 +361,65 @@ if (require.main === module) {
 
   const port = parseInt(getArg('port', '18080'), 10);
   const host = getArg('host', 'localhost');
-  const server = createServer({ port, host });
+  const authSecret = getArg('secret', process.env.JS_EYES_SECRET || null);
+  const sessionTtl = parseInt(getArg('session-ttl', '0'), 10) || undefined;
+  const responseTtl = parseInt(getArg('response-ttl', '0'), 10) || undefined;
+  const reconnectGrace = parseInt(getArg('reconnect-grace', '0'), 10) || undefined;
+  const requestTimeout = parseInt(getArg('request-timeout', '0'), 10) || undefined;
+  const maxRequestTimeout = parseInt(getArg('max-request-timeout', '0'), 10) || undefined;
+  // 0 turns a heartbeat off, so it is not folded into the default like the options above
+  const heartbeatArg = (name) => {
+    const value = parseInt(getArg(name, ''), 10);
+    return Number.isNaN(value) ? undefined : value;
+  };
+  const heartbeatInterval = heartbeatArg('heartbeat-interval');
+  const clientHeartbeatInterval = heartbeatArg('client-heartbeat-interval');
+  const apiKeysFile = getArg('api-keys', process.env.JS_EYES_API_KEYS || null);
+  const apiKeys = apiKeysFile ? loadApiKeysFile(apiKeysFile) : undefined;
+  const auditLog = getArg('audit-log', process.env.JS_EYES_AUDIT_LOG || null);
+  const auditMaxSize = parseInt(getArg('audit-max-size', '0'), 10) || undefined;
+  const auditMaxFiles = parseInt(getArg('audit-max-files', '0'), 10) || undefined;
+  const auditRedact = getArg('audit-redact', undefined);
+  const tls = loadTlsFiles(
+    getArg('tls-cert', process.env.JS_EYES_TLS_CERT || null),
+    getArg('tls-key', process.env.JS_EYES_TLS_KEY || null),
+  );
+  const socketPath = getArg('socket', process.env.JS_EYES_SOCKET || null);
+  const relayUrl = getArg('relay', process.env.JS_EYES_RELAY || null);
+  const relayCa = getArg('relay-ca', process.env.JS_EYES_RELAY_CA || null);
+  const relay = relayUrl
+    ? {
+      url: relayUrl,
+      name: getArg('relay-name', process.env.JS_EYES_RELAY_NAME || undefined),
+      token: getArg('relay-token', process.env.JS_EYES_RELAY_TOKEN || null),
+      tls: relayCa ? { ca: fs.readFileSync(relayCa) } : null,
+    }
+    : null;
+  const server = createServer({
+    port, host, authSecret, sessionTtl, responseTtl, reconnectGrace, requestTimeout, maxRequestTimeout, apiKeys,
+    auditLog, auditMaxSize, auditMaxFiles, auditRedact, tls, socketPath, relay, heartbeatInterval, clientHeartbeatInterval,
+  });
+  const scheme = tls ? 'https' : 'http';
 
   server.start().then(() => {
     console.log('');
     console.log('=== js-eyes server ===');
-    console.log(`WebSocket: ws://${host}:${port}`);
-    console.log(`HTTP API:  http://${host}:${port}`);
-    console.log(`Status:    http://${host}:${port}/api/browser/status`);
-    console.log(`Tabs:      http://${host}:${port}/api/browser/tabs`);
+    console.log(`WebSocket: ${tls ? 'wss' : 'ws'}://${host}:${port}`);
+    console.log(`HTTP API:  ${scheme}://${host}:${port}`);
+    if (socketPath) {
+      console.log(`Control:   ${socketPath} (automation clients and REST API; TCP serves the extension only)`);
+    } else {
+      console.log(`Status:    ${scheme}://${host}:${port}/api/browser/status`);
+      console.log(`Tabs:      ${scheme}://${host}:${port}/api/browser/tabs`);
+    }
+    console.log(`Metrics:   ${scheme}://${host}:${port}/metrics`);
+    if (!socketPath) console.log(`Dashboard: ${scheme}://${host}:${port}${DASHBOARD_PATH}`);
+    console.log(`Auth:      ${authSecret ? 'HMAC-SHA256 (secret required)' : 'disabled'}`);
+    if (apiKeys) console.log(`API keys:  ${apiKeys.map((k) => k.name).join(', ')}`);
+    if (auditLog) console.log(`Audit log: ${auditLog}`);
+    if (relay) console.log(`Relay:     ${relayUrl} (as "${server.relay.name}")`);
     console.log('');
-    console.log(`请在扩展 Popup 中将服务器地址设置为: ws://${host}:${port}`);
+    console.log(`请在扩展 Popup 中将服务器地址设置为: ${tls ? 'wss' : 'ws'}://${host}:${port}`);
     console.log('');
   }).catch((err) => {
     console.error(err.message);
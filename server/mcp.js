@@ -0,0 +1,325 @@
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const readline = require('readline');
+const { BrowserAutomation } = require('../clients/js-eyes-client');
+const { createBrowserTools } = require('../clients/agent-tools');
+const { safeEqual } = require('./auth');
+const { readBody } = require('./http-util');
+const { version } = require('../package.json');
+
+// Newest first; an unknown client version is answered with the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const DEFAULT_MCP_PORT = 18090;
+const DEFAULT_MCP_PATH = '/mcp';
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Logs go to stderr: stdout carries the stdio transport
+const stderrLogger = {
+  info: (msg) => process.stderr.write(`${msg}\n`),
+  warn: (msg) => process.stderr.write(`${msg}\n`),
+  error: (msg) => process.stderr.write(`${msg}\n`),
+  debug() {},
+};
+
+// ── protocol ────────────────────────────────────────────────────────
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+/**
+ * Arguments missing a required field, or of the wrong JSON type, are
+ * reported as invalid params before the tool runs.
+ */
+function checkArguments(schema, args) {
+  for (const field of schema.required || []) {
+    if (args[field] === undefined || args[field] === null) return `Missing required argument "${field}"`;
+  }
+  for (const [field, value] of Object.entries(args)) {
+    const expected = schema.properties && schema.properties[field] && schema.properties[field].type;
+    if (!expected || value === undefined || value === null) continue;
+    // `type` may list several, e.g. a tab id or a "clientId:tabId" handle
+    const types = [].concat(expected);
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (!types.includes(actual)) return `Argument "${field}" must be a ${types.join(' or ')}`;
+  }
+  return null;
+}
+
+/**
+ * Model Context Protocol endpoint over a list of tools in the shape
+ * createBrowserTools returns. Transport-independent: `handle(message)`
+ * takes one parsed JSON-RPC message (or a batch) and resolves with the
+ * reply, or null when there is nothing to send back (notifications).
+ */
+function createMcpServer({ tools, logger = stderrLogger } = {}) {
+  const byName = new Map(tools.map((tool) => [tool.name, tool]));
+
+  const methods = {
+    initialize(params) {
+      const requested = params && params.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: 'js-eyes', title: 'JS Eyes', version },
+        instructions: 'Browser automation through the JS Eyes extension: list tabs, open pages, read HTML, run scripts and read cookies.',
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    'tools/list'() {
+      return {
+        tools: tools.map((tool) => ({
+          name: tool.name,
+          title: tool.label,
+          description: tool.description,
+          inputSchema: tool.parameters,
+        })),
+      };
+    },
+
+    async 'tools/call'(params, id) {
+      const tool = byName.get(params && params.name);
+      if (!tool) throw Object.assign(new Error(`Unknown tool "${params && params.name}"`), { rpcCode: INVALID_PARAMS });
+
+      const args = (params.arguments && typeof params.arguments === 'object') ? params.arguments : {};
+      const invalid = checkArguments(tool.parameters, args);
+      if (invalid) throw Object.assign(new Error(invalid), { rpcCode: INVALID_PARAMS });
+
+      // Browser failures are tool results the model can read, not protocol errors
+      try {
+        return await tool.execute(String(id), args);
+      } catch (err) {
+        logger.warn(`[MCP] ${tool.name} failed: ${err.message}`);
+        const text = err.code ? `${err.code}: ${err.message}` : err.message;
+        return { content: [{ type: 'text', text }], isError: true };
+      }
+    },
+  };
+
+  async function handleOne(message) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return rpcError(message && message.id, INVALID_REQUEST, 'Invalid JSON-RPC message');
+    }
+    const isRequest = message.id !== undefined && message.id !== null;
+    if (typeof message.method !== 'string') {
+      // A response to a server request; this server never sends any
+      return isRequest && message.result === undefined && message.error === undefined
+        ? rpcError(message.id, INVALID_REQUEST, 'Missing method')
+        : null;
+    }
+    if (!isRequest) return null; // notifications/initialized, notifications/cancelled, ...
+
+    const method = Object.prototype.hasOwnProperty.call(methods, message.method) ? methods[message.method] : null;
+    if (!method) return rpcError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+
+    try {
+      return { jsonrpc: '2.0', id: message.id, result: await method(message.params || {}, message.id) };
+    } catch (err) {
+      return rpcError(message.id, err.rpcCode || INVALID_REQUEST, err.message);
+    }
+  }
+
+  async function handle(message) {
+    if (!Array.isArray(message)) return handleOne(message);
+    if (message.length === 0) return rpcError(null, INVALID_REQUEST, 'Empty batch');
+    const replies = (await Promise.all(message.map(handleOne))).filter(Boolean);
+    return replies.length > 0 ? replies : null;
+  }
+
+  // Parse a raw message; parse failures get the JSON-RPC parse error
+  async function handleRaw(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return rpcError(null, PARSE_ERROR, 'Parse error');
+    }
+    return handle(message);
+  }
+
+  return { handle, handleRaw, tools };
+}
+
+// ── stdio transport ─────────────────────────────────────────────────
+
+/**
+ * Newline-delimited JSON-RPC on stdin / stdout. Requests are answered as
+ * they complete, so a slow browser command does not hold up a ping.
+ * Resolves when the input ends.
+ */
+function serveStdio(mcp, { input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  const inFlight = new Set();
+
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+    const task = mcp.handleRaw(line).then((reply) => {
+      if (reply) output.write(`${JSON.stringify(reply)}\n`);
+    }).finally(() => inFlight.delete(task));
+    inFlight.add(task);
+  });
+
+  return new Promise((resolve) => {
+    rl.on('close', () => Promise.all(inFlight).then(() => resolve()));
+  });
+}
+
+// ── streamable HTTP transport ───────────────────────────────────────
+
+/**
+ * Browsers always send Origin on cross-site requests; only local pages may
+ * reach the endpoint, so a web page cannot drive the browser through it
+ * (DNS rebinding).
+ */
+function isLocalOrigin(origin) {
+  if (!origin) return true;
+  try {
+    return LOCAL_HOSTNAMES.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Request handler for the streamable HTTP transport: JSON-RPC is POSTed
+ * to `endpoint` and answered with a single JSON body (no server-initiated
+ * stream, no sessions). With `token` set, callers must send it as a Bearer
+ * token.
+ */
+function createMcpHttpHandler(mcp, { endpoint = DEFAULT_MCP_PATH, token = null } = {}) {
+  function reply(res, status, body, headers = {}) {
+    res.writeHead(status, body ? { 'Content-Type': 'application/json', ...headers } : headers);
+    res.end(body ? JSON.stringify(body) : undefined);
+  }
+
+  return async (req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (pathname !== endpoint) {
+      reply(res, 404, rpcError(null, INVALID_REQUEST, 'Not found'));
+      return;
+    }
+    if (!isLocalOrigin(req.headers.origin)) {
+      reply(res, 403, rpcError(null, INVALID_REQUEST, 'Origin not allowed'));
+      return;
+    }
+    if (token) {
+      const header = req.headers.authorization || '';
+      const sent = header.startsWith('Bearer ') ? header.slice(7) : '';
+      if (!safeEqual(token, sent)) {
+        reply(res, 401, rpcError(null, INVALID_REQUEST, 'Unauthorized'), { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+    }
+    if (req.method !== 'POST') {
+      reply(res, 405, null, { Allow: 'POST' });
+      return;
+    }
+
+    let raw;
+    try {
+      raw = await readBody(req);
+    } catch (err) {
+      reply(res, err.statusCode || 400, rpcError(null, INVALID_REQUEST, err.message));
+      return;
+    }
+
+    const result = await mcp.handleRaw(raw);
+    if (!result) {
+      reply(res, 202, null);
+      return;
+    }
+    reply(res, 200, result);
+  };
+}
+
+/**
+ * Listen for MCP clients over HTTP. Resolves with the http.Server.
+ */
+function listenMcpHttp(mcp, { port = DEFAULT_MCP_PORT, host = 'localhost', ...options } = {}) {
+  const server = http.createServer(createMcpHttpHandler(mcp, options));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  DEFAULT_MCP_PORT,
+  DEFAULT_MCP_PATH,
+  createMcpServer,
+  serveStdio,
+  createMcpHttpHandler,
+  listenMcpHttp,
+};
+
+// ── direct execution ────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  function getArg(name, fallback) {
+    const idx = args.indexOf(`--${name}`);
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : fallback;
+  }
+
+  const serverUrl = getArg('server', process.env.JS_EYES_SERVER || 'ws://localhost:18080');
+  const token = getArg('token', process.env.JS_EYES_TOKEN || null);
+  const socketPath = getArg('socket', process.env.JS_EYES_SOCKET || null);
+  const requestTimeout = parseInt(getArg('request-timeout', '60'), 10) || 60;
+  const skillsDir = path.resolve(getArg('skills-dir', path.join(__dirname, '..', 'skills')));
+
+  let bot = null;
+  function getBot() {
+    if (!bot) {
+      bot = new BrowserAutomation(serverUrl, {
+        defaultTimeout: requestTimeout,
+        token,
+        socketPath,
+        logger: stderrLogger,
+      });
+    }
+    return bot;
+  }
+
+  const mcp = createMcpServer({
+    tools: createBrowserTools({ getBot, skillsDir, skillsRegistryUrl: getArg('registry', undefined), logger: stderrLogger }),
+  });
+  const target = socketPath || serverUrl;
+
+  function shutdown() {
+    if (bot) bot.disconnect();
+    process.exit(0);
+  }
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  if (args.includes('--http')) {
+    const port = parseInt(getArg('port', String(DEFAULT_MCP_PORT)), 10);
+    const host = getArg('host', 'localhost');
+    listenMcpHttp(mcp, { port, host, token }).then(() => {
+      stderrLogger.info(`[MCP] Streamable HTTP on http://${host}:${port}${DEFAULT_MCP_PATH} (browsers via ${target})`);
+    }).catch((err) => {
+      stderrLogger.error(err.message);
+      process.exit(1);
+    });
+  } else {
+    stderrLogger.info(`[MCP] stdio server ready (browsers via ${target})`);
+    serveStdio(mcp).then(shutdown);
+  }
+}
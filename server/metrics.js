@@ -0,0 +1,160 @@
+'use strict';
+
+// Request latency buckets in seconds; requests time out at 60s
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// ── exposition helpers ──────────────────────────────────────────────
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// ── metric types ────────────────────────────────────────────────────
+
+/**
+ * Labelled counter. Series are keyed by their label values in `labelNames`
+ * order.
+ */
+function createCounter(name, help, labelNames) {
+  const series = new Map();
+  return {
+    inc(labels, value = 1) {
+      const values = labelNames.map((l) => labels[l] ?? '');
+      const key = values.join('\u0000');
+      const entry = series.get(key) || { values, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = header(name, help, 'counter');
+      for (const { values, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labelNames, values)} ${value}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function createHistogram(name, help, labelNames, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const values = labelNames.map((l) => labels[l] ?? '');
+      const key = values.join('\u0000');
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      for (const { values, counts, sum, count } of series.values()) {
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+/**
+ * Gauges are sampled from the live state at scrape time
+ * (`[{ labels, value }]`), so they never drift.
+ */
+function renderGauge(name, help, labelNames, samples) {
+  const lines = header(name, help, 'gauge');
+  for (const { labels = {}, value } of samples) {
+    lines.push(`${name}${formatLabels(labelNames, labelNames.map((l) => labels[l]))} ${value}`);
+  }
+  return lines;
+}
+
+// ── server metrics ──────────────────────────────────────────────────
+
+/**
+ * Request metrics fed by ws-handler. `browser` is the extension's browser
+ * name, or "none" when the request could not be routed.
+ */
+function createMetrics() {
+  const requests = createCounter('jseyes_requests_total',
+    'Commands forwarded to browser extensions', ['action', 'browser']);
+  const errors = createCounter('jseyes_request_errors_total',
+    'Commands that failed, by error code', ['action', 'browser', 'code']);
+  const timeouts = createCounter('jseyes_request_timeouts_total',
+    'Commands the extension did not answer in time', ['action', 'browser']);
+  const duration = createHistogram('jseyes_request_duration_seconds',
+    'Time from forwarding a command to its result', ['action', 'browser']);
+  const bytes = createCounter('jseyes_relayed_bytes_total',
+    'Bytes relayed to extensions (commands) and automation clients (results)', ['direction', 'action', 'browser']);
+
+  return {
+    recordRequest(action, browser, sentBytes = 0) {
+      requests.inc({ action, browser });
+      if (sentBytes > 0) bytes.inc({ direction: 'to_extension', action, browser }, sentBytes);
+    },
+
+    /**
+     * Count a finished request. `durationMs` is null for requests that
+     * never reached an extension.
+     */
+    recordResponse(action, browser, response, durationMs = null, sentBytes = 0) {
+      if (response.status === 'error') {
+        errors.inc({ action, browser, code: response.code || 'EXTENSION_ERROR' });
+        if (response.code === 'TIMEOUT') timeouts.inc({ action, browser });
+      }
+      if (durationMs !== null) duration.observe({ action, browser }, durationMs / 1000);
+      if (sentBytes > 0) bytes.inc({ direction: 'to_client', action, browser }, sentBytes);
+    },
+
+    /**
+     * Prometheus text exposition (format 0.0.4) of all metrics plus the
+     * connection gauges read from `state`.
+     */
+    render(state) {
+      const extensions = new Map();
+      for (const [, conn] of state.extensionClients) {
+        extensions.set(conn.browserName, (extensions.get(conn.browserName) || 0) + 1);
+      }
+
+      const lines = [
+        ...requests.render(),
+        ...errors.render(),
+        ...timeouts.render(),
+        ...duration.render(),
+        ...bytes.render(),
+        ...renderGauge('jseyes_pending_requests', 'Commands waiting for an extension result', [],
+          [{ value: state.pendingResponses.size }]),
+        ...renderGauge('jseyes_extensions_connected', 'Connected browser extensions', ['browser'],
+          [...extensions].map(([browser, value]) => ({ labels: { browser }, value }))),
+        ...renderGauge('jseyes_automation_clients_connected', 'Connected automation WebSocket clients', [],
+          [{ value: state.automationClients.size }]),
+      ];
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  createCounter,
+  createHistogram,
+  createMetrics,
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+// Version 1 is the unversioned protocol spoken before the handshake carried
+// a version (js-eyes <= 1.4.3); peers that announce none are treated as 1.
+// Version 2 adds the version and capability exchange.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Largest WebSocket message the server accepts (also the ws default)
+const MAX_PAYLOAD_BYTES = 100 * 1024 * 1024;
+
+// Close code for a peer whose protocol range does not overlap ours
+const PROTOCOL_MISMATCH_CLOSE_CODE = 4010;
+
+function parseVersion(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+}
+
+/**
+ * Agree on a version with a peer announcing `protocolVersion` (the newest it
+ * speaks) and `minProtocolVersion` (the oldest). Returns `{ version }`, the
+ * newest version both sides speak, or `{ error: { code, message } }`.
+ */
+function negotiateVersion(protocolVersion, minProtocolVersion) {
+  const newest = parseVersion(protocolVersion);
+  const oldest = parseVersion(minProtocolVersion);
+  if (newest === null || oldest === null || oldest > newest) {
+    return { error: { code: 'PROTOCOL_MISMATCH', message: 'Invalid protocol version' } };
+  }
+  if (newest < MIN_PROTOCOL_VERSION) {
+    return {
+      error: {
+        code: 'PROTOCOL_MISMATCH',
+        message: `Protocol v${newest} is no longer supported; this server needs v${MIN_PROTOCOL_VERSION} or newer. Update the client or extension.`,
+      },
+    };
+  }
+  if (oldest > PROTOCOL_VERSION) {
+    return {
+      error: {
+        code: 'PROTOCOL_MISMATCH',
+        message: `Protocol v${oldest} or newer is required, but this server speaks up to v${PROTOCOL_VERSION}. Update the server.`,
+      },
+    };
+  }
+  return { version: Math.min(newest, PROTOCOL_VERSION) };
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.filter((item) => typeof item === 'string') : null;
+}
+
+/**
+ * Keep the known fields of the capabilities an extension sends with `init`.
+ * Null means unknown (a version 1 extension): nothing is checked against it.
+ */
+function parseCapabilities(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const browser = raw.browser && typeof raw.browser === 'object' ? raw.browser : {};
+  return {
+    actions: stringList(raw.actions),
+    events: stringList(raw.events),
+    maxPayload: Number.isFinite(raw.maxPayload) && raw.maxPayload > 0 ? raw.maxPayload : null,
+    browser: {
+      name: typeof browser.name === 'string' ? browser.name : null,
+      version: typeof browser.version === 'string' ? browser.version : null,
+    },
+    extensionVersion: typeof raw.extensionVersion === 'string' ? raw.extensionVersion : null,
+  };
+}
+
+/**
+ * Check a request against the capabilities of the browser it is routed to,
+ * so an old extension answers with a clear error instead of dropping an
+ * action it does not know. Returns null or an error body.
+ */
+function checkCapabilities(capabilities, action, bytes) {
+  if (!capabilities) return null;
+  if (capabilities.actions && !capabilities.actions.includes(action)) {
+    return {
+      code: 'UNSUPPORTED_ACTION',
+      message: `The browser extension does not support "${action}"; update the extension`,
+    };
+  }
+  if (capabilities.maxPayload && bytes > capabilities.maxPayload) {
+    return {
+      code: 'PAYLOAD_TOO_LARGE',
+      message: `Request is ${bytes} bytes; the browser extension accepts at most ${capabilities.maxPayload}`,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  MAX_PAYLOAD_BYTES,
+  PROTOCOL_MISMATCH_CLOSE_CODE,
+  negotiateVersion,
+  parseCapabilities,
+  checkCapabilities,
+};
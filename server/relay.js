@@ -0,0 +1,173 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const os = require('os');
+const WebSocket = require('ws');
+const { setupAutomationClient, getExtensionSummaries } = require('./ws-handler');
+const { PROTOCOL_VERSION, PROTOCOL_MISMATCH_CLOSE_CODE } = require('./protocol');
+
+const SYNC_INTERVAL_MS = 1000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Close codes the upstream uses for a bridge it will never accept
+const FATAL_CLOSE_CODES = new Set([4000, 4001, 4003, PROTOCOL_MISMATCH_CLOSE_CODE]);
+
+function defaultRelayName() {
+  return os.hostname().replace(/[^A-Za-z0-9_.-]/g, '-').slice(0, 64) || 'relay';
+}
+
+function bridgeUrl(url, name) {
+  const target = new URL(url.replace(/^http(s?):\/\//, 'ws$1://'));
+  target.searchParams.set('type', 'bridge');
+  target.searchParams.set('name', name);
+  target.searchParams.set('protocol', String(PROTOCOL_VERSION));
+  return target.toString();
+}
+
+// ── relay factory ───────────────────────────────────────────────────
+
+/**
+ * Connect to an upstream js-eyes server as a bridge and re-export the
+ * browsers connected here; the upstream addresses them as `<name>/<clientId>`.
+ *
+ * Upstream commands are fed to this server as if a local automation client
+ * had sent them (targeted at the browser's clientId), so deadlines, audit
+ * and cancellation apply here too. Results and browser events go back up.
+ */
+function createRelay(state, {
+  url,
+  name = defaultRelayName(),
+  token = null,
+  tls = null,
+  syncIntervalMs = SYNC_INTERVAL_MS,
+  logger = console,
+} = {}) {
+  let ws = null;
+  let local = null; // automation-client adapter for the current connection
+  let syncTimer = null;
+  let reconnectTimer = null;
+  let attempts = 0;
+  let lastSync = null;
+  let stopped = true;
+  let bridged = false; // acknowledged by the upstream
+
+  function sync() {
+    const raw = JSON.stringify({ type: 'bridge_sync', browsers: getExtensionSummaries(state) });
+    if (raw === lastSync || !ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(raw);
+    lastSync = raw;
+  }
+
+  /**
+   * Stand-in socket registered through setupAutomationClient: what this
+   * server sends it goes upstream, relayed commands are emitted as messages.
+   */
+  function createLocalSocket(upstream) {
+    const socket = new EventEmitter();
+    socket.readyState = 1;
+    socket.send = (raw) => {
+      if (upstream.readyState === WebSocket.OPEN) upstream.send(`{"type":"relay","message":${raw}}`);
+    };
+    socket.close = () => {
+      if (socket.readyState !== 1) return;
+      socket.readyState = 3;
+      socket.emit('close');
+    };
+    return socket;
+  }
+
+  function handleUpstreamMessage(raw) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      return;
+    }
+
+    if (data.type === 'bridge_ack') {
+      attempts = 0;
+      bridged = true;
+      logger.info(`[Relay] Bridged to ${url} as "${name}"`);
+      sync();
+      return;
+    }
+    if (data.type === 'error') {
+      logger.error(`[Relay] Upstream refused the bridge: ${data.code} ${data.message}`);
+      return;
+    }
+    if (data.type !== 'relay' || !data.message || !local) return;
+
+    const message = data.message;
+    local.emit('message', JSON.stringify({ ...message, action: message.type, target: data.clientId }));
+  }
+
+  function connect() {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const upstream = new WebSocket(bridgeUrl(url, name), { headers, ...(tls || {}) });
+    ws = upstream;
+
+    upstream.on('open', () => {
+      local = createLocalSocket(upstream);
+      setupAutomationClient(local, `relay:${url}`, state);
+      lastSync = null;
+      syncTimer = setInterval(sync, syncIntervalMs);
+    });
+
+    upstream.on('message', handleUpstreamMessage);
+
+    upstream.on('close', (code, reason) => {
+      if (ws !== upstream) return;
+      clearInterval(syncTimer);
+      syncTimer = null;
+      if (local) local.close();
+      local = null;
+      ws = null;
+      bridged = false;
+      if (stopped) return;
+      if (FATAL_CLOSE_CODES.has(code)) {
+        logger.error(`[Relay] Giving up on ${url}: ${reason.toString() || code}`);
+        return;
+      }
+      scheduleReconnect();
+    });
+
+    upstream.on('error', (err) => {
+      logger.warn(`[Relay] ${url}: ${err.message}`);
+    });
+  }
+
+  function scheduleReconnect() {
+    attempts++;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** (attempts - 1), RECONNECT_MAX_MS);
+    logger.info(`[Relay] Reconnecting to ${url} in ${delay}ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    connect();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (ws) ws.close(1000, 'Relay stopped');
+  }
+
+  return {
+    name,
+    start,
+    stop,
+    get connected() {
+      return bridged;
+    },
+  };
+}
+
+module.exports = { createRelay, defaultRelayName, SYNC_INTERVAL_MS };
@@ -0,0 +1,357 @@
+'use strict';
+
+const WebSocket = require('ws');
+const { readJournal } = require('./audit');
+
+// Entries that never reached a browser are not replayed
+const NOT_EXECUTED_CODES = new Set(['FORBIDDEN', 'NO_EXTENSION', 'AMBIGUOUS_TARGET']);
+const REPLAY_TIMEOUT_MS = 90000;
+
+// ── session selection ───────────────────────────────────────────────
+
+/**
+ * Group journal entries by recording client: one automation WebSocket
+ * connection, or one REST caller address.
+ */
+function listSessions(entries) {
+  const sessions = new Map();
+  for (const entry of entries) {
+    const session = sessions.get(entry.client) || {
+      client: entry.client,
+      key: entry.key,
+      transport: entry.transport,
+      commands: 0,
+      first: entry.timestamp,
+      last: entry.timestamp,
+    };
+    session.commands++;
+    session.last = entry.timestamp;
+    sessions.set(entry.client, session);
+  }
+  return [...sessions.values()];
+}
+
+function selectEntries(entries, { client, requestIds } = {}) {
+  return entries.filter((e) => {
+    if (client && e.client !== client) return false;
+    if (requestIds && requestIds.length > 0 && !requestIds.includes(e.requestId)) return false;
+    return !NOT_EXECUTED_CODES.has(e.code);
+  });
+}
+
+// Redaction markers can also sit inside the steps of a batch
+function isRedacted(value) {
+  if (Array.isArray(value)) return value.some(isRedacted);
+  if (!value || typeof value !== 'object') return false;
+  return value.redacted === true || Object.values(value).some(isRedacted);
+}
+
+/**
+ * Why an entry cannot be replayed (redacted script, uploaded files), or null.
+ */
+function unreplayableReason(entry) {
+  for (const [field, value] of Object.entries(entry.params || {})) {
+    if (isRedacted(value)) {
+      return `"${field}" was redacted in the journal`;
+    }
+  }
+  return null;
+}
+
+// ── replay ──────────────────────────────────────────────────────────
+
+/**
+ * Re-issue journal entries in order through `execute(request)` (resolves
+ * with the `<action>_response`). Tabs opened by a recorded open_url are
+ * mapped to the tabs opened during the replay, so later commands hit them.
+ *
+ * Returns one `{ entry, status, request?, response?, reason?, matches? }` per
+ * entry; status is success / error / skipped / planned (dry run).
+ */
+async function replaySession(entries, execute, options = {}) {
+  const tabMap = new Map();
+  const results = [];
+
+  for (const entry of entries) {
+    const reason = unreplayableReason(entry);
+    if (reason) {
+      results.push({ entry, status: 'skipped', reason });
+      continue;
+    }
+
+    const request = { action: entry.action, ...entry.params };
+    if (request.tabId !== undefined && tabMap.has(String(request.tabId))) {
+      request.tabId = tabMap.get(String(request.tabId));
+    }
+    if (Array.isArray(request.steps)) {
+      request.steps = request.steps.map((step) => (step && step.tabId !== undefined && tabMap.has(String(step.tabId))
+        ? { ...step, tabId: tabMap.get(String(step.tabId)) }
+        : step));
+    }
+    const target = options.target !== undefined ? options.target : entry.target;
+    if (target) request.target = target;
+
+    if (options.dryRun) {
+      results.push({ entry, status: 'planned', request });
+      continue;
+    }
+
+    let response;
+    try {
+      response = await execute(request);
+    } catch (err) {
+      response = { status: 'error', message: err.message };
+    }
+
+    if ((entry.action === 'open_url' || entry.action === 'batch')
+      && entry.resultTabId !== undefined && response.tabId !== undefined && response.tabId !== null) {
+      tabMap.set(String(entry.resultTabId), response.tabId);
+    }
+
+    const status = response.status === 'error' ? 'error' : 'success';
+    results.push({ entry, status, request, response, matches: status === (entry.outcome === 'success' ? 'success' : 'error') });
+  }
+  return results;
+}
+
+// ── live server connection ──────────────────────────────────────────
+
+/**
+ * Automation connection to a running server; `execute(request)` sends one
+ * command and resolves with its response.
+ */
+function connectExecutor(serverUrl, { token } = {}) {
+  const url = new URL(serverUrl);
+  url.searchParams.set('type', 'automation');
+  if (token) url.searchParams.set('token', token);
+
+  const ws = new WebSocket(url.toString());
+  const pending = new Map();
+  let seq = 0;
+
+  ws.on('message', (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+    if (msg.type === 'error' && msg.code === 'AUTH_FAILED') {
+      for (const [, p] of pending) p.reject(new Error(msg.message));
+      pending.clear();
+      return;
+    }
+    const p = msg.requestId && pending.get(msg.requestId);
+    if (!p) return;
+    pending.delete(msg.requestId);
+    clearTimeout(p.timer);
+    p.resolve(msg);
+  });
+
+  ws.on('close', () => {
+    for (const [, p] of pending) {
+      clearTimeout(p.timer);
+      p.reject(new Error('Connection to server closed'));
+    }
+    pending.clear();
+  });
+
+  const ready = new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  function execute(request) {
+    const requestId = `replay-${Date.now()}-${++seq}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        reject(new Error(`No response within ${REPLAY_TIMEOUT_MS}ms`));
+      }, REPLAY_TIMEOUT_MS);
+      pending.set(requestId, { resolve, reject, timer });
+      ws.send(JSON.stringify({ ...request, requestId }));
+    });
+  }
+
+  return { ready, execute, close: () => ws.close() };
+}
+
+// ── simulated browser ───────────────────────────────────────────────
+
+/**
+ * Start an in-process server with a fake extension that answers every
+ * command with a plausible success, for dry-running a journal without a
+ * real browser. Resolves with `{ url, stop }`.
+ */
+async function startSimulatedBrowser() {
+  // Required lazily: index.js is only needed for simulation
+  const { createServer } = require('./index');
+  const silent = { info() {}, warn() {}, error() {}, debug() {} };
+  const server = createServer({ port: 0, logger: silent });
+  await server.start();
+  const url = `ws://localhost:${server.httpServer.address().port}`;
+
+  const ext = new WebSocket(`${url}?type=extension`);
+  const tabs = new Map();
+  let nextTabId = 1;
+
+  const syncTabs = () => ext.send(JSON.stringify({
+    type: 'data',
+    tabs: [...tabs.entries()].map(([id, tabUrl]) => ({ id, url: tabUrl, title: 'Simulated tab' })),
+  }));
+
+  // The completion a single command gets, or null for anything else
+  const complete = (msg) => {
+    switch (msg.type) {
+      case 'open_url': {
+        const tabId = msg.tabId !== undefined ? msg.tabId : nextTabId++;
+        tabs.set(tabId, msg.url);
+        syncTabs();
+        return { type: 'open_url_complete', tabId, url: msg.url };
+      }
+      case 'close_tab':
+        tabs.delete(msg.tabId);
+        syncTabs();
+        return { type: 'close_tab_complete', tabId: msg.tabId };
+      case 'get_html':
+        return { type: 'tab_html_complete', tabId: msg.tabId, html: '<html><body>simulated</body></html>' };
+      case 'execute_script':
+        return { type: 'execute_script_complete', tabId: msg.tabId, result: null };
+      case 'inject_css':
+        return { type: 'inject_css_complete', tabId: msg.tabId };
+      case 'get_cookies':
+        return { type: 'get_cookies_complete', tabId: msg.tabId, url: tabs.get(msg.tabId), cookies: [] };
+      case 'get_cookies_by_domain':
+        return { type: 'get_cookies_by_domain_complete', domain: msg.domain, cookies: [], total: 0 };
+      case 'upload_file_to_tab':
+        return {
+          type: 'upload_file_to_tab_complete',
+          tabId: msg.tabId,
+          uploadedFiles: (msg.files || []).map((f) => ({ name: f.name, size: 0, type: f.type })),
+        };
+      default:
+        return null;
+    }
+  };
+
+  // Steps run in order like the extension's; a step without a literal
+  // tabId (none, or a $ref) acts on the tab the batch is on
+  const completeBatch = (msg) => {
+    let tabId = msg.tabId !== undefined ? msg.tabId : null;
+    const results = msg.steps.map((step, index) => {
+      const entry = { index, id: step.id !== undefined ? step.id : null, action: step.action };
+      if (step.action === 'wait') return { ...entry, status: 'success', data: {} };
+      const stepTabId = step.tabId !== undefined && typeof step.tabId !== 'object' ? step.tabId : tabId;
+      const data = complete({ ...step, type: step.action, tabId: step.action === 'open_url' ? step.tabId : stepTabId });
+      if (!data) return { ...entry, status: 'error', code: 'INVALID_PARAMS', message: `Unknown action: ${step.action}` };
+      if (step.action === 'open_url') tabId = data.tabId;
+      return { ...entry, status: 'success', data };
+    });
+    return { type: 'batch_complete', tabId, results, stoppedAt: null };
+  };
+
+  ext.on('message', (raw) => {
+    const msg = JSON.parse(raw.toString());
+
+    if (msg.type === 'auth_result') {
+      ext.send(JSON.stringify({ type: 'init', userAgent: 'Mozilla/5.0 Chrome/120.0 (js-eyes replay)', instanceId: 'simulated' }));
+      return;
+    }
+    const data = msg.type === 'batch' ? completeBatch(msg) : complete(msg);
+    if (data) ext.send(JSON.stringify({ requestId: msg.requestId, ...data }));
+  });
+
+  await new Promise((resolve, reject) => {
+    ext.on('error', reject);
+    ext.on('message', function onAck(raw) {
+      if (JSON.parse(raw.toString()).type !== 'init_ack') return;
+      ext.off('message', onAck);
+      resolve();
+    });
+  });
+
+  return {
+    url,
+    async stop() {
+      ext.close();
+      await server.stop();
+    },
+  };
+}
+
+module.exports = {
+  listSessions,
+  selectEntries,
+  unreplayableReason,
+  replaySession,
+  connectExecutor,
+  startSimulatedBrowser,
+};
+
+// ── direct execution ────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  function getArg(name, fallback) {
+    const idx = args.indexOf(`--${name}`);
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : fallback;
+  }
+  const hasFlag = (name) => args.includes(`--${name}`);
+
+  const journal = args[0];
+  if (!journal || journal.startsWith('--')) {
+    console.log('Usage: node server/replay.js <journal.jsonl> [--list] [--client <id>] [--request <requestId>]');
+    console.log('       [--server ws://localhost:18080] [--token <token>] [--target <target>] [--simulate] [--dry-run]');
+    process.exit(1);
+  }
+
+  const entries = readJournal(journal);
+
+  if (hasFlag('list')) {
+    for (const s of listSessions(entries)) {
+      console.log(`${s.client}  ${s.commands} command(s)  ${s.first} → ${s.last}${s.key ? `  key=${s.key}` : ''}`);
+    }
+    process.exit(0);
+  }
+
+  const selected = selectEntries(entries, {
+    client: getArg('client', null),
+    requestIds: args.filter((a, i) => args[i - 1] === '--request'),
+  });
+  const target = hasFlag('simulate') ? null : getArg('target', undefined);
+
+  (async () => {
+    let simulated = null;
+    let executor = null;
+    try {
+      if (!hasFlag('dry-run')) {
+        simulated = hasFlag('simulate') ? await startSimulatedBrowser() : null;
+        const serverUrl = simulated ? simulated.url : getArg('server', 'ws://localhost:18080');
+        executor = connectExecutor(serverUrl, { token: getArg('token', process.env.JS_EYES_TOKEN || null) });
+        await executor.ready;
+      }
+
+      const results = await replaySession(selected, executor ? executor.execute : null, {
+        target,
+        dryRun: hasFlag('dry-run'),
+      });
+
+      results.forEach(({ entry, status, request, response, reason, matches }, i) => {
+        const where = request && request.tabId !== undefined ? ` tab ${request.tabId}` : '';
+        const detail = reason || (response && response.status === 'error' ? response.message : '');
+        const recorded = status === 'planned' || status === 'skipped' ? '' : ` (recorded: ${entry.outcome}${matches ? '' : ', MISMATCH'})`;
+        console.log(`[${i + 1}/${results.length}] ${entry.action}${where} → ${status}${recorded}${detail ? ` — ${detail}` : ''}`);
+      });
+
+      const mismatches = results.filter((r) => r.matches === false).length;
+      console.log(`\n${results.length} command(s), ${mismatches} mismatch(es)`);
+      process.exitCode = mismatches > 0 ? 1 : 0;
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    } finally {
+      if (executor) executor.close();
+      if (simulated) await simulated.stop();
+    }
+  })();
+}
@@ -0,0 +1,311 @@
+'use strict';
+
+const {
+  forwardToExtension,
+  generateId,
+  lookupResponse,
+  authorizeRequest,
+  auditRejected,
+  cancelRequest,
+  getExtensionSummaries,
+  filterSummaries,
+  FORWARDED_ACTIONS,
+} = require('./ws-handler');
+const { extractToken } = require('./auth');
+const { resolveScope } = require('./scopes');
+const { readJournal, queryJournal } = require('./audit');
+const { readJsonBody, isForeignOrigin, isJsonContentType } = require('./http-util');
+const { validateRequest } = require('./schema');
+
+const REST_PREFIX = '/api/browser/';
+const RESPONSES_PREFIX = '/api/browser/responses/';
+
+// REST command name -> forwarded extension action
+const REST_COMMANDS = {
+  open: 'open_url',
+  close: 'close_tab',
+  html: 'get_html',
+  execute: 'execute_script',
+  css: 'inject_css',
+  cookies: 'get_cookies',
+  'cookies-by-domain': 'get_cookies_by_domain',
+  upload: 'upload_file_to_tab',
+  batch: 'batch',
+};
+
+// Read-only listings -> the automation action whose scope check they share
+const LISTINGS = {
+  status: 'list_clients',
+  tabs: 'get_tabs',
+  clients: 'list_clients',
+};
+
+// Error codes that are not the extension's fault
+const ERROR_STATUS = {
+  INVALID_PARAMS: 400,
+  INVALID_TIMEOUT: 400,
+  FORBIDDEN: 403,
+  PERMISSION_DENIED: 403,
+  TAB_NOT_FOUND: 404,
+  AMBIGUOUS_TARGET: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  UNSUPPORTED_ACTION: 501,
+  NO_EXTENSION: 503,
+  EXTENSION_STALE: 503,
+  TIMEOUT: 504,
+};
+
+/**
+ * A write-once stand-in for an automation WebSocket: the first message
+ * ws-handler sends to it (result, error or timeout) is handed to `onMessage`.
+ */
+function createResponseSocket(onMessage) {
+  const socket = {
+    readyState: 1,
+    send(data) {
+      if (socket.readyState !== 1) return;
+      socket.readyState = 3;
+      onMessage(JSON.parse(data));
+    },
+  };
+  return socket;
+}
+
+function statusForResponse(msg) {
+  if (msg.status !== 'error') return 200;
+  return ERROR_STATUS[msg.code] || 502;
+}
+
+// ── REST command handler ────────────────────────────────────────────
+
+/**
+ * `POST /api/browser/<command>` with a JSON body carrying the action's fields
+ * (plus optional `target`). Waits for the extension's result unless
+ * `?async=1` is given, in which case it answers 202 with the requestId.
+ */
+function createRestApi(state, { respond }) {
+  /**
+   * Resolve the caller's token to `{ scope }` (null scope = unrestricted),
+   * or answer 401 and return null. Requests from other sites' pages are
+   * refused first: with auth off, any page the user visits could otherwise
+   * drive the browser through localhost.
+   */
+  function authorize(req, res, url) {
+    if (isForeignOrigin(req)) {
+      req.resume();
+      respond(res, 403, { status: 'error', code: 'FORBIDDEN', message: `Requests from ${req.headers.origin} are not allowed` });
+      return null;
+    }
+    const resolved = resolveScope(state, extractToken(req, url));
+    if (resolved) return resolved;
+    req.resume();
+    respond(res, 401, { status: 'error', code: 'AUTH_FAILED', message: 'Invalid or missing token' });
+    return null;
+  }
+
+  function handleCommand(req, res, command, url) {
+    const action = REST_COMMANDS[command];
+    const auth = authorize(req, res, url);
+    if (!auth) return;
+
+    if (!isJsonContentType(req)) {
+      req.resume();
+      respond(res, 415, {
+        status: 'error',
+        code: 'UNSUPPORTED_MEDIA_TYPE',
+        message: 'Send the command body with Content-Type: application/json',
+      });
+      return;
+    }
+
+    readJsonBody(req).then((body) => {
+      const isAsync = ['1', 'true'].includes(url.searchParams.get('async'));
+      const target = body.target || url.searchParams.get('target') || null;
+      const origin = {
+        client: `rest:${req.socket.remoteAddress || 'unix'}`,
+        key: auth.scope ? auth.scope.name : null,
+        transport: 'rest',
+      };
+
+      const invalid = validateRequest(action, body);
+      if (invalid) {
+        respond(res, 400, { type: `${action}_response`, status: 'error', ...invalid });
+        auditRejected(state, origin, action, body, target, invalid);
+        return;
+      }
+
+      const denied = authorizeRequest(auth.scope, action, body, target, state);
+      if (denied) {
+        respond(res, 403, { type: `${action}_response`, status: 'error', ...denied });
+        auditRejected(state, origin, action, body, target, denied);
+        return;
+      }
+
+      const requestId = generateId();
+
+      let result = null;
+      const socket = createResponseSocket((msg) => {
+        result = msg;
+        if (msg.retryAfter) res.setHeader('Retry-After', String(msg.retryAfter));
+        if (!isAsync) respond(res, statusForResponse(msg), msg);
+      });
+
+      // The HTTP client gave up; the result stays in callbackResponses
+      res.on('close', () => { socket.readyState = 3; });
+
+      forwardToExtension(action, { ...body, requestId }, socket, state, FORWARDED_ACTIONS[action], target, origin);
+
+      if (!isAsync) return;
+      if (result) {
+        respond(res, statusForResponse(result), result);
+        return;
+      }
+      socket.readyState = 3;
+      respond(res, 202, { status: 'accepted', requestId, action });
+    }).catch((err) => {
+      respond(res, err.statusCode || 400, { status: 'error', code: err.code, message: err.message });
+    });
+  }
+
+  /**
+   * `GET /api/browser/responses/:requestId` — collect a result after the
+   * original caller went away (async REST calls, dropped WebSockets).
+   */
+  function handleResponseLookup(req, res, requestId, url) {
+    const auth = authorize(req, res, url);
+    if (!auth) return;
+
+    const denied = authorizeRequest(auth.scope, 'get_response', {}, null, state);
+    if (denied) {
+      respond(res, 403, { status: 'error', ...denied });
+      return;
+    }
+
+    const found = lookupResponse(requestId, state, auth.scope);
+    if (!found) {
+      respond(res, 404, {
+        status: 'error',
+        code: 'NOT_FOUND',
+        message: `No response stored for request "${requestId}"`,
+      });
+      return;
+    }
+    respond(res, found.state === 'pending' ? 202 : 200, { status: 'success', requestId, ...found });
+  }
+
+  /**
+   * `DELETE /api/browser/responses/:requestId` — cancel a pending request
+   * (e.g. one started with `?async=1`).
+   */
+  function handleCancel(req, res, requestId, url) {
+    const auth = authorize(req, res, url);
+    if (!auth) return;
+
+    const result = cancelRequest(requestId, auth.scope, state);
+    respond(res, result.status === 'success' ? 200 : 404, { ...result, requestId });
+  }
+
+  /**
+   * `GET /api/browser/audit` — query the command journal. Filters come from
+   * the query string (client, key, action, outcome, requestId, tabUrl,
+   * since, until, limit). A scoped API key only sees its own entries.
+   */
+  function handleAuditQuery(req, res, url) {
+    const auth = authorize(req, res, url);
+    if (!auth) return;
+
+    if (!state.audit) {
+      respond(res, 404, {
+        status: 'error',
+        code: 'AUDIT_DISABLED',
+        message: 'The audit journal is disabled (start the server with --audit-log <file>)',
+      });
+      return;
+    }
+
+    const filters = Object.fromEntries(url.searchParams);
+    delete filters.token;
+    if (auth.scope) filters.key = auth.scope.name;
+
+    let entries;
+    try {
+      entries = queryJournal(readJournal(state.audit.file, state.audit.maxFiles), filters);
+    } catch (err) {
+      respond(res, 500, { status: 'error', message: `Failed to read audit journal: ${err.message}` });
+      return;
+    }
+    respond(res, 200, { status: 'success', count: entries.length, entries });
+  }
+
+  /**
+   * `GET /api/browser/status|tabs|clients` — what is connected. These need
+   * a token like any automation request, and a scoped API key only sees the
+   * tabs its URL policy allows.
+   */
+  function handleListing(req, res, listing, url) {
+    const auth = authorize(req, res, url);
+    if (!auth) return;
+
+    const denied = authorizeRequest(auth.scope, LISTINGS[listing], {}, null, state);
+    if (denied) {
+      respond(res, 403, { status: 'error', ...denied });
+      return;
+    }
+
+    const browsers = filterSummaries(getExtensionSummaries(state), auth.scope);
+    switch (listing) {
+      case 'status':
+        respond(res, 200, {
+          status: 'success',
+          data: {
+            isRunning: true,
+            uptime: Math.floor(process.uptime()),
+            connections: {
+              extensions: browsers.map(({ clientId, browserName, connectedAt, tabCount }) =>
+                ({ clientId, browserName, connectedAt, tabCount })),
+              automationClients: state.automationClients.size,
+              bridges: [...state.bridges.keys()],
+            },
+            tabs: browsers.reduce((sum, b) => sum + b.tabCount, 0),
+            pendingRequests: state.pendingResponses.size,
+          },
+        });
+        break;
+
+      case 'tabs': {
+        const lastBrowser = browsers[browsers.length - 1];
+        respond(res, 200, {
+          status: 'success',
+          browsers,
+          tabs: browsers.flatMap((b) => b.tabs),
+          activeTabId: lastBrowser ? lastBrowser.activeTabId : null,
+        });
+        break;
+      }
+
+      default:
+        respond(res, 200, { status: 'success', clients: browsers });
+        break;
+    }
+  }
+
+  /**
+   * Resolve `/api/browser/<command>` to a command name, or null.
+   */
+  function matchCommand(path) {
+    if (!path.startsWith(REST_PREFIX)) return null;
+    const command = path.slice(REST_PREFIX.length);
+    return Object.prototype.hasOwnProperty.call(REST_COMMANDS, command) ? command : null;
+  }
+
+  return { handleCommand, handleResponseLookup, handleCancel, handleAuditQuery, handleListing, matchCommand };
+}
+
+module.exports = {
+  REST_COMMANDS,
+  REST_PREFIX,
+  RESPONSES_PREFIX,
+  createRestApi,
+  createResponseSocket,
+};
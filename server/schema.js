@@ -0,0 +1,275 @@
+'use strict';
+
+// ── validator ───────────────────────────────────────────────────────
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// A batch step may take any field from an earlier step's result
+function isStepRef(value) {
+  return typeOf(value) === 'object' && typeof value.$ref === 'string' && Object.keys(value).length === 1;
+}
+
+/**
+ * Check a value against a schema written in the subset of JSON Schema used
+ * below (type, enum, required, properties, items, minLength, minItems,
+ * minimum). Unknown properties are allowed. Returns a list of
+ * `{ path, message }`, empty when the value is valid.
+ */
+function validate(schema, value, path = '', { allowRefs = false } = {}) {
+  if (allowRefs && isStepRef(value)) return [];
+
+  const errors = [];
+  const at = path || 'request';
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+
+  if (types && !types.some((type) => matchesType(value, type))) {
+    errors.push({ path: at, message: `must be ${types.map((t) => (/^[aeiou]/.test(t) ? `an ${t}` : `a ${t}`)).join(' or ')}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: at, message: 'must not be empty' });
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${path}[${index}]`, { allowRefs }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push({ path: path ? `${path}.${field}` : field, message: 'is required' });
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] === undefined) continue;
+      errors.push(...validate(fieldSchema, value[field], path ? `${path}.${field}` : field, { allowRefs }));
+    }
+  }
+  return errors;
+}
+
+// ── requests (automation client → server) ───────────────────────────
+
+// A bare tab id, or a handle `<clientId>:<tabId>` naming the browser too
+const TAB_REF = { type: ['integer', 'string'], minLength: 1 };
+
+function request(properties = {}, required = []) {
+  return {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', minLength: 1 },
+      target: { type: ['string', 'null'] },
+      // timeoutMs is checked by the deadline logic (INVALID_TIMEOUT)
+      ...properties,
+    },
+    required,
+  };
+}
+
+const FILE = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    base64: { type: 'string' },
+    type: { type: 'string' },
+    size: { type: 'integer', minimum: 0 },
+  },
+  required: ['name', 'base64'],
+};
+
+// Actions a batch step can run; each step is also checked against its own schema
+const BATCH_STEP_ACTIONS = [
+  'open_url',
+  'close_tab',
+  'get_html',
+  'execute_script',
+  'inject_css',
+  'get_cookies',
+  'get_cookies_by_domain',
+  'upload_file_to_tab',
+  'wait',
+];
+
+const WAIT_STEP = {
+  type: 'object',
+  properties: {
+    ms: { type: 'number', minimum: 0 },
+    selector: { type: 'string', minLength: 1 },
+    tabId: TAB_REF,
+  },
+};
+
+/**
+ * Request schemas, one per automation action. The same fields are accepted
+ * over WebSocket and in REST bodies.
+ */
+const REQUEST_SCHEMAS = {
+  get_tabs: request(),
+  list_clients: request(),
+  subscribe_dashboard: request(),
+  // Empty or unknown event lists are INVALID_EVENT
+  subscribe_events: request({ events: { type: 'array', items: { type: 'string' } } }),
+  unsubscribe_events: request({ events: { type: 'array', items: { type: 'string' } } }),
+  // Commands and tabUrl rules are INVALID_BROADCAST; the command's own fields are checked too
+  broadcast: request({ command: { type: 'string' }, tabUrl: { type: 'string' } }),
+  cancel: request({ originalRequestId: { type: 'string', minLength: 1 } }, ['originalRequestId']),
+  get_response: request({ originalRequestId: { type: 'string', minLength: 1 } }, ['originalRequestId']),
+
+  open_url: request({ url: { type: 'string', minLength: 1 }, tabId: TAB_REF, windowId: TAB_REF }, ['url']),
+  close_tab: request({ tabId: TAB_REF }, ['tabId']),
+  get_html: request({ tabId: TAB_REF }, ['tabId']),
+  execute_script: request({ tabId: TAB_REF, code: { type: 'string' } }, ['tabId', 'code']),
+  inject_css: request({ tabId: TAB_REF, css: { type: 'string' } }, ['tabId', 'css']),
+  get_cookies: request({ tabId: TAB_REF }, ['tabId']),
+  get_cookies_by_domain: request({
+    domain: { type: 'string', minLength: 1 },
+    includeSubdomains: { type: 'boolean' },
+  }, ['domain']),
+  upload_file_to_tab: request({
+    tabId: TAB_REF,
+    files: { type: 'array', minItems: 1, items: FILE },
+    targetSelector: { type: 'string' },
+  }, ['tabId', 'files']),
+  batch: request({
+    tabId: TAB_REF,
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: BATCH_STEP_ACTIONS },
+          id: { type: ['string', 'integer'] },
+          timeoutMs: { type: 'number', minimum: 0 },
+        },
+        required: ['action'],
+      },
+    },
+    onError: { type: 'string', enum: ['stop', 'continue'] },
+  }, ['steps']),
+};
+
+// A command's schema without the fields something else fills in
+function withOptional(schema, optional) {
+  return optional.length > 0
+    ? { ...schema, required: (schema.required || []).filter((field) => !optional.includes(field)) }
+    : schema;
+}
+
+function invalidParams(action, errors) {
+  return {
+    code: 'INVALID_PARAMS',
+    message: `Invalid ${action} request: ${errors.map((e) => `${e.path} ${e.message}`).join('; ')}`,
+    errors,
+  };
+}
+
+/**
+ * Check an automation request against its action's schema. `optional` lists
+ * required fields the caller fills in itself (broadcast sets each copy's
+ * tabId). Returns null, or an INVALID_PARAMS error body with the list of
+ * `errors`. Actions without a schema are left to the dispatcher.
+ */
+function validateRequest(action, data, { optional = [] } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(REQUEST_SCHEMAS, action)) return null;
+  const schema = REQUEST_SCHEMAS[action];
+
+  const errors = validate(withOptional(schema, optional), data);
+  if (action === 'batch' && errors.length === 0) {
+    // Steps may leave out tabId (the current tab) and refer to earlier results
+    data.steps.forEach((step, index) => {
+      const stepSchema = step.action === 'wait' ? WAIT_STEP : withOptional(REQUEST_SCHEMAS[step.action], ['tabId']);
+      errors.push(...validate(stepSchema, step, `steps[${index}]`, { allowRefs: true }));
+    });
+  }
+  return errors.length > 0 ? invalidParams(action, errors) : null;
+}
+
+// ── responses (extension → server) ──────────────────────────────────
+
+function result(properties = {}, required = []) {
+  return { type: 'object', properties: { tabId: TAB_REF, ...properties }, required };
+}
+
+/**
+ * Schemas of the completion messages an extension answers with. Only what
+ * the server relies on is checked; absent optional fields get defaults.
+ */
+const RESPONSE_SCHEMAS = {
+  open_url_complete: result({ url: { type: 'string' }, cookies: { type: 'array' } }, ['tabId']),
+  close_tab_complete: result(),
+  tab_html_complete: result({ html: { type: 'string' } }, ['html']),
+  execute_script_complete: result(),
+  inject_css_complete: result(),
+  get_cookies_complete: result({ url: { type: 'string' }, cookies: { type: 'array' } }),
+  get_cookies_by_domain_complete: result({
+    domain: { type: 'string' },
+    cookies: { type: 'array' },
+    total: { type: 'integer', minimum: 0 },
+  }),
+  upload_file_to_tab_complete: result({ uploadedFiles: { type: 'array' } }),
+  batch_complete: result({
+    tabId: { type: ['integer', 'null'] },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          status: { type: 'string', enum: ['success', 'error', 'skipped'] },
+          code: { type: 'string' },
+        },
+        required: ['index', 'status'],
+      },
+    },
+    stoppedAt: { type: ['integer', 'null'] },
+  }, ['results']),
+  error: { type: 'object', properties: { code: { type: 'string' }, message: { type: 'string' } } },
+};
+
+/**
+ * Check an extension's completion message. Returns null, or an
+ * INVALID_RESPONSE error body to hand to the caller instead of the result.
+ */
+function validateResponse(type, data) {
+  if (!Object.prototype.hasOwnProperty.call(RESPONSE_SCHEMAS, type)) return null;
+  const errors = validate(RESPONSE_SCHEMAS[type], data);
+  if (errors.length === 0) return null;
+  return {
+    code: 'INVALID_RESPONSE',
+    message: `Malformed ${type} from the browser extension: ${errors.map((e) => `${e.path} ${e.message}`).join('; ')}`,
+    errors,
+  };
+}
+
+module.exports = {
+  REQUEST_SCHEMAS,
+  RESPONSE_SCHEMAS,
+  BATCH_STEP_ACTIONS,
+  validate,
+  validateRequest,
+  validateResponse,
+};
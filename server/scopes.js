@@ -0,0 +1,168 @@
+'use strict';
+
+const fs = require('fs');
+const { safeEqual, verifyToken } = require('./auth');
+
+// Actions a read-only key may use: they observe the browser but never change it
+const READ_ONLY_ACTIONS = new Set([
+  'get_tabs',
+  'list_clients',
+  'get_html',
+  'get_cookies',
+  'get_cookies_by_domain',
+  'subscribe_events',
+  'unsubscribe_events',
+  'get_response',
+  'cancel',
+]);
+
+// Always allowed: a key can only cancel its own requests anyway, and each
+// command a broadcast fans out (or step a batch runs) is checked on its own
+const UNRESTRICTED_ACTIONS = new Set(['cancel', 'broadcast', 'batch']);
+
+// ── API key config ──────────────────────────────────────────────────
+
+/**
+ * Turn `*` globs into an anchored, case-insensitive RegExp.
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compile URL globs: patterns containing `://` match the full URL, anything
+ * else matches the hostname (`*.example.com`).
+ */
+function compileUrlPatterns(patterns) {
+  return patterns.map((pattern) => ({ pattern, full: pattern.includes('://'), regex: globToRegExp(pattern) }));
+}
+
+function matchesUrlPatterns(patterns, url) {
+  if (typeof url !== 'string') return false;
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return false;
+  }
+  return patterns.some(({ full, regex }) => regex.test(full ? url : hostname));
+}
+
+/**
+ * Validate and normalize the `apiKeys` option:
+ *
+ *   [{ name, key, actions?: [...], urls?: [...], readOnly?: bool }]
+ *
+ * `urls` entries containing `://` match the full URL, anything else matches
+ * the hostname (`*.example.com`). Returns null when no keys are configured.
+ */
+function createApiKeys(entries) {
+  if (!entries) return null;
+  const list = Array.isArray(entries) ? entries : entries.keys;
+  if (!Array.isArray(list)) throw new Error('apiKeys must be an array or { keys: [...] }');
+  if (list.length === 0) return null;
+
+  const names = new Set();
+  return list.map((entry, i) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      throw new Error(`apiKeys[${i}]: "name" is required`);
+    }
+    if (typeof entry.key !== 'string' || !entry.key) {
+      throw new Error(`apiKeys[${i}] (${entry.name}): "key" is required`);
+    }
+    if (names.has(entry.name)) throw new Error(`apiKeys: duplicate name "${entry.name}"`);
+    names.add(entry.name);
+
+    for (const field of ['actions', 'urls']) {
+      if (entry[field] !== undefined && !Array.isArray(entry[field])) {
+        throw new Error(`apiKeys[${i}] (${entry.name}): "${field}" must be an array`);
+      }
+    }
+
+    return {
+      name: entry.name,
+      key: entry.key,
+      actions: entry.actions ? new Set(entry.actions) : null,
+      urls: entry.urls ? compileUrlPatterns(entry.urls) : null,
+      readOnly: entry.readOnly === true,
+    };
+  });
+}
+
+/**
+ * Read API keys from a JSON file (`--api-keys <path>`).
+ */
+function loadApiKeysFile(filePath) {
+  return createApiKeys(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+// ── token -> scope ──────────────────────────────────────────────────
+
+/**
+ * Resolve an automation token. Returns `{ scope: null }` for unrestricted
+ * access (no auth configured, or the master secret), `{ scope }` for a named
+ * API key, and null when the token is rejected.
+ */
+function resolveScope(state, token) {
+  if (!state.auth && !state.apiKeys) return { scope: null };
+  if (state.auth && verifyToken(state.auth, token)) return { scope: null };
+  for (const scope of state.apiKeys || []) {
+    if (safeEqual(scope.key, token)) return { scope };
+  }
+  return null;
+}
+
+// ── policy checks ───────────────────────────────────────────────────
+
+function isUrlAllowed(scope, url) {
+  if (!scope || !scope.urls) return true;
+  return matchesUrlPatterns(scope.urls, url);
+}
+
+// FORBIDDEN error body; `reason` is action, read_only or url
+function forbidden(scope, reason, message) {
+  return { code: 'FORBIDDEN', reason, scope: scope.name, message };
+}
+
+/**
+ * Check an action against a scope. `urls` are every URL the request would
+ * touch (destination, target tab); null entries are unknown and denied.
+ * Returns null when allowed, otherwise a FORBIDDEN error body.
+ */
+function checkScope(scope, action, urls = []) {
+  if (!scope || UNRESTRICTED_ACTIONS.has(action)) return null;
+
+  const deny = (reason, message) => forbidden(scope, reason, message);
+
+  if (scope.actions && !scope.actions.has(action)) {
+    return deny('action', `API key "${scope.name}" may not use "${action}"`);
+  }
+  if (scope.readOnly && !READ_ONLY_ACTIONS.has(action)) {
+    return deny('read_only', `API key "${scope.name}" is read-only; "${action}" is not allowed`);
+  }
+  for (const url of urls) {
+    if (!isUrlAllowed(scope, url)) {
+      return deny('url', url
+        ? `API key "${scope.name}" may not access ${url}`
+        : `API key "${scope.name}" may not access a tab with an unknown URL`);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  READ_ONLY_ACTIONS,
+  createApiKeys,
+  loadApiKeysFile,
+  resolveScope,
+  isUrlAllowed,
+  checkScope,
+  forbidden,
+  compileUrlPatterns,
+  matchesUrlPatterns,
+};
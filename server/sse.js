@@ -0,0 +1,115 @@
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { handleConnection } = require('./ws-handler');
+const { readBody, MAX_BODY_BYTES } = require('./http-util');
+
+const SSE_ENDPOINT = '/api/browser/events';
+const SSE_KEEPALIVE_MS = 25000;
+
+// ── SSE socket adapter ──────────────────────────────────────────────
+
+/**
+ * Wrap an SSE response so ws-handler can treat it like a WebSocket:
+ * send() writes a `data:` frame, POSTed bodies are emitted as 'message'.
+ */
+function createSseSocket(res) {
+  const socket = new EventEmitter();
+  socket.readyState = 1;
+
+  socket.send = (data) => {
+    if (socket.readyState !== 1) return;
+    res.write(`data: ${data}\n\n`);
+  };
+
+  socket.close = (code, reason) => {
+    if (socket.readyState !== 1) return;
+    socket.readyState = 3;
+    res.end();
+    socket.emit('close', code, reason);
+  };
+
+  res.on('close', () => {
+    if (socket.readyState !== 1) return;
+    socket.readyState = 3;
+    socket.emit('close', 1006, 'SSE stream closed');
+  });
+
+  return socket;
+}
+
+// ── transport factory ───────────────────────────────────────────────
+
+/**
+ * HTTP fallback transport for extensions whose WebSocket is blocked:
+ * server → extension over `GET /api/browser/events` (SSE),
+ * extension → server over `POST /api/browser/events/:channelId`.
+ *
+ * Each stream is registered through handleConnection like a WebSocket,
+ * so auth, routing and subscriptions behave exactly the same.
+ */
+function createSseTransport(state, { respond, logger = console } = {}) {
+  const channels = new Map(); // channelId -> socket
+
+  function handleStream(req, res) {
+    const channelId = crypto.randomUUID();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    const socket = createSseSocket(res);
+    const keepAlive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+    channels.set(channelId, socket);
+
+    socket.on('close', () => {
+      clearInterval(keepAlive);
+      channels.delete(channelId);
+    });
+
+    // The channel id must reach the client before any protocol traffic
+    socket.send(JSON.stringify({
+      type: 'sse_connected',
+      channelId,
+      postEndpoint: `${SSE_ENDPOINT}/${channelId}`,
+    }));
+
+    handleConnection(socket, req, state);
+  }
+
+  function handlePost(req, res, channelId) {
+    const socket = channels.get(channelId);
+    if (!socket) {
+      req.resume();
+      respond(res, 404, { status: 'error', message: 'Unknown SSE channel' });
+      return;
+    }
+
+    readBody(req, MAX_BODY_BYTES).then((body) => {
+      socket.emit('message', body);
+      respond(res, 202, { status: 'success' });
+    }).catch((err) => {
+      logger.warn(`[SSE] POST to ${channelId} failed: ${err.message}`);
+      respond(res, err.statusCode || 400, { status: 'error', message: err.message });
+    });
+  }
+
+  function closeAll() {
+    for (const [, socket] of channels) {
+      socket.close(1000, 'Server shutting down');
+    }
+  }
+
+  return { handleStream, handlePost, closeAll, channels };
+}
+
+module.exports = {
+  SSE_ENDPOINT,
+  SSE_KEEPALIVE_MS,
+  createSseSocket,
+  createSseTransport,
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const DEFAULT_ALT_NAMES = ['localhost', '127.0.0.1', '::1'];
+const DEFAULT_DAYS = 365;
+
+// ── loading ─────────────────────────────────────────────────────────
+
+/**
+ * Read a PEM certificate and private key for `https.createServer`.
+ * Returns null when neither path is given.
+ */
+function loadTlsFiles(certPath, keyPath) {
+  if (!certPath && !keyPath) return null;
+  if (!certPath || !keyPath) {
+    throw new Error('TLS needs both a certificate (--tls-cert) and a private key (--tls-key)');
+  }
+  return {
+    cert: fs.readFileSync(path.resolve(certPath)),
+    key: fs.readFileSync(path.resolve(keyPath)),
+  };
+}
+
+// ── DER encoding ────────────────────────────────────────────────────
+
+function derLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let n = length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+}
+
+const sequence = (...items) => tlv(0x30, ...items);
+const set = (...items) => tlv(0x31, ...items);
+const explicit = (n, item) => tlv(0xa0 + n, item);
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let n = arc >> 7; n > 0; n >>= 7) chunk.unshift((n & 0x7f) | 0x80);
+    bytes.push(...chunk);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+function derTime(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14); // YYYYMMDDHHMMSS
+  // UTCTime until 2049, GeneralizedTime after (RFC 5280 §4.1.2.5)
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(`${iso.slice(2)}Z`))
+    : tlv(0x18, Buffer.from(`${iso}Z`));
+}
+
+function commonName(name) {
+  return sequence(set(sequence(oid('2.5.4.3'), tlv(0x0c, Buffer.from(name, 'utf8')))));
+}
+
+function altName(name) {
+  if (net.isIPv4(name)) return tlv(0x87, Buffer.from(name.split('.').map(Number)));
+  if (net.isIPv6(name)) {
+    const [head, tail = ''] = name.split('::');
+    const groups = (part) => (part ? part.split(':') : []);
+    const missing = 8 - groups(head).length - groups(tail).length;
+    const full = [...groups(head), ...Array(name.includes('::') ? missing : 0).fill('0'), ...groups(tail)];
+    return tlv(0x87, Buffer.from(full.flatMap((g) => [parseInt(g, 16) >> 8, parseInt(g, 16) & 0xff])));
+  }
+  return tlv(0x82, Buffer.from(name, 'ascii'));
+}
+
+function extension(id, value, critical = false) {
+  const parts = [oid(id)];
+  if (critical) parts.push(tlv(0x01, Buffer.from([0xff])));
+  parts.push(tlv(0x04, value));
+  return sequence(...parts);
+}
+
+// ── self-signed certificate ─────────────────────────────────────────
+
+/**
+ * Generate a self-signed ECDSA P-256 server certificate for local
+ * development. `altNames` become the subjectAltName entries browsers match
+ * against (hostnames and IP addresses). Returns `{ cert, key }` as PEM.
+ */
+function generateSelfSignedCert({ altNames = DEFAULT_ALT_NAMES, days = DEFAULT_DAYS } = {}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const signatureAlgorithm = sequence(oid('1.2.840.10045.4.3.2')); // ecdsa-with-SHA256
+
+  const serial = crypto.randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x01; // positive and without a leading zero byte
+
+  const notBefore = new Date(Date.now() - 60 * 1000);
+  const notAfter = new Date(notBefore.getTime() + days * 24 * 60 * 60 * 1000);
+  const name = commonName(altNames[0]);
+
+  const tbs = sequence(
+    explicit(0, tlv(0x02, Buffer.from([2]))), // v3
+    tlv(0x02, serial),
+    signatureAlgorithm,
+    name,
+    sequence(derTime(notBefore), derTime(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(
+      extension('2.5.29.19', sequence(), true), // basicConstraints: not a CA
+      extension('2.5.29.15', tlv(0x03, Buffer.from([0x07, 0x80])), true), // keyUsage: digitalSignature
+      extension('2.5.29.37', sequence(oid('1.3.6.1.5.5.7.3.1'))), // extKeyUsage: serverAuth
+      extension('2.5.29.17', sequence(...altNames.map(altName))), // subjectAltName
+    )),
+  );
+
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  const der = sequence(tbs, signatureAlgorithm, tlv(0x03, Buffer.from([0]), signature));
+
+  const base64 = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  };
+}
+
+/**
+ * Write `cert.pem` and `key.pem` into `dir` (the key readable by the owner
+ * only). Returns their paths.
+ */
+function writeSelfSignedCert(dir, options = {}) {
+  const { cert, key } = generateSelfSignedCert(options);
+  fs.mkdirSync(dir, { recursive: true });
+  const certPath = path.join(dir, 'cert.pem');
+  const keyPath = path.join(dir, 'key.pem');
+  fs.writeFileSync(certPath, cert);
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  return { certPath, keyPath };
+}
+
+module.exports = {
+  DEFAULT_ALT_NAMES,
+  loadTlsFiles,
+  generateSelfSignedCert,
+  writeSelfSignedCert,
+};
+
+// ── direct execution ────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  function getArg(name, fallback) {
+    const idx = args.indexOf(`--${name}`);
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : fallback;
+  }
+
+  const hosts = args.filter((a, i) => args[i - 1] === '--host');
+  const { certPath, keyPath } = writeSelfSignedCert(getArg('out', 'tls'), {
+    altNames: hosts.length > 0 ? hosts : DEFAULT_ALT_NAMES,
+    days: parseInt(getArg('days', String(DEFAULT_DAYS)), 10),
+  });
+
+  console.log(`Certificate: ${certPath}`);
+  console.log(`Private key: ${keyPath}`);
+  console.log('');
+  console.log(`Start the server with: node server/index.js --tls-cert ${certPath} --tls-key ${keyPath}`);
+  console.log('Then open the https:// address once in the browser and accept the certificate,');
+  console.log('so the extension can connect over wss://.');
+}
@@ -2,17 +2,127 @@
 
 const crypto = require('crypto');
 const { URL } = require('url');
+const {
+  createAuthConfig,
+  createChallenge,
+  verifyChallengeResponse,
+  extractToken,
+} = require('./auth');
+const {
+  createApiKeys,
+  resolveScope,
+  checkScope,
+  forbidden,
+  isUrlAllowed,
+  compileUrlPatterns,
+  matchesUrlPatterns,
+} = require('./scopes');
+const { createAuditLog, sanitizeParams, summarizeOutcome } = require('./audit');
+const { createMetrics } = require('./metrics');
+const { createHealthMonitor } = require('./health');
+const { createDashboard } = require('./dashboard');
+const { createHeartbeat, markAlive, isStale } = require('./heartbeat');
+const { normalizeErrorCode } = require('./errors');
+const { validateRequest, validateResponse } = require('./schema');
+const { isForeignOrigin } = require('./http-util');
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  MAX_PAYLOAD_BYTES,
+  PROTOCOL_MISMATCH_CLOSE_CODE,
+  negotiateVersion,
+  parseCapabilities,
+  checkCapabilities,
+} = require('./protocol');
+const {
+  CHUNK_SIZE,
+  CHUNK_THRESHOLD,
+  splitIntoChunks,
+  acceptChunkFrame,
+  expireTransfers,
+} = require('./chunking');
+
+const REQUEST_TIMEOUT_MS = 60000; // default when the caller sets no timeoutMs
+const MAX_REQUEST_TIMEOUT_MS = 10 * 60 * 1000;
+const RESPONSE_TTL_MS = 5 * 60 * 1000;
+const RESPONSE_STORE_MAX = 1000;
+
+// Actions relayed verbatim to the extension, with the fields each one carries
+const FORWARDED_ACTIONS = {
+  open_url: ['url', 'tabId', 'windowId'],
+  close_tab: ['tabId'],
+  get_html: ['tabId'],
+  execute_script: ['tabId', 'code'],
+  inject_css: ['tabId', 'css'],
+  get_cookies: ['tabId'],
+  get_cookies_by_domain: ['domain', 'includeSubdomains'],
+  upload_file_to_tab: ['tabId', 'files', 'targetSelector'],
+  batch: ['tabId', 'steps', 'onError'],
+};
 
-const REQUEST_TIMEOUT_MS = 60000;
+// Actions an automation client can send, advertised in connection_established
+const AUTOMATION_ACTIONS = [
+  'get_tabs',
+  'list_clients',
+  'subscribe_events',
+  'unsubscribe_events',
+  'broadcast',
+  'subscribe_dashboard',
+  'cancel',
+  'get_response',
+  ...Object.keys(FORWARDED_ACTIONS),
+];
+
+// Browser events the extension can push (subscribe with '*' for all of them)
+const BROWSER_EVENTS = [
+  'tabCreated',
+  'tabUpdated',
+  'tabRemoved',
+  'tabActivated',
+  'navigationCommitted',
+  'navigationCompleted',
+  'downloadCreated',
+  'downloadChanged',
+];
+
+// Forwarded actions that act on the browser as a whole; broadcasting any
+// other one fans out over tabs and needs a `tabUrl` glob
+const BROWSER_LEVEL_ACTIONS = new Set(['open_url', 'get_cookies_by_domain']);
+
+// Forwarded actions that are safe to send again after the browser reconnects
+const REDISPATCHABLE_ACTIONS = new Set(['get_html', 'get_cookies', 'get_cookies_by_domain']);
+
+const SESSION_CLOSE_GRACE_MS = 5000;
+const SERVER_VERSION = '1.0.0';
 
 function generateId() {
   return crypto.randomUUID();
 }
 
+// Returns the number of bytes written (0 when the socket is not open)
 function send(socket, data) {
-  if (socket.readyState === 1) {
-    socket.send(JSON.stringify(data));
+  if (socket.readyState !== 1) return 0;
+  const raw = JSON.stringify(data);
+  socket.send(raw);
+  return Buffer.byteLength(raw);
+}
+
+/**
+ * Send a result to an automation client, as chunk frames when it is large
+ * and the client announced chunk support (`?chunked=1`). Returns the bytes
+ * of the serialized result.
+ */
+function sendResult(socket, data, state) {
+  if (socket.readyState !== 1) return 0;
+  const raw = JSON.stringify(data);
+  if (raw.length <= CHUNK_THRESHOLD || !state.chunkedSockets.has(socket)) {
+    socket.send(raw);
+    return Buffer.byteLength(raw);
+  }
+  for (const frame of splitIntoChunks(data.requestId, raw)) {
+    socket.send(JSON.stringify(frame));
   }
+  return Buffer.byteLength(raw);
 }
 
 function parseBrowserName(userAgent) {
@@ -25,17 +135,45 @@ function parseBrowserName(userAgent) {
   return 'unknown';
 }
 
+function isExtensionReady(conn) {
+  return conn.socket.readyState === 1 && conn.authenticated !== false;
+}
+
+// ── tab handles ─────────────────────────────────────────────────────
+
+/**
+ * Tab ids are only unique within one browser; `<clientId>:<tabId>` is
+ * unique across every connected browser.
+ */
+function tabHandle(clientId, tabId) {
+  return `${clientId}:${tabId}`;
+}
+
+function parseTabHandle(value) {
+  if (typeof value !== 'string') return null;
+  const sep = value.lastIndexOf(':');
+  if (sep <= 0) return null;
+  const tabId = Number(value.slice(sep + 1));
+  if (!Number.isInteger(tabId)) return null;
+  return { clientId: value.slice(0, sep), tabId };
+}
+
 function getExtensionSummaries(state) {
   const summaries = [];
   for (const [clientId, conn] of state.extensionClients) {
-    if (conn.socket.readyState !== 1) continue;
+    if (!isExtensionReady(conn)) continue;
     summaries.push({
       clientId,
       browserName: conn.browserName,
-      tabs: conn.tabs,
+      label: conn.label,
+      tabs: conn.tabs.map((tab) => ({ ...tab, handle: tabHandle(clientId, tab.id) })),
       activeTabId: conn.activeTabId,
       tabCount: conn.tabs.length,
       connectedAt: new Date(conn.createdAt).toISOString(),
+      protocolVersion: conn.protocolVersion,
+      capabilities: conn.capabilities,
+      ...(conn.bridge ? { bridge: conn.bridge.name } : {}),
+      ...(isStale(conn) ? { stale: true } : {}),
     });
   }
   return summaries;
@@ -44,12 +182,41 @@ function getExtensionSummaries(state) {
 // ── connection entry ────────────────────────────────────────────────
 
 function handleConnection(socket, request, state) {
-  const clientAddress = `${request.socket.remoteAddress}:${request.socket.remotePort}`;
+  // Unix socket peers have no address
+  const clientAddress = request.socket.remoteAddress
+    ? `${request.socket.remoteAddress}:${request.socket.remotePort}`
+    : 'unix';
   const url = new URL(request.url, `ws://${request.headers.host || 'localhost'}`);
   const clientType = url.searchParams.get('type') || 'extension';
 
-  if (clientType === 'automation') {
-    setupAutomationClient(socket, clientAddress, state);
+  if (clientType === 'automation' || clientType === 'bridge') {
+    // WebSockets and event streams skip CORS: refuse other sites' pages here
+    if (isForeignOrigin(request)) {
+      console.warn(`[${clientType === 'bridge' ? 'Bridge' : 'Automation'}] Rejected connection from ${request.headers.origin}: ${clientAddress}`);
+      send(socket, { type: 'error', code: 'FORBIDDEN', message: `Connections from ${request.headers.origin} are not allowed` });
+      socket.close(4003, 'Forbidden origin');
+      return;
+    }
+    const resolved = resolveScope(state, extractToken(request, url));
+    if (!resolved) {
+      console.warn(`[${clientType === 'bridge' ? 'Bridge' : 'Automation'}] Rejected unauthorized connection: ${clientAddress}`);
+      send(socket, { type: 'error', code: 'AUTH_FAILED', message: 'Invalid or missing token' });
+      socket.close(4001, 'Unauthorized');
+      return;
+    }
+    const negotiated = negotiateVersion(url.searchParams.get('protocol'), url.searchParams.get('minProtocol'));
+    if (negotiated.error) {
+      console.warn(`[${clientType === 'bridge' ? 'Bridge' : 'Automation'}] Rejected ${clientAddress}: ${negotiated.error.message}`);
+      send(socket, { type: 'error', ...negotiated.error, protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION });
+      socket.close(PROTOCOL_MISMATCH_CLOSE_CODE, 'Incompatible protocol version');
+      return;
+    }
+    if (clientType === 'bridge') {
+      setupBridgeClient(socket, clientAddress, state, url.searchParams.get('name'), resolved.scope);
+      return;
+    }
+    if (url.searchParams.get('chunked') === '1') state.chunkedSockets.add(socket);
+    setupAutomationClient(socket, clientAddress, state, resolved.scope, negotiated.version);
   } else {
     setupExtensionClient(socket, clientAddress, state);
   }
@@ -58,84 +225,479 @@ function handleConnection(socket, request, state) {
 // ── extension client ────────────────────────────────────────────────
 
 function setupExtensionClient(socket, clientAddress, state) {
+  // Replaced by the extension's persistent instanceId once init arrives
   const clientId = generateId();
 
   console.log(`[Extension] Connected: ${clientAddress} (${clientId})`);
 
-  state.extensionClients.set(clientId, {
+  const conn = {
+    clientId,
     socket,
     clientAddress,
     createdAt: Date.now(),
     lastActivity: Date.now(),
     browserName: 'unknown',
     userAgent: null,
+    label: null,
     tabs: [],
     activeTabId: null,
+    protocolVersion: 1, // until init says otherwise
+    capabilities: null,
+    authenticated: !state.auth,
+    challenge: null,
+    sessionId: null,
+    sessionExpiresAt: null,
+    authTimers: [],
+  };
+  state.extensionClients.set(clientId, conn);
+
+  if (state.auth) {
+    sendAuthChallenge(clientId, state);
+  } else {
+    send(socket, {
+      type: 'auth_result',
+      success: true,
+      clientId,
+      sessionId: null,
+      expiresIn: null,
+      permissions: null,
+    });
+  }
+
+  socket.on('message', (raw) => {
+    markAlive(conn);
+    handleExtensionMessage(raw, conn.clientId, state);
   });
 
-  send(socket, {
+  socket.on('pong', () => markAlive(conn));
+
+  socket.on('close', () => {
+    console.log(`[Extension] Disconnected: ${clientAddress} (${conn.clientId})`);
+    removeExtensionClient(conn.clientId, state, conn);
+  });
+
+  socket.on('error', (err) => {
+    console.error(`[Extension] Error ${conn.clientId}: ${err.message}`);
+    removeExtensionClient(conn.clientId, state, conn);
+  });
+}
+
+/**
+ * Remove an extension. Passing `expected` only removes that connection, so a
+ * stale socket closing late cannot evict the reconnect that replaced it.
+ */
+function removeExtensionClient(clientId, state, expected) {
+  const conn = state.extensionClients.get(clientId);
+  if (!conn || (expected && conn !== expected)) return;
+  clearAuthTimers(conn);
+  state.extensionClients.delete(clientId);
+  releasePendingForExtension(conn, state);
+}
+
+// ── extension identity ──────────────────────────────────────────────
+
+// No ':' — it separates clientId and tabId in tab handles
+const INSTANCE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const LABEL_MAX_LENGTH = 64;
+
+/**
+ * Re-key a connection under the persistent instanceId sent in `init`, so
+ * `target` values cached by automation clients survive reconnects. A stale
+ * connection still holding that identity is closed. Returns the clientId
+ * the connection is now known by.
+ */
+function assignIdentity(clientId, data, state) {
+  const conn = state.extensionClients.get(clientId);
+  if (!conn) return clientId;
+
+  if (typeof data.label === 'string') {
+    conn.label = data.label.trim().slice(0, LABEL_MAX_LENGTH) || null;
+  }
+
+  const instanceId = data.instanceId;
+  if (typeof instanceId !== 'string' || !INSTANCE_ID_PATTERN.test(instanceId) || instanceId === clientId) {
+    return clientId;
+  }
+
+  const previous = state.extensionClients.get(instanceId);
+  if (previous) {
+    console.log(`[Extension] Replacing stale connection for ${instanceId}`);
+    removeExtensionClient(instanceId, state, previous);
+    previous.socket.close(4009, 'Replaced by a newer connection');
+  }
+
+  state.extensionClients.delete(clientId);
+  conn.clientId = instanceId;
+  state.extensionClients.set(instanceId, conn);
+  return instanceId;
+}
+
+// ── extension authentication ────────────────────────────────────────
+
+function clearAuthTimers(conn) {
+  for (const timer of conn.authTimers || []) clearTimeout(timer);
+  conn.authTimers = [];
+}
+
+function sendAuthChallenge(clientId, state) {
+  const conn = state.extensionClients.get(clientId);
+  if (!conn) return;
+
+  conn.challenge = createChallenge();
+  send(conn.socket, {
+    type: 'auth_challenge',
+    challenge: conn.challenge,
+    serverVersion: SERVER_VERSION,
+    timestamp: new Date().toISOString(),
+  });
+
+  conn.authTimers.push(setTimeout(() => {
+    if (conn.authenticated) return;
+    console.warn(`[Extension] Auth timeout: ${conn.clientAddress} (${clientId})`);
+    conn.socket.close(4002, 'Authentication timeout');
+  }, state.auth.authTimeoutMs));
+}
+
+function handleAuthResponse(data, clientId, state) {
+  const conn = state.extensionClients.get(clientId);
+  if (!conn) return;
+
+  clearAuthTimers(conn);
+
+  if (!verifyChallengeResponse(state.auth.secret, conn.challenge, data.response)) {
+    console.warn(`[Extension] Auth failed: ${conn.clientAddress} (${clientId})`);
+    conn.challenge = null;
+    send(conn.socket, {
+      type: 'auth_result',
+      success: false,
+      error: 'AUTH_FAILED',
+    });
+    conn.socket.close(4004, 'Authentication failed');
+    return;
+  }
+
+  const { sessionTtlMs, expiringNoticeMs } = state.auth;
+  conn.authenticated = true;
+  conn.challenge = null;
+  conn.sessionId = generateId();
+  conn.sessionExpiresAt = Date.now() + sessionTtlMs;
+
+  console.log(`[Extension] Authenticated: ${conn.clientAddress} (${clientId})`);
+
+  send(conn.socket, {
     type: 'auth_result',
     success: true,
     clientId,
-    sessionId: null,
-    expiresIn: null,
+    sessionId: conn.sessionId,
+    expiresIn: Math.floor(sessionTtlMs / 1000),
     permissions: null,
   });
 
-  socket.on('message', (raw) => {
-    const conn = state.extensionClients.get(clientId);
-    if (conn) conn.lastActivity = Date.now();
-    handleExtensionMessage(raw, clientId, state);
-  });
+  conn.authTimers.push(setTimeout(() => {
+    send(conn.socket, {
+      type: 'session_expiring',
+      sessionId: conn.sessionId,
+      expiresIn: Math.floor(expiringNoticeMs / 1000),
+      timestamp: new Date().toISOString(),
+    });
+  }, sessionTtlMs - expiringNoticeMs));
 
-  socket.on('close', () => {
-    console.log(`[Extension] Disconnected: ${clientAddress} (${clientId})`);
-    state.extensionClients.delete(clientId);
-  });
+  // The connection may have been re-keyed by init in the meantime
+  conn.authTimers.push(setTimeout(() => expireSession(conn.clientId, state), sessionTtlMs));
+}
 
-  socket.on('error', (err) => {
-    console.error(`[Extension] Error ${clientId}: ${err.message}`);
-    state.extensionClients.delete(clientId);
+function expireSession(clientId, state) {
+  const conn = state.extensionClients.get(clientId);
+  if (!conn) return;
+
+  console.log(`[Extension] Session expired: ${conn.clientAddress} (${clientId})`);
+  conn.authenticated = false;
+  send(conn.socket, {
+    type: 'session_expired',
+    sessionId: conn.sessionId,
+    reason: 'Session TTL reached',
+    timestamp: new Date().toISOString(),
   });
+  conn.sessionId = null;
+
+  // Give the extension a moment to reconnect on its own before dropping it
+  conn.authTimers.push(setTimeout(() => {
+    conn.socket.close(1000, 'Session expired');
+  }, SESSION_CLOSE_GRACE_MS));
 }
 
 // ── automation client ───────────────────────────────────────────────
 
-function setupAutomationClient(socket, clientAddress, state) {
+function setupAutomationClient(socket, clientAddress, state, scope = null, protocolVersion = PROTOCOL_VERSION) {
   const clientId = generateId();
 
-  console.log(`[Automation] Connected: ${clientAddress} (${clientId})`);
+  console.log(`[Automation] Connected: ${clientAddress} (${clientId})${scope ? ` [key: ${scope.name}]` : ''}`);
 
   state.automationClients.set(clientId, {
     socket,
     clientAddress,
+    scope, // null = unrestricted
+    protocolVersion,
     createdAt: Date.now(),
     lastActivity: Date.now(),
+    subscriptions: new Map(), // event -> Set of targets ('*' = any browser)
   });
 
   send(socket, {
     type: 'connection_established',
     clientId,
+    protocolVersion,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    capabilities: {
+      actions: AUTOMATION_ACTIONS,
+      events: BROWSER_EVENTS,
+      maxPayload: MAX_PAYLOAD_BYTES,
+      chunking: { threshold: CHUNK_THRESHOLD, chunkSize: CHUNK_SIZE },
+    },
     timestamp: new Date().toISOString(),
   });
 
   socket.on('message', (raw) => {
     const conn = state.automationClients.get(clientId);
-    if (conn) conn.lastActivity = Date.now();
+    if (conn) markAlive(conn);
     handleAutomationMessage(raw, clientId, socket, state);
   });
 
+  socket.on('pong', () => {
+    const conn = state.automationClients.get(clientId);
+    if (conn) markAlive(conn);
+  });
+
   socket.on('close', () => {
     console.log(`[Automation] Disconnected: ${clientAddress} (${clientId})`);
-    state.automationClients.delete(clientId);
+    removeAutomationClient(clientId, state);
   });
 
   socket.on('error', (err) => {
     console.error(`[Automation] Error ${clientId}: ${err.message}`);
-    state.automationClients.delete(clientId);
+    removeAutomationClient(clientId, state);
   });
 }
 
+function removeAutomationClient(clientId, state) {
+  const conn = state.automationClients.get(clientId);
+  if (!conn) return;
+  state.automationClients.delete(clientId);
+  state.dashboard.unsubscribe(conn.socket);
+  if (conn.subscriptions && conn.subscriptions.size > 0) {
+    syncAllExtensionSubscriptions(state);
+  }
+}
+
+// ── bridged browsers (federation) ───────────────────────────────────
+
+/**
+ * A relaying js-eyes server (see relay.js) connects with `type=bridge` and
+ * re-exports its browsers. Each one becomes an extension connection named
+ * `<bridge>/<clientId>` whose socket forwards through the bridge, so routing,
+ * deadlines, cancellation and subscriptions work unchanged.
+ */
+function setupBridgeClient(socket, clientAddress, state, name, scope) {
+  if (scope) {
+    send(socket, { type: 'error', code: 'FORBIDDEN', message: 'A bridge needs an unrestricted token' });
+    socket.close(4003, 'Forbidden');
+    return;
+  }
+  if (typeof name !== 'string' || !INSTANCE_ID_PATTERN.test(name)) {
+    send(socket, { type: 'error', code: 'INVALID_BRIDGE_NAME', message: `Invalid bridge name "${name}"` });
+    socket.close(4000, 'Invalid bridge name');
+    return;
+  }
+
+  const previous = state.bridges.get(name);
+  if (previous) {
+    console.log(`[Bridge] Replacing stale bridge ${name}`);
+    removeBridge(name, state, previous);
+    previous.socket.close(4009, 'Replaced by a newer connection');
+  }
+
+  console.log(`[Bridge] Connected: ${clientAddress} (${name})`);
+
+  const bridge = {
+    name,
+    socket,
+    clientAddress,
+    createdAt: Date.now(),
+    lastActivity: Date.now(),
+    browsers: new Map(), // remote clientId -> extension connection
+  };
+  state.bridges.set(name, bridge);
+
+  send(socket, { type: 'bridge_ack', name, timestamp: new Date().toISOString() });
+
+  socket.on('message', (raw) => {
+    markAlive(bridge);
+    handleBridgeMessage(raw, bridge, state);
+  });
+
+  socket.on('pong', () => markAlive(bridge));
+
+  socket.on('close', () => {
+    console.log(`[Bridge] Disconnected: ${clientAddress} (${name})`);
+    removeBridge(name, state, bridge);
+  });
+
+  socket.on('error', (err) => {
+    console.error(`[Bridge] Error ${name}: ${err.message}`);
+    removeBridge(name, state, bridge);
+  });
+}
+
+function removeBridge(name, state, expected) {
+  const bridge = state.bridges.get(name);
+  if (!bridge || bridge !== expected) return;
+  state.bridges.delete(name);
+  for (const remoteId of [...bridge.browsers.keys()]) detachBridgedBrowser(bridge, remoteId, state);
+}
+
+// Messages to a bridged browser travel as { type: 'relay', clientId, message }
+function createBridgedSocket(bridge, remoteId) {
+  const prefix = `{"type":"relay","clientId":${JSON.stringify(remoteId)},"message":`;
+  let closed = false;
+  return {
+    get readyState() {
+      return closed ? 3 : bridge.socket.readyState;
+    },
+    send(raw) {
+      if (!closed && bridge.socket.readyState === 1) bridge.socket.send(`${prefix}${raw}}`);
+    },
+    close() {
+      closed = true;
+    },
+  };
+}
+
+function handleBridgeMessage(raw, bridge, state) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    return;
+  }
+
+  switch (data.type) {
+    case 'ping':
+      send(bridge.socket, { type: 'pong', timestamp: new Date().toISOString() });
+      break;
+
+    case 'bridge_sync':
+      syncBridgedBrowsers(bridge, data.browsers, state);
+      break;
+
+    case 'relay':
+      handleRelayedMessage(bridge, data.message || {}, state);
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Mirror the relaying server's browser list: attach new browsers, refresh
+ * tabs and names, detach the ones that went away.
+ */
+function syncBridgedBrowsers(bridge, browsers, state) {
+  if (!Array.isArray(browsers)) return;
+
+  const seen = new Set();
+  const attached = [];
+  for (const b of browsers) {
+    if (!b || typeof b.clientId !== 'string') continue;
+    seen.add(b.clientId);
+
+    let conn = bridge.browsers.get(b.clientId);
+    if (!conn) {
+      conn = {
+        clientId: `${bridge.name}/${b.clientId}`,
+        socket: createBridgedSocket(bridge, b.clientId),
+        clientAddress: bridge.clientAddress,
+        createdAt: Date.now(),
+        lastActivity: Date.now(),
+        browserName: 'unknown',
+        userAgent: null,
+        label: null,
+        tabs: [],
+        activeTabId: null,
+        protocolVersion: 1,
+        capabilities: null,
+        authenticated: true,
+        authTimers: [],
+        bridge,
+      };
+      bridge.browsers.set(b.clientId, conn);
+      state.extensionClients.set(conn.clientId, conn);
+      attached.push(conn.clientId);
+      console.log(`[Bridge] Browser attached: ${conn.clientId}`);
+    }
+
+    conn.browserName = typeof b.browserName === 'string' ? b.browserName : 'unknown';
+    conn.label = typeof b.label === 'string' ? b.label.slice(0, LABEL_MAX_LENGTH) : null;
+    conn.tabs = Array.isArray(b.tabs) ? b.tabs.map(({ handle, ...tab }) => tab) : [];
+    conn.activeTabId = b.activeTabId ?? null;
+    conn.protocolVersion = Number.isInteger(b.protocolVersion) ? b.protocolVersion : 1;
+    conn.capabilities = parseCapabilities(b.capabilities);
+    conn.lastActivity = Date.now();
+  }
+
+  for (const clientId of attached) {
+    syncExtensionSubscriptions(clientId, state);
+    redispatchPending(clientId, state);
+  }
+  for (const remoteId of [...bridge.browsers.keys()]) {
+    if (!seen.has(remoteId)) detachBridgedBrowser(bridge, remoteId, state);
+  }
+}
+
+function detachBridgedBrowser(bridge, remoteId, state) {
+  const conn = bridge.browsers.get(remoteId);
+  bridge.browsers.delete(remoteId);
+  conn.socket.close();
+  console.log(`[Bridge] Browser detached: ${conn.clientId}`);
+  removeExtensionClient(conn.clientId, state, conn);
+}
+
+/**
+ * The relaying server answers like it would answer an automation client
+ * (`<action>_response`); turn that back into a completion for the pending
+ * request. Only requests sent through this bridge can be resolved by it.
+ */
+function handleRelayedMessage(bridge, message, state) {
+  if (message.type === 'event') {
+    const conn = bridge.browsers.get(message.clientId);
+    if (conn) dispatchBrowserEvent(message, conn.clientId, state);
+    return;
+  }
+
+  const info = message.requestId ? state.pendingResponses.get(message.requestId) : null;
+  if (!info || !info.ext || info.ext.bridge !== bridge) return;
+
+  const { type, requestId, ...fields } = message;
+  const { clientId } = info.ext;
+  if (fields.status === 'success' && fields.tabId !== undefined) {
+    if (info.operationType === 'open_url') {
+      trackTab(clientId, fields.tabId, fields.url, state);
+      fields.handle = tabHandle(clientId, fields.tabId);
+    } else if (info.operationType === 'close_tab') {
+      untrackTab(clientId, fields.tabId, state);
+    } else if (info.operationType === 'batch') {
+      trackBatchTabs(clientId, fields.results, state);
+      fields.handle = tabHandle(clientId, fields.tabId);
+    }
+  }
+
+  resolveRequest(requestId, {
+    ...fields,
+    type: fields.status === 'success' ? `${info.operationType}_complete` : 'error',
+    requestId,
+  }, state);
+}
+
 // ── extension message handling ──────────────────────────────────────
 
 function handleExtensionMessage(raw, clientId, state) {
@@ -147,6 +709,7 @@ function handleExtensionMessage(raw, clientId, state) {
   }
 
   // Unwrap new protocol envelope: { type: 'request', action, payload }
+  const envelopeRequestId = data.type === 'request' ? data.requestId : null;
   if (data.type === 'request') {
     const action = data.action;
     const payload = data.payload || {};
@@ -158,6 +721,28 @@ function handleExtensionMessage(raw, clientId, state) {
     data = { type: action, ...payload };
   }
 
+  if (state.auth) {
+    const conn = state.extensionClients.get(clientId);
+    if (!conn) return;
+
+    if (data.type === 'auth_response') {
+      if (!conn.authenticated && conn.challenge) handleAuthResponse(data, clientId, state);
+      return;
+    }
+
+    if (!conn.authenticated) {
+      send(conn.socket, {
+        type: 'error',
+        code: conn.sessionExpiresAt ? 'SESSION_EXPIRED' : 'AUTH_REQUIRED',
+        message: 'Not authenticated',
+        requestId: data.requestId,
+      });
+      return;
+    }
+  }
+
+  if (envelopeRequestId) signalRateLimit(clientId, envelopeRequestId, state);
+
   switch (data.type) {
     case 'ping': {
       const conn = state.extensionClients.get(clientId);
@@ -168,19 +753,42 @@ function handleExtensionMessage(raw, clientId, state) {
     case 'init': {
       const conn = state.extensionClients.get(clientId);
       if (conn) {
+        const negotiated = negotiateVersion(data.protocolVersion, data.minProtocolVersion);
+        if (negotiated.error) {
+          console.warn(`[Extension] Rejected ${conn.clientAddress}: ${negotiated.error.message}`);
+          send(conn.socket, {
+            type: 'init_ack',
+            status: 'error',
+            ...negotiated.error,
+            protocolVersion: PROTOCOL_VERSION,
+            minProtocolVersion: MIN_PROTOCOL_VERSION,
+            timestamp: new Date().toISOString(),
+          });
+          conn.socket.close(PROTOCOL_MISMATCH_CLOSE_CODE, 'Incompatible protocol version');
+          return;
+        }
+        conn.protocolVersion = negotiated.version;
+        conn.capabilities = parseCapabilities(data.capabilities);
+        clientId = assignIdentity(clientId, data, state);
         conn.userAgent = data.userAgent || null;
         conn.browserName = parseBrowserName(data.userAgent);
-        console.log(`[Extension] Init received: ${conn.browserName} (${clientId})`);
+        console.log(`[Extension] Init received: ${conn.browserName} (${clientId}), protocol v${conn.protocolVersion}`);
         send(conn.socket, {
           type: 'init_ack',
           status: 'ok',
           clientId,
+          label: conn.label,
           browserName: conn.browserName,
+          protocolVersion: conn.protocolVersion,
+          minProtocolVersion: MIN_PROTOCOL_VERSION,
+          capabilities: { maxPayload: MAX_PAYLOAD_BYTES, events: BROWSER_EVENTS },
           serverConfig: {
-            request: { defaultTimeout: REQUEST_TIMEOUT_MS },
+            request: { defaultTimeout: state.requestTimeoutMs, maxTimeout: state.maxRequestTimeoutMs },
           },
           timestamp: new Date().toISOString(),
         });
+        syncExtensionSubscriptions(clientId, state);
+        redispatchPending(clientId, state);
       }
       return;
     }
@@ -195,24 +803,47 @@ function handleExtensionMessage(raw, clientId, state) {
     }
 
     case 'error':
-      handleExtensionError(data, state);
+      handleExtensionError(data, clientId, state);
+      return;
+
+    case 'event':
+      dispatchBrowserEvent(data.event ? data : (data.payload || {}), clientId, state);
+      return;
+
+    // Acks for subscription changes pushed by syncExtensionSubscriptions
+    case 'subscribe_events_response':
+    case 'unsubscribe_events_response':
+      return;
+
+    case 'chunk':
+    case 'chunk_end':
+      handleChunkFrame(data, clientId, state);
       return;
 
     default:
       break;
   }
 
-  // All remaining messages require a requestId
-  if (!data.requestId) return;
+  // All remaining messages answer a request sent to this connection
+  if (!data.requestId || !isResponder(data.requestId, clientId, state)) return;
 
   const requestId = data.requestId;
 
+  const malformed = validateResponse(data.type, data);
+  if (malformed) {
+    console.error(`[Extension] ${malformed.message} (req: ${requestId})`);
+    resolveRequest(requestId, { status: 'error', type: 'error', ...malformed, requestId }, state);
+    return;
+  }
+
   switch (data.type) {
     case 'open_url_complete':
+      trackTab(clientId, data.tabId, data.url, state);
       resolveRequest(requestId, {
         status: 'success',
         type: 'open_url_complete',
         tabId: data.tabId,
+        handle: tabHandle(clientId, data.tabId),
         url: data.url,
         cookies: data.cookies || [],
         requestId,
@@ -220,6 +851,7 @@ function handleExtensionMessage(raw, clientId, state) {
       break;
 
     case 'close_tab_complete':
+      untrackTab(clientId, data.tabId, state);
       resolveRequest(requestId, {
         status: 'success',
         type: 'close_tab_complete',
@@ -268,12 +900,38 @@ function handleExtensionMessage(raw, clientId, state) {
       }, state);
       break;
 
+    case 'get_cookies_by_domain_complete':
+      resolveRequest(requestId, {
+        status: 'success',
+        type: 'get_cookies_by_domain_complete',
+        domain: data.domain,
+        includeSubdomains: data.includeSubdomains,
+        cookies: data.cookies || [],
+        total: data.total ?? (data.cookies || []).length,
+        requestId,
+      }, state);
+      break;
+
     case 'upload_file_to_tab_complete':
       resolveRequest(requestId, {
         status: 'success',
         type: 'upload_file_to_tab_complete',
         tabId: data.tabId,
         uploadedFiles: data.uploadedFiles || [],
+        targetSelector: data.targetSelector,
+        requestId,
+      }, state);
+      break;
+
+    case 'batch_complete':
+      trackBatchTabs(clientId, data.results, state);
+      resolveRequest(requestId, {
+        status: 'success',
+        type: 'batch_complete',
+        tabId: data.tabId ?? null,
+        handle: data.tabId !== undefined && data.tabId !== null ? tabHandle(clientId, data.tabId) : null,
+        results: (data.results || []).map(normalizeStepResult),
+        stoppedAt: data.stoppedAt ?? null,
         requestId,
       }, state);
       break;
@@ -283,22 +941,87 @@ function handleExtensionMessage(raw, clientId, state) {
   }
 }
 
-function handleExtensionError(data, state) {
+/**
+ * Keep the routing table current between periodic tab syncs, so a tab
+ * opened a moment ago can already be addressed by its bare id.
+ */
+function trackTab(clientId, tabId, url, state) {
+  const conn = state.extensionClients.get(clientId);
+  if (!conn || tabId === undefined || tabId === null) return;
+  const id = Number(tabId);
+  if (!conn.tabs.some((tab) => tab.id === id)) conn.tabs.push({ id, url });
+}
+
+// Tabs opened by the steps of a batch
+function trackBatchTabs(clientId, results, state) {
+  if (!Array.isArray(results)) return;
+  for (const step of results) {
+    if (step && step.action === 'open_url' && step.status === 'success' && step.data) {
+      trackTab(clientId, step.data.tabId, step.data.url, state);
+    }
+  }
+}
+
+// Only the connection a request was forwarded to may answer it
+function isResponder(requestId, clientId, state) {
+  const info = state.pendingResponses.get(requestId);
+  return Boolean(info && info.ext && info.ext === state.extensionClients.get(clientId));
+}
+
+function untrackTab(clientId, tabId, state) {
+  const conn = state.extensionClients.get(clientId);
+  if (!conn) return;
+  conn.tabs = conn.tabs.filter((tab) => tab.id !== Number(tabId));
+}
+
+/**
+ * Large results arrive as chunk frames; once reassembled and verified the
+ * original completion message is handled as if it had arrived whole.
+ * Frames for requests this connection is not answering are not buffered.
+ */
+function handleChunkFrame(frame, clientId, state) {
+  if (!frame.requestId || !isResponder(frame.requestId, clientId, state)) return;
+
+  const result = acceptChunkFrame(state.chunkTransfers, frame);
+  if (!result) return;
+
+  if (result.error) {
+    console.error(`[Extension] ${result.error} (req: ${frame.requestId})`);
+    resolveRequest(frame.requestId, {
+      status: 'error',
+      type: 'error',
+      code: 'CHUNK_INTEGRITY',
+      message: result.error,
+      requestId: frame.requestId,
+    }, state);
+    return;
+  }
+
+  handleExtensionMessage(result.raw, clientId, state);
+}
+
+function handleExtensionError(data, clientId, state) {
   const requestId = data.requestId;
-  const message = data.message || 'Unknown error';
+  const message = typeof data.message === 'string' && data.message ? data.message : 'Unknown error';
   console.error(`[Extension] Error: ${message}` + (requestId ? ` (req: ${requestId})` : ''));
 
-  if (requestId) {
+  if (requestId && isResponder(requestId, clientId, state)) {
     resolveRequest(requestId, {
       status: 'error',
       type: 'error',
       message,
-      code: data.code || 'EXTENSION_ERROR',
+      code: normalizeErrorCode(data.code, message),
       requestId,
     }, state);
   }
 }
 
+// Failed batch steps carry error codes of the shared set as well
+function normalizeStepResult(step) {
+  if (!step || step.status !== 'error') return step;
+  return { ...step, code: normalizeErrorCode(step.code, step.message) };
+}
+
 // ── automation message handling ─────────────────────────────────────
 
 function handleAutomationMessage(raw, clientId, socket, state) {
@@ -306,7 +1029,11 @@ function handleAutomationMessage(raw, clientId, socket, state) {
   try {
     data = JSON.parse(raw);
   } catch {
-    send(socket, { type: 'error', message: 'Invalid JSON' });
+    send(socket, { type: 'error', code: 'INVALID_JSON', message: 'Invalid JSON' });
+    return;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    send(socket, { type: 'error', code: 'INVALID_JSON', message: 'A message must be a JSON object' });
     return;
   }
 
@@ -314,10 +1041,28 @@ function handleAutomationMessage(raw, clientId, socket, state) {
   const requestId = data.requestId;
 
   const target = data.target || null;
+  const auto = state.automationClients.get(clientId);
+  const scope = auto ? auto.scope : null;
+
+  const origin = { client: clientId, key: scope ? scope.name : null, transport: 'ws' };
+
+  const invalid = validateRequest(action, data);
+  if (invalid) {
+    send(socket, { type: `${action}_response`, requestId, status: 'error', ...invalid });
+    auditRejected(state, origin, action, data, target, invalid);
+    return;
+  }
+
+  const denied = authorizeRequest(scope, action, data, target, state);
+  if (denied) {
+    send(socket, { type: `${action}_response`, requestId, status: 'error', ...denied });
+    auditRejected(state, origin, action, data, target, denied);
+    return;
+  }
 
   switch (action) {
     case 'get_tabs': {
-      const browsers = getExtensionSummaries(state);
+      const browsers = filterSummaries(getExtensionSummaries(state), scope);
       const allTabs = browsers.flatMap((b) => b.tabs);
       const lastBrowser = browsers[browsers.length - 1];
       send(socket, {
@@ -334,7 +1079,7 @@ function handleAutomationMessage(raw, clientId, socket, state) {
     }
 
     case 'list_clients': {
-      const browsers = getExtensionSummaries(state);
+      const browsers = filterSummaries(getExtensionSummaries(state), scope);
       send(socket, {
         type: 'list_clients_response',
         requestId,
@@ -344,159 +1089,914 @@ function handleAutomationMessage(raw, clientId, socket, state) {
       break;
     }
 
-    case 'open_url':
-      forwardToExtension('open_url', data, socket, state, ['url', 'tabId', 'windowId'], target);
-      break;
-
-    case 'close_tab':
-      forwardToExtension('close_tab', data, socket, state, ['tabId'], target);
+    case 'subscribe_events':
+    case 'unsubscribe_events':
+      handleSubscriptionChange(action, data, clientId, socket, state);
       break;
 
-    case 'get_html':
-      forwardToExtension('get_html', data, socket, state, ['tabId'], target);
+    case 'broadcast':
+      handleBroadcast(data, socket, state, scope, origin);
       break;
 
-    case 'execute_script':
-      forwardToExtension('execute_script', data, socket, state, ['tabId', 'code'], target);
+    case 'subscribe_dashboard':
+      // The dashboard shows every caller's commands and every browser's tabs
+      if (scope) {
+        send(socket, {
+          type: 'subscribe_dashboard_response',
+          requestId,
+          status: 'error',
+          code: 'FORBIDDEN',
+          reason: 'scope',
+          scope: scope.name,
+          message: 'The dashboard needs an unrestricted token',
+        });
+        break;
+      }
+      send(socket, { type: 'subscribe_dashboard_response', requestId, status: 'success' });
+      state.dashboard.subscribe(socket);
       break;
 
-    case 'inject_css':
-      forwardToExtension('inject_css', data, socket, state, ['tabId', 'css'], target);
+    case 'cancel': {
+      const result = cancelRequest(data.originalRequestId, scope, state);
+      send(socket, { type: 'cancel_response', requestId, originalRequestId: data.originalRequestId, ...result });
       break;
+    }
 
-    case 'get_cookies':
-      forwardToExtension('get_cookies', data, socket, state, ['tabId'], target);
+    case 'get_response': {
+      const found = data.originalRequestId ? lookupResponse(data.originalRequestId, state, scope) : null;
+      sendResult(socket, found
+        ? { type: 'get_response_response', requestId, status: 'success', ...found }
+        : {
+          type: 'get_response_response',
+          requestId,
+          status: 'error',
+          code: 'NOT_FOUND',
+          message: `No response stored for request "${data.originalRequestId}"`,
+        }, state);
       break;
+    }
 
     default:
-      send(socket, { type: 'error', requestId, message: `Unknown action: ${action}` });
+      if (Object.prototype.hasOwnProperty.call(FORWARDED_ACTIONS, action)) {
+        forwardToExtension(action, data, socket, state, FORWARDED_ACTIONS[action], target, origin);
+        break;
+      }
+      send(socket, { type: 'error', requestId, code: 'UNKNOWN_ACTION', message: `Unknown action: ${action}` });
       break;
   }
 }
 
+// ── permission scopes ───────────────────────────────────────────────
+
+/**
+ * Check a request against the caller's API key scope before anything is
+ * forwarded. URL policies are checked against the destination (open_url),
+ * the cookie domain, and the target tab's last synced URL — a tab the
+ * server has no URL for is denied. Returns null or a FORBIDDEN error body.
+ * Each step of a batch is checked as if it had been sent on its own.
+ */
+function authorizeRequest(scope, action, data, target, state) {
+  if (!scope) return null;
+
+  if (action === 'batch') return authorizeBatch(scope, data, target, state);
+
+  const urls = [];
+  if (scope.urls && Object.prototype.hasOwnProperty.call(FORWARDED_ACTIONS, action)) {
+    if (data.url !== undefined) urls.push(typeof data.url === 'string' ? data.url : null);
+    if (data.domain !== undefined) urls.push(`https://${String(data.domain).replace(/^\./, '')}/`);
+    if (data.tabId !== undefined && data.tabId !== null) {
+      // Routing errors are reported by forwardToExtension
+      const route = routeRequest(state, target, data.tabId);
+      if (!route.error) urls.push(tabUrl(route.conn, route.tabId));
+    }
+  }
+  return checkScope(scope, action, urls);
+}
+
+// Batch steps that act on an existing tab
+const TAB_STEP_ACTIONS = new Set(['close_tab', 'get_html', 'execute_script', 'inject_css', 'get_cookies', 'upload_file_to_tab']);
+
+/**
+ * Check every step of a batch as if it were sent on its own, with all its
+ * fields. The server only knows tab URLs from before the batch runs, so for
+ * a key with a URL policy a step on a tab must name it (no current tab, no
+ * `$ref`), and no tab step may follow a script, which can navigate anywhere.
+ */
+function authorizeBatch(scope, data, target, state) {
+  if (!Array.isArray(data.steps)) return null;
+  let scripted = false;
+
+  for (const step of data.steps) {
+    if (!step || typeof step !== 'object') continue;
+    // Waiting for a selector reads the page; waiting a number of ms touches nothing
+    const stepAction = step.action === 'wait' ? (step.selector === undefined ? null : 'get_html') : step.action;
+    if (!stepAction) continue;
+
+    const stepDenied = authorizeRequest(scope, stepAction, step, target, state);
+    if (stepDenied) return stepDenied;
+    if (scope.urls && TAB_STEP_ACTIONS.has(stepAction)) {
+      if (scripted) {
+        return forbidden(scope, 'url', `API key "${scope.name}" may not act on a tab after a script step in the same batch`);
+      }
+      if (typeof step.tabId !== 'number' && typeof step.tabId !== 'string') {
+        return forbidden(scope, 'url', `API key "${scope.name}" must give every batch step on a tab an explicit tabId`);
+      }
+      if (routeRequest(state, target, step.tabId).error) {
+        return forbidden(scope, 'url', `API key "${scope.name}" may not access a tab with an unknown URL`);
+      }
+    }
+    if (stepAction === 'execute_script') scripted = true;
+  }
+  return null;
+}
+
+function tabUrl(conn, tabId) {
+  const id = Number(tabId);
+  const tab = conn.tabs.find((t) => t.id === id);
+  return tab && tab.url ? tab.url : null;
+}
+
+// Hide tabs outside the scope's URL policy from listings
+function filterSummaries(browsers, scope) {
+  if (!scope || !scope.urls) return browsers;
+  return browsers.map((b) => {
+    const tabs = b.tabs.filter((tab) => isUrlAllowed(scope, tab.url));
+    const activeVisible = tabs.some((tab) => tab.id === b.activeTabId);
+    return { ...b, tabs, tabCount: tabs.length, activeTabId: activeVisible ? b.activeTabId : null };
+  });
+}
+
+// ── browser event subscriptions ─────────────────────────────────────
+
+function matchesTarget(conn, extClientId, target) {
+  return target === '*' || target === extClientId || matchesName(conn, target);
+}
+
+// Labels and browser names match case-insensitively
+function matchesName(conn, target) {
+  const lower = target.toLowerCase();
+  return lower === conn.browserName || (!!conn.label && lower === conn.label.toLowerCase());
+}
+
+function handleSubscriptionChange(action, data, clientId, socket, state) {
+  const requestId = data.requestId;
+  const responseType = `${action}_response`;
+  const conn = state.automationClients.get(clientId);
+  const events = data.events;
+
+  if (!conn) {
+    send(socket, { type: responseType, requestId, status: 'error', message: 'Unknown automation client' });
+    return;
+  }
+
+  const invalid = Array.isArray(events)
+    ? events.filter((e) => e !== '*' && !BROWSER_EVENTS.includes(e))
+    : null;
+  if (!Array.isArray(events) || events.length === 0 || invalid.length > 0) {
+    send(socket, {
+      type: responseType,
+      requestId,
+      status: 'error',
+      code: 'INVALID_EVENT',
+      message: invalid && invalid.length > 0
+        ? `Unknown event(s): ${invalid.join(', ')}. Supported: ${BROWSER_EVENTS.join(', ')}`
+        : '"events" must be a non-empty array',
+    });
+    return;
+  }
+
+  const targetKey = data.target || '*';
+
+  for (const event of events) {
+    if (action === 'subscribe_events') {
+      if (!conn.subscriptions.has(event)) conn.subscriptions.set(event, new Set());
+      conn.subscriptions.get(event).add(targetKey);
+    } else {
+      const targets = conn.subscriptions.get(event);
+      if (!targets) continue;
+      if (data.target) targets.delete(targetKey);
+      if (!data.target || targets.size === 0) conn.subscriptions.delete(event);
+    }
+  }
+
+  syncAllExtensionSubscriptions(state);
+
+  const subscribed = [...conn.subscriptions.keys()];
+  send(socket, action === 'subscribe_events'
+    ? { type: responseType, requestId, status: 'success', subscribedEvents: subscribed }
+    : {
+      type: responseType,
+      requestId,
+      status: 'success',
+      unsubscribedEvents: events,
+      remainingSubscriptions: subscribed,
+    });
+}
+
+/**
+ * Push the union of all automation subscriptions that match this extension
+ * down to it, so the extension only emits events somebody listens for.
+ */
+function syncExtensionSubscriptions(extClientId, state) {
+  const ext = state.extensionClients.get(extClientId);
+  if (!ext || !isExtensionReady(ext)) return;
+
+  const needed = new Set();
+  for (const [, auto] of state.automationClients) {
+    for (const [event, targets] of auto.subscriptions || []) {
+      for (const target of targets) {
+        if (matchesTarget(ext, extClientId, target)) needed.add(event);
+      }
+    }
+  }
+
+  const current = ext.subscribedEvents || new Set();
+  const added = [...needed].filter((e) => !current.has(e));
+  const removed = [...current].filter((e) => !needed.has(e));
+
+  if (added.length > 0) send(ext.socket, { type: 'subscribe_events', requestId: generateId(), events: added });
+  if (removed.length > 0) send(ext.socket, { type: 'unsubscribe_events', requestId: generateId(), events: removed });
+  ext.subscribedEvents = needed;
+}
+
+function syncAllExtensionSubscriptions(state) {
+  for (const [extClientId] of state.extensionClients) {
+    syncExtensionSubscriptions(extClientId, state);
+  }
+}
+
+function dispatchBrowserEvent(evt, extClientId, state) {
+  const ext = state.extensionClients.get(extClientId);
+  // Names outside the advertised set (e.g. "error") would reach client emitters
+  if (!ext || !BROWSER_EVENTS.includes(evt.event)) return;
+
+  const message = {
+    type: 'event',
+    event: evt.event,
+    clientId: extClientId,
+    browserName: ext.browserName,
+    data: evt.data || {},
+    timestamp: evt.timestamp || new Date().toISOString(),
+  };
+
+  // Keys with a URL policy only get events of pages they may see; an event
+  // whose URL is unknown (a download update, a tab already gone) is dropped
+  const { url, tabId } = message.data;
+  const eventUrl = typeof url === 'string' && url ? url : (tabId !== undefined && tabId !== null ? tabUrl(ext, tabId) : null);
+
+  for (const [, auto] of state.automationClients) {
+    const subs = auto.subscriptions;
+    if (!subs) continue;
+    const targets = [...(subs.get(evt.event) || []), ...(subs.get('*') || [])];
+    if (!isUrlAllowed(auto.scope, eventUrl)) continue;
+    if (targets.some((t) => matchesTarget(ext, extClientId, t))) {
+      send(auto.socket, message);
+    }
+  }
+}
+
 // ── forward command to extension (with optional targeting) ──────────
 
-function forwardToExtension(type, data, automationSocket, state, fields, target) {
+/**
+ * `origin` ({ client, key, transport }) identifies the caller in the audit
+ * journal. `data.timeoutMs` sets the request's deadline (see resolveTimeout).
+ */
+function forwardToExtension(type, data, automationSocket, state, fields, target, origin = null) {
   const requestId = data.requestId || generateId();
+  const audit = beginAudit(state, origin, type, { ...data, requestId }, target);
 
-  const ext = pickExtension(state, target);
-  if (!ext) {
-    const detail = target
-      ? `No browser extension matching target "${target}"`
-      : 'No browser extension connected';
+  const overload = overloadError(state, true);
+  if (overload) {
+    send(automationSocket, { type: `${type}_response`, requestId, status: 'error', ...overload });
+    finishAudit(state, audit, { status: 'error', ...overload });
+    state.metrics.recordResponse(type, 'none', { status: 'error', ...overload });
+    return;
+  }
+
+  const deadline = resolveTimeout(data.timeoutMs, state);
+  const route = deadline.error ? deadline : routeRequest(state, target, data.tabId);
+  let error = route.error || null;
+  let msg = null;
+  let raw = null;
+  if (!error) {
+    msg = { type, requestId };
+    for (const f of fields) {
+      if (data[f] !== undefined) msg[f] = data[f];
+    }
+    if (msg.tabId !== undefined) msg.tabId = route.tabId;
+    // The extension bounds its own waits (page load, script) by the same deadline
+    msg.timeoutMs = deadline.timeoutMs;
+    raw = JSON.stringify(msg);
+    // Checked once routed: each browser advertises its own capabilities
+    error = checkCapabilities(route.conn.capabilities, type, Buffer.byteLength(raw));
+  }
+  if (error) {
     send(automationSocket, {
       type: `${type}_response`,
       requestId,
       status: 'error',
-      message: detail,
+      ...error,
+    });
+    finishAudit(state, audit, { status: 'error', ...error });
+    state.metrics.recordRequest(type, 'none');
+    state.metrics.recordResponse(type, 'none', { status: 'error', ...error });
+    return;
+  }
+
+  if (audit) {
+    audit.extension = route.conn.clientId || null;
+    if (msg.tabId !== undefined) {
+      audit.tabId = route.tabId;
+      if (audit.tabUrl === null) audit.tabUrl = tabUrl(route.conn, route.tabId);
+    }
+  }
+
+  let sentBytes = 0;
+  if (route.conn.socket.readyState === 1) {
+    route.conn.socket.send(raw);
+    sentBytes = Buffer.byteLength(raw);
+  }
+  state.metrics.recordRequest(type, route.conn.browserName, sentBytes);
+  registerPending(requestId, automationSocket, type, state, route.conn, msg, {
+    audit,
+    owner: origin ? origin.key : null,
+    timeoutMs: deadline.timeoutMs,
+    requestedTimeoutMs: deadline.requested,
+  });
+}
+
+// ── broadcast (fan-out to several browsers) ─────────────────────────
+
+// Write-once stand-in for an automation socket, collecting one copy's result
+function createCollectorSocket(onMessage) {
+  const socket = {
+    readyState: 1,
+    send(raw) {
+      if (socket.readyState !== 1) return;
+      socket.readyState = 3;
+      onMessage(JSON.parse(raw));
+    },
+  };
+  return socket;
+}
+
+/**
+ * Run `data.command` on every browser matching `target` (all of them when
+ * none is given), or with `tabUrl` on every tab whose URL matches that glob.
+ * Each copy is an ordinary forwarded request with its own requestId,
+ * deadline and audit entry. The caller gets one `broadcast_response` with a
+ * result per browser (keyed by clientId) or per tab (keyed by tab handle).
+ */
+function handleBroadcast(data, socket, state, scope, origin) {
+  const requestId = data.requestId || generateId();
+  const command = data.command;
+  const reply = (body) => sendResult(socket, { type: 'broadcast_response', requestId, command, ...body }, state);
+  const fail = (error) => reply({ status: 'error', ...error });
+
+  if (!Object.prototype.hasOwnProperty.call(FORWARDED_ACTIONS, command)) {
+    fail({
+      code: 'INVALID_BROADCAST',
+      message: `Unknown command "${command}". Supported: ${Object.keys(FORWARDED_ACTIONS).join(', ')}`,
+    });
+    return;
+  }
+  const byTab = data.tabUrl !== undefined && data.tabUrl !== null;
+  if (byTab && (typeof data.tabUrl !== 'string' || !FORWARDED_ACTIONS[command].includes('tabId'))) {
+    fail({ code: 'INVALID_BROADCAST', message: `"tabUrl" must be a URL glob and "${command}" must act on a tab` });
+    return;
+  }
+  if (!byTab && !BROWSER_LEVEL_ACTIONS.has(command)) {
+    fail({ code: 'INVALID_BROADCAST', message: `"${command}" acts on a tab; pass "tabUrl" ("*" for every tab)` });
+    return;
+  }
+  // Each copy gets its tabId from the matching tab
+  const invalid = validateRequest(command, data, { optional: ['tabId'] });
+  if (invalid) {
+    fail(invalid);
+    return;
+  }
+
+  const overload = overloadError(state);
+  if (overload) {
+    fail(overload);
+    return;
+  }
+  const deadline = resolveTimeout(data.timeoutMs, state);
+  if (deadline.error) {
+    fail(deadline.error);
+    return;
+  }
+
+  const target = data.target || null;
+  const browsers = findExtensions(state, target);
+  if (browsers.length === 0) {
+    fail({
+      code: 'NO_EXTENSION',
+      message: target ? `No browser extension matching target "${target}"` : 'No browser extension connected',
     });
     return;
   }
 
-  const msg = { type, requestId };
-  for (const f of fields) {
-    if (data[f] !== undefined) msg[f] = data[f];
+  // Tabs outside the key's URL policy are skipped, as in get_tabs
+  const jobs = [];
+  if (byTab) {
+    const patterns = compileUrlPatterns([data.tabUrl]);
+    for (const [extClientId, conn] of browsers) {
+      for (const tab of conn.tabs) {
+        if (!matchesUrlPatterns(patterns, tab.url) || !isUrlAllowed(scope, tab.url)) continue;
+        jobs.push({ key: tabHandle(extClientId, tab.id), clientId: extClientId, tabId: tab.id });
+      }
+    }
+  } else {
+    for (const [extClientId] of browsers) jobs.push({ key: extClientId, clientId: extClientId });
+  }
+
+  const results = {};
+  let remaining = jobs.length;
+  const finish = () => {
+    state.broadcasts.delete(requestId);
+    const failed = Object.values(results).filter((r) => r.status !== 'success').length;
+    reply({ status: 'success', results, summary: { total: jobs.length, succeeded: jobs.length - failed, failed } });
+  };
+  if (jobs.length === 0) {
+    finish();
+    return;
+  }
+
+  const broadcast = { owner: origin ? origin.key : null, requestIds: [] };
+  state.broadcasts.set(requestId, broadcast);
+
+  for (const job of jobs) {
+    const subRequestId = generateId();
+    broadcast.requestIds.push(subRequestId);
+    const sub = { ...data, requestId: subRequestId };
+    if (byTab) sub.tabId = job.tabId;
+
+    const collector = createCollectorSocket(({ type, requestId: _, ...result }) => {
+      results[job.key] = { ...result, requestId: subRequestId, clientId: job.clientId };
+      remaining -= 1;
+      if (remaining === 0) finish();
+    });
+
+    const denied = authorizeRequest(scope, command, sub, job.clientId, state);
+    if (denied) {
+      auditRejected(state, origin, command, sub, job.clientId, denied);
+      send(collector, { status: 'error', ...denied });
+      continue;
+    }
+    forwardToExtension(command, sub, collector, state, FORWARDED_ACTIONS[command], job.clientId, origin);
+  }
+}
+
+/**
+ * The deadline of a forwarded request: the caller's `timeoutMs` capped at
+ * the server maximum, or the server default when none is given. Returns
+ * `{ timeoutMs, requested }` or `{ error }` for a value that is not a
+ * positive number.
+ */
+function resolveTimeout(value, state) {
+  if (value === undefined || value === null) return { timeoutMs: state.requestTimeoutMs, requested: null };
+
+  const requested = Number(value);
+  if (typeof value === 'boolean' || !Number.isFinite(requested) || requested <= 0) {
+    return {
+      error: {
+        code: 'INVALID_TIMEOUT',
+        message: `timeoutMs must be a positive number of milliseconds, got ${JSON.stringify(value)}`,
+      },
+    };
+  }
+  return { timeoutMs: Math.min(Math.ceil(requested), state.maxRequestTimeoutMs), requested };
+}
+
+// ── load shedding ───────────────────────────────────────────────────
+
+/**
+ * While health is critical, new browser commands are refused with
+ * RATE_LIMITED instead of growing the backlog. Returns the error body or null.
+ */
+// `probe`: a single command may be the health monitor's recovery probe
+function overloadError(state, probe = false) {
+  const health = state.health.evaluate();
+  if (health.status !== 'critical') return null;
+  if (probe && state.health.takeProbe()) return null;
+  return {
+    code: 'RATE_LIMITED',
+    retryAfter: health.retryAfter,
+    message: `Server overloaded; retry in ${health.retryAfter}s`,
+  };
+}
+
+/**
+ * Answer an extension request with `status: 'rate_limited'` while health is
+ * critical, so its handleServerRateLimit backs off. Sent at most once per
+ * retryAfter window per extension; the request itself is still processed.
+ */
+function signalRateLimit(clientId, requestId, state) {
+  const conn = state.extensionClients.get(clientId);
+  const overload = conn && overloadError(state);
+  if (!overload || Date.now() < (conn.rateLimitedUntil || 0)) return;
+
+  conn.rateLimitedUntil = Date.now() + overload.retryAfter * 1000;
+  send(conn.socket, { type: 'response', requestId, status: 'rate_limited', retryAfter: overload.retryAfter });
+}
+
+// ── audit journal ───────────────────────────────────────────────────
+
+const NO_REDACTION = new Set();
+
+/**
+ * Start a journal entry for a browser command. Completed by finishAudit
+ * once the outcome is known; the finished entry goes to the journal (when
+ * auditing is on) and to the dashboard's command history.
+ */
+function beginAudit(state, origin, action, data, target) {
+  const redact = state.audit ? state.audit.redact : NO_REDACTION;
+
+  const params = {};
+  for (const f of FORWARDED_ACTIONS[action] || []) {
+    if (data[f] !== undefined) params[f] = data[f];
+  }
+  return {
+    timestamp: new Date().toISOString(),
+    requestId: data.requestId || null,
+    client: origin ? origin.client : null,
+    key: origin ? origin.key : null,
+    transport: origin ? origin.transport : null,
+    action,
+    target: target || null,
+    extension: null,
+    tabId: data.tabId ?? null,
+    tabUrl: action === 'open_url' && typeof data.url === 'string' ? data.url : null,
+    params: sanitizeParams(action, params, redact),
+    startedAt: Date.now(),
+  };
+}
+
+function finishAudit(state, entry, response) {
+  if (!entry) return;
+  const { startedAt, ...fields } = entry;
+  const finished = {
+    ...fields,
+    durationMs: Date.now() - startedAt,
+    ...summarizeOutcome(response, state.audit ? state.audit.redact : NO_REDACTION),
+  };
+  if (state.audit) state.audit.record(finished);
+  state.dashboard.record(finished);
+}
+
+// Journal a browser command refused before it reached an extension
+function auditRejected(state, origin, action, data, target, error) {
+  if (!Object.prototype.hasOwnProperty.call(FORWARDED_ACTIONS, action)) return;
+  finishAudit(state, beginAudit(state, origin, action, data, target), { status: 'error', ...error });
+}
+
+/**
+ * Ready extensions matching `target`: an exact clientId wins, otherwise
+ * every browser with that label or name. No target means all of them.
+ */
+function findExtensions(state, target) {
+  if (target) {
+    const byId = state.extensionClients.get(target);
+    if (byId) return isExtensionReady(byId) && !isStale(byId) ? [[target, byId]] : [];
+  }
+
+  const matches = [];
+  for (const [clientId, conn] of state.extensionClients) {
+    if (!isExtensionReady(conn) || isStale(conn)) continue;
+    if (!target || matchesName(conn, target)) matches.push([clientId, conn]);
   }
+  return matches;
+}
 
-  send(ext.socket, msg);
-  registerPending(requestId, automationSocket, type, state);
+// Connected browsers matching `target` that stopped answering heartbeats
+function hasStaleMatch(state, target) {
+  for (const [clientId, conn] of state.extensionClients) {
+    if (!isExtensionReady(conn) || !isStale(conn)) continue;
+    if (!target || clientId === target || matchesName(conn, target)) return true;
+  }
+  return false;
+}
+
+function staleError(target) {
+  return {
+    code: 'EXTENSION_STALE',
+    message: `${target ? `Browser "${target}"` : 'The browser'} is connected but not answering heartbeats (asleep or offline); retry once it is back`,
+  };
 }
 
 function pickExtension(state, target) {
-  if (!target) {
-    for (const [, conn] of state.extensionClients) {
-      if (conn.socket.readyState === 1) return conn;
+  const [first] = findExtensions(state, target);
+  return first ? first[1] : null;
+}
+
+/**
+ * Choose the extension for a forwarded request. A tab handle pins the
+ * browser; a bare tabId goes to the one candidate whose synced tab list
+ * contains it. Returns `{ conn, tabId }` or `{ error: { code, message } }`.
+ */
+function routeRequest(state, target, tabId) {
+  const handle = parseTabHandle(tabId);
+  if (handle) {
+    const conn = state.extensionClients.get(handle.clientId);
+    if (!conn || !isExtensionReady(conn)) {
+      return { error: { code: 'NO_EXTENSION', message: `No browser extension for tab handle "${tabId}"` } };
+    }
+    if (isStale(conn)) return { error: staleError(handle.clientId) };
+    if (target && !matchesTarget(conn, handle.clientId, target)) {
+      return {
+        error: {
+          code: 'AMBIGUOUS_TARGET',
+          message: `Tab handle "${tabId}" does not belong to target "${target}"`,
+        },
+      };
     }
-    return null;
+    return { conn, tabId: handle.tabId };
   }
 
-  // Exact clientId match
-  const byId = state.extensionClients.get(target);
-  if (byId && byId.socket.readyState === 1) return byId;
+  const candidates = findExtensions(state, target);
+  if (candidates.length === 0) {
+    if (hasStaleMatch(state, target)) return { error: staleError(target) };
+    const message = target
+      ? `No browser extension matching target "${target}"`
+      : 'No browser extension connected';
+    return { error: { code: 'NO_EXTENSION', message } };
+  }
 
-  // Match by browserName (case-insensitive)
-  const lower = target.toLowerCase();
-  for (const [, conn] of state.extensionClients) {
-    if (conn.socket.readyState === 1 && conn.browserName === lower) return conn;
+  // One candidate: let the extension itself report unknown tabs
+  if (tabId === undefined || tabId === null || candidates.length === 1) {
+    return { conn: candidates[0][1], tabId };
   }
-  return null;
+
+  const id = Number(tabId);
+  const owners = candidates.filter(([, conn]) => conn.tabs.some((tab) => tab.id === id));
+  if (owners.length === 1) return { conn: owners[0][1], tabId };
+
+  const message = owners.length > 1
+    ? `Tab ${tabId} exists in several browsers; use one of: ${owners.map(([clientId]) => tabHandle(clientId, id)).join(', ')}`
+    : `Tab ${tabId} was not found in any connected browser; pass a tab handle or a target`;
+  return { error: { code: 'AMBIGUOUS_TARGET', message } };
 }
 
 // ── pending response management ─────────────────────────────────────
 
-function registerPending(requestId, automationSocket, operationType, state) {
+function registerPending(requestId, automationSocket, operationType, state, ext = null, message = null, {
+  audit = null,
+  owner = null,
+  timeoutMs = state.requestTimeoutMs,
+  requestedTimeoutMs = null,
+} = {}) {
+  const capped = requestedTimeoutMs !== null && requestedTimeoutMs > timeoutMs;
   const timeoutId = setTimeout(() => {
     const info = state.pendingResponses.get(requestId);
     if (!info) return;
     state.pendingResponses.delete(requestId);
+    clearTimeout(info.graceTimer);
 
     const timeoutResponse = {
       status: 'error',
       type: `${operationType}_timeout`,
       requestId,
-      message: `Request timed out after ${REQUEST_TIMEOUT_MS}ms`,
+      code: 'TIMEOUT',
+      timeoutMs,
+      message: capped
+        ? `Request timed out after ${timeoutMs}ms (requested ${requestedTimeoutMs}ms, capped at the server maximum)`
+        : `Request timed out after ${timeoutMs}ms`,
     };
 
-    send(info.socket, { type: `${operationType}_response`, requestId, ...timeoutResponse });
-    state.callbackResponses.set(requestId, timeoutResponse);
-  }, REQUEST_TIMEOUT_MS);
+    const sentBytes = send(info.socket, { type: `${operationType}_response`, requestId, ...timeoutResponse });
+    storeResponse(requestId, timeoutResponse, state, info.owner);
+    finishAudit(state, info.audit, timeoutResponse);
+    state.metrics.recordResponse(operationType, info.browser, timeoutResponse, Date.now() - info.createdAt, sentBytes);
+    state.health.recordOutcome(true);
+  }, timeoutMs);
 
   state.pendingResponses.set(requestId, {
     socket: automationSocket,
     timeoutId,
+    timeoutMs,
     operationType,
     createdAt: Date.now(),
+    ext, // extension connection the request was forwarded to
+    browser: ext ? ext.browserName : 'none', // metrics label, kept after ext goes away
+    message, // forwarded message, kept for re-dispatch
+    awaitingClientId: null,
+    graceTimer: null,
+    audit, // journal entry in progress (null when auditing is off)
+    owner, // API key name of the caller (null = unrestricted)
   });
 }
 
 function resolveRequest(requestId, responseData, state) {
-  state.callbackResponses.set(requestId, responseData);
+  // A late answer must not replace the CANCELLED result a client may poll for
+  const stored = state.callbackResponses.get(requestId);
+  if (stored && stored.code === 'CANCELLED' && !state.pendingResponses.has(requestId)) return;
 
   const info = state.pendingResponses.get(requestId);
+  // An answer nobody waits for has no known owner: only unrestricted callers see it
+  storeResponse(requestId, responseData, state, info ? info.owner : null);
+
   if (info) {
     clearTimeout(info.timeoutId);
+    clearTimeout(info.graceTimer);
     state.pendingResponses.delete(requestId);
 
     const responseType = info.operationType
       ? `${info.operationType}_response`
       : responseData.type?.replace('_complete', '_response') || 'response';
 
-    send(info.socket, { ...responseData, type: responseType, requestId });
+    const sentBytes = sendResult(info.socket, { ...responseData, type: responseType, requestId }, state);
+    finishAudit(state, info.audit, responseData);
+    state.metrics.recordResponse(info.operationType, info.browser, responseData, Date.now() - info.createdAt, sentBytes);
+    state.health.recordOutcome(false);
+  }
+}
+
+// ── cancellation ────────────────────────────────────────────────────
+
+/**
+ * Cancel a pending request: the caller gets a CANCELLED result and the
+ * owning extension is told to abort (page load wait, chunked send, script).
+ * A scoped API key may only cancel requests made with the same key.
+ * Returns the `cancel_response` body.
+ */
+function cancelRequest(requestId, scope, state) {
+  // A broadcast is cancelled by cancelling every copy still running
+  const broadcast = requestId ? state.broadcasts.get(requestId) : null;
+  if (broadcast && (!scope || broadcast.owner === scope.name)) {
+    for (const id of broadcast.requestIds) {
+      if (state.pendingResponses.has(id)) cancelRequest(id, scope, state);
+    }
+    return { status: 'success', cancelled: true };
+  }
+
+  const info = requestId ? state.pendingResponses.get(requestId) : null;
+  if (!info || (scope && info.owner !== scope.name)) {
+    return {
+      status: 'error',
+      code: 'NOT_FOUND',
+      message: `No pending request "${requestId}"`,
+    };
+  }
+
+  if (info.ext) {
+    send(info.ext.socket, { type: 'cancel', requestId: generateId(), originalRequestId: requestId });
+  }
+  console.log(`[Automation] Cancelled ${info.operationType} (req: ${requestId})`);
+
+  resolveRequest(requestId, {
+    status: 'error',
+    type: 'error',
+    code: 'CANCELLED',
+    message: 'Request cancelled',
+    requestId,
+  }, state);
+  return { status: 'success', cancelled: true };
+}
+
+// ── pending requests of a disconnected extension ────────────────────
+
+function failDisconnected(requestId, clientId, state) {
+  resolveRequest(requestId, {
+    status: 'error',
+    type: 'error',
+    code: 'EXTENSION_DISCONNECTED',
+    message: `Browser extension ${clientId} disconnected before answering`,
+    requestId,
+  }, state);
+}
+
+/**
+ * Called when an extension goes away. Its pending requests fail right away
+ * with EXTENSION_DISCONNECTED, except idempotent reads when a reconnect grace
+ * window is configured: those wait for the same identity to come back.
+ */
+function releasePendingForExtension(conn, state) {
+  const { clientId } = conn;
+  for (const [requestId, info] of state.pendingResponses) {
+    if (info.ext !== conn) continue;
+    info.ext = null;
+
+    if (state.reconnectGraceMs > 0 && REDISPATCHABLE_ACTIONS.has(info.operationType)) {
+      info.awaitingClientId = clientId;
+      info.graceTimer = setTimeout(() => failDisconnected(requestId, clientId, state), state.reconnectGraceMs);
+      continue;
+    }
+    failDisconnected(requestId, clientId, state);
+  }
+}
+
+/**
+ * Send requests parked by releasePendingForExtension to the reconnected
+ * browser (matched by its persistent identity).
+ */
+function redispatchPending(clientId, state) {
+  const conn = state.extensionClients.get(clientId);
+  if (!conn) return;
+
+  for (const [requestId, info] of state.pendingResponses) {
+    if (info.awaitingClientId !== clientId) continue;
+    clearTimeout(info.graceTimer);
+    info.graceTimer = null;
+    info.awaitingClientId = null;
+    info.ext = conn;
+    console.log(`[Extension] Re-dispatching ${info.operationType} to ${clientId} (req: ${requestId})`);
+    send(conn.socket, info.message);
   }
 }
 
+// ── response store ──────────────────────────────────────────────────
+
+/**
+ * Keep every completion for `state.responseTtlMs` so a client that lost its
+ * connection mid-request can still collect the result by requestId.
+ * `owner` is the API key name of the caller (null = unrestricted). The key,
+ * not the connection, owns the result: a client that reconnects to collect
+ * it has a new clientId.
+ */
+function storeResponse(requestId, responseData, state, owner = null) {
+  state.callbackResponses.delete(requestId);
+  state.callbackResponses.set(requestId, { ...responseData, _storedAt: Date.now(), _owner: owner });
+
+  // Map keeps insertion order, so the first key is the oldest entry
+  while (state.callbackResponses.size > RESPONSE_STORE_MAX) {
+    state.callbackResponses.delete(state.callbackResponses.keys().next().value);
+  }
+}
+
+/**
+ * Look up a request: `completed` with its stored response, `pending` while
+ * the extension is still working on it, or null when unknown / expired.
+ * A scoped caller only finds the requests of its own key.
+ */
+function lookupResponse(requestId, state, scope = null) {
+  const owns = (owner) => !scope || owner === scope.name;
+  const stored = state.callbackResponses.get(requestId);
+  if (stored && Date.now() - stored._storedAt <= state.responseTtlMs) {
+    if (!owns(stored._owner)) return null;
+    const { _storedAt, _owner, ...response } = stored;
+    return { state: 'completed', storedAt: new Date(_storedAt).toISOString(), response };
+  }
+  const pending = state.pendingResponses.get(requestId);
+  if (pending && owns(pending.owner)) {
+    return { state: 'pending', operationType: pending.operationType };
+  }
+  return null;
+}
+
 // ── periodic cleanup ────────────────────────────────────────────────
 
 function startCleanup(state) {
-  // Clean stale callback responses older than 5 minutes
-  const RESPONSE_TTL = 5 * 60 * 1000;
-
   return setInterval(() => {
-    const cutoff = Date.now() - RESPONSE_TTL;
+    // Expire stored responses past their TTL
+    const cutoff = Date.now() - state.responseTtlMs;
     for (const [id, resp] of state.callbackResponses) {
       const ts = resp._storedAt || 0;
       if (ts < cutoff) state.callbackResponses.delete(id);
     }
 
+    // Drop chunked transfers abandoned mid-stream; a live one can stream
+    // for as long as the longest deadline a request may ask for
+    expireTransfers(state.chunkTransfers, state.maxRequestTimeoutMs);
+
     // Clean disconnected extension clients
     for (const [id, conn] of state.extensionClients) {
-      if (conn.socket.readyState !== 1) state.extensionClients.delete(id);
+      if (conn.socket.readyState !== 1) removeExtensionClient(id, state);
     }
     for (const [id, conn] of state.automationClients) {
-      if (conn.socket.readyState !== 1) state.automationClients.delete(id);
+      if (conn.socket.readyState !== 1) removeAutomationClient(id, state);
     }
   }, 30000);
 }
 
 // ── state factory ───────────────────────────────────────────────────
 
-function createState() {
-  return {
+function createState(options = {}) {
+  const requestTimeoutMs = options.requestTimeout ? options.requestTimeout * 1000 : REQUEST_TIMEOUT_MS;
+  const maxRequestTimeoutMs = options.maxRequestTimeout ? options.maxRequestTimeout * 1000 : MAX_REQUEST_TIMEOUT_MS;
+  const state = {
+    auth: createAuthConfig(options),
+    apiKeys: createApiKeys(options.apiKeys), // null = no scoped keys
+    audit: createAuditLog(options), // null = journal disabled
+    metrics: createMetrics(),
+    responseTtlMs: options.responseTtl ? options.responseTtl * 1000 : RESPONSE_TTL_MS,
+    requestTimeoutMs,
+    maxRequestTimeoutMs: Math.max(maxRequestTimeoutMs, requestTimeoutMs),
+    // 0 = fail pending requests as soon as their extension disconnects
+    reconnectGraceMs: options.reconnectGrace ? options.reconnectGrace * 1000 : 0,
     extensionClients: new Map(),
     automationClients: new Map(),
+    bridges: new Map(), // bridge name -> relaying server connection
+    broadcasts: new Map(), // requestId -> { owner, requestIds } of a running broadcast
     pendingResponses: new Map(),
     callbackResponses: new Map(),
+    chunkTransfers: new Map(), // requestId -> partial chunked transfer
+    chunkedSockets: new WeakSet(), // automation sockets that accept chunk frames
   };
+  state.health = createHealthMonitor(state, options);
+  state.dashboard = createDashboard(state, { summarize: () => getExtensionSummaries(state) });
+  state.heartbeat = createHeartbeat(state, options);
+  return state;
 }
 
 module.exports = {
@@ -504,18 +2004,48 @@ module.exports = {
   createState,
   startCleanup,
   getExtensionSummaries,
+  setupAutomationClient,
+  forwardToExtension,
+  generateId,
+  lookupResponse,
+  authorizeRequest,
+  filterSummaries,
+  auditRejected,
+  cancelRequest,
+  tabHandle,
+  parseTabHandle,
   REQUEST_TIMEOUT_MS,
+  MAX_REQUEST_TIMEOUT_MS,
+  RESPONSE_TTL_MS,
+  FORWARDED_ACTIONS,
+  BROWSER_EVENTS,
   _internal: {
     parseBrowserName,
     pickExtension,
+    findExtensions,
+    routeRequest,
     send,
+    sendResult,
     generateId,
     forwardToExtension,
     handleExtensionMessage,
     handleAutomationMessage,
     setupExtensionClient,
     setupAutomationClient,
+    setupBridgeClient,
+    syncBridgedBrowsers,
+    handleBroadcast,
+    assignIdentity,
+    handleAuthResponse,
+    expireSession,
     registerPending,
+    resolveTimeout,
     resolveRequest,
+    releasePendingForExtension,
+    redispatchPending,
+    storeResponse,
+    handleChunkFrame,
+    syncExtensionSubscriptions,
+    dispatchBrowserEvent,
   },
 };
@@ -0,0 +1,246 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createAuditLog,
+  parseRedact,
+  sanitizeParams,
+  summarizeOutcome,
+  readJournal,
+  queryJournal,
+} = require('../server/audit');
+const {
+  listSessions,
+  selectEntries,
+  unreplayableReason,
+  replaySession,
+  connectExecutor,
+  startSimulatedBrowser,
+} = require('../server/replay');
+
+let dir;
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-eyes-audit-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function entry(overrides = {}) {
+  return {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    requestId: 'r1',
+    client: 'c1',
+    key: null,
+    action: 'get_html',
+    tabId: 1,
+    params: { tabId: 1 },
+    outcome: 'success',
+    ...overrides,
+  };
+}
+
+// ── createAuditLog ───────────────────────────────────────────────────
+
+describe('createAuditLog', () => {
+  it('is disabled without a path', () => {
+    assert.equal(createAuditLog({}), null);
+  });
+
+  it('appends one JSON line per entry', () => {
+    const log = createAuditLog({ auditLog: path.join(dir, 'audit.jsonl') });
+    log.record({ n: 1 });
+    log.record({ n: 2 });
+    assert.deepEqual(readJournal(log.file).map((e) => e.n), [1, 2]);
+  });
+
+  it('rotates by size and keeps maxFiles old files', () => {
+    const log = createAuditLog({ auditLog: path.join(dir, 'audit.jsonl'), auditMaxSize: 0.0001, auditMaxFiles: 2 });
+    for (let n = 0; n < 6; n++) log.record({ n, pad: 'x'.repeat(60) });
+
+    assert.ok(fs.existsSync(`${log.file}.1`));
+    assert.ok(fs.existsSync(`${log.file}.2`));
+    assert.equal(fs.existsSync(`${log.file}.3`), false);
+    const kept = readJournal(log.file, 2).map((e) => e.n);
+    assert.deepEqual(kept, kept.slice().sort());
+    assert.equal(kept[kept.length - 1], 5);
+  });
+});
+
+// ── entry contents ───────────────────────────────────────────────────
+
+describe('parseRedact', () => {
+  it('defaults to scripts and cookies and accepts none', () => {
+    assert.deepEqual(parseRedact(undefined), ['scripts', 'cookies']);
+    assert.deepEqual(parseRedact('none'), []);
+    assert.deepEqual(parseRedact('cookies'), ['cookies']);
+    assert.throws(() => parseRedact('passwords'), /Unknown audit redaction/);
+  });
+});
+
+describe('sanitizeParams', () => {
+  it('replaces scripts by length and hash when redacted', () => {
+    const out = sanitizeParams('execute_script', { tabId: 1, code: 'return 1' }, new Set(['scripts']));
+    assert.equal(out.code.redacted, true);
+    assert.equal(out.code.length, 8);
+    assert.equal(out.code.sha256.length, 64);
+    assert.equal(sanitizeParams('execute_script', { code: 'return 1' }, new Set()).code, 'return 1');
+  });
+
+  it('never keeps uploaded file contents', () => {
+    const out = sanitizeParams('upload_file_to_tab', { files: [{ name: 'a.txt', type: 'text/plain', base64: 'QUJD' }] }, new Set());
+    assert.deepEqual(out.files, [{ redacted: true, name: 'a.txt', type: 'text/plain', size: 4 }]);
+  });
+
+  it('sanitizes each step of a batch', () => {
+    const out = sanitizeParams('batch', {
+      steps: [{ action: 'open_url', url: 'https://a.test/' }, { action: 'execute_script', code: 'return 1' }],
+    }, new Set(['scripts']));
+    assert.equal(out.steps[0].url, 'https://a.test/');
+    assert.equal(out.steps[1].code.redacted, true);
+  });
+});
+
+describe('summarizeOutcome', () => {
+  const cookies = [{ name: 'sid', domain: 'a.test', path: '/', value: 'secret' }];
+
+  it('records cookie names only when cookies are not redacted', () => {
+    assert.deepEqual(summarizeOutcome({ status: 'success', cookies }, new Set(['cookies'])), {
+      outcome: 'success',
+      cookieCount: 1,
+    });
+    const open = summarizeOutcome({ status: 'success', cookies }, new Set());
+    assert.deepEqual(open.cookies, [{ name: 'sid', domain: 'a.test', path: '/' }]);
+    assert.equal(JSON.stringify(open).includes('secret'), false);
+  });
+
+  it('classifies errors, timeouts and denials', () => {
+    assert.equal(summarizeOutcome({ status: 'error', code: 'TIMEOUT' }, new Set()).outcome, 'timeout');
+    assert.equal(summarizeOutcome({ status: 'error', code: 'FORBIDDEN' }, new Set()).outcome, 'forbidden');
+    const failed = summarizeOutcome({ status: 'error', code: 'SCRIPT_ERROR', message: 'boom' }, new Set());
+    assert.deepEqual(failed, { outcome: 'error', code: 'SCRIPT_ERROR', message: 'boom' });
+  });
+
+  it('keeps the tab opened by open_url', () => {
+    assert.equal(summarizeOutcome({ status: 'success', type: 'open_url_complete', tabId: 9 }, new Set()).resultTabId, 9);
+  });
+});
+
+describe('queryJournal', () => {
+  const entries = [
+    entry({ requestId: 'a', action: 'open_url', timestamp: '2026-01-01T00:00:00Z', tabUrl: 'https://a.test/' }),
+    entry({ requestId: 'b', outcome: 'error', timestamp: '2026-01-02T00:00:00Z' }),
+    entry({ requestId: 'c', client: 'c2', timestamp: '2026-01-03T00:00:00Z' }),
+  ];
+
+  it('filters by fields and time range', () => {
+    assert.deepEqual(queryJournal(entries, { client: 'c1' }).map((e) => e.requestId), ['a', 'b']);
+    assert.deepEqual(queryJournal(entries, { outcome: 'error' }).map((e) => e.requestId), ['b']);
+    assert.deepEqual(queryJournal(entries, { tabUrl: 'a.test' }).map((e) => e.requestId), ['a']);
+    assert.deepEqual(queryJournal(entries, { since: '2026-01-02T00:00:00Z' }).map((e) => e.requestId), ['b', 'c']);
+  });
+
+  it('returns the newest entries up to limit', () => {
+    assert.deepEqual(queryJournal(entries, { limit: '2' }).map((e) => e.requestId), ['b', 'c']);
+  });
+});
+
+// ── replay ───────────────────────────────────────────────────────────
+
+describe('replay', () => {
+  it('lists sessions and skips commands that never reached a browser', () => {
+    const entries = [entry(), entry({ client: 'c2', outcome: 'forbidden', code: 'FORBIDDEN' })];
+    assert.deepEqual(listSessions(entries).map((s) => [s.client, s.commands]), [['c1', 1], ['c2', 1]]);
+    assert.equal(selectEntries(entries).length, 1);
+    assert.equal(selectEntries(entries, { client: 'c2' }).length, 0);
+  });
+
+  it('refuses to replay redacted parameters', () => {
+    const redacted = entry({ action: 'execute_script', params: { tabId: 1, code: { redacted: true } } });
+    assert.match(unreplayableReason(redacted), /"code" was redacted/);
+    assert.equal(unreplayableReason(entry()), null);
+
+    const batch = entry({ action: 'batch', params: { steps: [{ action: 'execute_script', code: { redacted: true } }] } });
+    assert.match(unreplayableReason(batch), /"steps" was redacted/);
+  });
+
+  it('maps recorded tabs to the tabs opened during the replay', async () => {
+    const sent = [];
+    const execute = async (request) => {
+      sent.push(request);
+      return request.action === 'open_url'
+        ? { status: 'success', tabId: 100 }
+        : { status: 'success' };
+    };
+    const results = await replaySession([
+      entry({ action: 'open_url', params: { url: 'https://a.test/' }, resultTabId: 7 }),
+      entry({ action: 'get_html', params: { tabId: 7 } }),
+      entry({ action: 'close_tab', params: { tabId: 7 }, outcome: 'error' }),
+    ], execute);
+
+    assert.equal(sent[1].tabId, 100);
+    assert.equal(sent[2].tabId, 100);
+    assert.deepEqual(results.map((r) => r.matches), [true, true, false]);
+  });
+
+  it('plans without executing on a dry run', async () => {
+    const results = await replaySession([entry({ target: 'work' })], null, { dryRun: true, target: null });
+    assert.equal(results[0].status, 'planned');
+    assert.equal(results[0].request.target, undefined);
+  });
+
+  it('replays against the simulated browser', async () => {
+    const sim = await startSimulatedBrowser();
+    const executor = connectExecutor(sim.url);
+    try {
+      await executor.ready;
+      const results = await replaySession([
+        entry({ action: 'open_url', params: { url: 'https://a.test/' }, resultTabId: 55 }),
+        entry({ action: 'get_html', params: { tabId: 55 } }),
+      ], executor.execute);
+
+      assert.deepEqual(results.map((r) => r.status), ['success', 'success']);
+      assert.equal(results[1].request.tabId, results[0].response.tabId);
+      assert.match(results[1].response.html, /simulated/);
+    } finally {
+      executor.close();
+      await sim.stop();
+    }
+  });
+
+  it('answers batches and uploads in the simulated browser', async () => {
+    const sim = await startSimulatedBrowser();
+    const executor = connectExecutor(sim.url);
+    try {
+      await executor.ready;
+      const [batch] = await replaySession([
+        entry({
+          action: 'batch',
+          params: {
+            steps: [
+              { id: 'open', action: 'open_url', url: 'https://a.test/' },
+              { action: 'wait', ms: 10 },
+              { action: 'get_html', tabId: { $ref: 'open.tabId' } },
+            ],
+          },
+        }),
+      ], executor.execute);
+
+      assert.equal(batch.status, 'success');
+      assert.deepEqual(batch.response.results.map((r) => r.status), ['success', 'success', 'success']);
+      assert.equal(batch.response.results[2].data.tabId, batch.response.tabId);
+
+      const upload = await executor.execute({
+        action: 'upload_file_to_tab',
+        tabId: batch.response.tabId,
+        files: [{ name: 'a.txt', type: 'text/plain', base64: 'aGk=' }],
+      });
+      assert.equal(upload.status, 'success');
+      assert.deepEqual(upload.uploadedFiles.map((f) => f.name), ['a.txt']);
+    } finally {
+      executor.close();
+      await sim.stop();
+    }
+  });
+});
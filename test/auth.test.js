@@ -0,0 +1,106 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  DEFAULT_SESSION_TTL_S,
+  createAuthConfig,
+  createChallenge,
+  computeHmac,
+  safeEqual,
+  verifyChallengeResponse,
+  extractToken,
+  verifyToken,
+} = require('../server/auth');
+
+// ── createAuthConfig ─────────────────────────────────────────────────
+
+describe('createAuthConfig', () => {
+  it('returns null when no secret is configured', () => {
+    assert.equal(createAuthConfig(), null);
+    assert.equal(createAuthConfig({ authSecret: '' }), null);
+  });
+
+  it('uses the default session TTL', () => {
+    const auth = createAuthConfig({ authSecret: 's3cret' });
+    assert.equal(auth.secret, 's3cret');
+    assert.equal(auth.sessionTtlMs, DEFAULT_SESSION_TTL_S * 1000);
+    assert.equal(auth.expiringNoticeMs, 60000);
+  });
+
+  it('caps the expiring notice for short sessions', () => {
+    const auth = createAuthConfig({ authSecret: 's', sessionTtl: 30 });
+    assert.equal(auth.sessionTtlMs, 30000);
+    assert.equal(auth.expiringNoticeMs, 15000);
+  });
+});
+
+// ── HMAC challenge-response ──────────────────────────────────────────
+
+describe('challenge-response', () => {
+  it('creates unique 64-char hex challenges', () => {
+    const a = createChallenge();
+    const b = createChallenge();
+    assert.match(a, /^[0-9a-f]{64}$/);
+    assert.notEqual(a, b);
+  });
+
+  it('computes the same HMAC as the extension (Web Crypto HMAC-SHA256, hex)', () => {
+    const expected = crypto.createHmac('sha256', 'key').update('msg').digest('hex');
+    assert.equal(computeHmac('key', 'msg'), expected);
+  });
+
+  it('accepts a correct response', () => {
+    const challenge = createChallenge();
+    const response = computeHmac('key', challenge);
+    assert.equal(verifyChallengeResponse('key', challenge, response), true);
+    assert.equal(verifyChallengeResponse('key', challenge, response.toUpperCase()), true);
+  });
+
+  it('rejects wrong secret, missing challenge or malformed response', () => {
+    const challenge = createChallenge();
+    assert.equal(verifyChallengeResponse('key', challenge, computeHmac('other', challenge)), false);
+    assert.equal(verifyChallengeResponse('key', null, computeHmac('key', 'x')), false);
+    assert.equal(verifyChallengeResponse('key', challenge, undefined), false);
+    assert.equal(verifyChallengeResponse('key', challenge, 'short'), false);
+  });
+});
+
+// ── safeEqual ────────────────────────────────────────────────────────
+
+describe('safeEqual', () => {
+  it('compares strings of different lengths without throwing', () => {
+    assert.equal(safeEqual('abc', 'abc'), true);
+    assert.equal(safeEqual('abc', 'abcd'), false);
+    assert.equal(safeEqual('abc', null), false);
+  });
+});
+
+// ── automation tokens ────────────────────────────────────────────────
+
+describe('extractToken / verifyToken', () => {
+  const url = (q = '') => new URL(`ws://localhost:18080/${q}`);
+
+  it('reads a Bearer token from the Authorization header', () => {
+    const req = { headers: { authorization: 'Bearer abc123' } };
+    assert.equal(extractToken(req, url('?type=automation')), 'abc123');
+  });
+
+  it('falls back to the token query parameter', () => {
+    const req = { headers: {} };
+    assert.equal(extractToken(req, url('?type=automation&token=xyz')), 'xyz');
+  });
+
+  it('returns null when no token is present', () => {
+    assert.equal(extractToken({ headers: {} }, url('?type=automation')), null);
+  });
+
+  it('verifies against the configured secret', () => {
+    const auth = createAuthConfig({ authSecret: 'topsecret' });
+    assert.equal(verifyToken(auth, 'topsecret'), true);
+    assert.equal(verifyToken(auth, 'nope'), false);
+    assert.equal(verifyToken(auth, null), false);
+  });
+});
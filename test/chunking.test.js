@@ -0,0 +1,105 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  CHUNK_SIZE,
+  checksum,
+  splitIntoChunks,
+  acceptChunkFrame,
+  expireTransfers,
+} = require('../server/chunking');
+
+function feed(transfers, frames) {
+  let result = null;
+  for (const frame of frames) result = acceptChunkFrame(transfers, frame);
+  return result;
+}
+
+// ── splitIntoChunks ──────────────────────────────────────────────────
+
+describe('splitIntoChunks', () => {
+  it('slices the text and ends with a body-less verification frame', () => {
+    const raw = 'x'.repeat(CHUNK_SIZE * 2 + 10);
+    const frames = splitIntoChunks('r1', raw);
+
+    assert.equal(frames.length, 4);
+    assert.deepEqual(frames.slice(0, 3).map((f) => f.index), [0, 1, 2]);
+    assert.ok(frames.slice(0, 3).every((f) => f.type === 'chunk' && f.total === 3));
+    assert.equal(frames[2].data.length, 10);
+
+    const end = frames[3];
+    assert.equal(end.type, 'chunk_end');
+    assert.equal(end.length, raw.length);
+    assert.equal(end.checksum, checksum(raw));
+    assert.equal(end.data, undefined);
+  });
+
+  it('checksums UTF-8 bytes with SHA-256', () => {
+    assert.equal(checksum('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    const utf8 = crypto.createHash('sha256').update(Buffer.from([0xc3, 0xa9])).digest('hex');
+    assert.equal(checksum('é'), utf8);
+  });
+});
+
+// ── acceptChunkFrame ─────────────────────────────────────────────────
+
+describe('acceptChunkFrame', () => {
+  const raw = JSON.stringify({ type: 'tab_html_complete', requestId: 'r1', html: '<p>é</p>'.repeat(20000) });
+
+  it('reassembles frames in order', () => {
+    const transfers = new Map();
+    const result = feed(transfers, splitIntoChunks('r1', raw));
+    assert.equal(result.raw, raw);
+    assert.equal(transfers.size, 0);
+  });
+
+  it('reassembles frames delivered out of order, end frame first', () => {
+    const transfers = new Map();
+    const frames = splitIntoChunks('r1', raw);
+    const shuffled = [frames[frames.length - 1], ...frames.slice(0, -1).reverse()];
+
+    const results = shuffled.map((f) => acceptChunkFrame(transfers, f));
+    assert.ok(results.slice(0, -1).every((r) => r === null));
+    assert.equal(results[results.length - 1].raw, raw);
+  });
+
+  it('ignores duplicated chunks', () => {
+    const transfers = new Map();
+    const frames = splitIntoChunks('r1', raw);
+    const result = feed(transfers, [frames[0], ...frames]);
+    assert.equal(result.raw, raw);
+  });
+
+  it('fails when the checksum does not match', () => {
+    const transfers = new Map();
+    const frames = splitIntoChunks('r1', raw);
+    frames[1] = { ...frames[1], data: frames[1].data.replace(/p/, 'q') };
+    const result = feed(transfers, frames);
+    assert.match(result.error, /integrity/);
+    assert.equal(transfers.size, 0);
+  });
+
+  it('rejects malformed frames', () => {
+    const transfers = new Map();
+    acceptChunkFrame(transfers, { type: 'chunk', requestId: 'r2', index: 0, total: 2, data: 'a' });
+
+    assert.ok(acceptChunkFrame(transfers, { type: 'chunk', requestId: 'r2', index: 1, total: 3, data: 'b' }).error);
+    assert.equal(transfers.has('r2'), false);
+    assert.ok(acceptChunkFrame(new Map(), { type: 'chunk', requestId: 'r3', index: 5, total: 2, data: 'c' }).error);
+    assert.ok(acceptChunkFrame(new Map(), { type: 'chunk', requestId: 'r4', index: 0, total: 1 }).error);
+  });
+
+  it('keeps partial transfers until they expire', () => {
+    const transfers = new Map();
+    acceptChunkFrame(transfers, splitIntoChunks('r5', raw)[0]);
+    expireTransfers(transfers, 60000);
+    assert.equal(transfers.size, 1);
+
+    transfers.get('r5').startedAt -= 60001;
+    expireTransfers(transfers, 60000);
+    assert.equal(transfers.size, 0);
+  });
+});
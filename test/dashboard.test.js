@@ -0,0 +1,216 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { createServer } = require('../server/index');
+const { createDashboard, DASHBOARD_PATH } = require('../server/dashboard');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Collects every message of a WebSocket; `next(predicate)` resolves with the
+ * first (past or future) message matching it.
+ */
+function track(socket) {
+  const messages = [];
+  const waiters = [];
+  socket.on('message', (raw) => {
+    const msg = JSON.parse(raw);
+    messages.push(msg);
+    for (const waiter of waiters.slice()) {
+      if (waiter.predicate(msg)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(msg);
+      }
+    }
+  });
+  return {
+    messages,
+    next(predicate, after = 0) {
+      const found = messages.slice(after).find(predicate);
+      if (found) return Promise.resolve(found);
+      return new Promise((resolve) => waiters.push({ predicate, resolve }));
+    },
+  };
+}
+
+async function connect(url) {
+  const socket = new WebSocket(url);
+  const tracked = track(socket);
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  return { socket, ...tracked };
+}
+
+// ── createDashboard ──────────────────────────────────────────────────
+
+describe('createDashboard', () => {
+  const state = {
+    pendingResponses: new Map(),
+    automationClients: new Map(),
+    bridges: new Map(),
+  };
+
+  it('keeps completed commands newest first without their parameters', () => {
+    const dashboard = createDashboard(state, { summarize: () => [] });
+    dashboard.record({ requestId: 'r1', action: 'get_tabs', params: { secret: 1 }, outcome: 'success' });
+    dashboard.record({ requestId: 'r2', action: 'get_html', outcome: 'error', code: 'TAB_NOT_FOUND' });
+
+    const { history, errors } = dashboard.snapshot();
+    assert.deepEqual(history.map((h) => h.requestId), ['r2', 'r1']);
+    assert.equal(history[1].params, undefined);
+    assert.deepEqual(errors.map((e) => e.code), ['TAB_NOT_FOUND']);
+  });
+
+  it('trims the history and keeps errors after they leave it', () => {
+    const dashboard = createDashboard(state, { summarize: () => [], historySize: 3 });
+    dashboard.record({ requestId: 'r0', action: 'x', outcome: 'timeout' });
+    for (let i = 1; i <= 5; i++) dashboard.record({ requestId: `r${i}`, action: 'x', outcome: 'success' });
+
+    const { history, errors } = dashboard.snapshot();
+    assert.deepEqual(history.map((h) => h.requestId), ['r5', 'r4', 'r3']);
+    assert.deepEqual(errors.map((e) => e.requestId), ['r0']);
+  });
+
+  it('lists pending requests', () => {
+    const pendingState = { ...state, pendingResponses: new Map([['p1', {
+      operationType: 'get_html',
+      ext: { clientId: 'ext-1' },
+      browser: 'chrome',
+      message: { tabId: 4 },
+      owner: 'bot',
+      createdAt: 0,
+      timeoutMs: 60000,
+    }]]) };
+    const { pending } = createDashboard(pendingState, { summarize: () => [] }).snapshot();
+    assert.deepEqual(pending, [{
+      requestId: 'p1',
+      action: 'get_html',
+      clientId: 'ext-1',
+      browser: 'chrome',
+      tabId: 4,
+      owner: 'bot',
+      startedAt: '1970-01-01T00:00:00.000Z',
+      timeoutMs: 60000,
+    }]);
+  });
+
+  it('pushes only when the snapshot changed', () => {
+    const dashboard = createDashboard(state, { summarize: () => [] });
+    const sent = [];
+    const socket = { readyState: 1, send: (raw) => sent.push(JSON.parse(raw)) };
+
+    dashboard.subscribe(socket);
+    dashboard.push();
+    dashboard.push();
+    dashboard.record({ requestId: 'r1', action: 'get_tabs', outcome: 'success' });
+    dashboard.push();
+    dashboard.unsubscribe(socket);
+
+    assert.equal(sent.length, 2);
+    assert.equal(sent[0].type, 'dashboard');
+    assert.deepEqual(sent[1].history.map((h) => h.requestId), ['r1']);
+    assert.equal(dashboard.subscribers, 0);
+  });
+});
+
+// ── served by the server ─────────────────────────────────────────────
+
+describe('dashboard on the server', () => {
+  let server, base, ext;
+
+  before(async () => {
+    server = createServer({ port: 0, logger: silentLogger });
+    await server.start();
+    base = `localhost:${server.httpServer.address().port}`;
+  });
+
+  after(async () => {
+    if (ext) ext.socket.close();
+    await server.stop();
+  });
+
+  it('serves the page', async () => {
+    const res = await fetch(`http://${base}${DASHBOARD_PATH}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.equal(res.headers.get('x-frame-options'), 'DENY');
+    assert.match(await res.text(), /subscribe_dashboard/);
+
+    const index = await (await fetch(`http://${base}/`)).json();
+    assert.ok(index.endpoints.includes(DASHBOARD_PATH));
+  });
+
+  it('sends a snapshot on subscribe and pushes browsers and finished commands', async () => {
+    const dash = await connect(`ws://${base}/?type=automation`);
+    dash.socket.send(JSON.stringify({ action: 'subscribe_dashboard', requestId: 'd1' }));
+    const ack = await dash.next((m) => m.requestId === 'd1');
+    assert.equal(ack.status, 'success');
+    const first = await dash.next((m) => m.type === 'dashboard');
+    assert.deepEqual(first.browsers, []);
+    assert.equal(first.automationClients, 1);
+
+    ext = await connect(`ws://${base}/?type=extension`);
+    ext.socket.on('message', (raw) => {
+      const msg = JSON.parse(raw);
+      if (msg.type === 'close_tab') ext.socket.send(JSON.stringify({ type: 'close_tab_complete', tabId: msg.tabId, requestId: msg.requestId }));
+    });
+    ext.socket.send(JSON.stringify({ type: 'init', instanceId: 'dash-chrome', userAgent: 'Mozilla/5.0 Chrome/120.0' }));
+    ext.socket.send(JSON.stringify({
+      type: 'data',
+      tabs: [{ id: 3, url: 'https://example.com/', title: 'Example', favicon_url: 'https://example.com/favicon.ico' }],
+      active_tab_id: 3,
+    }));
+
+    const seen = dash.messages.length;
+    const withBrowser = await dash.next((m) => m.type === 'dashboard' && m.browsers.length === 1, seen);
+    const [tab] = withBrowser.browsers[0].tabs;
+    assert.equal(tab.favicon_url, 'https://example.com/favicon.ico');
+
+    // The history is kept without an audit log
+    dash.socket.send(JSON.stringify({ action: 'close_tab', requestId: 'c1', tabId: tab.handle }));
+    assert.equal((await dash.next((m) => m.requestId === 'c1')).status, 'success');
+    const withHistory = await dash.next((m) => m.type === 'dashboard' && m.history.length > 0);
+    assert.equal(withHistory.history[0].action, 'close_tab');
+    assert.equal(withHistory.history[0].outcome, 'success');
+
+    dash.socket.close();
+    await new Promise((r) => setTimeout(r, 50));
+    assert.equal(server.state.dashboard.subscribers, 0);
+  });
+});
+
+describe('dashboard access', () => {
+  let server, base;
+
+  before(async () => {
+    server = createServer({
+      port: 0,
+      logger: silentLogger,
+      authSecret: 'master',
+      apiKeys: [{ name: 'reader', key: 'k-reader', readOnly: true }],
+    });
+    await server.start();
+    base = `localhost:${server.httpServer.address().port}`;
+  });
+  after(() => server.stop());
+
+  it('needs an unrestricted token', async () => {
+    const scoped = await connect(`ws://${base}/?type=automation&token=k-reader`);
+    scoped.socket.send(JSON.stringify({ action: 'subscribe_dashboard', requestId: 's1' }));
+    const refused = await scoped.next((m) => m.requestId === 's1');
+    assert.equal(refused.code, 'FORBIDDEN');
+    assert.equal(server.state.dashboard.subscribers, 0);
+    scoped.socket.close();
+
+    const master = await connect(`ws://${base}/?type=automation&token=master`);
+    master.socket.send(JSON.stringify({ action: 'subscribe_dashboard', requestId: 's2' }));
+    assert.equal((await master.next((m) => m.requestId === 's2')).status, 'success');
+    assert.equal((await master.next((m) => m.type === 'dashboard')).automationClients, 1);
+    master.socket.close();
+  });
+});
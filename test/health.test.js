@@ -0,0 +1,94 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHealthMonitor, RETRY_AFTER, PROBE_INTERVAL_MS } = require('../server/health');
+
+function fakeState(pending = 0) {
+  const pendingResponses = new Map();
+  for (let i = 0; i < pending; i++) pendingResponses.set(`r${i}`, {});
+  return { pendingResponses };
+}
+
+// Heap usage varies by machine; keep it out of the way unless a test needs it
+const calmHeap = { heapUsedRatio: { warning: 2, critical: 3 } };
+
+describe('createHealthMonitor', () => {
+  it('is healthy when every signal is below its thresholds', () => {
+    const health = createHealthMonitor(fakeState(), { healthThresholds: calmHeap }).evaluate();
+    assert.equal(health.status, 'healthy');
+    assert.equal(health.retryAfter, undefined);
+    assert.deepEqual(Object.keys(health.checks).sort(), ['eventLoopLagMs', 'heapUsedRatio', 'pendingRequests', 'timeoutRatio']);
+  });
+
+  it('grades the pending backlog', () => {
+    const thresholds = { ...calmHeap, pendingRequests: { warning: 2, critical: 4 } };
+    assert.equal(createHealthMonitor(fakeState(2), { healthThresholds: thresholds }).evaluate().status, 'warning');
+
+    const critical = createHealthMonitor(fakeState(4), { healthThresholds: thresholds }).evaluate();
+    assert.equal(critical.status, 'critical');
+    assert.equal(critical.retryAfter, RETRY_AFTER.critical);
+    assert.deepEqual(critical.checks.pendingRequests, { value: 4, status: 'critical' });
+  });
+
+  it('ignores the timeout ratio until there are enough samples', () => {
+    const monitor = createHealthMonitor(fakeState(), { healthThresholds: calmHeap });
+    for (let i = 0; i < 5; i++) monitor.recordOutcome(true);
+    assert.equal(monitor.evaluate().checks.timeoutRatio.value, 0);
+
+    const busy = createHealthMonitor(fakeState(), { healthThresholds: calmHeap });
+    for (let i = 0; i < 20; i++) busy.recordOutcome(i % 4 === 0);
+    const health = busy.evaluate();
+    assert.equal(health.checks.timeoutRatio.value, 0.25);
+    assert.equal(health.status, 'warning');
+  });
+
+  it('probes while timeouts alone are critical and recovers on an answer', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const monitor = createHealthMonitor(fakeState(), { healthThresholds: calmHeap });
+    for (let i = 0; i < 20; i++) monitor.recordOutcome(true);
+    assert.equal(monitor.evaluate().status, 'critical');
+
+    assert.equal(monitor.takeProbe(), true);
+    assert.equal(monitor.takeProbe(), false);
+    t.mock.timers.tick(PROBE_INTERVAL_MS);
+    assert.equal(monitor.takeProbe(), true);
+
+    monitor.recordOutcome(false);
+    assert.equal(monitor.evaluate().status, 'healthy');
+    assert.equal(monitor.takeProbe(), false);
+  });
+
+  it('does not probe when other signals are critical', () => {
+    const monitor = createHealthMonitor(fakeState(4), {
+      healthThresholds: { ...calmHeap, pendingRequests: { warning: 2, critical: 4 } },
+    });
+    for (let i = 0; i < 20; i++) monitor.recordOutcome(true);
+    assert.equal(monitor.takeProbe(), false);
+  });
+
+  it('reports heap usage as a ratio of the heap limit', () => {
+    const health = createHealthMonitor(fakeState(), { healthThresholds: { heapUsedRatio: { warning: 0 } } }).evaluate();
+    assert.ok(health.checks.heapUsedRatio.value > 0 && health.checks.heapUsedRatio.value < 1);
+    assert.equal(health.status, 'warning');
+  });
+
+  it('measures event-loop lag while started', async () => {
+    const monitor = createHealthMonitor(fakeState(), {
+      healthThresholds: { ...calmHeap, eventLoopLagMs: { warning: 50, critical: 10000 } },
+    });
+    monitor.start();
+    try {
+      // Block across the first 500ms sample tick, then let it fire late
+      const until = Date.now() + 700;
+      while (Date.now() < until) { /* block the loop */ }
+      await new Promise((r) => setTimeout(r, 50));
+      const health = monitor.evaluate();
+      assert.ok(health.checks.eventLoopLagMs.value >= 50, `lag ${health.checks.eventLoopLagMs.value}`);
+      assert.equal(health.status, 'warning');
+    } finally {
+      monitor.stop();
+    }
+  });
+});
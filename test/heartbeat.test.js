@@ -0,0 +1,204 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { createServer } = require('../server/index');
+const {
+  EXTENSION_HEARTBEAT_MS,
+  CLIENT_HEARTBEAT_MS,
+  createHeartbeat,
+  markAlive,
+} = require('../server/heartbeat');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const tick = (ms = 30) => new Promise((r) => setTimeout(r, ms));
+
+async function until(predicate) {
+  const deadline = Date.now() + 2000;
+  while (!predicate() && Date.now() < deadline) await tick(5);
+}
+
+function fakePeer() {
+  return {
+    lastActivity: Date.now() - 1,
+    socket: {
+      readyState: 1,
+      pings: 0,
+      terminated: false,
+      ping() { this.pings++; },
+      terminate() { this.terminated = true; this.readyState = 3; },
+    },
+  };
+}
+
+// ── createHeartbeat ──────────────────────────────────────────────────
+
+describe('createHeartbeat', () => {
+  it('uses the default intervals and turns off at 0', () => {
+    const defaults = createHeartbeat({});
+    assert.equal(defaults.extensionMs, EXTENSION_HEARTBEAT_MS);
+    assert.equal(defaults.clientMs, CLIENT_HEARTBEAT_MS);
+    const custom = createHeartbeat({}, { heartbeatInterval: 5, clientHeartbeatInterval: 0 });
+    assert.equal(custom.extensionMs, 5000);
+    assert.equal(custom.clientMs, 0);
+  });
+
+  it('marks a silent peer stale, then drops it', async () => {
+    const { sweep } = createHeartbeat({});
+    const peer = fakePeer();
+    const peers = new Map([['p', peer]]);
+
+    sweep('Extension', peers);
+    assert.equal(peer.socket.pings, 1);
+    await tick(5);
+    sweep('Extension', peers);
+    assert.equal(peer.stale, true);
+    await tick(5);
+    sweep('Extension', peers);
+    assert.equal(peer.socket.terminated, false);
+    await tick(5);
+    sweep('Extension', peers);
+    assert.equal(peer.socket.terminated, true);
+  });
+
+  it('clears staleness as soon as the peer answers', async () => {
+    const { sweep } = createHeartbeat({});
+    const peer = fakePeer();
+    const peers = new Map([['p', peer]]);
+
+    sweep('Extension', peers);
+    await tick(5);
+    sweep('Extension', peers);
+    assert.equal(peer.stale, true);
+    markAlive(peer);
+    assert.equal(peer.stale, false);
+    await tick(5);
+    sweep('Extension', peers);
+    assert.equal(peer.stale, false);
+    assert.equal(peer.missedPings, 0);
+  });
+
+  it('skips sockets that cannot be pinged', () => {
+    const { sweep } = createHeartbeat({});
+    const peer = { lastActivity: 0, socket: { readyState: 1 } };
+    sweep('Extension', new Map([['p', peer]]));
+    assert.equal(peer.pingSentAt, undefined);
+  });
+});
+
+// ── on the server ────────────────────────────────────────────────────
+
+describe('heartbeat on the server', () => {
+  let server, base, bot;
+
+  before(async () => {
+    // Sweeps are driven by hand below
+    server = createServer({ port: 0, logger: silentLogger, heartbeatInterval: 0, clientHeartbeatInterval: 0 });
+    assert.equal(server.state.heartbeat.extensionMs, 0);
+    assert.equal(server.state.heartbeat.clientMs, 0);
+    await server.start();
+    base = `localhost:${server.httpServer.address().port}`;
+    bot = new WebSocket(`ws://${base}/?type=automation`);
+    await new Promise((resolve) => bot.once('open', resolve));
+  });
+
+  after(async () => {
+    bot.close();
+    await server.stop();
+  });
+
+  function request(msg) {
+    return new Promise((resolve) => {
+      bot.on('message', function onMessage(raw) {
+        const reply = JSON.parse(raw);
+        if (reply.requestId !== msg.requestId) return;
+        bot.off('message', onMessage);
+        resolve(reply);
+      });
+      bot.send(JSON.stringify(msg));
+    });
+  }
+
+  async function connectExtension(instanceId, options = {}) {
+    const ext = new WebSocket(`ws://${base}?type=extension`, options);
+    ext.on('message', (raw) => {
+      const msg = JSON.parse(raw);
+      if (msg.type === 'open_url') {
+        ext.send(JSON.stringify({ type: 'open_url_complete', tabId: 5, url: msg.url, requestId: msg.requestId }));
+      }
+    });
+    await new Promise((resolve) => ext.once('open', resolve));
+    ext.send(JSON.stringify({ type: 'init', instanceId, userAgent: 'Mozilla/5.0 Chrome/120.0' }));
+    await tick();
+    return ext;
+  }
+
+  // Sweep, then wait for the peers that answer pings to do so
+  async function sweep(kind, peers, times, answering = []) {
+    for (let i = 0; i < times; i++) {
+      server.state.heartbeat.sweep(kind, peers);
+      await until(() => answering.every((peer) => peer.lastActivity >= peer.pingSentAt));
+      await tick();
+    }
+  }
+
+  it('keeps browsers that answer pings and routes around silent ones', async () => {
+    const live = await connectExtension('hb-live');
+    const silent = await connectExtension('hb-silent', { autoPong: false });
+    try {
+      await sweep('Extension', server.state.extensionClients, 2, [server.state.extensionClients.get('hb-live')]);
+      assert.equal(server.state.extensionClients.get('hb-live').stale, false);
+      assert.equal(server.state.extensionClients.get('hb-silent').stale, true);
+
+      const listed = await request({ action: 'list_clients', requestId: 'l1' });
+      const stale = listed.data.clients.find((c) => c.clientId === 'hb-silent');
+      assert.equal(stale.stale, true);
+
+      const pinned = await request({ action: 'open_url', requestId: 'o1', url: 'https://example.com/', target: 'hb-silent' });
+      assert.equal(pinned.code, 'EXTENSION_STALE');
+      const handle = await request({ action: 'close_tab', requestId: 'o2', tabId: 'hb-silent:1' });
+      assert.equal(handle.code, 'EXTENSION_STALE');
+      for (let i = 0; i < 3; i++) {
+        const routed = await request({ action: 'open_url', requestId: `o3-${i}`, url: 'https://example.com/' });
+        assert.equal(routed.handle, 'hb-live:5');
+      }
+
+      // Any message brings it back
+      silent.send(JSON.stringify({ type: 'data', tabs: [], active_tab_id: null }));
+      await tick();
+      assert.equal(server.state.extensionClients.get('hb-silent').stale, false);
+    } finally {
+      live.close();
+      silent.close();
+      await tick();
+    }
+  });
+
+  it('drops a browser after three missed pings', async () => {
+    const silent = await connectExtension('hb-gone', { autoPong: false });
+    const closed = new Promise((resolve) => silent.once('close', resolve));
+    await sweep('Extension', server.state.extensionClients, 4);
+    await closed;
+    // The server handles its end of the close on its own schedule
+    await until(() => !server.state.extensionClients.has('hb-gone'));
+    assert.equal(server.state.extensionClients.has('hb-gone'), false);
+  });
+
+  it('drops silent automation clients', async () => {
+    const answering = [...server.state.automationClients.values()];
+    const client = new WebSocket(`ws://${base}/?type=automation`, { autoPong: false });
+    await new Promise((resolve) => client.once('open', resolve));
+    // A ping sent in the millisecond the client connected would not count as missed
+    await tick();
+    const closed = new Promise((resolve) => client.once('close', resolve));
+    const before = server.state.automationClients.size;
+    await sweep('Automation', server.state.automationClients, 4, answering);
+    await closed;
+    await until(() => server.state.automationClients.size < before);
+    // The test's own client answers pings and stays
+    assert.equal(server.state.automationClients.size, before - 1);
+    assert.equal(bot.readyState, WebSocket.OPEN);
+  });
+});
@@ -4,7 +4,17 @@ const { describe, it, before, after, beforeEach, afterEach } = require('node:tes
 const assert = require('node:assert/strict');
 const { WebSocketServer } = require('ws');
 
-const { BrowserAutomation } = require('../clients/js-eyes-client');
+const {
+  BrowserAutomation,
+  JsEyesError,
+  InvalidParamsError,
+  NotFoundError,
+  TabNotFoundError,
+  TimeoutError,
+  ConnectionError,
+  createError,
+} = require('../clients/js-eyes-client');
+const { splitIntoChunks } = require('../server/chunking');
 
 const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
 
@@ -57,6 +67,14 @@ function defaultHandler(ws, data) {
       }));
       break;
 
+    case 'get_response':
+      ws.send(JSON.stringify({
+        type: 'get_response_response', requestId, status: 'success',
+        state: 'completed', storedAt: '2026-01-01T00:00:00.000Z',
+        response: { type: 'open_url_complete', requestId: data.originalRequestId, tabId: 42 },
+      }));
+      break;
+
     case 'list_clients':
       ws.send(JSON.stringify({
         type: 'list_clients_response', requestId, status: 'success',
@@ -111,6 +129,57 @@ function defaultHandler(ws, data) {
       }));
       break;
 
+    case 'get_cookies_by_domain':
+      ws.send(JSON.stringify({
+        type: 'get_cookies_by_domain_response', requestId, status: 'success',
+        domain: data.domain, includeSubdomains: data.includeSubdomains,
+        cookies: [{ name: 'sid', value: 'abc', domain: `.${data.domain}` }], total: 1,
+      }));
+      break;
+
+    case 'upload_file_to_tab':
+      ws.send(JSON.stringify({
+        type: 'upload_file_to_tab_response', requestId, status: 'success',
+        tabId: data.tabId,
+        uploadedFiles: data.files.map((f) => ({ name: f.name, size: f.size, type: f.type })),
+        targetSelector: data.targetSelector,
+      }));
+      break;
+
+    case 'batch':
+      ws.send(JSON.stringify({
+        type: 'batch_response', requestId, status: 'success',
+        tabId: data.tabId ?? 9,
+        results: data.steps.map((step, index) => ({ index, id: step.id ?? null, action: step.action, status: 'success', data: {} })),
+        stoppedAt: null,
+        onError: data.onError,
+      }));
+      break;
+
+    case 'broadcast':
+      ws.send(JSON.stringify({
+        type: 'broadcast_response', requestId, status: 'success', command: data.command,
+        results: {
+          'ext-1:3': { status: 'success', clientId: 'ext-1', tabId: 3, tabUrl: data.tabUrl, css: data.css },
+        },
+        summary: { total: 1, succeeded: 1, failed: 0 },
+      }));
+      break;
+
+    case 'subscribe_events':
+      ws.send(JSON.stringify({
+        type: 'subscribe_events_response', requestId, status: 'success',
+        subscribedEvents: data.events,
+      }));
+      break;
+
+    case 'unsubscribe_events':
+      ws.send(JSON.stringify({
+        type: 'unsubscribe_events_response', requestId, status: 'success',
+        unsubscribedEvents: data.events, remainingSubscriptions: [],
+      }));
+      break;
+
     default:
       ws.send(JSON.stringify({
         type: 'error', requestId, message: `Unknown action: ${action}`,
@@ -220,6 +289,22 @@ describe('_handleMessage', () => {
     assert.equal(bot.pendingRequests.size, 0);
   });
 
+  it('exposes the server error code on the rejection', () => {
+    let rejected = null;
+    bot.pendingRequests.set('req-code', {
+      resolve: () => {},
+      reject: (e) => { rejected = e; },
+      timeoutId: setTimeout(() => {}, 10000),
+    });
+
+    bot._handleMessage(JSON.stringify({
+      type: 'get_html_response', requestId: 'req-code', status: 'error',
+      code: 'EXTENSION_DISCONNECTED', message: 'Browser extension x disconnected before answering',
+    }));
+
+    assert.equal(rejected.code, 'EXTENSION_DISCONNECTED');
+  });
+
   it('rejects pending request on type=error (unknown action)', () => {
     let rejected = null;
     const pending = {
@@ -249,6 +334,24 @@ describe('_handleMessage', () => {
     bot._handleMessage('not-json');
     // no throw
   });
+
+  it('emits pushed browser events by name and as "event"', () => {
+    const named = [];
+    const all = [];
+    bot.on('tabUpdated', (evt) => named.push(evt));
+    bot.on('event', (evt) => all.push(evt));
+
+    bot._handleMessage(JSON.stringify({
+      type: 'event', event: 'tabUpdated', clientId: 'ext-1', browserName: 'chrome',
+      data: { tabId: 3, status: 'complete' }, timestamp: '2026-01-01T00:00:00.000Z',
+    }));
+
+    assert.equal(named.length, 1);
+    assert.equal(named[0].browserName, 'chrome');
+    assert.deepEqual(named[0].data, { tabId: 3, status: 'complete' });
+    assert.equal(all.length, 1);
+    assert.equal(all[0].event, 'tabUpdated');
+  });
 });
 
 // ── connection management (integration) ─────────────────────────────
@@ -318,6 +421,13 @@ describe('business methods', () => {
     assert.equal(clients[1].browserName, 'chrome');
   });
 
+  it('getResponse() returns a stored result by requestId', async () => {
+    const result = await bot.getResponse('req_old');
+    assert.equal(result.state, 'completed');
+    assert.equal(result.response.requestId, 'req_old');
+    assert.equal(result.response.tabId, 42);
+  });
+
   it('openUrl() returns tabId', async () => {
     const tabId = await bot.openUrl('https://test.com');
     assert.equal(tabId, 42);
@@ -352,6 +462,40 @@ describe('business methods', () => {
     assert.equal(cookies[0].name, 'sid');
     assert.equal(cookies[0].value, 'abc');
   });
+
+  it('getCookiesByDomain() returns cookies array', async () => {
+    const cookies = await bot.getCookiesByDomain('example.com');
+    assert.equal(cookies.length, 1);
+    assert.equal(cookies[0].domain, '.example.com');
+  });
+
+  it('uploadFileToTab() returns uploaded file info', async () => {
+    const files = [{ name: 'a.txt', type: 'text/plain', size: 2, base64: 'aGk=' }];
+    const uploaded = await bot.uploadFileToTab(1, files, { targetSelector: '#upload' });
+    assert.deepEqual(uploaded, [{ name: 'a.txt', size: 2, type: 'text/plain' }]);
+  });
+
+  it('subscribeEvents() / unsubscribeEvents() return subscription lists', async () => {
+    assert.deepEqual(await bot.subscribeEvents(['tabCreated']), ['tabCreated']);
+    assert.deepEqual(await bot.unsubscribeEvents(['tabCreated']), []);
+  });
+
+  it('batch() sends the steps and returns every step result', async () => {
+    const { results, tabId, stoppedAt } = await bot.batch([
+      { action: 'open_url', url: 'https://example.com/' },
+      { action: 'get_html', id: 'page' },
+    ], { onError: 'continue' });
+    assert.equal(tabId, 9);
+    assert.equal(stoppedAt, null);
+    assert.deepEqual(results.map((r) => [r.action, r.id, r.status]), [['open_url', null, 'success'], ['get_html', 'page', 'success']]);
+  });
+
+  it('broadcast() sends the command with its params and returns per-target results', async () => {
+    const { results, summary } = await bot.broadcast('inject_css', { css: 'body{}' }, { tabUrl: '*' });
+    assert.deepEqual(summary, { total: 1, succeeded: 1, failed: 0 });
+    assert.equal(results['ext-1:3'].tabUrl, '*');
+    assert.equal(results['ext-1:3'].css, 'body{}');
+  });
 });
 
 // ── target parameter ────────────────────────────────────────────────
@@ -381,10 +525,30 @@ describe('target parameter', () => {
     assert.equal(lastReceivedMessage.target, 'firefox');
   });
 
+  it('sends the timeout as the request deadline', async () => {
+    await bot.closeTab(1, { timeout: 300 });
+    assert.equal(lastReceivedMessage.timeoutMs, 300000);
+    await bot.closeTab(1);
+    assert.equal(lastReceivedMessage.timeoutMs, 60000);
+  });
+
   it('omits target field when not specified', async () => {
     await bot.closeTab(1);
     assert.equal(lastReceivedMessage.target, undefined);
   });
+
+  it('keeps method-specific options out of the request envelope', async () => {
+    await bot.getCookiesByDomain('example.com', { includeSubdomains: false, target: 'chrome' });
+    assert.equal(lastReceivedMessage.includeSubdomains, false);
+    assert.equal(lastReceivedMessage.target, 'chrome');
+  });
+
+  it('passes tab handles through unchanged and coerces plain ids', async () => {
+    await bot.closeTab('3f2a-ext:12');
+    assert.equal(lastReceivedMessage.tabId, '3f2a-ext:12');
+    await bot.closeTab('12');
+    assert.equal(lastReceivedMessage.tabId, 12);
+  });
 });
 
 // ── error handling ──────────────────────────────────────────────────
@@ -400,6 +564,17 @@ describe('error handling', () => {
           type: `${action}_response`, requestId: data.requestId,
           status: 'error', message: 'Something went wrong',
         }));
+      } else if (action === 'close_tab') {
+        ws.send(JSON.stringify({
+          type: 'close_tab_response', requestId: data.requestId,
+          status: 'error', code: 'TAB_NOT_FOUND', message: 'No tab with id: 9',
+        }));
+      } else if (action === 'bad_params') {
+        ws.send(JSON.stringify({
+          type: 'bad_params_response', requestId: data.requestId, status: 'error',
+          code: 'INVALID_PARAMS', message: 'Invalid bad_params request: url is required',
+          errors: [{ path: 'url', message: 'is required' }],
+        }));
       } else if (action === 'unknown_boom') {
         ws.send(JSON.stringify({
           type: 'error', requestId: data.requestId,
@@ -441,6 +616,137 @@ describe('error handling', () => {
       },
     );
   });
+
+  it('rejects with the error class of the code', async () => {
+    await assert.rejects(
+      () => bot.closeTab(9),
+      (err) => {
+        assert.ok(err instanceof TabNotFoundError);
+        assert.ok(err instanceof NotFoundError);
+        assert.ok(err instanceof JsEyesError);
+        assert.equal(err.name, 'TabNotFoundError');
+        assert.equal(err.code, 'TAB_NOT_FOUND');
+        return true;
+      },
+    );
+  });
+
+  it('keeps the field errors of INVALID_PARAMS', async () => {
+    await assert.rejects(
+      () => bot._sendRequest('bad_params', {}),
+      (err) => {
+        assert.ok(err instanceof InvalidParamsError);
+        assert.deepEqual(err.errors, [{ path: 'url', message: 'is required' }]);
+        return true;
+      },
+    );
+  });
+
+  it('falls back to JsEyesError for codes without a class', () => {
+    const err = createError('AUDIT_DISABLED', 'off');
+    assert.equal(err.constructor, JsEyesError);
+    assert.equal(err.code, 'AUDIT_DISABLED');
+    assert.equal(createError(undefined, 'x').code, 'EXTENSION_ERROR');
+    assert.equal(new ConnectionError('gone').code, 'CONNECTION_ERROR');
+  });
+});
+
+// ── browser events (integration) ────────────────────────────────────
+
+describe('browser events', () => {
+  let server, bot, received;
+
+  before(async () => {
+    received = [];
+    server = await createMockServer((ws, data) => {
+      received.push(data);
+      defaultHandler(ws, data);
+      if (data.type === 'subscribe_events') {
+        ws.send(JSON.stringify({
+          type: 'event', event: 'tabCreated', clientId: 'ext-1', browserName: 'firefox',
+          data: { tabId: 9, url: 'about:blank' }, timestamp: new Date().toISOString(),
+        }));
+      }
+    });
+    bot = new BrowserAutomation(server.url, { logger: silentLogger, requestInterval: 0 });
+  });
+
+  after(async () => {
+    bot.disconnect();
+    await closeMockServer(server.wss);
+  });
+
+  beforeEach(() => { received.length = 0; });
+
+  it('delivers events pushed after subscribing', async () => {
+    const event = new Promise((resolve) => bot.once('tabCreated', resolve));
+    const subscribed = await bot.subscribeEvents(['tabCreated'], { target: 'firefox' });
+    assert.deepEqual(subscribed, ['tabCreated']);
+
+    const evt = await event;
+    assert.equal(evt.clientId, 'ext-1');
+    assert.equal(evt.data.tabId, 9);
+  });
+
+  it('re-subscribes remembered events after reconnect', async () => {
+    await bot._restoreSubscriptions();
+    assert.equal(received.length, 1);
+    assert.equal(received[0].type, 'subscribe_events');
+    assert.deepEqual(received[0].events, ['tabCreated']);
+    assert.equal(received[0].target, 'firefox');
+  });
+
+  it('forgets events once unsubscribed', async () => {
+    await bot.unsubscribeEvents(['tabCreated']);
+    assert.equal(bot._eventSubscriptions.size, 0);
+
+    received.length = 0;
+    await bot._restoreSubscriptions();
+    assert.equal(received.length, 0);
+  });
+});
+
+// ── chunked transfer ─────────────────────────────────────────────────
+
+describe('chunked transfer', () => {
+  let server, bot, connectUrl;
+  const html = '<section>长页面</section>'.repeat(20000);
+
+  before(async () => {
+    server = await createMockServer((ws, data) => {
+      if (data.type !== 'get_html') return;
+      const raw = JSON.stringify({
+        type: 'get_html_response', requestId: data.requestId, status: 'success', tabId: data.tabId, html,
+      });
+      const frames = splitIntoChunks(data.requestId, raw);
+      if (data.tabId === 2) frames[frames.length - 1].checksum = '0'.repeat(64);
+      // deliver out of order: the receiver must order by index
+      for (const frame of frames.reverse()) ws.send(JSON.stringify(frame));
+    });
+    server.wss.on('connection', (ws, req) => { connectUrl = req.url; });
+    bot = new BrowserAutomation(server.url, { logger: silentLogger, requestInterval: 0 });
+  });
+
+  after(async () => {
+    bot.disconnect();
+    await closeMockServer(server.wss);
+  });
+
+  it('announces chunk support when connecting', async () => {
+    await bot.connect();
+    assert.match(connectUrl, /chunked=1/);
+  });
+
+  it('reassembles a chunked getTabHtml result', async () => {
+    const result = await bot.getTabHtml(1);
+    assert.equal(result, html);
+    assert.equal(bot._chunkTransfers.size, 0);
+  });
+
+  it('rejects when the checksum does not match', async () => {
+    await assert.rejects(bot.getTabHtml(2), /分块传输校验失败/);
+    assert.equal(bot._chunkTransfers.size, 0);
+  });
 });
 
 // ── disconnect rejects pending ──────────────────────────────────────
@@ -481,6 +787,35 @@ describe('disconnect rejects pending requests', () => {
   });
 });
 
+// ── connection loss keeps requestId ─────────────────────────────────
+
+describe('connection loss rejects pending requests', () => {
+  let server, bot;
+
+  before(async () => {
+    server = await createMockServer((ws) => {
+      // drop the connection instead of answering
+      ws.terminate();
+    });
+    bot = new BrowserAutomation(server.url, { logger: silentLogger, requestInterval: 0 });
+    await bot.connect();
+  });
+
+  after(async () => {
+    bot.disconnect();
+    await closeMockServer(server.wss);
+  });
+
+  it('attaches the requestId so the result can be collected later', async () => {
+    await assert.rejects(() => bot._sendRequest('open_url', { url: 'https://slow.com' }), (err) => {
+      assert.ok(err.message.includes('已断开'));
+      assert.ok(err instanceof ConnectionError);
+      assert.ok(err.requestId.startsWith('req_'));
+      return true;
+    });
+  });
+});
+
 // ── client timeout ──────────────────────────────────────────────────
 
 describe('client-side timeout', () => {
@@ -508,12 +843,131 @@ describe('client-side timeout', () => {
       () => bot._sendRequest('get_html', { tabId: 1 }),
       (err) => {
         assert.ok(err.message.includes('超时'));
+        assert.ok(err instanceof TimeoutError);
+        assert.equal(err.code, 'TIMEOUT');
         return true;
       },
     );
   });
 });
 
+// ── request cancellation ────────────────────────────────────────────
+
+describe('request cancellation', () => {
+  let server, bot, received;
+
+  before(async () => {
+    server = await createMockServer((ws, data) => {
+      received.push(data);
+      if (data.type === 'cancel') {
+        ws.send(JSON.stringify({
+          type: 'cancel_response', requestId: data.requestId, originalRequestId: data.originalRequestId,
+          ...(data.originalRequestId === 'req-known'
+            ? { status: 'success', cancelled: true }
+            : { status: 'error', code: 'NOT_FOUND', message: 'No pending request' }),
+        }));
+      }
+      // everything else never responds
+    });
+    bot = new BrowserAutomation(server.url, {
+      logger: silentLogger,
+      requestInterval: 0,
+    });
+    await bot.connect();
+  });
+
+  beforeEach(() => { received = []; });
+
+  after(async () => {
+    bot.disconnect();
+    await closeMockServer(server.wss);
+  });
+
+  it('aborting the signal sends cancel and rejects with CANCELLED', async () => {
+    const controller = new AbortController();
+    const pending = bot.executeScript(1, 'while (true) {}', { signal: controller.signal });
+    await new Promise((r) => setTimeout(r, 50));
+    controller.abort();
+
+    await assert.rejects(pending, (err) => {
+      assert.equal(err.code, 'CANCELLED');
+      assert.equal(err.requestId, received[0].requestId);
+      return true;
+    });
+    assert.equal(bot.pendingRequests.size, 0);
+
+    await new Promise((r) => setTimeout(r, 50));
+    assert.equal(received[1].type, 'cancel');
+    assert.equal(received[1].originalRequestId, received[0].requestId);
+  });
+
+  it('rejects an already aborted signal without sending anything', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(bot.getTabHtml(1, { signal: controller.signal }), { code: 'CANCELLED' });
+    await new Promise((r) => setTimeout(r, 50));
+    assert.equal(received.length, 0);
+  });
+
+  it('cancel() cancels a request by id', async () => {
+    assert.deepEqual(await bot.cancel('req-known'), { cancelled: true });
+    await assert.rejects(bot.cancel('req-unknown'), { code: 'NOT_FOUND' });
+  });
+});
+
+// ── token authentication ────────────────────────────────────────────
+
+describe('token authentication', () => {
+  let wss, port, lastAuthHeader;
+
+  before(async () => {
+    await new Promise((resolve) => {
+      wss = new WebSocketServer({ port: 0 });
+      wss.on('listening', () => {
+        port = wss.address().port;
+        resolve();
+      });
+      wss.on('connection', (ws, req) => {
+        lastAuthHeader = req.headers.authorization;
+        if (lastAuthHeader !== 'Bearer good-token') {
+          ws.send(JSON.stringify({ type: 'error', code: 'AUTH_FAILED', message: 'Invalid or missing token' }));
+          ws.close(4001, 'Unauthorized');
+          return;
+        }
+        ws.send(JSON.stringify({ type: 'connection_established', clientId: 'authed' }));
+      });
+    });
+  });
+
+  after(async () => {
+    await closeMockServer(wss);
+  });
+
+  it('sends the token as a Bearer Authorization header', async () => {
+    const bot = new BrowserAutomation(`ws://localhost:${port}`, {
+      logger: silentLogger,
+      token: 'good-token',
+    });
+    await bot.connect();
+    assert.equal(lastAuthHeader, 'Bearer good-token');
+    assert.equal(bot._clientId, 'authed');
+    bot.disconnect();
+  });
+
+  it('rejects with AUTH_FAILED when the server refuses the token', async () => {
+    const bot = new BrowserAutomation(`ws://localhost:${port}`, {
+      logger: silentLogger,
+      token: 'bad-token',
+    });
+    await assert.rejects(() => bot.connect(), (err) => {
+      assert.equal(err.code, 'AUTH_FAILED');
+      assert.ok(err.message.includes('认证失败'));
+      return true;
+    });
+    bot.disconnect();
+  });
+});
+
 // ── constructor defaults ────────────────────────────────────────────
 
 describe('constructor', () => {
@@ -0,0 +1,219 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const WebSocket = require('ws');
+
+const { createServer } = require('../server/index');
+const { BrowserAutomation } = require('../clients/js-eyes-client');
+const { createBrowserTools } = require('../clients/agent-tools');
+const {
+  PROTOCOL_VERSIONS,
+  createMcpServer,
+  serveStdio,
+  listenMcpHttp,
+} = require('../server/mcp');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Minimal extension: reports one tab, opens tab 8, serves HTML and fails
+ * every script.
+ */
+async function connectExtension(port) {
+  const ext = new WebSocket(`ws://localhost:${port}?type=extension`);
+  ext.on('message', (raw) => {
+    const msg = JSON.parse(raw);
+    const reply = (data) => ext.send(JSON.stringify({ ...data, requestId: msg.requestId }));
+    if (msg.type === 'open_url') reply({ type: 'open_url_complete', tabId: 8, url: msg.url });
+    if (msg.type === 'execute_script') reply({ type: 'error', message: 'boom' });
+    if (msg.type === 'get_html') reply({ type: 'tab_html_complete', tabId: msg.tabId, html: '<p>mcp</p>' });
+  });
+  await new Promise((resolve) => ext.once('open', resolve));
+  ext.send(JSON.stringify({ type: 'init', instanceId: 'mcp-chrome', userAgent: 'Mozilla/5.0 Chrome/120.0' }));
+  ext.send(JSON.stringify({ type: 'data', tabs: [{ id: 7, url: 'https://example.com/', title: 'Example' }], active_tab_id: 7 }));
+  await new Promise((r) => setTimeout(r, 50));
+  return ext;
+}
+
+function call(id, name, args) {
+  return { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } };
+}
+
+describe('MCP server', () => {
+  let server, ext, bot, mcp;
+
+  before(async () => {
+    server = createServer({ port: 0, logger: silentLogger });
+    await server.start();
+    const { port } = server.httpServer.address();
+    ext = await connectExtension(port);
+    bot = new BrowserAutomation(`ws://localhost:${port}`, { logger: silentLogger, requestInterval: 0 });
+    mcp = createMcpServer({
+      tools: createBrowserTools({ getBot: () => bot, skillsDir: '/nonexistent', logger: silentLogger }),
+      logger: silentLogger,
+    });
+  });
+
+  after(async () => {
+    bot.disconnect();
+    ext.close();
+    await server.stop();
+  });
+
+  // ── protocol ──────────────────────────────────────────────────────
+
+  it('negotiates the protocol version on initialize', async () => {
+    const init = (protocolVersion) => mcp.handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion } });
+
+    const reply = await init('2025-03-26');
+    assert.equal(reply.result.protocolVersion, '2025-03-26');
+    assert.equal(reply.result.serverInfo.name, 'js-eyes');
+    assert.deepEqual(reply.result.capabilities, { tools: { listChanged: false } });
+    assert.equal((await init('1999-01-01')).result.protocolVersion, PROTOCOL_VERSIONS[0]);
+  });
+
+  it('lists the same tools and schemas the OpenClaw plugin registers', async () => {
+    const { default: register } = await import('../openclaw-plugin/index.mjs');
+    const registered = [];
+    register({
+      pluginConfig: {},
+      logger: silentLogger,
+      registerService() {},
+      registerCli() {},
+      registerTool(tool) { registered.push(tool); },
+    });
+
+    const { result } = await mcp.handle({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+    assert.deepEqual(result.tools.map((t) => t.name), registered.map((t) => t.name));
+    for (const tool of registered) {
+      const listed = result.tools.find((t) => t.name === tool.name);
+      assert.deepEqual(listed.inputSchema, tool.parameters);
+      assert.equal(listed.description, tool.description);
+    }
+    for (const name of ['js_eyes_get_tabs', 'js_eyes_open_url', 'js_eyes_get_html', 'js_eyes_execute_script',
+      'js_eyes_get_cookies', 'js_eyes_list_clients', 'js_eyes_discover_skills', 'js_eyes_install_skill']) {
+      assert.ok(result.tools.some((t) => t.name === name), name);
+    }
+  });
+
+  it('answers ping and ignores notifications', async () => {
+    assert.deepEqual(await mcp.handle({ jsonrpc: '2.0', id: 3, method: 'ping' }), { jsonrpc: '2.0', id: 3, result: {} });
+    assert.equal(await mcp.handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  });
+
+  it('reports protocol errors with JSON-RPC codes', async () => {
+    assert.equal((await mcp.handle({ jsonrpc: '2.0', id: 4, method: 'resources/list' })).error.code, -32601);
+    assert.equal((await mcp.handle(call(5, 'js_eyes_nope', {}))).error.code, -32602);
+    assert.equal((await mcp.handle(call(6, 'js_eyes_open_url', {}))).error.code, -32602);
+    assert.match((await mcp.handle(call(7, 'js_eyes_get_html', { tabId: true }))).error.message, /must be a number or string/);
+    assert.equal((await mcp.handleRaw('{not json')).error.code, -32700);
+    assert.equal((await mcp.handle({ id: 8, method: 'ping' })).error.code, -32600);
+  });
+
+  it('answers a batch with the replies to its requests', async () => {
+    const replies = await mcp.handle([
+      { jsonrpc: '2.0', id: 9, method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+    ]);
+    assert.deepEqual(replies.map((r) => r.id), [9]);
+  });
+
+  // ── tools ─────────────────────────────────────────────────────────
+
+  it('runs browser tools through the client', async () => {
+    const tabs = await mcp.handle(call(10, 'js_eyes_get_tabs', {}));
+    assert.match(tabs.result.content[0].text, /\[7\] Example \[ACTIVE\]/);
+
+    const opened = await mcp.handle(call(11, 'js_eyes_open_url', { url: 'https://example.org/' }));
+    assert.equal(opened.result.content[0].text, '已打开 https://example.org/，标签页 ID: 8');
+    assert.equal(opened.result.isError, undefined);
+  });
+
+  it('accepts "clientId:tabId" handles as tab ids', async () => {
+    const [conn] = server.state.extensionClients.values();
+    const reply = await mcp.handle(call(13, 'js_eyes_get_html', { tabId: `${conn.clientId}:7` }));
+    assert.equal(reply.result.isError, undefined);
+    assert.match(reply.result.content[0].text, /<p>mcp<\/p>/);
+  });
+
+  it('returns browser failures as tool errors', async () => {
+    const reply = await mcp.handle(call(12, 'js_eyes_execute_script', { tabId: 7, code: 'x' }));
+    assert.equal(reply.result.isError, true);
+    assert.match(reply.result.content[0].text, /boom/);
+  });
+});
+
+// ── transports ───────────────────────────────────────────────────────
+
+describe('MCP transports', () => {
+  const mcp = createMcpServer({
+    tools: [{
+      name: 'echo',
+      label: 'Echo',
+      description: 'Echo the text back',
+      parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+      async execute(_id, params) {
+        return { content: [{ type: 'text', text: params.text }] };
+      },
+    }],
+    logger: silentLogger,
+  });
+
+  it('speaks newline-delimited JSON-RPC over stdio', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const done = serveStdio(mcp, { input, output });
+
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })}\n`);
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+    input.end(`${JSON.stringify(call(2, 'echo', { text: 'hi' }))}\n`);
+    await done;
+
+    const replies = output.read().toString().trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(replies.map((r) => r.id).sort(), [1, 2]);
+    assert.equal(replies.find((r) => r.id === 2).result.content[0].text, 'hi');
+  });
+
+  describe('streamable HTTP', () => {
+    let httpServer, url;
+
+    before(async () => {
+      httpServer = await listenMcpHttp(mcp, { port: 0, host: 'localhost', token: 'secret' });
+      url = `http://localhost:${httpServer.address().port}/mcp`;
+    });
+    after(() => new Promise((resolve) => httpServer.close(resolve)));
+
+    const post = (body, headers = {}) => fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        Authorization: 'Bearer secret',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    it('answers requests with a JSON body', async () => {
+      const res = await post(call(1, 'echo', { text: 'hi' }));
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).result.content[0].text, 'hi');
+    });
+
+    it('accepts notifications with 202', async () => {
+      const res = await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      assert.equal(res.status, 202);
+    });
+
+    it('requires the token and a local origin, and only takes POST', async () => {
+      assert.equal((await post(call(2, 'echo', { text: 'x' }), { Authorization: 'Bearer wrong' })).status, 401);
+      assert.equal((await post(call(3, 'echo', { text: 'x' }), { Origin: 'https://evil.test' })).status, 403);
+      assert.equal((await post(call(4, 'echo', { text: 'x' }), { Origin: 'http://localhost:3000' })).status, 200);
+      const get = await fetch(url, { headers: { Authorization: 'Bearer secret' } });
+      assert.equal(get.status, 405);
+      assert.equal(get.headers.get('allow'), 'POST');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCounter, createHistogram, createMetrics } = require('../server/metrics');
+
+function emptyState() {
+  return { extensionClients: new Map(), automationClients: new Map(), pendingResponses: new Map() };
+}
+
+// ── metric types ─────────────────────────────────────────────────────
+
+describe('createCounter', () => {
+  it('keeps one series per label set', () => {
+    const c = createCounter('x_total', 'help', ['a']);
+    c.inc({ a: '1' });
+    c.inc({ a: '1' }, 2);
+    c.inc({ a: '2' });
+    assert.deepEqual(c.render(), ['# HELP x_total help', '# TYPE x_total counter', 'x_total{a="1"} 3', 'x_total{a="2"} 1']);
+  });
+
+  it('escapes label values', () => {
+    const c = createCounter('x_total', 'help', ['a']);
+    c.inc({ a: 'say "hi"\\\n' });
+    assert.equal(c.render()[2], 'x_total{a="say \\"hi\\"\\\\\\n"} 1');
+  });
+});
+
+describe('createHistogram', () => {
+  it('renders cumulative buckets, sum and count', () => {
+    const h = createHistogram('d_seconds', 'help', ['a'], [0.1, 1]);
+    h.observe({ a: 'x' }, 0.05);
+    h.observe({ a: 'x' }, 0.5);
+    h.observe({ a: 'x' }, 5);
+    assert.deepEqual(h.render().slice(2), [
+      'd_seconds_bucket{a="x",le="0.1"} 1',
+      'd_seconds_bucket{a="x",le="1"} 2',
+      'd_seconds_bucket{a="x",le="+Inf"} 3',
+      'd_seconds_sum{a="x"} 5.55',
+      'd_seconds_count{a="x"} 3',
+    ]);
+  });
+});
+
+// ── createMetrics ────────────────────────────────────────────────────
+
+describe('createMetrics', () => {
+  it('counts requests, errors by code, timeouts and bytes', () => {
+    const m = createMetrics();
+    m.recordRequest('get_html', 'chrome', 100);
+    m.recordResponse('get_html', 'chrome', { status: 'success' }, 250, 4000);
+    m.recordRequest('get_html', 'chrome', 100);
+    m.recordResponse('get_html', 'chrome', { status: 'error', code: 'TIMEOUT' }, 60000);
+    m.recordResponse('open_url', 'none', { status: 'error', code: 'NO_EXTENSION' });
+
+    const text = m.render(emptyState());
+    assert.match(text, /^jseyes_requests_total\{action="get_html",browser="chrome"\} 2$/m);
+    assert.match(text, /^jseyes_request_errors_total\{action="get_html",browser="chrome",code="TIMEOUT"\} 1$/m);
+    assert.match(text, /^jseyes_request_errors_total\{action="open_url",browser="none",code="NO_EXTENSION"\} 1$/m);
+    assert.match(text, /^jseyes_request_timeouts_total\{action="get_html",browser="chrome"\} 1$/m);
+    assert.match(text, /^jseyes_request_duration_seconds_count\{action="get_html",browser="chrome"\} 2$/m);
+    assert.match(text, /^jseyes_relayed_bytes_total\{direction="to_extension",action="get_html",browser="chrome"\} 200$/m);
+    assert.match(text, /^jseyes_relayed_bytes_total\{direction="to_client",action="get_html",browser="chrome"\} 4000$/m);
+  });
+
+  it('reads connection gauges from the state', () => {
+    const state = emptyState();
+    state.extensionClients.set('a', { browserName: 'chrome' });
+    state.extensionClients.set('b', { browserName: 'chrome' });
+    state.automationClients.set('c', {});
+    state.pendingResponses.set('r', {});
+
+    const text = createMetrics().render(state);
+    assert.match(text, /^jseyes_extensions_connected\{browser="chrome"\} 2$/m);
+    assert.match(text, /^jseyes_automation_clients_connected 1$/m);
+    assert.match(text, /^jseyes_pending_requests 1$/m);
+  });
+});
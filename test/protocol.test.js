@@ -0,0 +1,201 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { createServer } = require('../server/index');
+const { BrowserAutomation } = require('../clients/js-eyes-client');
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  MAX_PAYLOAD_BYTES,
+  negotiateVersion,
+  parseCapabilities,
+  checkCapabilities,
+} = require('../server/protocol');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function nextMessage(socket, predicate = () => true) {
+  return new Promise((resolve) => {
+    socket.on('message', function onMessage(raw) {
+      const msg = JSON.parse(raw);
+      if (!predicate(msg)) return;
+      socket.off('message', onMessage);
+      resolve(msg);
+    });
+  });
+}
+
+function closed(socket) {
+  return new Promise((resolve) => socket.once('close', (code) => resolve(code)));
+}
+
+// ── negotiateVersion ─────────────────────────────────────────────────
+
+describe('negotiateVersion', () => {
+  it('treats a peer without a version as v1', () => {
+    assert.deepEqual(negotiateVersion(undefined, undefined), { version: 1 });
+    assert.deepEqual(negotiateVersion(null, ''), { version: 1 });
+  });
+
+  it('settles on the newest version both sides speak', () => {
+    assert.deepEqual(negotiateVersion(PROTOCOL_VERSION, 1), { version: PROTOCOL_VERSION });
+    assert.deepEqual(negotiateVersion(String(PROTOCOL_VERSION + 5), '1'), { version: PROTOCOL_VERSION });
+  });
+
+  it('rejects peers whose range does not overlap', () => {
+    const tooNew = negotiateVersion(PROTOCOL_VERSION + 2, PROTOCOL_VERSION + 1);
+    assert.equal(tooNew.error.code, 'PROTOCOL_MISMATCH');
+    assert.match(tooNew.error.message, /Update the server/);
+    assert.equal(negotiateVersion('x', 1).error.code, 'PROTOCOL_MISMATCH');
+    assert.equal(negotiateVersion(1, 2).error.code, 'PROTOCOL_MISMATCH');
+    assert.equal(negotiateVersion(0, 0).error.code, 'PROTOCOL_MISMATCH');
+  });
+});
+
+// ── capabilities ─────────────────────────────────────────────────────
+
+describe('parseCapabilities / checkCapabilities', () => {
+  it('keeps the known fields and drops malformed ones', () => {
+    assert.equal(parseCapabilities(undefined), null);
+    assert.equal(parseCapabilities([]), null);
+    assert.deepEqual(parseCapabilities({
+      actions: ['get_html', 7],
+      maxPayload: -1,
+      browser: { name: 'chrome', version: 120 },
+      extensionVersion: '2.0.0',
+      extra: true,
+    }), {
+      actions: ['get_html'],
+      events: null,
+      maxPayload: null,
+      browser: { name: 'chrome', version: null },
+      extensionVersion: '2.0.0',
+    });
+  });
+
+  it('checks the action and the payload size', () => {
+    const caps = parseCapabilities({ actions: ['get_html'], maxPayload: 100 });
+    assert.equal(checkCapabilities(null, 'batch', 1e9), null);
+    assert.equal(checkCapabilities(caps, 'get_html', 100), null);
+    assert.equal(checkCapabilities(caps, 'batch', 10).code, 'UNSUPPORTED_ACTION');
+    assert.equal(checkCapabilities(caps, 'get_html', 101).code, 'PAYLOAD_TOO_LARGE');
+  });
+});
+
+// ── handshake ────────────────────────────────────────────────────────
+
+describe('protocol handshake', () => {
+  let server, base;
+
+  before(async () => {
+    server = createServer({ port: 0, logger: silentLogger });
+    await server.start();
+    base = `localhost:${server.httpServer.address().port}`;
+  });
+  after(() => server.stop());
+
+  async function connectExtension(init) {
+    const ext = new WebSocket(`ws://${base}?type=extension`);
+    await new Promise((resolve) => ext.once('open', resolve));
+    const ack = nextMessage(ext, (m) => m.type === 'init_ack');
+    ext.send(JSON.stringify({ type: 'init', userAgent: 'Mozilla/5.0 Chrome/120.0', ...init }));
+    return { ext, ack: await ack };
+  }
+
+  it('acknowledges the negotiated version and lists capabilities per browser', async () => {
+    const { ext, ack } = await connectExtension({
+      instanceId: 'proto-new',
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: 1,
+      capabilities: { actions: ['get_html'], maxPayload: 1000, browser: { name: 'chrome', version: '120.0' } },
+    });
+    const legacy = await connectExtension({ instanceId: 'proto-old' });
+    assert.equal(ack.status, 'ok');
+    assert.equal(ack.protocolVersion, PROTOCOL_VERSION);
+    assert.equal(ack.capabilities.maxPayload, MAX_PAYLOAD_BYTES);
+    assert.equal(legacy.ack.protocolVersion, 1);
+
+    const bot = new BrowserAutomation(`ws://${base}`, { logger: silentLogger, requestInterval: 0 });
+    try {
+      const clients = await bot.listClients();
+      const byId = Object.fromEntries(clients.map((c) => [c.clientId, c]));
+      assert.equal(byId['proto-new'].protocolVersion, PROTOCOL_VERSION);
+      assert.deepEqual(byId['proto-new'].capabilities.actions, ['get_html']);
+      assert.equal(byId['proto-new'].capabilities.browser.version, '120.0');
+      assert.equal(byId['proto-old'].protocolVersion, 1);
+      assert.equal(byId['proto-old'].capabilities, null);
+
+      // Refused by the server instead of being dropped by the extension
+      await assert.rejects(bot.executeScript('proto-new:1', '1'), { code: 'UNSUPPORTED_ACTION' });
+    } finally {
+      bot.disconnect();
+      ext.close();
+      legacy.ext.close();
+    }
+  });
+
+  it('refuses requests larger than the browser accepts', async () => {
+    const { ext } = await connectExtension({
+      instanceId: 'proto-small',
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: { actions: ['execute_script'], maxPayload: 200 },
+    });
+    const bot = new BrowserAutomation(`ws://${base}`, { logger: silentLogger, requestInterval: 0 });
+    try {
+      await assert.rejects(bot.executeScript('proto-small:1', 'x'.repeat(500)), { code: 'PAYLOAD_TOO_LARGE' });
+    } finally {
+      bot.disconnect();
+      ext.close();
+    }
+  });
+
+  it('closes an extension that needs a newer protocol', async () => {
+    const ext = new WebSocket(`ws://${base}?type=extension`);
+    await new Promise((resolve) => ext.once('open', resolve));
+    const ack = nextMessage(ext, (m) => m.type === 'init_ack');
+    const code = closed(ext);
+    ext.send(JSON.stringify({ type: 'init', protocolVersion: PROTOCOL_VERSION + 1, minProtocolVersion: PROTOCOL_VERSION + 1 }));
+    assert.equal((await ack).status, 'error');
+    assert.equal((await ack).code, 'PROTOCOL_MISMATCH');
+    assert.equal(await code, 4010);
+  });
+
+  it('advertises its version and actions to automation clients', async () => {
+    const bot = new BrowserAutomation(`ws://${base}`, { logger: silentLogger, requestInterval: 0 });
+    try {
+      await bot.connect();
+      assert.equal(bot.protocolVersion, PROTOCOL_VERSION);
+      assert.equal(bot.serverCapabilities.maxPayload, MAX_PAYLOAD_BYTES);
+      assert.equal(bot.supports('batch'), true);
+      assert.equal(bot.supports('teleport'), false);
+    } finally {
+      bot.disconnect();
+    }
+  });
+
+  it('knows every action it advertises', async () => {
+    const socket = new WebSocket(`ws://${base}?type=automation&protocol=${PROTOCOL_VERSION}`);
+    const { capabilities, minProtocolVersion } = await nextMessage(socket, (m) => m.type === 'connection_established');
+    assert.equal(minProtocolVersion, MIN_PROTOCOL_VERSION);
+    for (const action of capabilities.actions) {
+      const reply = nextMessage(socket, (m) => m.requestId === action);
+      socket.send(JSON.stringify({ action, requestId: action, events: [], timeoutMs: 1000 }));
+      assert.notEqual((await reply).code, 'UNKNOWN_ACTION', action);
+    }
+    const unknown = nextMessage(socket, (m) => m.requestId === 'u1');
+    socket.send(JSON.stringify({ action: 'teleport', requestId: 'u1' }));
+    assert.equal((await unknown).code, 'UNKNOWN_ACTION');
+    socket.close();
+  });
+
+  it('rejects an automation client that needs a newer protocol', async () => {
+    const socket = new WebSocket(`ws://${base}?type=automation&protocol=${PROTOCOL_VERSION + 1}&minProtocol=${PROTOCOL_VERSION + 1}`);
+    const error = nextMessage(socket);
+    const code = closed(socket);
+    assert.equal((await error).code, 'PROTOCOL_MISMATCH');
+    assert.equal(await code, 4010);
+  });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { createServer } = require('../server/index');
+const { BrowserAutomation } = require('../clients/js-eyes-client');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+/**
+ * Minimal extension: reports one tab, answers open_url / get_html, never
+ * answers execute_script (so it can be cancelled) and records what it got.
+ */
+async function connectExtension(port, instanceId) {
+  const ext = new WebSocket(`ws://localhost:${port}?type=extension`);
+  ext.received = [];
+  ext.on('message', (raw) => {
+    const msg = JSON.parse(raw);
+    ext.received.push(msg);
+    const reply = (data) => ext.send(JSON.stringify({ ...data, requestId: msg.requestId }));
+    if (msg.type === 'open_url') reply({ type: 'open_url_complete', tabId: 8, url: msg.url });
+    if (msg.type === 'get_html') reply({ type: 'tab_html_complete', tabId: msg.tabId, html: `<p>${msg.tabId}</p>` });
+  });
+  await new Promise((resolve) => ext.once('open', resolve));
+  ext.send(JSON.stringify({
+    type: 'init',
+    instanceId,
+    userAgent: 'Mozilla/5.0 Chrome/120.0',
+    protocolVersion: 2,
+    capabilities: { browser: { name: 'chrome', version: '120.0' } },
+  }));
+  ext.send(JSON.stringify({ type: 'data', tabs: [{ id: 7, url: 'https://example.com/' }], active_tab_id: 7 }));
+  return ext;
+}
+
+// ── two servers bridged together (integration) ──────────────────────
+
+describe('relay to an upstream server', () => {
+  let hub, desk, ext, bot;
+
+  before(async () => {
+    hub = createServer({ port: 0, logger: silentLogger, authSecret: 'hub-secret' });
+    await hub.start();
+    const hubPort = hub.httpServer.address().port;
+
+    desk = createServer({
+      port: 0,
+      logger: silentLogger,
+      relay: { url: `ws://localhost:${hubPort}`, name: 'desk', token: 'hub-secret', syncIntervalMs: 20 },
+    });
+    await desk.start();
+    ext = await connectExtension(desk.httpServer.address().port, 'desk-chrome');
+
+    bot = new BrowserAutomation(`ws://localhost:${hubPort}`, {
+      logger: silentLogger,
+      requestInterval: 0,
+      token: 'hub-secret',
+    });
+    await waitFor(() => hub.state.extensionClients.has('desk/desk-chrome'));
+  });
+
+  after(async () => {
+    bot.disconnect();
+    ext.close();
+    await desk.stop();
+    await hub.stop();
+  });
+
+  it('lists the relayed browser under a namespaced clientId', async () => {
+    assert.equal(desk.relay.connected, true);
+    const [client] = await bot.listClients();
+    assert.equal(client.clientId, 'desk/desk-chrome');
+    assert.equal(client.bridge, 'desk');
+    assert.equal(client.browserName, 'chrome');
+    assert.deepEqual(client.tabs, [{ id: 7, url: 'https://example.com/', handle: 'desk/desk-chrome:7' }]);
+    assert.equal(client.protocolVersion, 2);
+    assert.equal(client.capabilities.browser.version, '120.0');
+  });
+
+  it('relays commands and their deadline to the browser', async () => {
+    const tabId = await bot.openUrl('https://example.org/', null, null, { target: 'desk/desk-chrome', timeout: 20 });
+    assert.equal(tabId, 8);
+    const forwarded = ext.received.find((m) => m.type === 'open_url');
+    assert.equal(forwarded.url, 'https://example.org/');
+    assert.equal(forwarded.timeoutMs, 20000);
+    // The new tab is routable on the hub before the next sync
+    assert.ok(hub.state.extensionClients.get('desk/desk-chrome').tabs.some((t) => t.id === 8));
+  });
+
+  it('routes tab handles to the relayed browser', async () => {
+    assert.equal(await bot.getTabHtml('desk/desk-chrome:7'), '<p>7</p>');
+  });
+
+  it('delivers browser events from the relayed browser', async () => {
+    await bot.subscribeEvents(['tabUpdated'], { target: 'desk/desk-chrome' });
+    await waitFor(() => ext.received.some((m) => m.type === 'subscribe_events' && m.events.includes('tabUpdated')));
+
+    const received = new Promise((resolve) => bot.once('tabUpdated', resolve));
+    ext.send(JSON.stringify({ type: 'event', event: 'tabUpdated', data: { tabId: 7, url: 'https://example.com/a' } }));
+    const evt = await received;
+    assert.equal(evt.clientId, 'desk/desk-chrome');
+    assert.equal(evt.data.tabId, 7);
+  });
+
+  it('passes cancellation down to the browser', async () => {
+    const controller = new AbortController();
+    const pending = bot.executeScript(7, 'await new Promise(() => {})', { target: 'desk/desk-chrome', signal: controller.signal });
+    await waitFor(() => ext.received.some((m) => m.type === 'execute_script'));
+    const requestId = ext.received.find((m) => m.type === 'execute_script').requestId;
+
+    controller.abort();
+    await assert.rejects(pending, { code: 'CANCELLED' });
+    await waitFor(() => ext.received.some((m) => m.type === 'cancel'));
+    assert.equal(ext.received.find((m) => m.type === 'cancel').originalRequestId, requestId);
+  });
+
+  it('detaches the browser when it leaves the relaying server', async () => {
+    const other = await connectExtension(desk.httpServer.address().port, 'desk-firefox');
+    await waitFor(() => hub.state.extensionClients.has('desk/desk-firefox'));
+    other.close();
+    await waitFor(() => !hub.state.extensionClients.has('desk/desk-firefox'));
+    assert.ok(hub.state.extensionClients.has('desk/desk-chrome'));
+  });
+});
+
+describe('relay refused by the upstream', () => {
+  it('gives up when the token is not accepted', async () => {
+    const hub = createServer({ port: 0, logger: silentLogger, authSecret: 'hub-secret' });
+    await hub.start();
+    const desk = createServer({
+      port: 0,
+      logger: silentLogger,
+      relay: { url: `ws://localhost:${hub.httpServer.address().port}`, name: 'desk', token: 'wrong' },
+    });
+    try {
+      await desk.start();
+      await new Promise((r) => setTimeout(r, 200));
+      assert.equal(desk.relay.connected, false);
+      assert.equal(hub.state.bridges.size, 0);
+    } finally {
+      await desk.stop();
+      await hub.stop();
+    }
+  });
+});
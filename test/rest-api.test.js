@@ -0,0 +1,435 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createServer } = require('../server/index');
+const { createResponseSocket } = require('../server/rest-api');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// ── helpers ──────────────────────────────────────────────────────────
+
+async function startServer(options = {}) {
+  const server = createServer({ port: 0, logger: silentLogger, ...options });
+  await server.start();
+  const { port } = server.httpServer.address();
+  return { server, baseUrl: `http://localhost:${port}`, wsUrl: `ws://localhost:${port}` };
+}
+
+function post(baseUrl, path, body, headers = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+}
+
+/**
+ * WebSocket extension stand-in that answers forwarded commands.
+ */
+function connectExtension(wsUrl, server) {
+  const ws = new WebSocket(`${wsUrl}?type=extension`);
+  const received = [];
+
+  ws.on('message', (raw) => {
+    const msg = JSON.parse(raw.toString());
+    received.push(msg);
+    const reply = (data) => ws.send(JSON.stringify({ requestId: msg.requestId, ...data }));
+
+    switch (msg.type) {
+      case 'auth_result':
+        ws.send(JSON.stringify({ type: 'init', userAgent: 'Mozilla/5.0 Chrome/120.0' }));
+        break;
+      case 'open_url':
+        reply({ type: 'open_url_complete', tabId: 42, url: msg.url });
+        break;
+      case 'get_html':
+        reply({ type: 'tab_html_complete', tabId: msg.tabId, html: '<p>rest</p>' });
+        break;
+      case 'execute_script':
+        reply({ type: 'error', message: 'Script failed', code: 'SCRIPT_ERROR' });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return new Promise((resolve) => {
+    const check = setInterval(() => {
+      const conn = [...server.state.extensionClients.values()][0];
+      if (conn && conn.browserName === 'chrome') {
+        clearInterval(check);
+        resolve({ ws, received });
+      }
+    }, 10);
+  });
+}
+
+// ── createResponseSocket ─────────────────────────────────────────────
+
+describe('createResponseSocket', () => {
+  it('delivers only the first message', () => {
+    const seen = [];
+    const socket = createResponseSocket((msg) => seen.push(msg));
+    socket.send(JSON.stringify({ n: 1 }));
+    socket.send(JSON.stringify({ n: 2 }));
+    assert.deepEqual(seen, [{ n: 1 }]);
+    assert.equal(socket.readyState, 3);
+  });
+});
+
+// ── REST commands (integration) ──────────────────────────────────────
+
+describe('REST command API', () => {
+  let server, baseUrl, wsUrl;
+
+  before(async () => {
+    ({ server, baseUrl, wsUrl } = await startServer());
+  });
+  after(async () => {
+    await server.stop();
+  });
+
+  it('answers 503 when no extension is connected', async () => {
+    const res = await post(baseUrl, '/api/browser/html', { tabId: 1 });
+    assert.equal(res.status, 503);
+    const body = await res.json();
+    assert.equal(body.code, 'NO_EXTENSION');
+  });
+
+  it('rejects invalid JSON bodies', async () => {
+    const res = await post(baseUrl, '/api/browser/html', '{not json');
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects unknown commands', async () => {
+    const res = await post(baseUrl, '/api/browser/teleport', {});
+    assert.equal(res.status, 405);
+  });
+
+  it('refuses what other sites\' pages could send', async () => {
+    const foreign = await post(baseUrl, '/api/browser/html', { tabId: 1 }, { Origin: 'https://evil.test' });
+    assert.equal(foreign.status, 403);
+    assert.equal((await foreign.json()).code, 'FORBIDDEN');
+    const tabs = await fetch(`${baseUrl}/api/browser/tabs`, { headers: { Origin: 'https://evil.test' } });
+    assert.equal(tabs.status, 403);
+
+    const plain = await post(baseUrl, '/api/browser/html', JSON.stringify({ tabId: 1 }), { 'Content-Type': 'text/plain' });
+    assert.equal(plain.status, 415);
+    assert.equal((await plain.json()).code, 'UNSUPPORTED_MEDIA_TYPE');
+
+    // The server's own pages and clients without an Origin pass
+    const own = await post(baseUrl, '/api/browser/html', { tabId: 1 }, { Origin: baseUrl });
+    assert.equal(own.status, 503);
+  });
+
+  it('only sends CORS headers for the public endpoints', async () => {
+    const preflight = await fetch(`${baseUrl}/api/browser/execute`, { method: 'OPTIONS' });
+    assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+    const command = await post(baseUrl, '/api/browser/html', { tabId: 1 });
+    assert.equal(command.headers.get('access-control-allow-origin'), null);
+    const tabs = await fetch(`${baseUrl}/api/browser/tabs`);
+    assert.equal(tabs.headers.get('access-control-allow-origin'), null);
+
+    const health = await fetch(`${baseUrl}/api/browser/health`);
+    assert.equal(health.headers.get('access-control-allow-origin'), '*');
+    const publicPreflight = await fetch(`${baseUrl}/api/browser/config`, { method: 'OPTIONS' });
+    assert.equal(publicPreflight.headers.get('access-control-allow-methods'), 'GET, OPTIONS');
+  });
+
+  describe('with an extension connected', () => {
+    let ext;
+
+    before(async () => {
+      ext = await connectExtension(wsUrl, server);
+    });
+    after(() => ext.ws.close());
+
+    it('opens a URL and returns the extension result', async () => {
+      const res = await post(baseUrl, '/api/browser/open', { url: 'https://example.com' });
+      assert.equal(res.status, 200);
+      const body = await res.json();
+      assert.equal(body.status, 'success');
+      assert.equal(body.tabId, 42);
+      assert.equal(body.type, 'open_url_response');
+
+      const forwarded = ext.received.find((m) => m.type === 'open_url');
+      assert.equal(forwarded.url, 'https://example.com');
+    });
+
+    it('returns page HTML synchronously', async () => {
+      const res = await post(baseUrl, '/api/browser/html', { tabId: 7 });
+      const body = await res.json();
+      assert.equal(res.status, 200);
+      assert.equal(body.html, '<p>rest</p>');
+    });
+
+    it('maps extension errors to 502', async () => {
+      const res = await post(baseUrl, '/api/browser/execute', { tabId: 7, code: 'throw 1' });
+      assert.equal(res.status, 502);
+      const body = await res.json();
+      assert.equal(body.code, 'SCRIPT_ERROR');
+    });
+
+    it('returns a requestId immediately with ?async=1', async () => {
+      const res = await post(baseUrl, '/api/browser/open?async=1', { url: 'https://async.example' });
+      assert.equal(res.status, 202);
+      const body = await res.json();
+      assert.equal(body.status, 'accepted');
+      assert.equal(body.action, 'open_url');
+      assert.ok(body.requestId);
+
+      await new Promise((r) => setTimeout(r, 50));
+      const poll = await fetch(`${baseUrl}/api/browser/responses/${body.requestId}`);
+      assert.equal(poll.status, 200);
+      const result = await poll.json();
+      assert.equal(result.state, 'completed');
+      assert.equal(result.response.tabId, 42);
+    });
+
+    it('exposes request metrics at /metrics', async () => {
+      await post(baseUrl, '/api/browser/html', { tabId: 7 });
+      const res = await fetch(`${baseUrl}/metrics`);
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+      const text = await res.text();
+      assert.match(text, /^jseyes_requests_total\{action="get_html",browser="chrome"\} \d+$/m);
+      assert.match(text, /^jseyes_request_errors_total\{action="execute_script",browser="chrome",code="SCRIPT_ERROR"\} 1$/m);
+      assert.match(text, /^jseyes_extensions_connected\{browser="chrome"\} 1$/m);
+    });
+
+    it('answers 400 for an invalid deadline', async () => {
+      const res = await post(baseUrl, '/api/browser/html', { tabId: 7, timeoutMs: 0 });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).code, 'INVALID_TIMEOUT');
+    });
+
+    it('answers 404 for unknown requestIds', async () => {
+      const res = await fetch(`${baseUrl}/api/browser/responses/does-not-exist`);
+      assert.equal(res.status, 404);
+      const body = await res.json();
+      assert.equal(body.code, 'NOT_FOUND');
+    });
+
+    it('cancels an async request with DELETE', async () => {
+      // The stand-in extension never answers inject_css
+      const res = await post(baseUrl, '/api/browser/css?async=1', { tabId: 7, css: 'p {}' });
+      const { requestId } = await res.json();
+
+      const del = await fetch(`${baseUrl}/api/browser/responses/${requestId}`, { method: 'DELETE' });
+      assert.equal(del.status, 200);
+      assert.equal((await del.json()).cancelled, true);
+
+      const poll = await (await fetch(`${baseUrl}/api/browser/responses/${requestId}`)).json();
+      assert.equal(poll.response.code, 'CANCELLED');
+
+      await new Promise((r) => setTimeout(r, 50));
+      assert.ok(ext.received.some((m) => m.type === 'cancel' && m.originalRequestId === requestId));
+
+      const again = await fetch(`${baseUrl}/api/browser/responses/${requestId}`, { method: 'DELETE' });
+      assert.equal(again.status, 404);
+    });
+  });
+});
+
+describe('REST command API with auth', () => {
+  let server, baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await startServer({ authSecret: 'rest-secret' }));
+  });
+  after(async () => {
+    await server.stop();
+  });
+
+  it('rejects requests without a token', async () => {
+    const res = await post(baseUrl, '/api/browser/html', { tabId: 1 });
+    assert.equal(res.status, 401);
+    const body = await res.json();
+    assert.equal(body.code, 'AUTH_FAILED');
+  });
+
+  it('requires a token to read stored responses', async () => {
+    const res = await fetch(`${baseUrl}/api/browser/responses/any`);
+    assert.equal(res.status, 401);
+    const authed = await fetch(`${baseUrl}/api/browser/responses/any?token=rest-secret`);
+    assert.equal(authed.status, 404);
+  });
+
+  it('accepts a Bearer token', async () => {
+    const res = await post(baseUrl, '/api/browser/html', { tabId: 1 }, {
+      Authorization: 'Bearer rest-secret',
+    });
+    assert.equal(res.status, 503);
+  });
+});
+
+describe('REST command API with API keys', () => {
+  let server, baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await startServer({
+      apiKeys: [
+        { name: 'reader', key: 'k-reader', readOnly: true },
+        { name: 'example', key: 'k-example', urls: ['*.example.com'] },
+        { name: 'html-only', key: 'k-html', actions: ['get_html'] },
+      ],
+    }));
+  });
+  after(async () => {
+    await server.stop();
+  });
+
+  it('requires a key once keys are configured', async () => {
+    const res = await post(baseUrl, '/api/browser/html', { tabId: 1 });
+    assert.equal(res.status, 401);
+  });
+
+  it('answers 403 FORBIDDEN for actions outside the scope', async () => {
+    const res = await post(baseUrl, '/api/browser/execute', { tabId: 1, code: '1' }, {
+      Authorization: 'Bearer k-reader',
+    });
+    assert.equal(res.status, 403);
+    const body = await res.json();
+    assert.equal(body.code, 'FORBIDDEN');
+    assert.equal(body.reason, 'read_only');
+    assert.equal(body.scope, 'reader');
+  });
+
+  it('lets allowed actions through', async () => {
+    const res = await post(baseUrl, '/api/browser/html', { tabId: 1 }, {
+      Authorization: 'Bearer k-reader',
+    });
+    assert.equal(res.status, 503);
+  });
+
+  it('requires a key for the status and tab listings and filters tabs by URL', async () => {
+    server.state.extensionClients.set('ext-1', {
+      clientId: 'ext-1',
+      socket: { readyState: 1, send() {} },
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+      browserName: 'chrome',
+      authenticated: true,
+      tabs: [{ id: 1, url: 'https://www.example.com/', title: 'Example' }, { id: 2, url: 'https://bank.test/', title: 'Bank' }],
+      activeTabId: 2,
+    });
+    try {
+      for (const listing of ['status', 'tabs', 'clients']) {
+        const res = await fetch(`${baseUrl}/api/browser/${listing}`);
+        assert.equal(res.status, 401, listing);
+      }
+
+      const get = (listing, key) => fetch(`${baseUrl}/api/browser/${listing}`, { headers: { Authorization: `Bearer ${key}` } });
+      const tabs = await (await get('tabs', 'k-example')).json();
+      assert.deepEqual(tabs.tabs.map((t) => t.id), [1]);
+      assert.equal(tabs.activeTabId, null);
+      const clients = await (await get('clients', 'k-example')).json();
+      assert.deepEqual(clients.clients[0].tabs.map((t) => t.id), [1]);
+      const status = await (await get('status', 'k-example')).json();
+      assert.equal(status.data.tabs, 1);
+      assert.equal((await (await get('tabs', 'k-reader')).json()).tabs.length, 2);
+
+      const refused = await get('tabs', 'k-html');
+      assert.equal(refused.status, 403);
+      assert.equal((await refused.json()).reason, 'action');
+    } finally {
+      server.state.extensionClients.delete('ext-1');
+    }
+  });
+
+  it('hides other keys\' stored responses', async () => {
+    server.state.callbackResponses.set('theirs', { status: 'success', html: 'secret', _storedAt: Date.now(), _owner: 'someone-else' });
+    const res = await fetch(`${baseUrl}/api/browser/responses/theirs`, { headers: { Authorization: 'Bearer k-reader' } });
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).code, 'NOT_FOUND');
+  });
+});
+
+describe('REST audit endpoint', () => {
+  let server, baseUrl, wsUrl, dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-eyes-rest-audit-'));
+    ({ server, baseUrl, wsUrl } = await startServer({
+      auditLog: path.join(dir, 'audit.jsonl'),
+      apiKeys: [
+        { name: 'admin', key: 'k-admin' },
+        { name: 'reader', key: 'k-reader', readOnly: true },
+      ],
+    }));
+  });
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('journals REST commands and returns them filtered', async () => {
+    const ext = await connectExtension(wsUrl, server);
+    try {
+      await post(baseUrl, '/api/browser/open', { url: 'https://example.com' }, { Authorization: 'Bearer k-admin' });
+      await post(baseUrl, '/api/browser/close', { tabId: 42 }, { Authorization: 'Bearer k-reader' });
+    } finally {
+      ext.ws.close();
+    }
+
+    const res = await fetch(`${baseUrl}/api/browser/audit?token=k-admin&action=open_url`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.count, 1);
+    assert.equal(body.entries[0].transport, 'rest');
+    assert.equal(body.entries[0].key, 'admin');
+    assert.equal(body.entries[0].resultTabId, 42);
+  });
+
+  it('shows a scoped key only its own entries', async () => {
+    const res = await fetch(`${baseUrl}/api/browser/audit?token=k-reader`);
+    const body = await res.json();
+    assert.deepEqual(body.entries.map((e) => [e.action, e.outcome]), [['close_tab', 'forbidden']]);
+  });
+
+  it('requires a token', async () => {
+    const res = await fetch(`${baseUrl}/api/browser/audit`);
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('REST health and load shedding', () => {
+  it('reports graded health with its checks', async () => {
+    const { server, baseUrl } = await startServer({ healthThresholds: { heapUsedRatio: { warning: 2, critical: 3 } } });
+    try {
+      const res = await fetch(`${baseUrl}/api/browser/health`);
+      assert.equal(res.status, 200);
+      const body = await res.json();
+      assert.equal(body.status, 'healthy');
+      assert.equal(body.checks.pendingRequests.value, 0);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  it('answers 503 with Retry-After when critical and sheds commands with 429', async () => {
+    const { server, baseUrl } = await startServer({ healthThresholds: { heapUsedRatio: { warning: 0, critical: 0 } } });
+    try {
+      const res = await fetch(`${baseUrl}/api/browser/health`);
+      assert.equal(res.status, 503);
+      assert.equal(res.headers.get('retry-after'), '30');
+      const body = await res.json();
+      assert.equal(body.status, 'critical');
+      assert.equal(body.retryAfter, 30);
+      assert.equal(body.checks.heapUsedRatio.status, 'critical');
+
+      const cmd = await post(baseUrl, '/api/browser/html', { tabId: 1 });
+      assert.equal(cmd.status, 429);
+      assert.equal(cmd.headers.get('retry-after'), '30');
+      assert.equal((await cmd.json()).code, 'RATE_LIMITED');
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,202 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { createServer } = require('../server/index');
+const { validate, validateRequest, validateResponse } = require('../server/schema');
+const { ERROR_CODES, isErrorCode, normalizeErrorCode } = require('../server/errors');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const tick = (ms = 30) => new Promise((r) => setTimeout(r, ms));
+
+// ── validate ─────────────────────────────────────────────────────────
+
+describe('validate', () => {
+  it('reports every problem with its path', () => {
+    const schema = {
+      type: 'object',
+      properties: { name: { type: 'string', minLength: 1 }, tags: { type: 'array', items: { type: 'string' } } },
+      required: ['name', 'id'],
+    };
+    assert.deepEqual(validate(schema, { name: '', tags: ['a', 2] }), [
+      { path: 'id', message: 'is required' },
+      { path: 'name', message: 'must not be empty' },
+      { path: 'tags[1]', message: 'must be a string' },
+    ]);
+  });
+
+  it('accepts integers where numbers are expected, not the other way round', () => {
+    assert.deepEqual(validate({ type: 'number' }, 3), []);
+    assert.deepEqual(validate({ type: 'integer' }, 1.5), [{ path: 'request', message: 'must be an integer' }]);
+  });
+
+  it('accepts step references only when asked to', () => {
+    const schema = { type: 'object', properties: { tabId: { type: 'integer' } } };
+    const step = { tabId: { $ref: 'open.tabId' } };
+    assert.equal(validate(schema, step).length, 1);
+    assert.deepEqual(validate(schema, step, '', { allowRefs: true }), []);
+  });
+});
+
+// ── validateRequest / validateResponse ───────────────────────────────
+
+describe('validateRequest', () => {
+  it('passes valid requests and actions without a schema', () => {
+    assert.equal(validateRequest('open_url', { url: 'https://example.com', tabId: 'ext-1:5' }), null);
+    assert.equal(validateRequest('teleport', {}), null);
+    assert.equal(validateRequest('constructor', {}), null);
+  });
+
+  it('answers INVALID_PARAMS with the field errors', () => {
+    const err = validateRequest('execute_script', { tabId: 1, code: 42 });
+    assert.equal(err.code, 'INVALID_PARAMS');
+    assert.deepEqual(err.errors, [{ path: 'code', message: 'must be a string' }]);
+    assert.match(err.message, /^Invalid execute_script request: code must be a string$/);
+  });
+
+  it('checks each batch step against its action', () => {
+    assert.equal(validateRequest('batch', {
+      steps: [
+        { id: 'open', action: 'open_url', url: 'https://example.com' },
+        { action: 'wait', ms: 100 },
+        { action: 'get_html', tabId: { $ref: 'open.tabId' } },
+      ],
+    }), null);
+
+    const err = validateRequest('batch', { steps: [{ action: 'open_url' }, { action: 'fly' }] });
+    assert.deepEqual(err.errors.map((e) => e.path), ['steps[1].action']);
+    const missing = validateRequest('batch', { steps: [{ action: 'open_url' }] });
+    assert.deepEqual(missing.errors, [{ path: 'steps[0].url', message: 'is required' }]);
+  });
+
+  it('leaves out fields the caller fills in', () => {
+    assert.ok(validateRequest('get_html', {}));
+    assert.equal(validateRequest('get_html', {}, { optional: ['tabId'] }), null);
+  });
+});
+
+describe('validateResponse', () => {
+  it('flags malformed completions', () => {
+    assert.equal(validateResponse('tab_html_complete', { tabId: 1, html: '<p></p>' }), null);
+    const err = validateResponse('tab_html_complete', { tabId: 1 });
+    assert.equal(err.code, 'INVALID_RESPONSE');
+    assert.deepEqual(err.errors, [{ path: 'html', message: 'is required' }]);
+  });
+});
+
+// ── error codes ──────────────────────────────────────────────────────
+
+describe('normalizeErrorCode', () => {
+  it('keeps shared codes and maps legacy ones', () => {
+    assert.ok(isErrorCode('TAB_NOT_FOUND'));
+    assert.ok(!isErrorCode('toString'));
+    assert.equal(normalizeErrorCode('TIMEOUT', 'whatever'), 'TIMEOUT');
+    assert.equal(normalizeErrorCode('HTML_ERROR', 'failed'), 'EXTENSION_ERROR');
+    assert.equal(normalizeErrorCode('OPEN_URL_ERROR', 'failed'), 'EXTENSION_ERROR');
+    assert.equal(normalizeErrorCode(undefined, 'boom'), 'EXTENSION_ERROR');
+  });
+
+  it('recognises browser and legacy extension messages', () => {
+    assert.equal(normalizeErrorCode(undefined, 'No tab with id: 9.'), 'TAB_NOT_FOUND');
+    assert.equal(normalizeErrorCode('HTML_ERROR', 'Invalid tab ID: 9'), 'TAB_NOT_FOUND');
+    assert.equal(normalizeErrorCode(undefined, 'Cannot access a chrome:// URL'), 'PERMISSION_DENIED');
+    assert.equal(normalizeErrorCode(undefined, '获取HTML超时'), 'TIMEOUT');
+    assert.equal(normalizeErrorCode(undefined, 'Error: 脚本执行错误: x is not defined'), 'SCRIPT_ERROR');
+  });
+
+  it('describes every code', () => {
+    for (const [code, description] of Object.entries(ERROR_CODES)) {
+      assert.match(code, /^[A-Z_]+$/);
+      assert.ok(description.length > 0, code);
+    }
+  });
+});
+
+// ── on the server ────────────────────────────────────────────────────
+
+describe('validation on the server', () => {
+  let server, base, bot, ext;
+  const forwarded = [];
+
+  before(async () => {
+    server = createServer({ port: 0, logger: silentLogger });
+    await server.start();
+    base = `localhost:${server.httpServer.address().port}`;
+
+    ext = new WebSocket(`ws://${base}?type=extension`);
+    ext.on('message', (raw) => {
+      const msg = JSON.parse(raw);
+      forwarded.push(msg);
+      const reply = (data) => ext.send(JSON.stringify({ requestId: msg.requestId, ...data }));
+      if (msg.type === 'get_html') reply({ type: 'error', code: 'HTML_ERROR', message: '获取HTML失败' });
+      if (msg.type === 'close_tab') reply({ type: 'error', message: 'No tab with id: 9.' });
+      if (msg.type === 'open_url') reply({ type: 'open_url_complete', url: msg.url });
+    });
+    await new Promise((resolve) => ext.once('open', resolve));
+    ext.send(JSON.stringify({ type: 'init', instanceId: 'schema-ext', userAgent: 'Mozilla/5.0 Chrome/120.0' }));
+
+    bot = new WebSocket(`ws://${base}/?type=automation`);
+    await new Promise((resolve) => bot.once('open', resolve));
+    await tick();
+  });
+
+  after(async () => {
+    bot.close();
+    ext.close();
+    await server.stop();
+  });
+
+  function request(msg) {
+    return new Promise((resolve) => {
+      bot.on('message', function onMessage(raw) {
+        const reply = JSON.parse(raw);
+        if (reply.requestId !== msg.requestId) return;
+        bot.off('message', onMessage);
+        resolve(reply);
+      });
+      bot.send(JSON.stringify(msg));
+    });
+  }
+
+  it('rejects invalid requests before they reach the browser', async () => {
+    const reply = await request({ action: 'execute_script', requestId: 'v1', tabId: 1 });
+    assert.equal(reply.type, 'execute_script_response');
+    assert.equal(reply.status, 'error');
+    assert.equal(reply.code, 'INVALID_PARAMS');
+    assert.deepEqual(reply.errors, [{ path: 'code', message: 'is required' }]);
+    assert.equal(forwarded.some((m) => m.requestId === 'v1'), false);
+  });
+
+  it('marks unparseable messages INVALID_JSON', async () => {
+    const reply = new Promise((resolve) => bot.once('message', (raw) => resolve(JSON.parse(raw))));
+    bot.send('{not json');
+    assert.equal((await reply).code, 'INVALID_JSON');
+  });
+
+  it('normalizes extension error codes', async () => {
+    const legacy = await request({ action: 'get_html', requestId: 'v2', tabId: 1 });
+    assert.equal(legacy.code, 'EXTENSION_ERROR');
+    const missing = await request({ action: 'close_tab', requestId: 'v3', tabId: 9 });
+    assert.equal(missing.code, 'TAB_NOT_FOUND');
+  });
+
+  it('turns malformed completions into INVALID_RESPONSE', async () => {
+    const reply = await request({ action: 'open_url', requestId: 'v4', url: 'https://example.com/' });
+    assert.equal(reply.status, 'error');
+    assert.equal(reply.code, 'INVALID_RESPONSE');
+  });
+
+  it('answers invalid REST bodies with 400', async () => {
+    const res = await fetch(`http://${base}/api/browser/open`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 42 }),
+    });
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.code, 'INVALID_PARAMS');
+    assert.deepEqual(body.errors, [{ path: 'url', message: 'must be a string' }]);
+  });
+});
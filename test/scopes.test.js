@@ -0,0 +1,108 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createApiKeys,
+  resolveScope,
+  isUrlAllowed,
+  checkScope,
+} = require('../server/scopes');
+const { createAuthConfig } = require('../server/auth');
+
+const [reader, scraper] = createApiKeys([
+  { name: 'reader', key: 'k-reader', readOnly: true },
+  { name: 'scraper', key: 'k-scraper', actions: ['get_tabs', 'get_html', 'open_url'], urls: ['*.example.com', 'https://docs.test/*'] },
+]);
+
+// ── createApiKeys ────────────────────────────────────────────────────
+
+describe('createApiKeys', () => {
+  it('returns null when nothing is configured', () => {
+    assert.equal(createApiKeys(undefined), null);
+    assert.equal(createApiKeys([]), null);
+  });
+
+  it('accepts a { keys } wrapper', () => {
+    const keys = createApiKeys({ keys: [{ name: 'a', key: 'x' }] });
+    assert.equal(keys[0].name, 'a');
+    assert.equal(keys[0].actions, null);
+    assert.equal(keys[0].readOnly, false);
+  });
+
+  it('rejects incomplete or duplicate entries', () => {
+    assert.throws(() => createApiKeys([{ key: 'x' }]), /"name" is required/);
+    assert.throws(() => createApiKeys([{ name: 'a' }]), /"key" is required/);
+    assert.throws(() => createApiKeys([{ name: 'a', key: 'x' }, { name: 'a', key: 'y' }]), /duplicate/);
+    assert.throws(() => createApiKeys([{ name: 'a', key: 'x', urls: '*' }]), /must be an array/);
+  });
+});
+
+// ── resolveScope ─────────────────────────────────────────────────────
+
+describe('resolveScope', () => {
+  it('is unrestricted when no auth is configured', () => {
+    assert.deepEqual(resolveScope({ auth: null, apiKeys: null }, null), { scope: null });
+  });
+
+  it('gives the master secret full access and keys their scope', () => {
+    const state = { auth: createAuthConfig({ authSecret: 'master' }), apiKeys: [reader] };
+    assert.deepEqual(resolveScope(state, 'master'), { scope: null });
+    assert.equal(resolveScope(state, 'k-reader').scope, reader);
+    assert.equal(resolveScope(state, 'wrong'), null);
+    assert.equal(resolveScope(state, null), null);
+  });
+
+  it('requires a key when only API keys are configured', () => {
+    const state = { auth: null, apiKeys: [reader] };
+    assert.equal(resolveScope(state, null), null);
+    assert.equal(resolveScope(state, 'k-reader').scope, reader);
+  });
+});
+
+// ── policy checks ────────────────────────────────────────────────────
+
+describe('isUrlAllowed', () => {
+  it('matches bare patterns against the hostname', () => {
+    assert.equal(isUrlAllowed(scraper, 'https://www.example.com/a?b=1'), true);
+    assert.equal(isUrlAllowed(scraper, 'https://WWW.EXAMPLE.COM/'), true);
+    assert.equal(isUrlAllowed(scraper, 'https://example.com.evil.io/'), false);
+  });
+
+  it('matches patterns with a scheme against the full URL', () => {
+    assert.equal(isUrlAllowed(scraper, 'https://docs.test/guide'), true);
+    assert.equal(isUrlAllowed(scraper, 'http://docs.test/guide'), false);
+  });
+
+  it('denies unknown or unparsable URLs but allows anything without a policy', () => {
+    assert.equal(isUrlAllowed(scraper, null), false);
+    assert.equal(isUrlAllowed(scraper, 'not a url'), false);
+    assert.equal(isUrlAllowed(reader, null), true);
+  });
+});
+
+describe('checkScope', () => {
+  it('allows everything for the unrestricted scope', () => {
+    assert.equal(checkScope(null, 'execute_script', [null]), null);
+  });
+
+  it('enforces the action allowlist', () => {
+    const denied = checkScope(scraper, 'execute_script');
+    assert.equal(denied.code, 'FORBIDDEN');
+    assert.equal(denied.reason, 'action');
+    assert.equal(denied.scope, 'scraper');
+  });
+
+  it('keeps read-only keys away from mutating actions', () => {
+    assert.equal(checkScope(reader, 'get_cookies'), null);
+    assert.equal(checkScope(reader, 'open_url').reason, 'read_only');
+    assert.equal(checkScope(reader, 'execute_script').reason, 'read_only');
+  });
+
+  it('checks every URL the request touches', () => {
+    assert.equal(checkScope(scraper, 'get_html', ['https://a.example.com/']), null);
+    assert.equal(checkScope(scraper, 'get_html', ['https://other.org/']).reason, 'url');
+    assert.match(checkScope(scraper, 'get_html', [null]).message, /unknown URL/);
+  });
+});
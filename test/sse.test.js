@@ -0,0 +1,217 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { createServer } = require('../server/index');
+const { createSseSocket, SSE_ENDPOINT } = require('../server/sse');
+const { computeHmac } = require('../server/auth');
+const { SSEClient } = require('../firefox-extension/background/utils');
+const { BrowserAutomation } = require('../clients/js-eyes-client');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// ── helpers ──────────────────────────────────────────────────────────
+
+function createMockResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.ended = false;
+  res.write = (chunk) => { res.chunks.push(chunk); };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+async function startServer(options = {}) {
+  const server = createServer({ port: 0, logger: silentLogger, ...options });
+  await server.start();
+  const { port } = server.httpServer.address();
+  return { server, baseUrl: `http://localhost:${port}`, wsUrl: `ws://localhost:${port}` };
+}
+
+function waitFor(predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const value = predicate();
+      if (value) {
+        clearInterval(timer);
+        resolve(value);
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error('waitFor timed out'));
+      }
+    }, 10);
+  });
+}
+
+/**
+ * Minimal extension stand-in: the real SSEClient from the extension utils,
+ * answering the server the way background.js does.
+ */
+function createSseExtension(baseUrl, { secret } = {}) {
+  const client = new SSEClient({ httpServerUrl: baseUrl, maxReconnectAttempts: 0 });
+  const received = [];
+  // Replies may race with disconnect() at the end of a test
+  const post = (message) => client.send(message).catch(() => {});
+
+  client.onMessage = (msg) => {
+    received.push(msg);
+    if (msg.type === 'auth_challenge') {
+      post({ type: 'auth_response', response: computeHmac(secret, msg.challenge) });
+    } else if (msg.type === 'auth_result' && msg.success) {
+      post({ type: 'init', userAgent: 'Mozilla/5.0 Firefox/120.0' });
+      post({
+        type: 'data',
+        payload: { tabs: [{ id: 1, url: 'https://a.com', title: 'A' }], active_tab_id: 1 },
+      });
+    } else if (msg.type === 'get_html') {
+      post({
+        type: 'tab_html_complete',
+        requestId: msg.requestId,
+        tabId: msg.tabId,
+        html: '<html>via sse</html>',
+      });
+    }
+  };
+
+  return { client, received };
+}
+
+// ── createSseSocket ──────────────────────────────────────────────────
+
+describe('createSseSocket', () => {
+  it('writes messages as SSE data frames', () => {
+    const res = createMockResponse();
+    const socket = createSseSocket(res);
+    socket.send('{"type":"ping"}');
+    assert.deepEqual(res.chunks, ['data: {"type":"ping"}\n\n']);
+  });
+
+  it('close() ends the stream and emits close once', () => {
+    const res = createMockResponse();
+    const socket = createSseSocket(res);
+    const closes = [];
+    socket.on('close', (code) => closes.push(code));
+
+    socket.close(4001, 'Unauthorized');
+    res.emit('close');
+
+    assert.equal(res.ended, true);
+    assert.equal(socket.readyState, 3);
+    assert.deepEqual(closes, [4001]);
+  });
+
+  it('emits close when the client drops the stream', () => {
+    const res = createMockResponse();
+    const socket = createSseSocket(res);
+    let closed = false;
+    socket.on('close', () => { closed = true; });
+
+    res.emit('close');
+    assert.equal(closed, true);
+
+    socket.send('{"type":"late"}');
+    assert.equal(res.chunks.length, 0);
+  });
+});
+
+// ── SSE transport (integration) ──────────────────────────────────────
+
+describe('SSE transport', () => {
+  let server, baseUrl, wsUrl;
+
+  before(async () => {
+    ({ server, baseUrl, wsUrl } = await startServer());
+  });
+  after(async () => {
+    await server.stop();
+  });
+
+  it('advertises the SSE endpoint in /api/browser/config', async () => {
+    const res = await fetch(`${baseUrl}/api/browser/config`);
+    const body = await res.json();
+    assert.equal(body.config.sse.endpoint, SSE_ENDPOINT);
+  });
+
+  it('rejects POSTs to an unknown channel', async () => {
+    const res = await fetch(`${baseUrl}${SSE_ENDPOINT}/no-such-channel`, {
+      method: 'POST',
+      body: '{"type":"init"}',
+    });
+    assert.equal(res.status, 404);
+  });
+
+  it('sends no CORS headers, so other sites cannot read the stream', async () => {
+    const aborter = new AbortController();
+    const res = await fetch(`${baseUrl}${SSE_ENDPOINT}?type=extension`, { signal: aborter.signal });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+    aborter.abort();
+    await waitFor(() => server.state.extensionClients.size === 0);
+  });
+
+  describe('extension over SSE', () => {
+    let ext, bot;
+
+    beforeEach(async () => {
+      ext = createSseExtension(baseUrl);
+      ext.client.connect();
+      await waitFor(() => server.state.extensionClients.size === 1
+        && [...server.state.extensionClients.values()][0].browserName === 'firefox');
+    });
+
+    afterEach(() => {
+      if (bot) bot.disconnect();
+      ext.client.disconnect();
+    });
+
+    it('assigns a channel and registers the extension', async () => {
+      assert.ok(ext.client.channelId);
+      assert.equal(ext.received[0].type, 'auth_result');
+      assert.equal(ext.received[0].success, true);
+    });
+
+    it('serves tab data posted by the extension', async () => {
+      await waitFor(() => [...server.state.extensionClients.values()][0].tabs.length === 1);
+      const res = await fetch(`${baseUrl}/api/browser/tabs`);
+      const body = await res.json();
+      assert.equal(body.tabs[0].url, 'https://a.com');
+    });
+
+    it('relays automation requests end-to-end', async () => {
+      bot = new BrowserAutomation(wsUrl, { logger: silentLogger, requestInterval: 0 });
+      const html = await bot.getTabHtml(1);
+      assert.equal(html, '<html>via sse</html>');
+    });
+
+    it('removes the extension when the stream closes', async () => {
+      ext.client.disconnect();
+      await waitFor(() => server.state.extensionClients.size === 0);
+    });
+  });
+});
+
+describe('SSE transport with auth', () => {
+  let server, baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await startServer({ authSecret: 'sse-secret' }));
+  });
+  after(async () => {
+    await server.stop();
+  });
+
+  it('completes the HMAC challenge over the SSE channel', async () => {
+    const ext = createSseExtension(baseUrl, { secret: 'sse-secret' });
+    ext.client.connect();
+
+    const result = await waitFor(() => ext.received.find((m) => m.type === 'auth_result'));
+    assert.equal(ext.received[0].type, 'auth_challenge');
+    assert.equal(result.success, true);
+    assert.ok(result.sessionId);
+
+    ext.client.disconnect();
+  });
+});
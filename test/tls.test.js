@@ -0,0 +1,185 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { X509Certificate, createPrivateKey } = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const { generateSelfSignedCert, writeSelfSignedCert, loadTlsFiles } = require('../server/tls');
+const { createServer } = require('../server/index');
+const { BrowserAutomation } = require('../clients/js-eyes-client');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function request(options) {
+  const lib = options.ca ? https : http;
+  return new Promise((resolve, reject) => {
+    lib.get(options, (res) => {
+      let body = '';
+      res.on('data', (d) => { body += d; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+// ── self-signed certificates ─────────────────────────────────────────
+
+describe('generateSelfSignedCert', () => {
+  it('creates a valid self-signed server certificate for localhost', () => {
+    const { cert, key } = generateSelfSignedCert();
+    const x509 = new X509Certificate(cert);
+
+    assert.equal(x509.subject, 'CN=localhost');
+    assert.ok(x509.verify(x509.publicKey));
+    assert.equal(x509.checkHost('localhost'), 'localhost');
+    assert.equal(x509.checkIP('127.0.0.1'), '127.0.0.1');
+    assert.equal(x509.checkIP('::1'), '::1');
+    assert.ok(x509.checkPrivateKey(createPrivateKey(key)));
+  });
+
+  it('uses the given names and lifetime', () => {
+    const { cert } = generateSelfSignedCert({ altNames: ['eyes.test', '10.0.0.5'], days: 30 });
+    const x509 = new X509Certificate(cert);
+
+    assert.equal(x509.subject, 'CN=eyes.test');
+    assert.equal(x509.subjectAltName, 'DNS:eyes.test, IP Address:10.0.0.5');
+    const lifetimeDays = (Date.parse(x509.validTo) - Date.parse(x509.validFrom)) / 86400000;
+    assert.ok(Math.abs(lifetimeDays - 30) < 1);
+  });
+
+  it('writes cert.pem and an owner-only key.pem', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jseyes-tls-'));
+    try {
+      const { certPath, keyPath } = writeSelfSignedCert(dir);
+      const loaded = loadTlsFiles(certPath, keyPath);
+      assert.match(loaded.cert.toString(), /BEGIN CERTIFICATE/);
+      assert.match(loaded.key.toString(), /BEGIN PRIVATE KEY/);
+      if (process.platform !== 'win32') assert.equal(fs.statSync(keyPath).mode & 0o777, 0o600);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('loadTlsFiles', () => {
+  it('returns null when TLS is not configured', () => {
+    assert.equal(loadTlsFiles(null, null), null);
+  });
+
+  it('requires both the certificate and the key', () => {
+    assert.throws(() => loadTlsFiles('cert.pem', null), /both a certificate/);
+  });
+});
+
+// ── TLS listener (integration) ───────────────────────────────────────
+
+describe('createServer with TLS', () => {
+  const tls = generateSelfSignedCert();
+  let server, port;
+
+  before(async () => {
+    server = createServer({ port: 0, logger: silentLogger, tls });
+    await server.start();
+    ({ port } = server.httpServer.address());
+  });
+  after(() => server.stop());
+
+  it('serves the HTTP API over https and advertises wss://', async () => {
+    const res = await request({ host: 'localhost', port, path: '/api/browser/config', ca: tls.cert });
+    assert.equal(res.status, 200);
+    assert.match(res.body.config.websocketAddress, /^wss:\/\/localhost:/);
+  });
+
+  it('accepts automation clients over wss://', async () => {
+    const bot = new BrowserAutomation(`wss://localhost:${port}`, {
+      logger: silentLogger,
+      requestInterval: 0,
+      tls: { ca: tls.cert },
+    });
+    try {
+      assert.deepEqual(await bot.listClients(), []);
+    } finally {
+      bot.disconnect();
+    }
+  });
+});
+
+// ── Unix control socket (integration) ───────────────────────────────
+
+describe('createServer with a control socket', { skip: process.platform === 'win32' }, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jseyes-sock-'));
+  const socketPath = path.join(dir, 'control.sock');
+  let server, port, bot;
+
+  before(async () => {
+    fs.writeFileSync(socketPath, ''); // stale leftover from a crashed server
+    server = createServer({ port: 0, logger: silentLogger, socketPath });
+    await server.start();
+    ({ port } = server.httpServer.address());
+    bot = new BrowserAutomation(null, { logger: silentLogger, requestInterval: 0, socketPath });
+  });
+  after(async () => {
+    bot.disconnect();
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('restricts the socket to its owner', () => {
+    assert.equal(fs.statSync(socketPath).mode & 0o777, 0o600);
+  });
+
+  it('serves automation clients on the socket and extensions on TCP', async () => {
+    const ext = new WebSocket(`ws://localhost:${port}?type=extension`);
+    await new Promise((resolve) => ext.once('open', resolve));
+    ext.send(JSON.stringify({ type: 'init', userAgent: 'Mozilla/5.0 Chrome/120.0' }));
+    await new Promise((r) => setTimeout(r, 50));
+
+    try {
+      const clients = await bot.listClients();
+      assert.equal(clients.length, 1);
+      assert.equal(clients[0].browserName, 'chrome');
+    } finally {
+      ext.close();
+    }
+  });
+
+  it('serves the REST API on the socket', async () => {
+    const res = await request({ socketPath, path: '/api/browser/status' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'success');
+  });
+
+  it('refuses automation clients and the control API on TCP', async () => {
+    const tcpBot = new BrowserAutomation(`ws://localhost:${port}`, { logger: silentLogger });
+    tcpBot._scheduleReconnect = () => {};
+    await assert.rejects(tcpBot.connect());
+    tcpBot.disconnect();
+
+    const tabs = await request({ host: 'localhost', port, path: '/api/browser/tabs' });
+    assert.equal(tabs.status, 403);
+    assert.equal(tabs.body.code, 'FORBIDDEN');
+
+    const health = await request({ host: 'localhost', port, path: '/api/browser/health' });
+    assert.equal(health.status, 200);
+  });
+
+  it('refuses automation and bridge event streams on TCP', async () => {
+    for (const type of ['automation', 'bridge']) {
+      // An accepted stream never ends: only look at the status
+      const status = await new Promise((resolve, reject) => {
+        http.get({ host: 'localhost', port, path: `/api/browser/events?type=${type}` }, (res) => {
+          res.destroy();
+          resolve(res.statusCode);
+        }).on('error', reject);
+      });
+      assert.equal(status, 403, type);
+    }
+    assert.equal(server.state.automationClients.size, 1); // only bot, over the socket
+    assert.equal(server.state.bridges.size, 0);
+  });
+});
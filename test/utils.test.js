@@ -5,11 +5,19 @@ const assert = require('node:assert/strict');
 
 const {
   withTimeout,
+  withAbort,
+  buildChunkFrames,
+  resolveStepRefs,
+  buildStepScript,
+  ERROR_CODES,
+  codedError,
+  errorCode,
   RateLimiter,
   RequestDeduplicator,
   RequestQueueManager,
   HealthChecker,
 } = require('../firefox-extension/background/utils');
+const { acceptChunkFrame, checksum } = require('../server/chunking');
 
 // ── withTimeout ──────────────────────────────────────────────────────
 
@@ -26,6 +34,7 @@ describe('withTimeout', () => {
       (err) => {
         assert.ok(err.message.includes('太慢了'));
         assert.ok(err.message.includes('50ms'));
+        assert.equal(err.code, 'TIMEOUT');
         return true;
       },
     );
@@ -54,6 +63,117 @@ describe('withTimeout', () => {
   });
 });
 
+// ── withAbort ────────────────────────────────────────────────────────
+
+describe('withAbort', () => {
+  it('passes the promise through without a signal', async () => {
+    assert.equal(await withAbort(Promise.resolve(42), null), 42);
+  });
+
+  it('resolves when the promise settles before an abort', async () => {
+    const controller = new AbortController();
+    assert.equal(await withAbort(Promise.resolve('done'), controller.signal), 'done');
+  });
+
+  it('rejects with CANCELLED when the signal aborts', async () => {
+    const controller = new AbortController();
+    const never = new Promise(() => {});
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(withAbort(never, controller.signal), (err) => {
+      assert.equal(err.code, 'CANCELLED');
+      assert.ok(err.message.includes('请求已取消'));
+      return true;
+    });
+  });
+
+  it('rejects immediately for an already aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(withAbort(Promise.resolve(1), controller.signal), { code: 'CANCELLED' });
+  });
+});
+
+// ── buildChunkFrames ─────────────────────────────────────────────────
+
+describe('buildChunkFrames', () => {
+  const raw = JSON.stringify({ type: 'execute_script_complete', requestId: 'r1', result: '结果'.repeat(60000) });
+
+  it('splits into indexed chunks plus a body-less end frame', async () => {
+    const frames = await buildChunkFrames('r1', raw, 50000);
+    const chunks = frames.slice(0, -1);
+    const end = frames[frames.length - 1];
+
+    assert.equal(chunks.length, Math.ceil(raw.length / 50000));
+    assert.deepEqual(chunks.map((f) => f.index), chunks.map((_, i) => i));
+    assert.equal(chunks.map((f) => f.data).join(''), raw);
+    assert.equal(end.type, 'chunk_end');
+    assert.equal(end.length, raw.length);
+    assert.equal(end.data, undefined);
+  });
+
+  it('produces frames the server reassembles and verifies', async () => {
+    const frames = await buildChunkFrames('r1', raw, 50000);
+    assert.equal(frames[frames.length - 1].checksum, checksum(raw));
+
+    const transfers = new Map();
+    let result = null;
+    for (const frame of frames) result = acceptChunkFrame(transfers, frame);
+    assert.equal(result.raw, raw);
+  });
+});
+
+// ── batch steps ──────────────────────────────────────────────────────
+
+describe('resolveStepRefs', () => {
+  const outputs = { 0: { tabId: 5, url: 'https://a.test/' }, login: { result: { user: 'ann' } } };
+
+  it('replaces $ref values by step id or index, however deeply nested', () => {
+    const step = { action: 'execute_script', tabId: { $ref: '0.tabId' }, args: [{ $ref: 'login.result.user' }] };
+    assert.deepEqual(resolveStepRefs(step, outputs), { action: 'execute_script', tabId: 5, args: ['ann'] });
+    assert.equal(resolveStepRefs({ $ref: 'login.result.missing' }, outputs), undefined);
+  });
+
+  it('rejects references to steps that did not succeed', () => {
+    assert.throws(() => resolveStepRefs({ $ref: 'later.result' }, outputs), { code: 'INVALID_PARAMS' });
+  });
+});
+
+// ── error codes ──────────────────────────────────────────────────────
+
+describe('errorCode', () => {
+  const { ERROR_CODES: SERVER_CODES } = require('../server/errors');
+
+  it('only uses codes the server knows', () => {
+    for (const code of ERROR_CODES) assert.ok(Object.prototype.hasOwnProperty.call(SERVER_CODES, code), code);
+  });
+
+  it('keeps the code of a coded error', () => {
+    assert.equal(errorCode(codedError('CANCELLED', '请求已取消')), 'CANCELLED');
+    assert.equal(errorCode(codedError('BOGUS', 'x'), 'SCRIPT_ERROR'), 'SCRIPT_ERROR');
+  });
+
+  it('recognises browser API failures', () => {
+    assert.equal(errorCode(new Error('No tab with id: 42.')), 'TAB_NOT_FOUND');
+    assert.equal(errorCode(new Error('Invalid tab ID: 42')), 'TAB_NOT_FOUND');
+    assert.equal(errorCode(new Error('Cannot access contents of url "chrome://newtab/"')), 'PERMISSION_DENIED');
+    assert.equal(errorCode(new Error('Missing host permission for the tab')), 'PERMISSION_DENIED');
+    assert.equal(errorCode(new Error('脚本执行错误: x is not defined')), 'SCRIPT_ERROR');
+    assert.equal(errorCode(new Error('boom')), 'EXTENSION_ERROR');
+    assert.equal(errorCode(new Error('boom'), 'SCRIPT_ERROR'), 'SCRIPT_ERROR');
+  });
+});
+
+describe('buildStepScript', () => {
+  it('leaves scripts that do not use step results unchanged', () => {
+    assert.equal(buildStepScript('document.title', {}, null), 'document.title');
+  });
+
+  it('exposes $results and $prev to the script', () => {
+    const script = buildStepScript('$results.login.user + ":" + $prev.count', { login: { user: 'ann' } }, { count: 2 });
+    assert.equal(eval(script), 'ann:2');
+  });
+});
+
 // ── RateLimiter ──────────────────────────────────────────────────────
 
 describe('RateLimiter', () => {
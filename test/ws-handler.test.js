@@ -2,12 +2,20 @@
 
 const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const {
   createState,
   handleConnection,
+  startCleanup,
   getExtensionSummaries,
+  lookupResponse,
+  tabHandle,
+  parseTabHandle,
   REQUEST_TIMEOUT_MS,
+  RESPONSE_TTL_MS,
   _internal: {
     parseBrowserName,
     pickExtension,
@@ -17,9 +25,19 @@ const {
     handleAutomationMessage,
     setupExtensionClient,
     setupAutomationClient,
+    handleAuthResponse,
+    expireSession,
+    registerPending,
     resolveRequest,
+    storeResponse,
+    syncExtensionSubscriptions,
   },
 } = require('../server/ws-handler');
+const { computeHmac } = require('../server/auth');
+const { splitIntoChunks, acceptChunkFrame } = require('../server/chunking');
+const { readJournal } = require('../server/audit');
+const { createApiKeys } = require('../server/scopes');
+const { createHealthMonitor } = require('../server/health');
 
 // ── helpers ──────────────────────────────────────────────────────────
 
@@ -33,7 +51,11 @@ function createMockSocket(readyState = 1) {
       handlers[event] = handlers[event] || [];
       handlers[event].push(handler);
     },
-    close() { this.readyState = 3; },
+    close(code, reason) {
+      this.readyState = 3;
+      this._closeCode = code;
+      this._closeReason = reason;
+    },
     _messages: messages,
     _handlers: handlers,
     _emit(event, ...args) {
@@ -53,10 +75,17 @@ function createMockRequest(query = '') {
 function clearPendingTimers(state) {
   for (const [id, info] of state.pendingResponses) {
     clearTimeout(info.timeoutId);
+    clearTimeout(info.graceTimer);
   }
   state.pendingResponses.clear();
 }
 
+function clearAuthTimers(state) {
+  for (const [, conn] of state.extensionClients) {
+    for (const timer of conn.authTimers || []) clearTimeout(timer);
+  }
+}
+
 function addExtension(state, overrides = {}) {
   const id = overrides.clientId || generateId();
   const socket = overrides.socket || createMockSocket();
@@ -184,7 +213,7 @@ describe('getExtensionSummaries', () => {
     const summaries = getExtensionSummaries(state);
     assert.equal(summaries.length, 1);
     assert.equal(summaries[0].browserName, 'chrome');
-    assert.deepEqual(summaries[0].tabs, tabs);
+    assert.deepEqual(summaries[0].tabs, [{ ...tabs[0], handle: `${summaries[0].clientId}:1` }]);
     assert.equal(summaries[0].activeTabId, '1');
     assert.equal(summaries[0].tabCount, 1);
     assert.ok(summaries[0].clientId);
@@ -306,6 +335,70 @@ describe('setupExtensionClient', () => {
   });
 });
 
+// ── stable extension identity ────────────────────────────────────────
+
+describe('extension identity', () => {
+  let state;
+  beforeEach(() => { state = createState(); });
+
+  function connect(init) {
+    const socket = createMockSocket();
+    setupExtensionClient(socket, '127.0.0.1:5000', state);
+    const tempId = socket._messages[0].clientId;
+    socket._emit('message', JSON.stringify({ type: 'init', userAgent: 'Mozilla/5.0 Chrome/120.0', ...init }));
+    return { socket, tempId, ack: socket._messages.find((m) => m.type === 'init_ack') };
+  }
+
+  it('re-keys the connection under the persistent instanceId', () => {
+    const { tempId, ack } = connect({ instanceId: 'inst-42', label: 'work-chrome' });
+
+    assert.equal(ack.clientId, 'inst-42');
+    assert.equal(ack.label, 'work-chrome');
+    assert.equal(state.extensionClients.has(tempId), false);
+    assert.equal(state.extensionClients.get('inst-42').clientId, 'inst-42');
+    assert.equal(getExtensionSummaries(state)[0].label, 'work-chrome');
+  });
+
+  it('keeps the random id when no valid instanceId is sent', () => {
+    const plain = connect({});
+    assert.equal(plain.ack.clientId, plain.tempId);
+    const bad = connect({ instanceId: 'has:colon' });
+    assert.equal(bad.ack.clientId, bad.tempId);
+  });
+
+  it('replaces a stale connection holding the same identity', () => {
+    const first = connect({ instanceId: 'inst-1' });
+    const second = connect({ instanceId: 'inst-1' });
+
+    assert.equal(first.socket._closeCode, 4009);
+    assert.equal(state.extensionClients.size, 1);
+    assert.equal(state.extensionClients.get('inst-1').socket, second.socket);
+
+    // the stale socket's late close event must not evict the new connection
+    first.socket._emit('close');
+    assert.equal(state.extensionClients.get('inst-1').socket, second.socket);
+
+    second.socket._emit('close');
+    assert.equal(state.extensionClients.size, 0);
+  });
+
+  it('routes by label, case-insensitively', () => {
+    connect({ instanceId: 'inst-a', label: 'Work-Chrome' });
+    connect({ instanceId: 'inst-b', label: 'home' });
+
+    assert.equal(pickExtension(state, 'work-chrome').clientId, 'inst-a');
+    assert.equal(pickExtension(state, 'HOME').clientId, 'inst-b');
+    assert.equal(pickExtension(state, 'inst-b').clientId, 'inst-b');
+  });
+
+  it('updates the label when init is sent again', () => {
+    const { socket } = connect({ instanceId: 'inst-l', label: 'old' });
+    socket._emit('message', JSON.stringify({ type: 'init', instanceId: 'inst-l', label: '  new  ' }));
+    assert.equal(state.extensionClients.get('inst-l').label, 'new');
+    assert.equal(state.extensionClients.size, 1);
+  });
+});
+
 // ── setupAutomationClient ────────────────────────────────────────────
 
 describe('setupAutomationClient', () => {
@@ -359,6 +452,149 @@ describe('handleConnection', () => {
   });
 });
 
+// ── extension authentication ─────────────────────────────────────────
+
+describe('extension authentication', () => {
+  let state;
+  beforeEach(() => { state = createState({ authSecret: 'test-secret', sessionTtl: 120 }); });
+  afterEach(() => {
+    clearAuthTimers(state);
+    clearPendingTimers(state);
+  });
+
+  function connectExtension() {
+    const socket = createMockSocket();
+    setupExtensionClient(socket, '127.0.0.1:5000', state);
+    const [clientId, conn] = [...state.extensionClients.entries()][0];
+    return { socket, clientId, conn };
+  }
+
+  it('sends auth_challenge instead of auth_result when a secret is set', () => {
+    const { socket, conn } = connectExtension();
+    assert.equal(socket._messages.length, 1);
+    assert.equal(socket._messages[0].type, 'auth_challenge');
+    assert.match(socket._messages[0].challenge, /^[0-9a-f]{64}$/);
+    assert.equal(conn.authenticated, false);
+  });
+
+  it('keeps unauthenticated extensions out of routing and summaries', () => {
+    connectExtension();
+    assert.equal(pickExtension(state, null), null);
+    assert.deepEqual(getExtensionSummaries(state), []);
+  });
+
+  it('issues a session on a valid auth_response', () => {
+    const { socket, clientId, conn } = connectExtension();
+    const challenge = socket._messages[0].challenge;
+
+    handleExtensionMessage(JSON.stringify({
+      type: 'auth_response',
+      response: computeHmac('test-secret', challenge),
+    }), clientId, state);
+
+    const result = socket._messages[1];
+    assert.equal(result.type, 'auth_result');
+    assert.equal(result.success, true);
+    assert.equal(result.clientId, clientId);
+    assert.ok(result.sessionId);
+    assert.equal(result.expiresIn, 120);
+    assert.equal(conn.authenticated, true);
+    assert.equal(pickExtension(state, null), conn);
+  });
+
+  it('rejects a wrong auth_response and closes with 4004', () => {
+    const { socket, clientId, conn } = connectExtension();
+
+    handleExtensionMessage(JSON.stringify({
+      type: 'auth_response',
+      response: computeHmac('wrong-secret', socket._messages[0].challenge),
+    }), clientId, state);
+
+    assert.equal(socket._messages[1].type, 'auth_result');
+    assert.equal(socket._messages[1].success, false);
+    assert.equal(socket._messages[1].error, 'AUTH_FAILED');
+    assert.equal(socket._closeCode, 4004);
+    assert.equal(conn.authenticated, false);
+  });
+
+  it('answers business messages before auth with AUTH_REQUIRED', () => {
+    const { socket, clientId, conn } = connectExtension();
+    handleExtensionMessage(JSON.stringify({ type: 'data', tabs: [{ id: '1' }] }), clientId, state);
+
+    assert.equal(socket._messages[1].type, 'error');
+    assert.equal(socket._messages[1].code, 'AUTH_REQUIRED');
+    assert.deepEqual(conn.tabs, []);
+  });
+
+  it('accepts wrapped request/notification messages after auth', () => {
+    const { socket, clientId, conn } = connectExtension();
+    handleAuthResponse({ response: computeHmac('test-secret', socket._messages[0].challenge) }, clientId, state);
+
+    handleExtensionMessage(JSON.stringify({
+      type: 'notification',
+      sessionId: conn.sessionId,
+      action: 'data',
+      payload: { tabs: [{ id: '7' }], active_tab_id: '7' },
+    }), clientId, state);
+
+    assert.deepEqual(conn.tabs, [{ id: '7' }]);
+  });
+
+  it('expires the session with session_expired and SESSION_EXPIRED errors', () => {
+    const { socket, clientId, conn } = connectExtension();
+    handleAuthResponse({ response: computeHmac('test-secret', socket._messages[0].challenge) }, clientId, state);
+
+    expireSession(clientId, state);
+    const expired = socket._messages[socket._messages.length - 1];
+    assert.equal(expired.type, 'session_expired');
+    assert.equal(conn.authenticated, false);
+    assert.equal(pickExtension(state, null), null);
+
+    handleExtensionMessage(JSON.stringify({ type: 'ping' }), clientId, state);
+    const err = socket._messages[socket._messages.length - 1];
+    assert.equal(err.type, 'error');
+    assert.equal(err.code, 'SESSION_EXPIRED');
+  });
+
+  it('clears auth timers when the socket closes', () => {
+    const { socket, conn } = connectExtension();
+    assert.equal(conn.authTimers.length, 1);
+    socket._emit('close');
+    assert.equal(conn.authTimers.length, 0);
+    assert.equal(state.extensionClients.size, 0);
+  });
+});
+
+describe('automation token check', () => {
+  let state;
+  beforeEach(() => { state = createState({ authSecret: 'test-secret' }); });
+
+  it('rejects automation clients without a token', () => {
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest('?type=automation'), state);
+
+    assert.equal(state.automationClients.size, 0);
+    assert.equal(socket._messages[0].code, 'AUTH_FAILED');
+    assert.equal(socket._closeCode, 4001);
+  });
+
+  it('accepts automation clients with a matching token', () => {
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest('?type=automation&token=test-secret'), state);
+
+    assert.equal(state.automationClients.size, 1);
+    assert.equal(socket._messages[0].type, 'connection_established');
+  });
+
+  it('accepts a Bearer token header', () => {
+    const socket = createMockSocket();
+    const request = createMockRequest('?type=automation');
+    request.headers.authorization = 'Bearer test-secret';
+    handleConnection(socket, request, state);
+    assert.equal(state.automationClients.size, 1);
+  });
+});
+
 // ── handleExtensionMessage ───────────────────────────────────────────
 
 describe('handleExtensionMessage', () => {
@@ -445,6 +681,7 @@ describe('handleExtensionMessage', () => {
       timeoutId: setTimeout(() => {}, 60000),
       operationType: 'open_url',
       createdAt: Date.now(),
+      ext: state.extensionClients.get(clientId),
     });
 
     handleExtensionMessage(
@@ -459,6 +696,53 @@ describe('handleExtensionMessage', () => {
     assert.equal(autoSocket._messages[0].status, 'success');
   });
 
+  for (const [type, operationType, fields, expected] of [
+    ['get_cookies_by_domain_complete', 'get_cookies_by_domain',
+      { domain: 'a.com', cookies: [{ name: 'x' }], total: 1 }, { domain: 'a.com', total: 1 }],
+    ['upload_file_to_tab_complete', 'upload_file_to_tab',
+      { tabId: 3, uploadedFiles: [{ name: 'f.txt' }] }, { tabId: 3 }],
+  ]) {
+    it(`resolves ${type} as ${operationType}_response`, () => {
+      const autoSocket = createMockSocket();
+      const reqId = `req-${type}`;
+      state.pendingResponses.set(reqId, {
+        socket: autoSocket,
+        timeoutId: setTimeout(() => {}, 60000),
+        operationType,
+        createdAt: Date.now(),
+        ext: state.extensionClients.get(clientId),
+      });
+
+      handleExtensionMessage(
+        JSON.stringify({ type: 'request', action: type, requestId: reqId, payload: { requestId: reqId, ...fields } }),
+        clientId,
+        state,
+      );
+
+      const resp = autoSocket._messages[0];
+      assert.equal(resp.type, `${operationType}_response`);
+      assert.equal(resp.status, 'success');
+      for (const [k, v] of Object.entries(expected)) {
+        assert.deepEqual(resp[k], v);
+      }
+    });
+  }
+
+  it('ignores answers from a connection the request was not sent to', () => {
+    const autoSocket = createMockSocket();
+    const other = addExtension(state, { clientId: 'ext-other' });
+    registerPending('req-mine', autoSocket, 'get_html', state, state.extensionClients.get(clientId));
+
+    handleExtensionMessage(JSON.stringify({ type: 'tab_html_complete', requestId: 'req-mine', tabId: 1, html: 'x' }), other.id, state);
+    handleExtensionMessage(JSON.stringify({ type: 'error', requestId: 'req-mine', message: 'nope' }), other.id, state);
+    assert.equal(autoSocket._messages.length, 0);
+    assert.ok(state.pendingResponses.has('req-mine'));
+    assert.equal(lookupResponse('req-mine', state).state, 'pending');
+
+    handleExtensionMessage(JSON.stringify({ type: 'tab_html_complete', requestId: 'req-mine', tabId: 1, html: 'ok' }), clientId, state);
+    assert.equal(autoSocket._messages[0].html, 'ok');
+  });
+
   it('handles error with requestId — resolves as error', () => {
     const autoSocket = createMockSocket();
     const reqId = 'req-err';
@@ -468,6 +752,7 @@ describe('handleExtensionMessage', () => {
       timeoutId: setTimeout(() => {}, 60000),
       operationType: 'execute_script',
       createdAt: Date.now(),
+      ext: state.extensionClients.get(clientId),
     });
 
     handleExtensionMessage(
@@ -506,6 +791,16 @@ describe('handleAutomationMessage', () => {
     assert.ok(autoSocket._messages[0].message.includes('fly_to_moon'));
   });
 
+  it('does not treat Object.prototype keys as forwardable actions', () => {
+    addExtension(state, { browserName: 'chrome' });
+    handleAutomationMessage(
+      JSON.stringify({ action: 'constructor', requestId: 'r-proto' }),
+      'auto-1', autoSocket, state,
+    );
+    assert.equal(autoSocket._messages[0].type, 'error');
+    assert.ok(autoSocket._messages[0].message.includes('Unknown action'));
+  });
+
   describe('get_tabs', () => {
     it('returns empty when no extensions', () => {
       handleAutomationMessage(
@@ -623,6 +918,95 @@ describe('handleAutomationMessage', () => {
     });
   });
 
+  describe('tabId-aware routing', () => {
+    let ff, chrome;
+    beforeEach(() => {
+      ff = addExtension(state, { clientId: 'ff-1', browserName: 'firefox', tabs: [{ id: 5 }, { id: 7 }] });
+      chrome = addExtension(state, { clientId: 'ch-1', browserName: 'chrome', tabs: [{ id: 7 }, { id: 9 }] });
+    });
+
+    function forward(payload) {
+      handleAutomationMessage(JSON.stringify({ requestId: 'rt', ...payload }), 'auto-1', autoSocket, state);
+      return autoSocket._messages[autoSocket._messages.length - 1];
+    }
+
+    it('routes a bare tabId to the browser that owns it', () => {
+      forward({ action: 'close_tab', tabId: 9 });
+      assert.equal(ff.socket._messages.length, 0);
+      assert.equal(chrome.socket._messages[0].tabId, 9);
+    });
+
+    it('accepts numeric strings as tab ids', () => {
+      forward({ action: 'get_html', tabId: '5' });
+      assert.equal(ff.socket._messages[0].type, 'get_html');
+      assert.equal(chrome.socket._messages.length, 0);
+    });
+
+    it('routes tab handles and forwards the plain tab id', () => {
+      forward({ action: 'execute_script', tabId: 'ch-1:7', code: '1' });
+      assert.equal(ff.socket._messages.length, 0);
+      assert.equal(chrome.socket._messages[0].tabId, 7);
+    });
+
+    it('answers AMBIGUOUS_TARGET when several browsers own the tab', () => {
+      const resp = forward({ action: 'close_tab', tabId: 7 });
+      assert.equal(resp.status, 'error');
+      assert.equal(resp.code, 'AMBIGUOUS_TARGET');
+      assert.ok(resp.message.includes('ff-1:7'));
+      assert.ok(resp.message.includes('ch-1:7'));
+      assert.equal(ff.socket._messages.length + chrome.socket._messages.length, 0);
+    });
+
+    it('answers AMBIGUOUS_TARGET when no browser knows the tab', () => {
+      const resp = forward({ action: 'get_html', tabId: 99 });
+      assert.equal(resp.code, 'AMBIGUOUS_TARGET');
+    });
+
+    it('lets target narrow an ambiguous tabId', () => {
+      forward({ action: 'close_tab', tabId: 7, target: 'firefox' });
+      assert.equal(ff.socket._messages[0].tabId, 7);
+      assert.equal(chrome.socket._messages.length, 0);
+    });
+
+    it('rejects a handle that contradicts the target', () => {
+      const resp = forward({ action: 'close_tab', tabId: 'ch-1:7', target: 'firefox' });
+      assert.equal(resp.code, 'AMBIGUOUS_TARGET');
+    });
+
+    it('reports NO_EXTENSION for handles of disconnected browsers', () => {
+      const resp = forward({ action: 'close_tab', tabId: 'gone:7' });
+      assert.equal(resp.code, 'NO_EXTENSION');
+    });
+
+    it('keeps routing current as tabs open and close', () => {
+      registerPending('o1', createMockSocket(), 'open_url', state, chrome.conn);
+      registerPending('c1', createMockSocket(), 'close_tab', state, chrome.conn);
+      handleExtensionMessage(
+        JSON.stringify({ type: 'open_url_complete', requestId: 'o1', tabId: 11, url: 'https://new.com' }),
+        'ch-1', state,
+      );
+      assert.ok(chrome.conn.tabs.some((tab) => tab.id === 11));
+      assert.equal(state.callbackResponses.get('o1').handle, 'ch-1:11');
+
+      handleExtensionMessage(JSON.stringify({ type: 'close_tab_complete', requestId: 'c1', tabId: 7 }), 'ch-1', state);
+      forward({ action: 'close_tab', tabId: 7 });
+      assert.equal(ff.socket._messages[0].tabId, 7);
+    });
+  });
+
+  describe('tab handles', () => {
+    it('round-trips clientId and tabId', () => {
+      assert.equal(tabHandle('abc-1', 4), 'abc-1:4');
+      assert.deepEqual(parseTabHandle('abc-1:4'), { clientId: 'abc-1', tabId: 4 });
+    });
+
+    it('treats plain ids as non-handles', () => {
+      assert.equal(parseTabHandle(4), null);
+      assert.equal(parseTabHandle('4'), null);
+      assert.equal(parseTabHandle('abc:x'), null);
+    });
+  });
+
   describe('all forwardable actions', () => {
     let extSocket;
     beforeEach(() => {
@@ -637,6 +1021,8 @@ describe('handleAutomationMessage', () => {
       ['execute_script', { tabId: '4', code: 'return 1' }],
       ['inject_css', { tabId: '5', css: 'body{color:red}' }],
       ['get_cookies', { tabId: '6' }],
+      ['get_cookies_by_domain', { domain: 'example.com', includeSubdomains: false }],
+      ['upload_file_to_tab', { tabId: '7', files: [{ name: 'a.txt', base64: 'YQ==' }], targetSelector: '#file' }],
     ]) {
       it(`forwards ${action} with correct fields`, () => {
         handleAutomationMessage(
@@ -647,13 +1033,217 @@ describe('handleAutomationMessage', () => {
         const msg = extSocket._messages[extSocket._messages.length - 1];
         assert.equal(msg.type, action);
         for (const [k, v] of Object.entries(fields)) {
-          assert.equal(msg[k], v);
+          assert.deepEqual(msg[k], v);
         }
       });
     }
   });
 });
 
+// ── browser event subscriptions ──────────────────────────────────────
+
+describe('browser event subscriptions', () => {
+  let state;
+  let autoSocket;
+  let autoId;
+
+  function subscribe(action, fields, socket = autoSocket, id = autoId) {
+    handleAutomationMessage(
+      JSON.stringify({ action, requestId: `req-${action}`, ...fields }),
+      id, socket, state,
+    );
+    return socket._messages[socket._messages.length - 1];
+  }
+
+  function addAutomation() {
+    const socket = createMockSocket();
+    setupAutomationClient(socket, '127.0.0.1:6000', state);
+    return { socket, id: socket._messages[0].clientId };
+  }
+
+  beforeEach(() => {
+    state = createState();
+    ({ socket: autoSocket, id: autoId } = addAutomation());
+  });
+
+  it('answers subscribe_events itself and pushes the events to extensions', () => {
+    const { socket: extSocket } = addExtension(state, { browserName: 'chrome' });
+
+    const resp = subscribe('subscribe_events', { events: ['tabUpdated', 'tabCreated'] });
+    assert.equal(resp.type, 'subscribe_events_response');
+    assert.equal(resp.status, 'success');
+    assert.deepEqual(resp.subscribedEvents, ['tabUpdated', 'tabCreated']);
+
+    assert.equal(extSocket._messages.length, 1);
+    assert.equal(extSocket._messages[0].type, 'subscribe_events');
+    assert.deepEqual(extSocket._messages[0].events, ['tabUpdated', 'tabCreated']);
+  });
+
+  it('rejects unknown event names', () => {
+    const resp = subscribe('subscribe_events', { events: ['tabUpdated', 'bogus'] });
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.code, 'INVALID_EVENT');
+    assert.ok(resp.message.includes('bogus'));
+  });
+
+  it('rejects an empty event list', () => {
+    const resp = subscribe('subscribe_events', { events: [] });
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.code, 'INVALID_EVENT');
+  });
+
+  it('only subscribes the targeted extension', () => {
+    const chrome = addExtension(state, { browserName: 'chrome' });
+    const firefox = addExtension(state, { browserName: 'firefox' });
+
+    subscribe('subscribe_events', { events: ['tabRemoved'], target: 'firefox' });
+
+    assert.equal(chrome.socket._messages.length, 0);
+    assert.deepEqual(firefox.socket._messages[0].events, ['tabRemoved']);
+  });
+
+  it('keeps an event on the extension while another client still wants it', () => {
+    const { socket: extSocket } = addExtension(state, { browserName: 'chrome' });
+    const other = addAutomation();
+
+    subscribe('subscribe_events', { events: ['tabActivated'] });
+    subscribe('subscribe_events', { events: ['tabActivated'] }, other.socket, other.id);
+    assert.equal(extSocket._messages.length, 1);
+
+    const resp = subscribe('unsubscribe_events', { events: ['tabActivated'] });
+    assert.equal(resp.type, 'unsubscribe_events_response');
+    assert.deepEqual(resp.unsubscribedEvents, ['tabActivated']);
+    assert.deepEqual(resp.remainingSubscriptions, []);
+    assert.equal(extSocket._messages.length, 1);
+
+    other.socket._emit('close');
+    assert.equal(extSocket._messages.length, 2);
+    assert.equal(extSocket._messages[1].type, 'unsubscribe_events');
+    assert.deepEqual(extSocket._messages[1].events, ['tabActivated']);
+  });
+
+  it('replays current subscriptions to an extension after init', () => {
+    subscribe('subscribe_events', { events: ['navigationCompleted'] });
+
+    const { id, socket: extSocket } = addExtension(state);
+    handleExtensionMessage(
+      JSON.stringify({ type: 'init', userAgent: 'Mozilla/5.0 Chrome/120.0' }),
+      id, state,
+    );
+
+    const sub = extSocket._messages.find((m) => m.type === 'subscribe_events');
+    assert.ok(sub);
+    assert.deepEqual(sub.events, ['navigationCompleted']);
+  });
+
+  it('does not resend events the extension already has', () => {
+    const { id, socket: extSocket } = addExtension(state, { browserName: 'chrome' });
+    subscribe('subscribe_events', { events: ['tabCreated'] });
+    syncExtensionSubscriptions(id, state);
+    assert.equal(extSocket._messages.length, 1);
+  });
+
+  describe('event fan-out', () => {
+    let ext;
+    beforeEach(() => {
+      ext = addExtension(state, { browserName: 'chrome' });
+    });
+
+    function emitEvent(event, data, wrapped = true) {
+      const payload = { event, data, timestamp: '2026-01-01T00:00:00.000Z' };
+      handleExtensionMessage(
+        JSON.stringify(wrapped
+          ? { type: 'notification', action: 'event', payload }
+          : { type: 'event', payload }),
+        ext.id, state,
+      );
+    }
+
+    it('delivers events to subscribed clients with the source browser', () => {
+      subscribe('subscribe_events', { events: ['tabUpdated'] });
+      autoSocket._messages.length = 0;
+
+      emitEvent('tabUpdated', { tabId: 7, status: 'complete' });
+
+      assert.equal(autoSocket._messages.length, 1);
+      const evt = autoSocket._messages[0];
+      assert.equal(evt.type, 'event');
+      assert.equal(evt.event, 'tabUpdated');
+      assert.equal(evt.clientId, ext.id);
+      assert.equal(evt.browserName, 'chrome');
+      assert.deepEqual(evt.data, { tabId: 7, status: 'complete' });
+      assert.equal(evt.timestamp, '2026-01-01T00:00:00.000Z');
+    });
+
+    it('accepts unwrapped event messages', () => {
+      subscribe('subscribe_events', { events: ['tabRemoved'] });
+      autoSocket._messages.length = 0;
+
+      emitEvent('tabRemoved', { tabId: 1 }, false);
+      assert.equal(autoSocket._messages[0].event, 'tabRemoved');
+    });
+
+    it('skips clients not subscribed to the event', () => {
+      const other = addAutomation();
+      subscribe('subscribe_events', { events: ['tabCreated'] });
+      subscribe('subscribe_events', { events: ['tabRemoved'] }, other.socket, other.id);
+      autoSocket._messages.length = 0;
+      other.socket._messages.length = 0;
+
+      emitEvent('tabCreated', { tabId: 2 });
+
+      assert.equal(autoSocket._messages.length, 1);
+      assert.equal(other.socket._messages.length, 0);
+    });
+
+    it('delivers every event to wildcard subscribers', () => {
+      subscribe('subscribe_events', { events: ['*'] });
+      autoSocket._messages.length = 0;
+
+      emitEvent('downloadCreated', { id: 1 });
+      emitEvent('navigationCommitted', { tabId: 3 });
+      assert.deepEqual(autoSocket._messages.map((m) => m.event), ['downloadCreated', 'navigationCommitted']);
+    });
+
+    it('drops event names outside the supported set', () => {
+      subscribe('subscribe_events', { events: ['*'] });
+      autoSocket._messages.length = 0;
+
+      emitEvent('error', { message: 'boom' });
+      emitEvent('__proto__', {});
+      emitEvent('tabCreated', { tabId: 2 });
+      assert.deepEqual(autoSocket._messages.map((m) => m.event), ['tabCreated']);
+    });
+
+    it('skips clients subscribed to a different browser', () => {
+      subscribe('subscribe_events', { events: ['tabCreated'], target: 'firefox' });
+      autoSocket._messages.length = 0;
+
+      emitEvent('tabCreated', { tabId: 2 });
+      assert.equal(autoSocket._messages.length, 0);
+    });
+
+    it('only gives URL-scoped keys events of tabs they may see', () => {
+      state.apiKeys = createApiKeys([{ name: 'example', key: 'k', urls: ['*.example.com'] }]);
+      ext.conn.tabs = [{ id: 1, url: 'https://www.example.com/' }, { id: 2, url: 'https://bank.test/' }];
+      const scoped = createMockSocket();
+      setupAutomationClient(scoped, '127.0.0.1:6001', state, state.apiKeys[0]);
+      const scopedId = scoped._messages[0].clientId;
+      subscribe('subscribe_events', { events: ['*'] }, scoped, scopedId);
+      scoped._messages.length = 0;
+
+      emitEvent('tabActivated', { tabId: 1 });
+      emitEvent('tabActivated', { tabId: 2 });
+      emitEvent('tabRemoved', { tabId: 9 });
+      emitEvent('downloadChanged', { downloadId: 4, state: 'complete' });
+      emitEvent('tabUpdated', { tabId: 2, url: 'https://shop.example.com/' });
+      emitEvent('tabUpdated', { tabId: 1, url: 'https://bank.test/' });
+
+      assert.deepEqual(scoped._messages.map((m) => [m.event, m.data.tabId]), [['tabActivated', 1], ['tabUpdated', 2]]);
+    });
+  });
+});
+
 // ── resolveRequest ───────────────────────────────────────────────────
 
 describe('resolveRequest', () => {
@@ -688,6 +1278,965 @@ describe('resolveRequest', () => {
   });
 });
 
+// ── extension disconnect ─────────────────────────────────────────────
+
+describe('pending requests on extension disconnect', () => {
+  let state, autoSocket;
+  beforeEach(() => {
+    autoSocket = createMockSocket();
+  });
+  afterEach(() => clearPendingTimers(state));
+
+  function connect(instanceId) {
+    const socket = createMockSocket();
+    setupExtensionClient(socket, '127.0.0.1:5000', state);
+    socket._emit('message', JSON.stringify({ type: 'init', userAgent: 'Mozilla/5.0 Chrome/120.0', instanceId }));
+    return socket;
+  }
+
+  function request(action, requestId, extra = {}) {
+    handleAutomationMessage(JSON.stringify({ action, requestId, tabId: 1, ...extra }), 'auto-1', autoSocket, state);
+  }
+
+  it('fails pending requests with EXTENSION_DISCONNECTED', () => {
+    state = createState();
+    const ext = connect('inst-1');
+    request('get_html', 'p1');
+    request('close_tab', 'p2');
+
+    ext._emit('close');
+
+    assert.equal(state.pendingResponses.size, 0);
+    const codes = autoSocket._messages.map((m) => [m.requestId, m.code, m.type]);
+    assert.deepEqual(codes, [
+      ['p1', 'EXTENSION_DISCONNECTED', 'get_html_response'],
+      ['p2', 'EXTENSION_DISCONNECTED', 'close_tab_response'],
+    ]);
+    assert.equal(lookupResponse('p1', state).response.code, 'EXTENSION_DISCONNECTED');
+  });
+
+  it('leaves requests sent to other browsers alone', () => {
+    state = createState();
+    const a = connect('inst-a');
+    connect('inst-b');
+    request('get_html', 'pa', { target: 'inst-a' });
+    request('get_html', 'pb', { target: 'inst-b' });
+
+    a._emit('close');
+    assert.equal(state.pendingResponses.has('pa'), false);
+    assert.equal(state.pendingResponses.has('pb'), true);
+  });
+
+  it('re-dispatches idempotent reads when the same browser reconnects in time', () => {
+    state = createState({ reconnectGrace: 30 });
+    const first = connect('inst-1');
+    request('get_html', 'r1');
+    request('execute_script', 'r2', { code: '1' });
+
+    first._emit('close');
+    assert.equal(state.pendingResponses.has('r1'), true);
+    assert.equal(state.pendingResponses.has('r2'), false);
+    assert.equal(autoSocket._messages[0].code, 'EXTENSION_DISCONNECTED');
+
+    const second = connect('inst-1');
+    const resent = second._messages.find((m) => m.type === 'get_html');
+    assert.equal(resent.requestId, 'r1');
+
+    second._emit('message', JSON.stringify({ type: 'tab_html_complete', requestId: 'r1', html: '<p/>' }));
+    assert.equal(autoSocket._messages[1].html, '<p/>');
+  });
+
+  it('fails parked requests once the grace window passes', async () => {
+    state = createState({ reconnectGrace: 0.02 });
+    const ext = connect('inst-1');
+    request('get_cookies', 'g1');
+
+    ext._emit('close');
+    assert.equal(autoSocket._messages.length, 0);
+
+    await new Promise((r) => setTimeout(r, 50));
+    assert.equal(autoSocket._messages[0].code, 'EXTENSION_DISCONNECTED');
+    assert.equal(state.pendingResponses.size, 0);
+  });
+});
+
+// ── permission scopes ────────────────────────────────────────────────
+
+describe('permission scopes', () => {
+  const apiKeys = [
+    { name: 'reader', key: 'k-reader', readOnly: true },
+    { name: 'example', key: 'k-example', actions: ['get_tabs', 'get_html', 'open_url'], urls: ['*.example.com'] },
+  ];
+  let state, extSocket;
+
+  beforeEach(() => {
+    state = createState({ authSecret: 'master', apiKeys });
+    extSocket = createMockSocket();
+    addExtension(state, {
+      clientId: 'ext-1',
+      socket: extSocket,
+      browserName: 'chrome',
+      tabs: [{ id: 1, url: 'https://www.example.com/' }, { id: 2, url: 'https://bank.test/' }, { id: 3 }],
+      activeTabId: 2,
+    });
+    state.extensionClients.get('ext-1').authenticated = true;
+  });
+  afterEach(() => clearPendingTimers(state));
+
+  function connectAutomation(token) {
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest(`?type=automation&token=${token}`), state);
+    return socket;
+  }
+
+  function request(socket, msg) {
+    socket._emit('message', JSON.stringify(msg));
+    return socket._messages[socket._messages.length - 1];
+  }
+
+  it('refuses automation connections from other sites\' pages', () => {
+    const socket = createMockSocket();
+    const req = createMockRequest('?type=automation&token=master');
+    req.headers.origin = 'https://evil.test';
+    handleConnection(socket, req, state);
+    assert.equal(socket._messages[0].code, 'FORBIDDEN');
+    assert.equal(socket._closeCode, 4003);
+    assert.equal(state.automationClients.size, 0);
+
+    const own = createMockSocket();
+    const ownReq = createMockRequest('?type=automation&token=master');
+    ownReq.headers.origin = 'http://localhost:18080';
+    handleConnection(own, ownReq, state);
+    assert.equal(state.automationClients.size, 1);
+  });
+
+  it('rejects tokens that are neither the secret nor a key', () => {
+    const socket = connectAutomation('nope');
+    assert.equal(socket._messages[0].code, 'AUTH_FAILED');
+    assert.equal(socket._closeCode, 4001);
+  });
+
+  it('stores the resolved scope on the automation client', () => {
+    connectAutomation('k-reader');
+    connectAutomation('master');
+    const scopes = [...state.automationClients.values()].map((c) => c.scope && c.scope.name);
+    assert.deepEqual(scopes, ['reader', null]);
+  });
+
+  it('answers FORBIDDEN for actions outside the allowlist without forwarding', () => {
+    const socket = connectAutomation('k-example');
+    const resp = request(socket, { action: 'execute_script', requestId: 's1', tabId: 1, code: '1' });
+    assert.equal(resp.type, 'execute_script_response');
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.code, 'FORBIDDEN');
+    assert.equal(resp.reason, 'action');
+    assert.equal(extSocket._messages.length, 0);
+  });
+
+  it('keeps read-only keys from changing the browser', () => {
+    const socket = connectAutomation('k-reader');
+    assert.equal(request(socket, { action: 'close_tab', requestId: 's2', tabId: 1 }).reason, 'read_only');
+    request(socket, { action: 'get_html', requestId: 's3', tabId: 2 });
+    assert.equal(extSocket._messages[0].type, 'get_html');
+  });
+
+  it('checks the target tab URL and the open_url destination', () => {
+    const socket = connectAutomation('k-example');
+    request(socket, { action: 'get_html', requestId: 's4', tabId: 1 });
+    assert.equal(extSocket._messages.length, 1);
+
+    assert.equal(request(socket, { action: 'get_html', requestId: 's5', tabId: 2 }).reason, 'url');
+    assert.equal(request(socket, { action: 'get_html', requestId: 's6', tabId: 3 }).reason, 'url');
+    assert.equal(request(socket, { action: 'open_url', requestId: 's7', url: 'https://evil.io/' }).reason, 'url');
+    request(socket, { action: 'open_url', requestId: 's8', url: 'https://shop.example.com/' });
+    assert.equal(extSocket._messages.length, 2);
+  });
+
+  it('hides tabs outside the URL policy from get_tabs', () => {
+    const socket = connectAutomation('k-example');
+    const resp = request(socket, { action: 'get_tabs', requestId: 's9' });
+    const [browser] = resp.data.browsers;
+    assert.deepEqual(browser.tabs.map((t) => t.id), [1]);
+    assert.equal(browser.tabCount, 1);
+    assert.equal(browser.activeTabId, null);
+  });
+
+  it('leaves the master secret unrestricted', () => {
+    const socket = connectAutomation('master');
+    request(socket, { action: 'execute_script', requestId: 's10', tabId: 2, code: '1' });
+    assert.equal(extSocket._messages[0].type, 'execute_script');
+  });
+});
+
+// ── audit journal ────────────────────────────────────────────────────
+
+describe('audit journal', () => {
+  let state, dir, extSocket, autoSocket;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-eyes-ws-audit-'));
+    state = createState({ auditLog: path.join(dir, 'audit.jsonl'), apiKeys: [{ name: 'ro', key: 'k-ro', readOnly: true }] });
+    extSocket = createMockSocket();
+    addExtension(state, {
+      clientId: 'ext-1',
+      socket: extSocket,
+      browserName: 'chrome',
+      tabs: [{ id: 4, url: 'https://a.test/page' }],
+    });
+    state.extensionClients.get('ext-1').authenticated = true;
+    autoSocket = createMockSocket();
+    setupAutomationClient(autoSocket, '127.0.0.1:1', state);
+  });
+  afterEach(() => {
+    clearPendingTimers(state);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const journal = () => readJournal(state.audit.file);
+  const automationId = () => [...state.automationClients.keys()][0];
+
+  it('records a forwarded command once it completes', () => {
+    autoSocket._emit('message', JSON.stringify({ action: 'execute_script', requestId: 'a1', tabId: 4, code: 'return 1' }));
+    assert.equal(journal().length, 0);
+
+    handleExtensionMessage(JSON.stringify({ type: 'execute_script_complete', requestId: 'a1', tabId: 4, result: 1 }), 'ext-1', state);
+    const [e] = journal();
+    assert.equal(e.requestId, 'a1');
+    assert.equal(e.client, automationId());
+    assert.equal(e.transport, 'ws');
+    assert.equal(e.action, 'execute_script');
+    assert.equal(e.tabUrl, 'https://a.test/page');
+    assert.equal(e.params.code.redacted, true);
+    assert.equal(e.outcome, 'success');
+    assert.equal(typeof e.durationMs, 'number');
+  });
+
+  it('records commands that never reached a browser', () => {
+    autoSocket._emit('message', JSON.stringify({ action: 'get_html', requestId: 'a2', tabId: 4, target: 'firefox' }));
+    const [e] = journal();
+    assert.equal(e.outcome, 'error');
+    assert.equal(e.code, 'NO_EXTENSION');
+  });
+
+  it('records denied commands with the key name', () => {
+    const socket = createMockSocket();
+    setupAutomationClient(socket, '127.0.0.1:2', state, state.apiKeys[0]);
+    socket._emit('message', JSON.stringify({ action: 'close_tab', requestId: 'a3', tabId: 4 }));
+    const [e] = journal();
+    assert.equal(e.outcome, 'forbidden');
+    assert.equal(e.key, 'ro');
+  });
+
+  it('does not journal server-local queries', () => {
+    autoSocket._emit('message', JSON.stringify({ action: 'get_tabs', requestId: 'a4' }));
+    assert.equal(journal().length, 0);
+  });
+});
+
+// ── load shedding ───────────────────────────────────────────────────
+
+describe('load shedding', () => {
+  let state, extSocket;
+
+  beforeEach(() => {
+    state = createState();
+    extSocket = createMockSocket();
+    addExtension(state, { clientId: 'ext-1', socket: extSocket, browserName: 'chrome' });
+    state.extensionClients.get('ext-1').authenticated = true;
+    state.health.evaluate = () => ({ status: 'critical', retryAfter: 30, checks: {} });
+  });
+  afterEach(() => clearPendingTimers(state));
+
+  it('refuses browser commands with RATE_LIMITED while critical', () => {
+    const autoSocket = createMockSocket();
+    handleAutomationMessage(JSON.stringify({ action: 'get_html', requestId: 'l1', tabId: 1 }), 'auto-1', autoSocket, state);
+
+    const [resp] = autoSocket._messages;
+    assert.equal(resp.type, 'get_html_response');
+    assert.equal(resp.code, 'RATE_LIMITED');
+    assert.equal(resp.retryAfter, 30);
+    assert.equal(extSocket._messages.length, 0);
+    assert.equal(state.pendingResponses.size, 0);
+  });
+
+  it('still answers server-local queries', () => {
+    const autoSocket = createMockSocket();
+    handleAutomationMessage(JSON.stringify({ action: 'get_tabs', requestId: 'l2' }), 'auto-1', autoSocket, state);
+    assert.equal(autoSocket._messages[0].status, 'success');
+  });
+
+  it('tells the extension to back off once per window and keeps its result', () => {
+    const autoSocket = createMockSocket();
+    registerPending('l3', autoSocket, 'get_html', state, state.extensionClients.get('ext-1'));
+
+    const envelope = (requestId, action, payload) => JSON.stringify({ type: 'request', requestId, action, payload });
+    handleExtensionMessage(envelope('l3', 'tab_html_complete', { tabId: 1, html: '<p/>' }), 'ext-1', state);
+    handleExtensionMessage(envelope('x2', 'tab_html_complete', { tabId: 1, html: '<p/>' }), 'ext-1', state);
+
+    const signals = extSocket._messages.filter((m) => m.status === 'rate_limited');
+    assert.deepEqual(signals, [{ type: 'response', requestId: 'l3', status: 'rate_limited', retryAfter: 30 }]);
+    assert.equal(autoSocket._messages[0].html, '<p/>');
+  });
+
+  it('lets a probe through to recover from timeouts', () => {
+    state.health = createHealthMonitor(state, { healthThresholds: { heapUsedRatio: { warning: 2, critical: 3 } } });
+    for (let i = 0; i < 20; i++) state.health.recordOutcome(true);
+    const autoSocket = createMockSocket();
+    const send = (requestId) => handleAutomationMessage(JSON.stringify({ action: 'get_html', requestId, tabId: 1 }), 'auto-1', autoSocket, state);
+
+    send('l5');
+    send('l6');
+    assert.deepEqual(extSocket._messages.map((m) => m.requestId), ['l5']);
+    assert.equal(autoSocket._messages[0].code, 'RATE_LIMITED');
+
+    handleExtensionMessage(JSON.stringify({ type: 'request', requestId: 'l5', action: 'tab_html_complete', payload: { tabId: 1, html: '' } }), 'ext-1', state);
+    send('l7');
+    assert.deepEqual(extSocket._messages.filter((m) => m.type === 'get_html').map((m) => m.requestId), ['l5', 'l7']);
+  });
+
+  it('does nothing while healthy', () => {
+    state.health.evaluate = () => ({ status: 'warning', retryAfter: 5, checks: {} });
+    const autoSocket = createMockSocket();
+    handleAutomationMessage(JSON.stringify({ action: 'get_html', requestId: 'l4', tabId: 1 }), 'auto-1', autoSocket, state);
+    handleExtensionMessage(JSON.stringify({ type: 'request', requestId: 'l4', action: 'tab_html_complete', payload: { html: '' } }), 'ext-1', state);
+    assert.equal(extSocket._messages.filter((m) => m.status === 'rate_limited').length, 0);
+    assert.equal(autoSocket._messages[0].status, 'success');
+  });
+});
+
+// ── request cancellation ─────────────────────────────────────────────
+
+describe('request cancellation', () => {
+  const apiKeys = [
+    { name: 'alice', key: 'k-alice' },
+    { name: 'bob', key: 'k-bob' },
+  ];
+  let state, extSocket;
+
+  beforeEach(() => {
+    state = createState({ authSecret: 'master', apiKeys });
+    extSocket = createMockSocket();
+    addExtension(state, { clientId: 'ext-1', socket: extSocket, browserName: 'chrome' });
+    state.extensionClients.get('ext-1').authenticated = true;
+  });
+  afterEach(() => clearPendingTimers(state));
+
+  function connectAutomation(token) {
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest(`?type=automation&token=${token}`), state);
+    return socket;
+  }
+
+  it('fails the request with CANCELLED and tells the extension to stop', () => {
+    const socket = connectAutomation('master');
+    socket._emit('message', JSON.stringify({ action: 'execute_script', requestId: 'c1', tabId: 1, code: 'x' }));
+    socket._emit('message', JSON.stringify({ action: 'cancel', requestId: 'c2', originalRequestId: 'c1' }));
+
+    const cancelled = socket._messages.find((m) => m.requestId === 'c1');
+    assert.equal(cancelled.code, 'CANCELLED');
+    const ack = socket._messages.find((m) => m.requestId === 'c2');
+    assert.equal(ack.type, 'cancel_response');
+    assert.equal(ack.cancelled, true);
+
+    const forwarded = extSocket._messages.find((m) => m.type === 'cancel');
+    assert.equal(forwarded.originalRequestId, 'c1');
+    assert.equal(state.pendingResponses.size, 0);
+  });
+
+  it('ignores a late result from the extension', () => {
+    const socket = connectAutomation('master');
+    socket._emit('message', JSON.stringify({ action: 'get_html', requestId: 'c3', tabId: 1 }));
+    socket._emit('message', JSON.stringify({ action: 'cancel', requestId: 'c4', originalRequestId: 'c3' }));
+    handleExtensionMessage(JSON.stringify({ type: 'tab_html_complete', requestId: 'c3', html: '<p/>' }), 'ext-1', state);
+
+    assert.equal(socket._messages.filter((m) => m.requestId === 'c3').length, 1);
+    assert.equal(lookupResponse('c3', state).response.code, 'CANCELLED');
+  });
+
+  it('answers NOT_FOUND for unknown or finished requests', () => {
+    const socket = connectAutomation('master');
+    socket._emit('message', JSON.stringify({ action: 'cancel', requestId: 'c5', originalRequestId: 'nope' }));
+    const [ack] = socket._messages.filter((m) => m.requestId === 'c5');
+    assert.equal(ack.status, 'error');
+    assert.equal(ack.code, 'NOT_FOUND');
+  });
+
+  it('only lets a key cancel its own requests', () => {
+    const alice = connectAutomation('k-alice');
+    const bob = connectAutomation('k-bob');
+    alice._emit('message', JSON.stringify({ action: 'get_html', requestId: 'c6', tabId: 1 }));
+
+    bob._emit('message', JSON.stringify({ action: 'cancel', requestId: 'c7', originalRequestId: 'c6' }));
+    assert.equal(bob._messages[bob._messages.length - 1].code, 'NOT_FOUND');
+    assert.ok(state.pendingResponses.has('c6'));
+
+    const admin = connectAutomation('master');
+    admin._emit('message', JSON.stringify({ action: 'cancel', requestId: 'c8', originalRequestId: 'c6' }));
+    assert.equal(admin._messages[admin._messages.length - 1].cancelled, true);
+  });
+});
+
+// ── request deadlines ────────────────────────────────────────────────
+
+describe('request deadlines', () => {
+  let state, ext, autoSocket;
+
+  beforeEach(() => {
+    state = createState();
+    ext = addExtension(state, { browserName: 'chrome' });
+    autoSocket = createMockSocket();
+  });
+  afterEach(() => clearPendingTimers(state));
+
+  function request(msg) {
+    handleAutomationMessage(JSON.stringify({ action: 'get_html', tabId: 1, ...msg }), 'auto-1', autoSocket, state);
+  }
+
+  it('forwards the server default when the caller sets none', () => {
+    request({ requestId: 'd1' });
+    assert.equal(ext.socket._messages[0].timeoutMs, REQUEST_TIMEOUT_MS);
+    assert.equal(state.pendingResponses.get('d1').timeoutMs, REQUEST_TIMEOUT_MS);
+  });
+
+  it('honours the caller deadline and reports it in the timeout error', async () => {
+    request({ requestId: 'd2', timeoutMs: 30 });
+    assert.equal(ext.socket._messages[0].timeoutMs, 30);
+
+    await new Promise((r) => setTimeout(r, 60));
+    const [resp] = autoSocket._messages;
+    assert.equal(resp.code, 'TIMEOUT');
+    assert.equal(resp.timeoutMs, 30);
+    assert.equal(resp.message, 'Request timed out after 30ms');
+  });
+
+  it('caps the deadline at the server maximum', async () => {
+    state.maxRequestTimeoutMs = 30;
+    request({ requestId: 'd3', timeoutMs: 900000 });
+    assert.equal(ext.socket._messages[0].timeoutMs, 30);
+
+    await new Promise((r) => setTimeout(r, 60));
+    assert.match(autoSocket._messages[0].message, /requested 900000ms, capped at the server maximum/);
+  });
+
+  it('refuses a deadline that is not a positive number', () => {
+    request({ requestId: 'd4', timeoutMs: -5 });
+    request({ requestId: 'd5', timeoutMs: 'soon' });
+    assert.deepEqual(autoSocket._messages.map((m) => m.code), ['INVALID_TIMEOUT', 'INVALID_TIMEOUT']);
+    assert.equal(ext.socket._messages.length, 0);
+  });
+
+  it('takes the default and maximum from the server options', () => {
+    const configured = createState({ requestTimeout: 120, maxRequestTimeout: 60 });
+    assert.equal(configured.requestTimeoutMs, 120000);
+    // The maximum never undercuts the default
+    assert.equal(configured.maxRequestTimeoutMs, 120000);
+  });
+});
+
+// ── broadcast ────────────────────────────────────────────────────────
+
+describe('broadcast', () => {
+  let state, chrome, firefox, autoSocket;
+
+  beforeEach(() => {
+    state = createState();
+    chrome = addExtension(state, {
+      clientId: 'chrome-1',
+      browserName: 'chrome',
+      tabs: [{ id: 1, url: 'https://news.example.com/a' }, { id: 2, url: 'https://bank.test/' }],
+    });
+    firefox = addExtension(state, {
+      clientId: 'firefox-1',
+      browserName: 'firefox',
+      tabs: [{ id: 1, url: 'https://example.com/' }],
+    });
+    autoSocket = createMockSocket();
+  });
+  afterEach(() => clearPendingTimers(state));
+
+  function broadcast(msg) {
+    handleAutomationMessage(JSON.stringify({ action: 'broadcast', requestId: 'b1', ...msg }), 'auto-1', autoSocket, state);
+  }
+
+  function answer(ext, type, fields = {}) {
+    for (const msg of ext.socket._messages) {
+      handleExtensionMessage(JSON.stringify({ type, requestId: msg.requestId, ...fields }), ext.id, state);
+    }
+  }
+
+  it('runs a browser-level command once per browser and aggregates the results', () => {
+    broadcast({ command: 'get_cookies_by_domain', domain: 'example.com' });
+    assert.equal(chrome.socket._messages[0].type, 'get_cookies_by_domain');
+    assert.equal(firefox.socket._messages[0].domain, 'example.com');
+    assert.equal(autoSocket._messages.length, 0);
+
+    answer(chrome, 'get_cookies_by_domain_complete', { domain: 'example.com', cookies: [{ name: 'a' }] });
+    handleExtensionMessage(JSON.stringify({
+      type: 'error', requestId: firefox.socket._messages[0].requestId, message: 'boom',
+    }), 'firefox-1', state);
+
+    const [resp] = autoSocket._messages;
+    assert.equal(resp.type, 'broadcast_response');
+    assert.equal(resp.requestId, 'b1');
+    assert.equal(resp.status, 'success');
+    assert.deepEqual(resp.summary, { total: 2, succeeded: 1, failed: 1 });
+    assert.equal(resp.results['chrome-1'].status, 'success');
+    assert.deepEqual(resp.results['chrome-1'].cookies, [{ name: 'a' }]);
+    assert.equal(resp.results['firefox-1'].code, 'EXTENSION_ERROR');
+    assert.equal(resp.results['firefox-1'].clientId, 'firefox-1');
+  });
+
+  it('fans a tab command out over the tabs matching tabUrl', () => {
+    broadcast({ command: 'close_tab', tabUrl: '*.example.com' });
+    assert.deepEqual(chrome.socket._messages.map((m) => m.tabId), [1]);
+    assert.equal(firefox.socket._messages.length, 0); // example.com itself does not match *.example.com
+
+    answer(chrome, 'close_tab_complete', { tabId: 1 });
+    const [resp] = autoSocket._messages;
+    assert.deepEqual(Object.keys(resp.results), ['chrome-1:1']);
+    assert.deepEqual(chrome.conn.tabs.map((t) => t.id), [2]);
+  });
+
+  it('limits the browsers with target', () => {
+    broadcast({ command: 'inject_css', css: 'body{}', tabUrl: '*', target: 'firefox' });
+    assert.equal(chrome.socket._messages.length, 0);
+    assert.equal(firefox.socket._messages[0].css, 'body{}');
+  });
+
+  it('times each browser out on its own', async () => {
+    broadcast({ command: 'open_url', url: 'https://example.com/', timeoutMs: 30 });
+    answer(chrome, 'open_url_complete', { tabId: 9, url: 'https://example.com/' });
+
+    await new Promise((r) => setTimeout(r, 60));
+    const [resp] = autoSocket._messages;
+    assert.equal(resp.results['chrome-1'].tabId, 9);
+    assert.equal(resp.results['firefox-1'].code, 'TIMEOUT');
+    assert.deepEqual(resp.summary, { total: 2, succeeded: 1, failed: 1 });
+  });
+
+  it('succeeds with no results when no tab matches', () => {
+    broadcast({ command: 'get_html', tabUrl: 'https://nowhere.test/*' });
+    const [resp] = autoSocket._messages;
+    assert.equal(resp.status, 'success');
+    assert.deepEqual(resp.results, {});
+    assert.equal(resp.summary.total, 0);
+  });
+
+  it('rejects unknown commands and tab commands without tabUrl', () => {
+    broadcast({ command: 'format_disk' });
+    broadcast({ command: 'get_html' });
+    broadcast({ command: 'get_cookies_by_domain', domain: 'x.test', tabUrl: '*' });
+    assert.deepEqual(autoSocket._messages.map((m) => m.code), ['INVALID_BROADCAST', 'INVALID_BROADCAST', 'INVALID_BROADCAST']);
+    assert.equal(chrome.socket._messages.length + firefox.socket._messages.length, 0);
+  });
+
+  it('fails with NO_EXTENSION when no browser matches the target', () => {
+    broadcast({ command: 'open_url', url: 'https://example.com/', target: 'safari' });
+    assert.equal(autoSocket._messages[0].code, 'NO_EXTENSION');
+  });
+
+  it('cancels every copy still running', () => {
+    broadcast({ command: 'open_url', url: 'https://example.com/' });
+    handleAutomationMessage(JSON.stringify({ action: 'cancel', requestId: 'b2', originalRequestId: 'b1' }), 'auto-1', autoSocket, state);
+
+    assert.equal(chrome.socket._messages[1].type, 'cancel');
+    assert.equal(firefox.socket._messages[1].type, 'cancel');
+    const resp = autoSocket._messages.find((m) => m.type === 'broadcast_response');
+    assert.deepEqual(resp.summary, { total: 2, succeeded: 0, failed: 2 });
+    assert.equal(resp.results['chrome-1'].code, 'CANCELLED');
+    assert.equal(autoSocket._messages.find((m) => m.requestId === 'b2').cancelled, true);
+    assert.equal(state.broadcasts.size, 0);
+  });
+
+  it('checks each copy against the caller scope and hides tabs outside it', () => {
+    const scoped = createState({
+      apiKeys: [{ name: 'example', key: 'k', actions: ['get_html'], urls: ['*.example.com', 'example.com'] }],
+    });
+    const ext = addExtension(scoped, {
+      clientId: 'chrome-1',
+      tabs: [{ id: 1, url: 'https://news.example.com/' }, { id: 2, url: 'https://bank.test/' }],
+    });
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest('?type=automation&token=k'), scoped);
+
+    socket._emit('message', JSON.stringify({ action: 'broadcast', requestId: 's1', command: 'get_html', tabUrl: '*' }));
+    assert.deepEqual(ext.socket._messages.map((m) => m.tabId), [1]);
+
+    socket._emit('message', JSON.stringify({ action: 'broadcast', requestId: 's2', command: 'close_tab', tabUrl: '*' }));
+    const denied = socket._messages.find((m) => m.requestId === 's2');
+    assert.equal(denied.results['chrome-1:1'].code, 'FORBIDDEN');
+    clearPendingTimers(scoped);
+  });
+});
+
+// ── batch ────────────────────────────────────────────────────────────
+
+describe('batch', () => {
+  let state, ext, autoSocket;
+
+  beforeEach(() => {
+    state = createState();
+    ext = addExtension(state, { clientId: 'chrome-1', tabs: [{ id: 1, url: 'https://example.com/' }] });
+    autoSocket = createMockSocket();
+  });
+  afterEach(() => clearPendingTimers(state));
+
+  it('forwards the steps in one message and returns every step result', () => {
+    const steps = [
+      { action: 'open_url', url: 'https://example.com/login' },
+      { action: 'wait', selector: '#user' },
+      { action: 'execute_script', id: 'title', code: 'document.title' },
+    ];
+    handleAutomationMessage(JSON.stringify({ action: 'batch', requestId: 'b1', steps, onError: 'continue' }), 'auto-1', autoSocket, state);
+
+    const [forwarded] = ext.socket._messages;
+    assert.equal(forwarded.type, 'batch');
+    assert.deepEqual(forwarded.steps, steps);
+    assert.equal(forwarded.onError, 'continue');
+
+    const results = [
+      { index: 0, id: null, action: 'open_url', status: 'success', data: { tabId: 4, url: 'https://example.com/login' } },
+      { index: 1, id: null, action: 'wait', status: 'success', data: { tabId: 4, found: true } },
+      { index: 2, id: 'title', action: 'execute_script', status: 'error', code: 'SCRIPT_ERROR', message: 'boom' },
+    ];
+    handleExtensionMessage(JSON.stringify({ type: 'batch_complete', requestId: forwarded.requestId, tabId: 4, results, stoppedAt: null }), 'chrome-1', state);
+
+    const [resp] = autoSocket._messages;
+    assert.equal(resp.type, 'batch_response');
+    assert.equal(resp.requestId, 'b1');
+    assert.equal(resp.status, 'success');
+    assert.equal(resp.handle, 'chrome-1:4');
+    assert.deepEqual(resp.results, results);
+    assert.ok(ext.conn.tabs.some((t) => t.id === 4)); // tabs opened by steps are routable at once
+  });
+
+  it('checks each step against the caller scope', () => {
+    const scoped = createState({
+      apiKeys: [{ name: 'example', key: 'k', actions: ['open_url', 'get_html'], urls: ['example.com'] }],
+    });
+    const scopedExt = addExtension(scoped, {
+      clientId: 'chrome-1',
+      tabs: [{ id: 1, url: 'https://bank.test/' }, { id: 2, url: 'https://example.com/' }],
+    });
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest('?type=automation&token=k'), scoped);
+    const send = (requestId, steps, tabId) => socket._emit('message', JSON.stringify({ action: 'batch', requestId, steps, tabId }));
+
+    send('s1', [{ action: 'open_url', url: 'https://example.com/' }, { action: 'wait', ms: 10 }, { action: 'get_html', tabId: 2 }]);
+    send('s2', [{ action: 'open_url', url: 'https://example.com/' }, { action: 'execute_script', code: '1' }]);
+    send('s3', [{ action: 'open_url', url: 'https://bank.test/' }]);
+    send('s4', [{ action: 'get_html', tabId: 1 }], 2);
+
+    assert.deepEqual(scopedExt.socket._messages.map((m) => m.type), ['batch']);
+    assert.deepEqual(socket._messages.filter((m) => m.requestId).map((m) => [m.requestId, m.reason]), [['s2', 'action'], ['s3', 'url'], ['s4', 'url']]);
+    clearPendingTimers(scoped);
+  });
+
+  it('checks every field of a step, as for a direct call', () => {
+    const scoped = createState({
+      apiKeys: [{ name: 'example', key: 'k', actions: ['get_cookies_by_domain'], urls: ['example.com'] }],
+    });
+    const scopedExt = addExtension(scoped, { clientId: 'chrome-1', tabs: [] });
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest('?type=automation&token=k'), scoped);
+    const send = (requestId, steps) => socket._emit('message', JSON.stringify({ action: 'batch', requestId, steps }));
+
+    send('d1', [{ action: 'get_cookies_by_domain', domain: 'bank.test' }]);
+    send('d2', [{ action: 'get_cookies_by_domain', domain: 'example.com' }]);
+
+    assert.deepEqual(socket._messages.filter((m) => m.requestId).map((m) => [m.requestId, m.reason]), [['d1', 'url']]);
+    assert.equal(scopedExt.socket._messages.length, 1);
+    clearPendingTimers(scoped);
+  });
+
+  it('refuses tab steps whose URL the server cannot check for URL-restricted keys', () => {
+    const scoped = createState({
+      apiKeys: [
+        { name: 'example', key: 'k', actions: ['open_url', 'get_html', 'execute_script'], urls: ['example.com'] },
+        { name: 'reader', key: 'r', readOnly: true },
+      ],
+    });
+    const scopedExt = addExtension(scoped, { clientId: 'chrome-1', tabs: [{ id: 2, url: 'https://example.com/' }] });
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest('?type=automation&token=k'), scoped);
+    const send = (s, requestId, steps, tabId) => s._emit('message', JSON.stringify({ action: 'batch', requestId, steps, tabId }));
+
+    // The current tab, and tabs an earlier script may have navigated
+    send(socket, 'i1', [{ action: 'open_url', url: 'https://example.com/' }, { action: 'get_html' }]);
+    send(socket, 'i2', [{ action: 'get_html' }], 2);
+    send(socket, 'i3', [{ id: 'o', action: 'open_url', url: 'https://example.com/' }, { action: 'get_html', tabId: { $ref: 'o.tabId' } }]);
+    send(socket, 'i4', [{ action: 'wait', selector: '#x' }], 2);
+    send(socket, 'i5', [{ action: 'execute_script', tabId: 2, code: 'location.href = "https://bank.test/"' }, { action: 'get_html', tabId: 2 }]);
+    send(socket, 'i6', [{ action: 'execute_script', tabId: 2, code: '1' }, { action: 'open_url', url: 'https://example.com/' }]);
+
+    const denied = socket._messages.filter((m) => m.requestId).map((m) => [m.requestId, m.reason]);
+    assert.deepEqual(denied, [['i1', 'url'], ['i2', 'url'], ['i3', 'url'], ['i4', 'url'], ['i5', 'url']]);
+    assert.equal(scopedExt.socket._messages.length, 1);
+
+    // Keys without a URL policy keep the current tab
+    const reader = createMockSocket();
+    handleConnection(reader, createMockRequest('?type=automation&token=r'), scoped);
+    send(reader, 'r1', [{ action: 'get_html' }], 2);
+    assert.equal(scopedExt.socket._messages.length, 2);
+    clearPendingTimers(scoped);
+  });
+});
+
+// ── response store ───────────────────────────────────────────────────
+
+describe('response store', () => {
+  let state;
+  beforeEach(() => { state = createState(); });
+  afterEach(() => clearPendingTimers(state));
+
+  it('stamps stored responses with _storedAt', () => {
+    storeResponse('r1', { status: 'success', html: '<p/>' }, state);
+    const stored = state.callbackResponses.get('r1');
+    assert.equal(stored.html, '<p/>');
+    assert.ok(Date.now() - stored._storedAt < 1000);
+  });
+
+  it('uses the default TTL unless configured', () => {
+    assert.equal(state.responseTtlMs, RESPONSE_TTL_MS);
+    assert.equal(createState({ responseTtl: 30 }).responseTtlMs, 30000);
+  });
+
+  it('looks up completed responses without internal fields', () => {
+    resolveRequest('r2', { status: 'success', type: 'tab_html_complete', html: 'x' }, state);
+    const found = lookupResponse('r2', state);
+    assert.equal(found.state, 'completed');
+    assert.equal(found.response.html, 'x');
+    assert.equal(found.response._storedAt, undefined);
+    assert.ok(found.storedAt);
+  });
+
+  it('reports requests still waiting on the extension as pending', () => {
+    state.pendingResponses.set('r3', {
+      socket: createMockSocket(),
+      timeoutId: setTimeout(() => {}, 60000),
+      operationType: 'open_url',
+      createdAt: Date.now(),
+    });
+    assert.deepEqual(lookupResponse('r3', state), { state: 'pending', operationType: 'open_url' });
+  });
+
+  it('treats unknown and expired requests as missing', () => {
+    assert.equal(lookupResponse('nope', state), null);
+
+    storeResponse('old', { status: 'success' }, state);
+    state.callbackResponses.get('old')._storedAt -= RESPONSE_TTL_MS + 1;
+    assert.equal(lookupResponse('old', state), null);
+  });
+
+  it('evicts the oldest entries beyond the store limit', () => {
+    for (let i = 0; i < 1005; i++) storeResponse(`r-${i}`, { status: 'success' }, state);
+    assert.equal(state.callbackResponses.size, 1000);
+    assert.equal(state.callbackResponses.has('r-0'), false);
+    assert.equal(state.callbackResponses.has('r-1004'), true);
+  });
+
+  describe('get_response action', () => {
+    let socket;
+    beforeEach(() => { socket = createMockSocket(); });
+
+    function ask(originalRequestId) {
+      handleAutomationMessage(
+        JSON.stringify({ action: 'get_response', requestId: 'q1', originalRequestId }),
+        'auto-1', socket, state,
+      );
+      return socket._messages[socket._messages.length - 1];
+    }
+
+    it('returns a stored result', () => {
+      resolveRequest('done', { status: 'success', type: 'open_url_complete', tabId: 9 }, state);
+      const resp = ask('done');
+      assert.equal(resp.type, 'get_response_response');
+      assert.equal(resp.requestId, 'q1');
+      assert.equal(resp.status, 'success');
+      assert.equal(resp.state, 'completed');
+      assert.equal(resp.response.tabId, 9);
+    });
+
+    it('returns NOT_FOUND for unknown requests', () => {
+      const resp = ask('missing');
+      assert.equal(resp.status, 'error');
+      assert.equal(resp.code, 'NOT_FOUND');
+    });
+  });
+
+  describe('with API keys', () => {
+    const keys = [{ name: 'a', key: 'k-a' }, { name: 'b', key: 'k-b' }];
+
+    function askAs(token, originalRequestId) {
+      const socket = createMockSocket();
+      handleConnection(socket, createMockRequest(`?type=automation&token=${token}`), state);
+      socket._emit('message', JSON.stringify({ action: 'get_response', requestId: 'q2', originalRequestId }));
+      return socket._messages[socket._messages.length - 1];
+    }
+
+    beforeEach(() => {
+      state = createState({ authSecret: 'master', apiKeys: keys });
+      addExtension(state, { clientId: 'ext-1', tabs: [{ id: 1, url: 'https://a.test/' }] });
+      state.extensionClients.get('ext-1').authenticated = true;
+      const owner = createMockSocket();
+      handleConnection(owner, createMockRequest('?type=automation&token=k-a'), state);
+      owner._emit('message', JSON.stringify({ action: 'get_cookies', requestId: 'mine', tabId: 1 }));
+      owner._emit('message', JSON.stringify({ action: 'get_html', requestId: 'running', tabId: 1 }));
+      handleExtensionMessage(JSON.stringify({ type: 'get_cookies_complete', requestId: 'mine', tabId: 1, cookies: [{ name: 'sid' }] }), 'ext-1', state);
+    });
+
+    it('only shows a scoped key its own results', () => {
+      assert.equal(askAs('k-a', 'mine').state, 'completed');
+      assert.equal(askAs('k-a', 'running').state, 'pending');
+      assert.equal(askAs('k-b', 'mine').code, 'NOT_FOUND');
+      assert.equal(askAs('k-b', 'running').code, 'NOT_FOUND');
+      assert.equal(askAs('master', 'mine').state, 'completed');
+    });
+
+    it('hides answers nobody was waiting for from scoped keys', () => {
+      resolveRequest('orphan', { status: 'success', type: 'tab_html_complete', html: 'x' }, state);
+      assert.equal(askAs('k-a', 'orphan').code, 'NOT_FOUND');
+      assert.equal(askAs('master', 'orphan').state, 'completed');
+    });
+  });
+});
+
+// ── chunked transfer ─────────────────────────────────────────────────
+
+describe('chunked transfer', () => {
+  let state, automationSocket;
+  const html = '<div>大页面</div>'.repeat(20000);
+
+  beforeEach(() => {
+    state = createState();
+    addExtension(state, { clientId: 'ext-1', browserName: 'chrome' });
+    automationSocket = createMockSocket();
+    state.pendingResponses.set('big', {
+      socket: automationSocket,
+      timeoutId: setTimeout(() => {}, 60000),
+      operationType: 'get_html',
+      createdAt: Date.now(),
+      ext: state.extensionClients.get('ext-1'),
+    });
+  });
+  afterEach(() => clearPendingTimers(state));
+
+  function sendFromExtension(frames) {
+    for (const frame of frames) {
+      handleExtensionMessage(JSON.stringify(frame), 'ext-1', state);
+    }
+  }
+
+  const completion = () => JSON.stringify({ type: 'tab_html_complete', tabId: 3, html, requestId: 'big' });
+
+  it('reassembles extension chunks into a single response', () => {
+    sendFromExtension(splitIntoChunks('big', completion()));
+
+    assert.equal(automationSocket._messages.length, 1);
+    const resp = automationSocket._messages[0];
+    assert.equal(resp.type, 'get_html_response');
+    assert.equal(resp.html, html);
+    assert.equal(state.chunkTransfers.size, 0);
+    assert.equal(lookupResponse('big', state).response.html, html);
+  });
+
+  it('accepts chunk frames wrapped in the request envelope', () => {
+    sendFromExtension(splitIntoChunks('big', completion()).map(({ type, requestId, ...payload }) => ({
+      type: 'request', action: type, requestId, payload,
+    })));
+    assert.equal(automationSocket._messages[0].html, html);
+  });
+
+  it('answers CHUNK_INTEGRITY when verification fails', () => {
+    const frames = splitIntoChunks('big', completion());
+    frames[frames.length - 1].checksum = '0'.repeat(64);
+    sendFromExtension(frames);
+
+    const resp = automationSocket._messages[0];
+    assert.equal(resp.status, 'error');
+    assert.equal(resp.code, 'CHUNK_INTEGRITY');
+  });
+
+  it('streams large results as chunks to clients that opted in', () => {
+    state.chunkedSockets.add(automationSocket);
+    sendFromExtension(splitIntoChunks('big', completion()));
+
+    const frames = automationSocket._messages;
+    assert.ok(frames.length > 2);
+    assert.ok(frames.every((f) => f.type === 'chunk' || f.type === 'chunk_end'));
+
+    const transfers = new Map();
+    let result = null;
+    for (const frame of frames) result = acceptChunkFrame(transfers, frame);
+    const resp = JSON.parse(result.raw);
+    assert.equal(resp.type, 'get_html_response');
+    assert.equal(resp.html, html);
+  });
+
+  it('drops chunk frames from other connections or for unknown requests', () => {
+    addExtension(state, { clientId: 'ext-2', browserName: 'firefox' });
+    const [first] = splitIntoChunks('big', completion());
+    handleExtensionMessage(JSON.stringify(first), 'ext-2', state);
+    handleExtensionMessage(JSON.stringify({ ...first, requestId: 'nobody' }), 'ext-1', state);
+    assert.equal(state.chunkTransfers.size, 0);
+
+    sendFromExtension(splitIntoChunks('big', completion()));
+    assert.equal(automationSocket._messages[0].html, html);
+  });
+
+  it('sends small results whole even to chunk-capable clients', () => {
+    state.chunkedSockets.add(automationSocket);
+    resolveRequest('big', { status: 'success', type: 'tab_html_complete', html: '<p/>' }, state);
+    assert.equal(automationSocket._messages.length, 1);
+    assert.equal(automationSocket._messages[0].html, '<p/>');
+  });
+
+  it('marks automation sockets connecting with ?chunked=1', () => {
+    const plain = createMockSocket();
+    const chunked = createMockSocket();
+    handleConnection(plain, createMockRequest('?type=automation'), state);
+    handleConnection(chunked, createMockRequest('?type=automation&chunked=1'), state);
+    assert.equal(state.chunkedSockets.has(plain), false);
+    assert.equal(state.chunkedSockets.has(chunked), true);
+  });
+});
+
+// ── periodic cleanup ─────────────────────────────────────────────────
+
+describe('periodic cleanup', () => {
+  it('drops stale automation clients with their dashboard subscription', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const state = createState();
+    const socket = createMockSocket();
+    handleConnection(socket, createMockRequest('?type=automation'), state);
+    const [clientId] = state.automationClients.keys();
+    handleAutomationMessage(JSON.stringify({ action: 'subscribe_dashboard', requestId: 'd1' }), clientId, socket, state);
+    assert.equal(state.dashboard.subscribers, 1);
+
+    // Gone without a close event
+    socket.readyState = 3;
+    const timer = startCleanup(state);
+    t.mock.timers.tick(30000);
+    clearInterval(timer);
+
+    assert.equal(state.automationClients.size, 0);
+    assert.equal(state.dashboard.subscribers, 0);
+  });
+
+  it('keeps chunked transfers for as long as a request may run', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const state = createState({ maxRequestTimeout: 300 });
+    state.chunkTransfers.set('long', { startedAt: Date.now() - 120000 });
+    state.chunkTransfers.set('abandoned', { startedAt: Date.now() - 301000 });
+
+    const timer = startCleanup(state);
+    t.mock.timers.tick(30000);
+    clearInterval(timer);
+
+    assert.deepEqual([...state.chunkTransfers.keys()], ['long']);
+  });
+});
+
 // ── multi-browser isolation (integration) ────────────────────────────
 
 describe('multi-browser isolation', () => {